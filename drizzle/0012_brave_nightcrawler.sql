@@ -0,0 +1 @@
+ALTER TABLE `moderation_logs` ADD `duration` integer;
\ No newline at end of file
@@ -0,0 +1,12 @@
+CREATE TABLE `temp_bans` (
+	`id` integer PRIMARY KEY AUTOINCREMENT NOT NULL,
+	`guild_id` text NOT NULL,
+	`user_id` text NOT NULL,
+	`executor_id` text NOT NULL,
+	`expires_at` integer NOT NULL,
+	`created_at` integer NOT NULL,
+	`active` integer DEFAULT true NOT NULL
+);
+--> statement-breakpoint
+CREATE INDEX `temp_bans_expires_idx` ON `temp_bans` (`expires_at`,`active`);--> statement-breakpoint
+CREATE INDEX `temp_bans_guild_user_idx` ON `temp_bans` (`guild_id`,`user_id`,`active`);
\ No newline at end of file
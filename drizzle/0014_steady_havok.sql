@@ -0,0 +1,18 @@
+CREATE TABLE `moderation_case_edits` (
+	`id` integer PRIMARY KEY AUTOINCREMENT NOT NULL,
+	`guild_id` text NOT NULL,
+	`case_number` integer NOT NULL,
+	`editor_id` text NOT NULL,
+	`field` text NOT NULL,
+	`old_value` text,
+	`new_value` text,
+	`edited_at` integer NOT NULL
+);
+--> statement-breakpoint
+CREATE INDEX `moderation_case_edits_guild_case_idx` ON `moderation_case_edits` (`guild_id`,`case_number`);--> statement-breakpoint
+ALTER TABLE `moderation_logs` ADD `case_number` integer;--> statement-breakpoint
+ALTER TABLE `moderation_logs` ADD `related_case_number` integer;--> statement-breakpoint
+ALTER TABLE `moderation_logs` ADD `deleted_at` integer;--> statement-breakpoint
+ALTER TABLE `moderation_logs` ADD `deleted_by` text;--> statement-breakpoint
+CREATE UNIQUE INDEX `moderation_logs_guild_case_idx` ON `moderation_logs` (`guild_id`,`case_number`);--> statement-breakpoint
+ALTER TABLE `temp_bans` ADD `case_number` integer;
\ No newline at end of file
@@ -0,0 +1,11 @@
+CREATE TABLE `escalation_rules` (
+	`id` integer PRIMARY KEY AUTOINCREMENT NOT NULL,
+	`guild_id` text NOT NULL,
+	`warning_count` integer NOT NULL,
+	`action` text NOT NULL,
+	`duration` integer,
+	`created_by` text NOT NULL,
+	`created_at` integer NOT NULL
+);
+--> statement-breakpoint
+CREATE INDEX `escalation_rules_guild_count_idx` ON `escalation_rules` (`guild_id`,`warning_count`);
\ No newline at end of file
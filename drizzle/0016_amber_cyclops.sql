@@ -0,0 +1 @@
+ALTER TABLE `guilds` ADD `warning_lifetime` integer;
\ No newline at end of file
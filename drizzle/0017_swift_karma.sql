@@ -0,0 +1 @@
+ALTER TABLE `moderation_logs` ADD `source` text DEFAULT 'bot';
\ No newline at end of file
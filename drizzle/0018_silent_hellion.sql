@@ -0,0 +1 @@
+ALTER TABLE `moderation_logs` ADD `transcript_url` text;
\ No newline at end of file
@@ -0,0 +1,20 @@
+CREATE TABLE `lockdown_channels` (
+	`id` integer PRIMARY KEY AUTOINCREMENT NOT NULL,
+	`guild_id` text NOT NULL,
+	`channel_id` text NOT NULL,
+	`added_by` text NOT NULL,
+	`added_at` integer NOT NULL
+);
+--> statement-breakpoint
+CREATE INDEX `lockdown_channels_guild_channel_idx` ON `lockdown_channels` (`guild_id`,`channel_id`);--> statement-breakpoint
+CREATE TABLE `lockdown_snapshots` (
+	`id` integer PRIMARY KEY AUTOINCREMENT NOT NULL,
+	`guild_id` text NOT NULL,
+	`channel_id` text NOT NULL,
+	`allow` text,
+	`deny` text,
+	`locked_by` text NOT NULL,
+	`created_at` integer NOT NULL
+);
+--> statement-breakpoint
+CREATE INDEX `lockdown_snapshots_guild_idx` ON `lockdown_snapshots` (`guild_id`);
\ No newline at end of file
@@ -0,0 +1,15 @@
+CREATE TABLE `channel_timers` (
+	`id` integer PRIMARY KEY AUTOINCREMENT NOT NULL,
+	`guild_id` text NOT NULL,
+	`channel_id` text NOT NULL,
+	`action` text NOT NULL,
+	`value` integer,
+	`executor_id` text NOT NULL,
+	`case_number` integer,
+	`expires_at` integer NOT NULL,
+	`created_at` integer NOT NULL,
+	`active` integer DEFAULT true NOT NULL
+);
+--> statement-breakpoint
+CREATE INDEX `channel_timers_expires_idx` ON `channel_timers` (`expires_at`,`active`);--> statement-breakpoint
+CREATE INDEX `channel_timers_channel_idx` ON `channel_timers` (`channel_id`,`action`,`active`);
\ No newline at end of file
@@ -0,0 +1,17 @@
+CREATE TABLE `ban_appeals` (
+	`id` integer PRIMARY KEY AUTOINCREMENT NOT NULL,
+	`guild_id` text NOT NULL,
+	`user_id` text NOT NULL,
+	`case_number` integer,
+	`content` text NOT NULL,
+	`status` text DEFAULT 'pending' NOT NULL,
+	`review_channel_id` text,
+	`review_message_id` text,
+	`reviewed_by` text,
+	`reviewed_at` integer,
+	`review_reason` text,
+	`created_at` integer NOT NULL
+);
+--> statement-breakpoint
+CREATE INDEX `ban_appeals_guild_user_status_idx` ON `ban_appeals` (`guild_id`,`user_id`,`status`);--> statement-breakpoint
+ALTER TABLE `guilds` ADD `appeal_channel` text;
\ No newline at end of file
@@ -0,0 +1,10 @@
+CREATE TABLE `moderator_notes` (
+	`id` integer PRIMARY KEY AUTOINCREMENT NOT NULL,
+	`guild_id` text NOT NULL,
+	`user_id` text NOT NULL,
+	`author_id` text NOT NULL,
+	`content` text NOT NULL,
+	`created_at` integer NOT NULL
+);
+--> statement-breakpoint
+CREATE INDEX `moderator_notes_guild_user_idx` ON `moderator_notes` (`guild_id`,`user_id`);
\ No newline at end of file
@@ -0,0 +1,24 @@
+CREATE TABLE `automod_rules` (
+	`id` integer PRIMARY KEY AUTOINCREMENT NOT NULL,
+	`guild_id` text NOT NULL,
+	`rule` text NOT NULL,
+	`enabled` integer DEFAULT true NOT NULL,
+	`threshold` integer NOT NULL,
+	`interval` integer,
+	`action` text DEFAULT 'delete' NOT NULL,
+	`duration` integer,
+	`updated_by` text NOT NULL,
+	`updated_at` integer NOT NULL
+);
+--> statement-breakpoint
+CREATE INDEX `automod_rules_guild_rule_idx` ON `automod_rules` (`guild_id`,`rule`);--> statement-breakpoint
+CREATE TABLE `automod_exemptions` (
+	`id` integer PRIMARY KEY AUTOINCREMENT NOT NULL,
+	`guild_id` text NOT NULL,
+	`type` text NOT NULL,
+	`target_id` text NOT NULL,
+	`added_by` text NOT NULL,
+	`added_at` integer NOT NULL
+);
+--> statement-breakpoint
+CREATE INDEX `automod_exemptions_guild_target_idx` ON `automod_exemptions` (`guild_id`,`target_id`);
\ No newline at end of file
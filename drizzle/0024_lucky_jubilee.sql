@@ -0,0 +1,10 @@
+CREATE TABLE `automod_filters` (
+	`id` integer PRIMARY KEY AUTOINCREMENT NOT NULL,
+	`guild_id` text NOT NULL,
+	`pattern` text NOT NULL,
+	`match_type` text DEFAULT 'contains' NOT NULL,
+	`created_by` text NOT NULL,
+	`created_at` integer NOT NULL
+);
+--> statement-breakpoint
+CREATE INDEX `automod_filters_guild_idx` ON `automod_filters` (`guild_id`);
\ No newline at end of file
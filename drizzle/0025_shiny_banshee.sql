@@ -0,0 +1,11 @@
+CREATE TABLE `raid_config` (
+	`guild_id` text PRIMARY KEY NOT NULL,
+	`enabled` integer DEFAULT false NOT NULL,
+	`join_threshold` integer DEFAULT 10 NOT NULL,
+	`join_window` integer DEFAULT 10 NOT NULL,
+	`action` text DEFAULT 'alert' NOT NULL,
+	`alert_channel_id` text,
+	`min_account_age` integer,
+	`account_age_action` text DEFAULT 'kick' NOT NULL,
+	`quarantine_role_id` text
+);
@@ -0,0 +1,20 @@
+CREATE TABLE `log_channels` (
+	`id` integer PRIMARY KEY AUTOINCREMENT NOT NULL,
+	`guild_id` text NOT NULL,
+	`category` text NOT NULL,
+	`channel_id` text NOT NULL,
+	`updated_by` text NOT NULL,
+	`updated_at` integer NOT NULL
+);
+--> statement-breakpoint
+CREATE INDEX `log_channels_guild_category_idx` ON `log_channels` (`guild_id`,`category`);--> statement-breakpoint
+CREATE TABLE `log_ignores` (
+	`id` integer PRIMARY KEY AUTOINCREMENT NOT NULL,
+	`guild_id` text NOT NULL,
+	`type` text NOT NULL,
+	`target_id` text NOT NULL,
+	`added_by` text NOT NULL,
+	`added_at` integer NOT NULL
+);
+--> statement-breakpoint
+CREATE INDEX `log_ignores_guild_target_idx` ON `log_ignores` (`guild_id`,`target_id`);
\ No newline at end of file
@@ -0,0 +1,8 @@
+CREATE TABLE `voice_log_config` (
+	`guild_id` text PRIMARY KEY NOT NULL,
+	`joins` integer DEFAULT true NOT NULL,
+	`leaves` integer DEFAULT true NOT NULL,
+	`moves` integer DEFAULT true NOT NULL,
+	`mutes` integer DEFAULT true NOT NULL,
+	`disconnects` integer DEFAULT true NOT NULL
+);
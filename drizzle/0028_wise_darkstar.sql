@@ -0,0 +1,33 @@
+CREATE TABLE `modmail_config` (
+	`guild_id` text PRIMARY KEY NOT NULL,
+	`channel_id` text NOT NULL,
+	`updated_by` text NOT NULL,
+	`updated_at` integer NOT NULL
+);
+--> statement-breakpoint
+CREATE TABLE `modmail_tickets` (
+	`id` integer PRIMARY KEY AUTOINCREMENT NOT NULL,
+	`guild_id` text NOT NULL,
+	`user_id` text NOT NULL,
+	`thread_id` text NOT NULL,
+	`status` text DEFAULT 'open' NOT NULL,
+	`opened_at` integer NOT NULL,
+	`closed_at` integer,
+	`closed_by` text,
+	`close_reason` text
+);
+--> statement-breakpoint
+CREATE INDEX `modmail_tickets_user_status_idx` ON `modmail_tickets` (`user_id`,`status`);--> statement-breakpoint
+CREATE INDEX `modmail_tickets_thread_idx` ON `modmail_tickets` (`thread_id`);--> statement-breakpoint
+CREATE TABLE `modmail_messages` (
+	`id` integer PRIMARY KEY AUTOINCREMENT NOT NULL,
+	`ticket_id` integer NOT NULL,
+	`author_id` text NOT NULL,
+	`author_tag` text NOT NULL,
+	`from_staff` integer NOT NULL,
+	`content` text,
+	`attachments` text,
+	`created_at` integer NOT NULL
+);
+--> statement-breakpoint
+CREATE INDEX `modmail_messages_ticket_idx` ON `modmail_messages` (`ticket_id`);
\ No newline at end of file
@@ -0,0 +1,24 @@
+CREATE TABLE `role_panels` (
+	`id` integer PRIMARY KEY AUTOINCREMENT NOT NULL,
+	`guild_id` text NOT NULL,
+	`channel_id` text NOT NULL,
+	`message_id` text NOT NULL,
+	`title` text NOT NULL,
+	`description` text,
+	`style` text NOT NULL,
+	`mode` text DEFAULT 'toggle' NOT NULL,
+	`created_by` text NOT NULL,
+	`created_at` integer NOT NULL
+);
+--> statement-breakpoint
+CREATE INDEX `role_panels_guild_idx` ON `role_panels` (`guild_id`);--> statement-breakpoint
+CREATE INDEX `role_panels_message_idx` ON `role_panels` (`message_id`);--> statement-breakpoint
+CREATE TABLE `role_panel_options` (
+	`id` integer PRIMARY KEY AUTOINCREMENT NOT NULL,
+	`panel_id` integer NOT NULL,
+	`role_id` text NOT NULL,
+	`label` text NOT NULL,
+	`emoji` text
+);
+--> statement-breakpoint
+CREATE INDEX `role_panel_options_panel_idx` ON `role_panel_options` (`panel_id`);
\ No newline at end of file
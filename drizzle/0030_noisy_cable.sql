@@ -0,0 +1,29 @@
+CREATE TABLE `auto_roles` (
+	`id` integer PRIMARY KEY AUTOINCREMENT NOT NULL,
+	`guild_id` text NOT NULL,
+	`role_id` text NOT NULL,
+	`target` text DEFAULT 'member' NOT NULL,
+	`added_by` text NOT NULL,
+	`added_at` integer NOT NULL
+);
+--> statement-breakpoint
+CREATE INDEX `auto_roles_guild_idx` ON `auto_roles` (`guild_id`);--> statement-breakpoint
+CREATE TABLE `sticky_roles` (
+	`id` integer PRIMARY KEY AUTOINCREMENT NOT NULL,
+	`guild_id` text NOT NULL,
+	`role_id` text NOT NULL,
+	`added_by` text NOT NULL,
+	`added_at` integer NOT NULL
+);
+--> statement-breakpoint
+CREATE INDEX `sticky_roles_guild_idx` ON `sticky_roles` (`guild_id`);--> statement-breakpoint
+CREATE TABLE `sticky_role_snapshots` (
+	`id` integer PRIMARY KEY AUTOINCREMENT NOT NULL,
+	`guild_id` text NOT NULL,
+	`user_id` text NOT NULL,
+	`role_ids` text NOT NULL,
+	`saved_at` integer NOT NULL
+);
+--> statement-breakpoint
+CREATE INDEX `sticky_role_snapshots_guild_user_idx` ON `sticky_role_snapshots` (`guild_id`,`user_id`);--> statement-breakpoint
+ALTER TABLE `guilds` ADD `auto_role_delay` integer;
\ No newline at end of file
@@ -0,0 +1,21 @@
+CREATE TABLE `verification_config` (
+	`guild_id` text PRIMARY KEY NOT NULL,
+	`channel_id` text NOT NULL,
+	`message_id` text,
+	`role_id` text NOT NULL,
+	`challenge` integer DEFAULT false NOT NULL,
+	`kick_after` integer,
+	`updated_by` text NOT NULL,
+	`updated_at` integer NOT NULL
+);
+--> statement-breakpoint
+CREATE TABLE `pending_verifications` (
+	`id` integer PRIMARY KEY AUTOINCREMENT NOT NULL,
+	`guild_id` text NOT NULL,
+	`user_id` text NOT NULL,
+	`joined_at` integer NOT NULL,
+	`kick_at` integer,
+	`failed_attempts` integer DEFAULT 0 NOT NULL
+);
+--> statement-breakpoint
+CREATE INDEX `pending_verifications_guild_user_idx` ON `pending_verifications` (`guild_id`,`user_id`);
\ No newline at end of file
@@ -0,0 +1,4 @@
+ALTER TABLE `guilds` ADD `goodbye_channel` text;--> statement-breakpoint
+ALTER TABLE `guilds` ADD `goodbye_message` text;--> statement-breakpoint
+ALTER TABLE `guilds` ADD `goodbye_enabled` integer DEFAULT false;--> statement-breakpoint
+ALTER TABLE `guilds` ADD `goodbye_use_embed` integer DEFAULT true;
\ No newline at end of file
@@ -0,0 +1,703 @@
+const { SlashCommandBuilder, PermissionFlagsBits, ChannelType } = require('discord.js');
+const axios = require('axios');
+const embeds = require('../../utils/embeds');
+const config = require('../../utils/config');
+const logger = require('../../utils/logger');
+const { parseTimeoutDuration } = require('../../utils/moderationUtil');
+const {
+    getAutomodRules,
+    setAutomodRule,
+    disableAutomodRule,
+    getAutomodExemptions,
+    addAutomodExemption,
+    removeAutomodExemption,
+    describeAutomodRule,
+    getAutomodFilters,
+    addAutomodFilters,
+    removeAutomodFilter,
+    formatFilter,
+    AUTOMOD_RULES,
+    MAX_AUTOMOD_INTERVAL,
+    MAX_AUTOMOD_EXEMPTIONS,
+    MAX_AUTOMOD_FILTERS,
+    MAX_FILTER_LENGTH
+} = require('../../utils/automodUtil');
+const {
+    getRaidConfig,
+    updateRaidConfig,
+    describeRaidDetection,
+    describeAccountAgeGate,
+    MAX_JOIN_WINDOW,
+    MAX_ACCOUNT_AGE
+} = require('../../utils/raidUtil');
+
+const RULE_CHOICES = Object.entries(AUTOMOD_RULES).map(([value, rule]) => ({ name: rule.label, value }));
+const MATCH_TYPE_CHOICES = [
+    { name: 'Contains (default)', value: 'contains' },
+    { name: 'Exact Word', value: 'exact' },
+    { name: 'Wildcard (*)', value: 'wildcard' },
+    { name: 'Regex (dev only)', value: 'regex' }
+];
+// Largest word list /automod filter import accepts
+const MAX_IMPORT_SIZE = 100 * 1024;
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('automod')
+        .setDescription('Automatically moderate spam, invites, mentions, caps and filtered words')
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+        .setDMPermission(false)
+        .addSubcommandGroup(group => group
+            .setName('rules')
+            .setDescription('Configure automod rules')
+            .addSubcommand(subcommand =>
+                subcommand
+                    .setName('set')
+                    .setDescription('Enable or update a rule (unset options keep their current value)')
+                    .addStringOption(option =>
+                        option.setName('rule')
+                            .setDescription('Rule to configure')
+                            .setRequired(true)
+                            .addChoices(...RULE_CHOICES))
+                    .addStringOption(option =>
+                        option.setName('action')
+                            .setDescription('What to do after deleting the message (default: delete only)')
+                            .setRequired(false)
+                            .addChoices(
+                                { name: 'Delete only', value: 'delete' },
+                                { name: 'Delete and warn', value: 'warn' },
+                                { name: 'Delete and timeout', value: 'timeout' }
+                            ))
+                    .addIntegerOption(option =>
+                        option.setName('threshold')
+                            .setDescription('Messages, mentions or caps percentage that triggers the rule')
+                            .setRequired(false)
+                            .setMinValue(1)
+                            .setMaxValue(100))
+                    .addIntegerOption(option =>
+                        option.setName('interval')
+                            .setDescription('Window in seconds (spam and duplicates only)')
+                            .setRequired(false)
+                            .setMinValue(1)
+                            .setMaxValue(MAX_AUTOMOD_INTERVAL))
+                    .addStringOption(option =>
+                        option.setName('duration')
+                            .setDescription('Timeout length (e.g., 10m, 1h) - timeout action only')
+                            .setRequired(false)))
+            .addSubcommand(subcommand =>
+                subcommand
+                    .setName('disable')
+                    .setDescription('Disable a rule')
+                    .addStringOption(option =>
+                        option.setName('rule')
+                            .setDescription('Rule to disable')
+                            .setRequired(true)
+                            .addChoices(...RULE_CHOICES)))
+            .addSubcommand(subcommand =>
+                subcommand
+                    .setName('list')
+                    .setDescription('View the automod rules')))
+        .addSubcommandGroup(group => group
+            .setName('exempt')
+            .setDescription('Roles and channels automod ignores')
+            .addSubcommand(subcommand =>
+                subcommand
+                    .setName('add')
+                    .setDescription('Exempt a role or channel from automod')
+                    .addRoleOption(option =>
+                        option.setName('role')
+                            .setDescription('Role to exempt')
+                            .setRequired(false))
+                    .addChannelOption(option =>
+                        option.setName('channel')
+                            .setDescription('Channel to exempt')
+                            .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement, ChannelType.GuildForum)
+                            .setRequired(false)))
+            .addSubcommand(subcommand =>
+                subcommand
+                    .setName('remove')
+                    .setDescription('Remove a role or channel exemption')
+                    .addRoleOption(option =>
+                        option.setName('role')
+                            .setDescription('Role to remove')
+                            .setRequired(false))
+                    .addChannelOption(option =>
+                        option.setName('channel')
+                            .setDescription('Channel to remove')
+                            .setRequired(false)))
+            .addSubcommand(subcommand =>
+                subcommand
+                    .setName('list')
+                    .setDescription('View automod exemptions')))
+        .addSubcommandGroup(group => group
+            .setName('filter')
+            .setDescription('Words and phrases deleted on sight')
+            .addSubcommand(subcommand =>
+                subcommand
+                    .setName('add')
+                    .setDescription('Add a word, phrase or pattern to the filter')
+                    .addStringOption(option =>
+                        option.setName('pattern')
+                            .setDescription('Word, phrase or pattern to block')
+                            .setRequired(true)
+                            .setMaxLength(MAX_FILTER_LENGTH))
+                    .addStringOption(option =>
+                        option.setName('match_type')
+                            .setDescription('How to match the pattern')
+                            .setRequired(false)
+                            .addChoices(...MATCH_TYPE_CHOICES)))
+            .addSubcommand(subcommand =>
+                subcommand
+                    .setName('remove')
+                    .setDescription('Remove a filter entry')
+                    .addIntegerOption(option =>
+                        option.setName('id')
+                            .setDescription('Filter entry ID (see /automod filter list)')
+                            .setRequired(true)
+                            .setMinValue(1)))
+            .addSubcommand(subcommand =>
+                subcommand
+                    .setName('list')
+                    .setDescription('View the word filter'))
+            .addSubcommand(subcommand =>
+                subcommand
+                    .setName('import')
+                    .setDescription('Import a .txt word list (one entry per line)')
+                    .addAttachmentOption(option =>
+                        option.setName('file')
+                            .setDescription('Text file with one word or phrase per line')
+                            .setRequired(true))
+                    .addStringOption(option =>
+                        option.setName('match_type')
+                            .setDescription('How to match every imported entry')
+                            .setRequired(false)
+                            .addChoices(...MATCH_TYPE_CHOICES))))
+        .addSubcommandGroup(group => group
+            .setName('raid')
+            .setDescription('Join-rate raid detection and minimum account age')
+            .addSubcommand(subcommand =>
+                subcommand
+                    .setName('set')
+                    .setDescription('Enable or update raid detection')
+                    .addIntegerOption(option =>
+                        option.setName('threshold')
+                            .setDescription('Joins within the window that count as a raid (default: 10)')
+                            .setRequired(false)
+                            .setMinValue(2)
+                            .setMaxValue(100))
+                    .addIntegerOption(option =>
+                        option.setName('window')
+                            .setDescription('Window in seconds (default: 10)')
+                            .setRequired(false)
+                            .setMinValue(1)
+                            .setMaxValue(MAX_JOIN_WINDOW))
+                    .addStringOption(option =>
+                        option.setName('action')
+                            .setDescription('What to do when a raid is detected (default: alert only)')
+                            .setRequired(false)
+                            .addChoices(
+                                { name: 'Alert staff', value: 'alert' },
+                                { name: 'Alert and start a lockdown', value: 'lockdown' },
+                                { name: 'Alert and kick new joins', value: 'kick' }
+                            ))
+                    .addChannelOption(option =>
+                        option.setName('alert_channel')
+                            .setDescription('Channel for raid alerts (default: log channel)')
+                            .addChannelTypes(ChannelType.GuildText)
+                            .setRequired(false)))
+            .addSubcommand(subcommand =>
+                subcommand
+                    .setName('disable')
+                    .setDescription('Disable raid detection'))
+            .addSubcommand(subcommand =>
+                subcommand
+                    .setName('account-age')
+                    .setDescription('Kick or quarantine accounts younger than a number of days')
+                    .addIntegerOption(option =>
+                        option.setName('days')
+                            .setDescription('Minimum account age in days (0 to disable)')
+                            .setRequired(true)
+                            .setMinValue(0)
+                            .setMaxValue(MAX_ACCOUNT_AGE))
+                    .addStringOption(option =>
+                        option.setName('action')
+                            .setDescription('What to do with younger accounts (default: kick)')
+                            .setRequired(false)
+                            .addChoices(
+                                { name: 'Kick', value: 'kick' },
+                                { name: 'Quarantine (give a role)', value: 'quarantine' }
+                            ))
+                    .addRoleOption(option =>
+                        option.setName('role')
+                            .setDescription('Quarantine role (required for quarantine)')
+                            .setRequired(false)))
+            .addSubcommand(subcommand =>
+                subcommand
+                    .setName('view')
+                    .setDescription('View raid protection settings'))),
+
+    permissions: [PermissionFlagsBits.ManageGuild],
+    cooldown: 3,
+    longRunning: true,
+    deferEphemeral: true,
+
+    async execute(interaction, client) {
+        const group = interaction.options.getSubcommandGroup();
+        const subcommand = interaction.options.getSubcommand();
+
+        if (group === 'raid') {
+            switch (subcommand) {
+                case 'set':
+                    return handleRaidSet(interaction, client);
+                case 'disable':
+                    return handleRaidDisable(interaction, client);
+                case 'account-age':
+                    return handleRaidAccountAge(interaction, client);
+                case 'view':
+                    return handleRaidView(interaction, client);
+            }
+        }
+
+        if (group === 'filter') {
+            switch (subcommand) {
+                case 'add':
+                    return handleFilterAdd(interaction, client);
+                case 'remove':
+                    return handleFilterRemove(interaction, client);
+                case 'list':
+                    return handleFilterList(interaction);
+                case 'import':
+                    return handleFilterImport(interaction, client);
+            }
+        }
+
+        if (group === 'exempt') {
+            switch (subcommand) {
+                case 'add':
+                    return handleExemptAdd(interaction, client);
+                case 'remove':
+                    return handleExemptRemove(interaction, client);
+                case 'list':
+                    return handleExemptList(interaction);
+            }
+        }
+
+        switch (subcommand) {
+            case 'set':
+                return handleRuleSet(interaction, client);
+            case 'disable':
+                return handleRuleDisable(interaction, client);
+            case 'list':
+                return handleRuleList(interaction);
+        }
+    }
+};
+
+/**
+ * /automod rules set
+ */
+async function handleRuleSet(interaction, client) {
+    const rule = interaction.options.getString('rule');
+    const durationInput = interaction.options.getString('duration');
+
+    let duration = null;
+    if (durationInput) {
+        const parsed = parseTimeoutDuration(durationInput);
+        if (!parsed.success) {
+            return interaction.editReply({ embeds: [embeds.error('Invalid Duration', parsed.error)] });
+        }
+        duration = parsed.duration;
+    }
+
+    const result = await setAutomodRule(interaction.guild.id, rule, {
+        threshold: interaction.options.getInteger('threshold'),
+        interval: interaction.options.getInteger('interval'),
+        action: interaction.options.getString('action'),
+        duration,
+        updatedBy: interaction.user.id
+    });
+
+    if (!result.success) {
+        return interaction.editReply({ embeds: [embeds.error('Rule Not Saved', result.error)] });
+    }
+
+    client.automodService?.invalidateCache(interaction.guild.id);
+
+    return interaction.editReply({
+        embeds: [embeds.success('Automod Rule Enabled', describeAutomodRule(result.rule))]
+    });
+}
+
+/**
+ * /automod rules disable
+ */
+async function handleRuleDisable(interaction, client) {
+    const rule = interaction.options.getString('rule');
+    const disabled = await disableAutomodRule(interaction.guild.id, rule);
+
+    if (!disabled) {
+        return interaction.editReply({
+            embeds: [embeds.error('Not Enabled', `The **${AUTOMOD_RULES[rule].label}** rule is not enabled.`)]
+        });
+    }
+
+    client.automodService?.invalidateCache(interaction.guild.id);
+
+    return interaction.editReply({
+        embeds: [embeds.success('Automod Rule Disabled', `**${AUTOMOD_RULES[rule].label}** is now disabled. Its settings are kept.`)]
+    });
+}
+
+/**
+ * /automod rules list
+ */
+async function handleRuleList(interaction) {
+    const rules = await getAutomodRules(interaction.guild.id);
+
+    const lines = Object.keys(AUTOMOD_RULES).map(type => {
+        const rule = rules.find(r => r.rule === type);
+        if (!rule) return `⚪ **${AUTOMOD_RULES[type].label}** - not configured`;
+        return `${rule.enabled ? '✅' : '❌'} ${describeAutomodRule(rule)}`;
+    });
+
+    const embed = embeds.brand('Automod Rules', lines.join('\n'))
+        .setFooter({ text: 'Members with Manage Messages and exempt roles/channels are never actioned.' });
+
+    return interaction.editReply({ embeds: [embed] });
+}
+
+/**
+ * Get the role or channel an exempt subcommand targets
+ * @returns {Object|null} - { type, target } or null if neither (or both) were given
+ */
+function getExemptTarget(interaction) {
+    const role = interaction.options.getRole('role');
+    const channel = interaction.options.getChannel('channel');
+
+    if (!role === !channel) return null;
+    return role ? { type: 'role', target: role } : { type: 'channel', target: channel };
+}
+
+/**
+ * /automod exempt add
+ */
+async function handleExemptAdd(interaction, client) {
+    const exempt = getExemptTarget(interaction);
+    if (!exempt) {
+        return interaction.editReply({
+            embeds: [embeds.error('Invalid Options', 'Choose either a role or a channel.')]
+        });
+    }
+
+    const result = await addAutomodExemption(interaction.guild.id, exempt.type, exempt.target.id, interaction.user.id);
+    if (!result.success) {
+        return interaction.editReply({ embeds: [embeds.error('Exemption Not Added', result.error)] });
+    }
+
+    client.automodService?.invalidateCache(interaction.guild.id);
+
+    return interaction.editReply({
+        embeds: [embeds.success('Exemption Added', `Automod will ignore ${exempt.target}.`)]
+    });
+}
+
+/**
+ * /automod exempt remove
+ */
+async function handleExemptRemove(interaction, client) {
+    const exempt = getExemptTarget(interaction);
+    if (!exempt) {
+        return interaction.editReply({
+            embeds: [embeds.error('Invalid Options', 'Choose either a role or a channel.')]
+        });
+    }
+
+    const removed = await removeAutomodExemption(interaction.guild.id, exempt.target.id);
+    if (!removed) {
+        return interaction.editReply({
+            embeds: [embeds.error('Not Found', `${exempt.target} is not exempt from automod.`)]
+        });
+    }
+
+    client.automodService?.invalidateCache(interaction.guild.id);
+
+    return interaction.editReply({
+        embeds: [embeds.success('Exemption Removed', `Automod now applies to ${exempt.target}.`)]
+    });
+}
+
+/**
+ * /automod exempt list
+ */
+async function handleExemptList(interaction) {
+    const exemptions = await getAutomodExemptions(interaction.guild.id);
+
+    if (exemptions.length === 0) {
+        return interaction.editReply({
+            embeds: [embeds.info('No Exemptions', 'Automod applies to every role and channel.\n\nAdd one with `/automod exempt add`.')]
+        });
+    }
+
+    const format = exemption => exemption.type === 'role' ? `<@&${exemption.targetId}>` : `<#${exemption.targetId}>`;
+    const roles = exemptions.filter(exemption => exemption.type === 'role').map(format);
+    const channels = exemptions.filter(exemption => exemption.type === 'channel').map(format);
+
+    const embed = embeds.brand('Automod Exemptions', `${exemptions.length}/${MAX_AUTOMOD_EXEMPTIONS} exemptions`)
+        .addFields(
+            { name: 'Roles', value: roles.join(', ') || 'None' },
+            { name: 'Channels', value: channels.join(', ') || 'None' }
+        );
+
+    return interaction.editReply({ embeds: [embed] });
+}
+
+/**
+ * Regex entries are restricted to bot developers (ReDoS risk), as with /autorespond
+ * @returns {boolean} - true if the reply was sent and the command should stop
+ */
+async function rejectRegex(interaction, matchType) {
+    if (matchType !== 'regex' || config.developers.includes(interaction.user.id)) return false;
+
+    await interaction.editReply({
+        embeds: [embeds.error(
+            'Permission Denied',
+            'Regex matching is restricted to bot developers due to security risks (ReDoS attacks).\n\nUse **wildcard** or **contains** instead.'
+        )]
+    });
+    return true;
+}
+
+/**
+ * /automod filter add
+ */
+async function handleFilterAdd(interaction, client) {
+    const pattern = interaction.options.getString('pattern').trim();
+    const matchType = interaction.options.getString('match_type') || 'contains';
+
+    if (await rejectRegex(interaction, matchType)) return;
+
+    const { added, skipped } = await addAutomodFilters(interaction.guild.id, [pattern], matchType, interaction.user.id);
+
+    if (added.length === 0) {
+        return interaction.editReply({ embeds: [embeds.error('Entry Not Added', skipped[0].error)] });
+    }
+
+    client.automodService?.invalidateCache(interaction.guild.id);
+
+    return interaction.editReply({
+        embeds: [embeds.success('Filter Entry Added', `${formatFilter(added[0])}\n\nMatching messages will be deleted and logged.`)]
+    });
+}
+
+/**
+ * /automod filter remove
+ */
+async function handleFilterRemove(interaction, client) {
+    const id = interaction.options.getInteger('id');
+    const removed = await removeAutomodFilter(interaction.guild.id, id);
+
+    if (!removed) {
+        return interaction.editReply({
+            embeds: [embeds.error('Not Found', `Filter entry #${id} doesn't exist in this server.`)]
+        });
+    }
+
+    client.automodService?.invalidateCache(interaction.guild.id);
+
+    return interaction.editReply({
+        embeds: [embeds.success('Filter Entry Removed', formatFilter(removed))]
+    });
+}
+
+/**
+ * /automod filter list
+ */
+async function handleFilterList(interaction) {
+    const filters = await getAutomodFilters(interaction.guild.id);
+
+    if (filters.length === 0) {
+        return interaction.editReply({
+            embeds: [embeds.info('Empty Filter', 'This server has no word filter entries.\n\nAdd one with `/automod filter add`.')]
+        });
+    }
+
+    // Stay under the embed description limit
+    const lines = [];
+    let length = 0;
+    for (const filter of filters) {
+        const line = formatFilter(filter);
+        if (length + line.length + 1 > 3800) break;
+        lines.push(line);
+        length += line.length + 1;
+    }
+
+    const more = filters.length - lines.length;
+    const description = lines.join('\n') + (more > 0 ? `\n…and ${more} more` : '');
+
+    const embed = embeds.brand(`Word Filter (${filters.length}/${MAX_AUTOMOD_FILTERS})`, description)
+        .setFooter({ text: 'Automod exemptions also apply to the filter. Every third hit in 24 hours earns a warning.' });
+
+    return interaction.editReply({ embeds: [embed] });
+}
+
+/**
+ * /automod filter import
+ */
+async function handleFilterImport(interaction, client) {
+    const file = interaction.options.getAttachment('file');
+    const matchType = interaction.options.getString('match_type') || 'contains';
+
+    if (await rejectRegex(interaction, matchType)) return;
+
+    if (!file.name.toLowerCase().endsWith('.txt') || file.size > MAX_IMPORT_SIZE) {
+        return interaction.editReply({
+            embeds: [embeds.error('Invalid File', `Upload a .txt file no larger than ${MAX_IMPORT_SIZE / 1024} KB.`)]
+        });
+    }
+
+    let text;
+    try {
+        const response = await axios.get(file.url, { responseType: 'text', timeout: 10000 });
+        text = String(response.data);
+    } catch (error) {
+        logger.error(`Failed to download word list for ${interaction.guild.id}:`, error);
+        return interaction.editReply({
+            embeds: [embeds.error('Download Failed', 'Could not read the uploaded file. Please try again.')]
+        });
+    }
+
+    const patterns = [...new Set(text.split(/\r?\n/).map(line => line.trim()).filter(Boolean))];
+    if (patterns.length === 0) {
+        return interaction.editReply({ embeds: [embeds.error('Empty File', 'The file has no entries.')] });
+    }
+
+    const { added, skipped } = await addAutomodFilters(interaction.guild.id, patterns, matchType, interaction.user.id);
+
+    if (added.length > 0) {
+        client.automodService?.invalidateCache(interaction.guild.id);
+    }
+
+    const embed = (added.length > 0 ? embeds.success : embeds.warn)(
+        'Word List Imported',
+        `Added **${added.length}** entries (${matchType}), skipped **${skipped.length}**.`
+    );
+
+    if (skipped.length > 0) {
+        const preview = skipped.slice(0, 10)
+            .map(({ pattern, error }) => `\`${pattern.slice(0, 50)}\` - ${error}`)
+            .join('\n');
+        embed.addFields({ name: 'Skipped', value: preview + (skipped.length > 10 ? `\n…and ${skipped.length - 10} more` : '') });
+    }
+
+    return interaction.editReply({ embeds: [embed] });
+}
+
+/**
+ * /automod raid set
+ */
+async function handleRaidSet(interaction, client) {
+    const current = await getRaidConfig(interaction.guild.id);
+    const alertChannel = interaction.options.getChannel('alert_channel');
+
+    const values = { enabled: true };
+    const threshold = interaction.options.getInteger('threshold');
+    const window = interaction.options.getInteger('window');
+    const action = interaction.options.getString('action');
+    if (threshold !== null) values.joinThreshold = threshold;
+    if (window !== null) values.joinWindow = window;
+    if (action) values.action = action;
+    if (alertChannel) values.alertChannelId = alertChannel.id;
+
+    const nextAction = action ?? current?.action ?? 'alert';
+    const missing = [];
+    if (nextAction === 'lockdown' && !interaction.guild.members.me.permissions.has(PermissionFlagsBits.ManageChannels)) {
+        missing.push('Manage Channels');
+    }
+    if (nextAction === 'kick' && !interaction.guild.members.me.permissions.has(PermissionFlagsBits.KickMembers)) {
+        missing.push('Kick Members');
+    }
+
+    const settings = await updateRaidConfig(interaction.guild.id, values);
+    client.raidService?.invalidateCache(interaction.guild.id);
+
+    const embed = embeds.success('Raid Detection Enabled', describeRaidDetection(settings))
+        .addFields({ name: 'Alerts', value: settings.alertChannelId ? `<#${settings.alertChannelId}>` : 'Log channel' });
+
+    if (missing.length > 0) {
+        embed.addFields({ name: '⚠️ Missing Permissions', value: `I need **${missing.join(', ')}** for this action.` });
+    }
+
+    return interaction.editReply({ embeds: [embed] });
+}
+
+/**
+ * /automod raid disable
+ */
+async function handleRaidDisable(interaction, client) {
+    const current = await getRaidConfig(interaction.guild.id);
+    if (!current?.enabled) {
+        return interaction.editReply({
+            embeds: [embeds.error('Not Enabled', 'Raid detection is not enabled.')]
+        });
+    }
+
+    await updateRaidConfig(interaction.guild.id, { enabled: false });
+    client.raidService?.invalidateCache(interaction.guild.id);
+
+    return interaction.editReply({
+        embeds: [embeds.success('Raid Detection Disabled', 'Join-rate detection is off. The account age gate is unchanged.')]
+    });
+}
+
+/**
+ * /automod raid account-age
+ */
+async function handleRaidAccountAge(interaction, client) {
+    const days = interaction.options.getInteger('days');
+    const action = interaction.options.getString('action') ?? 'kick';
+    const role = interaction.options.getRole('role');
+
+    if (days > 0 && action === 'quarantine') {
+        if (!role) {
+            return interaction.editReply({
+                embeds: [embeds.error('Missing Role', 'Choose the role to give quarantined members.')]
+            });
+        }
+
+        if (role.managed || role.id === interaction.guild.id || role.position >= interaction.guild.members.me.roles.highest.position) {
+            return interaction.editReply({
+                embeds: [embeds.error('Invalid Role', `I can't assign ${role}. Pick a regular role below my highest role.`)]
+            });
+        }
+    }
+
+    const settings = await updateRaidConfig(interaction.guild.id, {
+        minAccountAge: days > 0 ? days : null,
+        accountAgeAction: action,
+        quarantineRoleId: action === 'quarantine' ? role?.id ?? null : null
+    });
+    client.raidService?.invalidateCache(interaction.guild.id);
+
+    return interaction.editReply({
+        embeds: [days > 0
+            ? embeds.success('Account Age Gate Enabled', describeAccountAgeGate(settings))
+            : embeds.success('Account Age Gate Disabled', 'New accounts are no longer kicked or quarantined.')]
+    });
+}
+
+/**
+ * /automod raid view
+ */
+async function handleRaidView(interaction, client) {
+    const settings = await getRaidConfig(interaction.guild.id);
+    const raidMode = client.raidService?.isRaidMode(interaction.guild.id) ?? false;
+
+    const embed = embeds.brand('Raid Protection', raidMode ? '🚨 **A raid was detected recently - raid mode is active.**' : null)
+        .addFields(
+            { name: 'Raid Detection', value: describeRaidDetection(settings) },
+            { name: 'Alerts', value: settings?.alertChannelId ? `<#${settings.alertChannelId}>` : 'Log channel', inline: true },
+            { name: 'Account Age Gate', value: describeAccountAgeGate(settings) }
+        );
+
+    return interaction.editReply({ embeds: [embed] });
+}
@@ -5,6 +5,45 @@ const { eq } = require('drizzle-orm');
 const embeds = require('../../utils/embeds');
 const { handleCommandError } = require('../../utils/errorHandlerUtil');
 const { dbLog } = require('../../utils/dbLogger');
+const {
+    getLogChannelId,
+    getLogChannels,
+    setLogChannel,
+    getLogIgnores,
+    addLogIgnore,
+    removeLogIgnore,
+    LOG_CATEGORIES
+} = require('../../utils/serverLogUtil');
+const { getVoiceLogConfig, updateVoiceLogConfig, describeVoiceLog, VOICE_LOG_EVENTS } = require('../../utils/voiceLogUtil');
+const {
+    validateAssignableRole,
+    getAutoRoles,
+    addAutoRole,
+    removeAutoRole,
+    getAutoRoleDelay,
+    setAutoRoleDelay,
+    getStickyRoles,
+    addStickyRole,
+    removeStickyRole,
+    MAX_AUTO_ROLE_DELAY
+} = require('../../utils/autoRoleUtil');
+
+const LOG_CHANNEL_TYPES = [ChannelType.GuildText, ChannelType.GuildAnnouncement, ChannelType.GuildCategory, ChannelType.GuildForum, ChannelType.GuildVoice];
+
+/**
+ * Read the channel or role option of the log ignore subcommands
+ * @returns {Object|null} - { type, id, mention }, or null unless exactly one was given
+ */
+function getIgnoreTarget(interaction) {
+    const channel = interaction.options.getChannel('channel');
+    const role = interaction.options.getRole('role');
+
+    if (Boolean(channel) === Boolean(role)) return null;
+
+    return channel
+        ? { type: 'channel', id: channel.id, mention: `${channel}` }
+        : { type: 'role', id: role.id, mention: `${role}` };
+}
 
 module.exports = {
     data: new SlashCommandBuilder()
@@ -20,6 +59,103 @@ module.exports = {
                         .setDescription('The channel to send logs to')
                         .addChannelTypes(ChannelType.GuildText)
                         .setRequired(true)))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('log-channel')
+                .setDescription('Set the channel a server log category is sent to.')
+                .addStringOption(option =>
+                    option.setName('category')
+                        .setDescription('The log category')
+                        .setRequired(true)
+                        .addChoices(...Object.entries(LOG_CATEGORIES).map(([value, name]) => ({ name, value }))))
+                .addChannelOption(option =>
+                    option.setName('channel')
+                        .setDescription('The channel to send these logs to (leave empty to turn them off)')
+                        .addChannelTypes(ChannelType.GuildText)))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('log-ignore')
+                .setDescription('Leave a channel or role out of the message log.')
+                .addChannelOption(option =>
+                    option.setName('channel')
+                        .setDescription('Channel (or category) to ignore')
+                        .addChannelTypes(...LOG_CHANNEL_TYPES))
+                .addRoleOption(option =>
+                    option.setName('role')
+                        .setDescription('Role whose messages are ignored')))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('log-unignore')
+                .setDescription('Log a previously ignored channel or role again.')
+                .addChannelOption(option =>
+                    option.setName('channel')
+                        .setDescription('Channel (or category) to log again')
+                        .addChannelTypes(...LOG_CHANNEL_TYPES))
+                .addRoleOption(option =>
+                    option.setName('role')
+                        .setDescription('Role to log again')))
+        .addSubcommand(subcommand => {
+            subcommand
+                .setName('voice-log')
+                .setDescription('Choose which voice events the voice log records.');
+
+            for (const [event, label] of Object.entries(VOICE_LOG_EVENTS)) {
+                subcommand.addBooleanOption(option =>
+                    option.setName(event)
+                        .setDescription(`Log ${label.toLowerCase()}`));
+            }
+
+            return subcommand;
+        })
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('autorole-add')
+                .setDescription('Give a role to everyone who joins.')
+                .addRoleOption(option =>
+                    option.setName('role')
+                        .setDescription('The role to give')
+                        .setRequired(true))
+                .addBooleanOption(option =>
+                    option.setName('bots')
+                        .setDescription('Give this role to bots instead of members')))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('autorole-remove')
+                .setDescription('Stop giving a role on join.')
+                .addRoleOption(option =>
+                    option.setName('role')
+                        .setDescription('The role to stop giving')
+                        .setRequired(true)))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('autorole-delay')
+                .setDescription('Set how long new members wait for their auto-roles.')
+                .addIntegerOption(option =>
+                    option.setName('seconds')
+                        .setDescription(`Delay in seconds (0 for right away, up to ${MAX_AUTO_ROLE_DELAY})`)
+                        .setMinValue(0)
+                        .setMaxValue(MAX_AUTO_ROLE_DELAY)
+                        .setRequired(true)))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('sticky-add')
+                .setDescription('Give a role back to members who leave and rejoin.')
+                .addRoleOption(option =>
+                    option.setName('role')
+                        .setDescription('The role to keep (e.g. a muted role)')
+                        .setRequired(true)))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('sticky-remove')
+                .setDescription('Stop restoring a role on rejoin.')
+                .addRoleOption(option =>
+                    option.setName('role')
+                        .setDescription('The role to stop restoring')
+                        .setRequired(true)))
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('roles')
+                .setDescription('View auto-roles and sticky roles.'))
         .addSubcommand(subcommand =>
             subcommand
                 .setName('view')
@@ -47,6 +183,189 @@ module.exports = {
             }
         }
 
+        if (subcommand === 'log-channel') {
+            const category = interaction.options.getString('category');
+            const channel = interaction.options.getChannel('channel');
+
+            try {
+                await setLogChannel(interaction.guild.id, category, channel?.id ?? null, interaction.user.id);
+                interaction.client.voiceLogService?.invalidateCache(interaction.guild.id);
+
+                const description = channel
+                    ? `${LOG_CATEGORIES[category]} will now be logged in ${channel}.`
+                    : `${LOG_CATEGORIES[category]} will no longer be logged.`;
+
+                return interaction.editReply({
+                    embeds: [embeds.success('Configuration Updated', description)]
+                });
+            } catch (error) {
+                await handleCommandError(error, interaction, 'updating configuration');
+            }
+        }
+
+        if (subcommand === 'log-ignore' || subcommand === 'log-unignore') {
+            const target = getIgnoreTarget(interaction);
+
+            if (!target) {
+                return interaction.editReply({
+                    embeds: [embeds.error('Invalid Target', 'Choose either a channel or a role.')]
+                });
+            }
+
+            try {
+                if (subcommand === 'log-ignore') {
+                    const result = await addLogIgnore(interaction.guild.id, target.type, target.id, interaction.user.id);
+
+                    if (!result.success) {
+                        return interaction.editReply({
+                            embeds: [embeds.error('Cannot Ignore', result.error)]
+                        });
+                    }
+
+                    return interaction.editReply({
+                        embeds: [embeds.success('Configuration Updated', `Messages in or from ${target.mention} will no longer be logged.`)]
+                    });
+                }
+
+                const removed = await removeLogIgnore(interaction.guild.id, target.id);
+
+                if (!removed) {
+                    return interaction.editReply({
+                        embeds: [embeds.error('Not Ignored', `${target.mention} isn't ignored by the message log.`)]
+                    });
+                }
+
+                return interaction.editReply({
+                    embeds: [embeds.success('Configuration Updated', `Messages in or from ${target.mention} will be logged again.`)]
+                });
+            } catch (error) {
+                await handleCommandError(error, interaction, 'updating configuration');
+            }
+        }
+
+        if (subcommand === 'voice-log') {
+            const values = {};
+            for (const event of Object.keys(VOICE_LOG_EVENTS)) {
+                const enabled = interaction.options.getBoolean(event);
+                if (enabled !== null) values[event] = enabled;
+            }
+
+            try {
+                const settings = Object.keys(values).length > 0
+                    ? await updateVoiceLogConfig(interaction.guild.id, values)
+                    : await getVoiceLogConfig(interaction.guild.id);
+                interaction.client.voiceLogService?.invalidateCache(interaction.guild.id);
+
+                const embed = embeds.success('Voice Log', describeVoiceLog(settings));
+                if (!await getLogChannelId(interaction.guild.id, 'voice')) {
+                    embed.addFields({ name: 'Note', value: 'No voice log channel is set - choose one with `/server logs channel`.' });
+                }
+
+                return interaction.editReply({ embeds: [embed] });
+            } catch (error) {
+                await handleCommandError(error, interaction, 'updating configuration');
+            }
+        }
+
+        if (subcommand === 'autorole-add' || subcommand === 'sticky-add') {
+            const role = interaction.options.getRole('role');
+            const invalid = validateAssignableRole(interaction.guild, role);
+
+            if (invalid) {
+                return interaction.editReply({
+                    embeds: [embeds.error('Invalid Role', invalid)]
+                });
+            }
+
+            try {
+                const target = interaction.options.getBoolean('bots') ? 'bot' : 'member';
+                const result = subcommand === 'autorole-add'
+                    ? await addAutoRole(interaction.guild.id, role.id, target, interaction.user.id)
+                    : await addStickyRole(interaction.guild.id, role.id, interaction.user.id);
+                interaction.client.autoRoleService?.invalidateCache(interaction.guild.id);
+
+                if (!result.success) {
+                    return interaction.editReply({
+                        embeds: [embeds.error('Cannot Add Role', result.error)]
+                    });
+                }
+
+                const description = subcommand === 'autorole-add'
+                    ? `${role} will be given to ${target === 'bot' ? 'bots' : 'members'} when they join.`
+                    : `Members who leave with ${role} will get it back when they rejoin.`;
+
+                return interaction.editReply({
+                    embeds: [embeds.success('Configuration Updated', description)]
+                });
+            } catch (error) {
+                await handleCommandError(error, interaction, 'updating configuration');
+            }
+        }
+
+        if (subcommand === 'autorole-remove' || subcommand === 'sticky-remove') {
+            const role = interaction.options.getRole('role');
+
+            try {
+                const removed = subcommand === 'autorole-remove'
+                    ? await removeAutoRole(interaction.guild.id, role.id)
+                    : await removeStickyRole(interaction.guild.id, role.id);
+                interaction.client.autoRoleService?.invalidateCache(interaction.guild.id);
+
+                if (!removed) {
+                    return interaction.editReply({
+                        embeds: [embeds.error('Not Configured', `${role} isn't ${subcommand === 'autorole-remove' ? 'an auto-role' : 'a sticky role'}.`)]
+                    });
+                }
+
+                const description = subcommand === 'autorole-remove'
+                    ? `${role} will no longer be given on join.`
+                    : `${role} will no longer be restored on rejoin.`;
+
+                return interaction.editReply({
+                    embeds: [embeds.success('Configuration Updated', description)]
+                });
+            } catch (error) {
+                await handleCommandError(error, interaction, 'updating configuration');
+            }
+        }
+
+        if (subcommand === 'autorole-delay') {
+            const seconds = interaction.options.getInteger('seconds');
+
+            try {
+                await setAutoRoleDelay(interaction.guild.id, seconds);
+                interaction.client.autoRoleService?.invalidateCache(interaction.guild.id);
+
+                const description = seconds > 0
+                    ? `New members will get their auto-roles ${seconds} seconds after joining. Bots still get theirs right away.`
+                    : 'New members will get their auto-roles as soon as they join.';
+
+                return interaction.editReply({
+                    embeds: [embeds.success('Configuration Updated', description)]
+                });
+            } catch (error) {
+                await handleCommandError(error, interaction, 'updating configuration');
+            }
+        }
+
+        if (subcommand === 'roles') {
+            const autoRoles = await getAutoRoles(interaction.guild.id);
+            const stickyRoles = await getStickyRoles(interaction.guild.id);
+            const delay = await getAutoRoleDelay(interaction.guild.id);
+
+            const mentions = roleIds => roleIds.map(roleId => `<@&${roleId}>`).join(', ') || 'None';
+
+            const embed = embeds.brand('Join Roles', null)
+                .addFields(
+                    { name: 'Member Auto-Roles', value: mentions(autoRoles.filter(entry => entry.target === 'member').map(entry => entry.roleId)) },
+                    { name: 'Bot Auto-Roles', value: mentions(autoRoles.filter(entry => entry.target === 'bot').map(entry => entry.roleId)) },
+                    { name: 'Member Delay', value: delay > 0 ? `${delay} seconds` : 'None', inline: true },
+                    { name: 'Sticky Roles', value: mentions(stickyRoles.map(entry => entry.roleId)) }
+                );
+
+            return interaction.editReply({ embeds: [embed] });
+        }
+
         if (subcommand === 'view') {
             const [config] = await dbLog.select('guilds',
                 () => db.select().from(guilds).where(eq(guilds.id, interaction.guild.id)),
@@ -67,6 +386,22 @@ module.exports = {
                     { name: 'Welcome Messages', value: config.welcomeEnabled ? '✅ Enabled' : '❌ Disabled', inline: true }
                 );
 
+            const logChannels = await getLogChannels(interaction.guild.id);
+            const ignores = await getLogIgnores(interaction.guild.id);
+
+            const logLines = Object.entries(LOG_CATEGORIES).map(([category, label]) => {
+                const row = logChannels.find(entry => entry.category === category);
+                return `${label}: ${row ? `<#${row.channelId}>` : 'Off'}`;
+            });
+            const ignoreText = ignores
+                .map(ignore => ignore.type === 'channel' ? `<#${ignore.targetId}>` : `<@&${ignore.targetId}>`)
+                .join(', ');
+
+            embed.addFields(
+                { name: 'Server Logs', value: logLines.join('\n') },
+                { name: 'Ignored by Message Log', value: ignoreText || 'None' }
+            );
+
             return interaction.editReply({
                 embeds: [embed]
             });
@@ -0,0 +1,169 @@
+const { SlashCommandBuilder, PermissionFlagsBits, ChannelType } = require('discord.js');
+const embeds = require('../../utils/embeds');
+const { handleCommandError } = require('../../utils/errorHandlerUtil');
+const { setModmailChannel, disableModmail, INTERNAL_NOTE_PREFIX } = require('../../utils/modmailUtil');
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('modmail')
+        .setDescription('Private conversations between members and staff')
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('setup')
+                .setDescription('Choose where modmail tickets open')
+                .addChannelOption(option =>
+                    option.setName('channel')
+                        .setDescription('Staff forum (one post per ticket) or text channel (one thread per ticket)')
+                        .addChannelTypes(ChannelType.GuildForum, ChannelType.GuildText)
+                        .setRequired(true)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('disable')
+                .setDescription('Stop accepting new modmail tickets')
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('close')
+                .setDescription('Close the modmail ticket in this thread')
+                .addStringOption(option =>
+                    option.setName('reason')
+                        .setDescription('Reason shown to the member')
+                        .setMaxLength(500)
+                        .setRequired(false)
+                )
+        )
+        .setDefaultMemberPermissions(PermissionFlagsBits.ModerateMembers)
+        .setDMPermission(false),
+
+    permissions: [PermissionFlagsBits.ModerateMembers],
+    longRunning: true,
+    deferEphemeral: true,
+
+    async execute(interaction, client) {
+        const subcommand = interaction.options.getSubcommand();
+
+        try {
+            switch (subcommand) {
+                case 'setup':
+                    await handleSetup(interaction, client);
+                    break;
+                case 'disable':
+                    await handleDisable(interaction);
+                    break;
+                case 'close':
+                    await handleClose(interaction, client);
+                    break;
+            }
+        } catch (error) {
+            await handleCommandError(error, interaction, 'managing modmail');
+        }
+    },
+
+    /**
+     * Handle modmail components (the server picker in DMs)
+     */
+    async handleInteraction(interaction, client) {
+        if (interaction.customId === 'modmail_guild') {
+            if (!client.modmailService) {
+                return interaction.reply({ embeds: [embeds.error('Modmail Unavailable', 'Modmail is not running right now.')] });
+            }
+            await client.modmailService.handleGuildSelect(interaction);
+        }
+    }
+};
+
+/**
+ * Require Manage Server for modmail settings
+ */
+async function requireManageGuild(interaction) {
+    if (interaction.member.permissions.has(PermissionFlagsBits.ManageGuild)) {
+        return true;
+    }
+
+    await interaction.editReply({
+        embeds: [embeds.error('Missing Permissions', 'You need **Manage Server** permission to configure modmail.')]
+    });
+    return false;
+}
+
+/**
+ * Handle /modmail setup
+ */
+async function handleSetup(interaction, client) {
+    if (!await requireManageGuild(interaction)) return;
+
+    const channel = interaction.options.getChannel('channel');
+    const permissions = channel.permissionsFor(client.user.id);
+    const needed = channel.type === ChannelType.GuildForum
+        ? [PermissionFlagsBits.SendMessages]
+        : [PermissionFlagsBits.CreatePublicThreads, PermissionFlagsBits.SendMessagesInThreads];
+
+    if (!permissions?.has([PermissionFlagsBits.ViewChannel, PermissionFlagsBits.EmbedLinks, PermissionFlagsBits.ManageThreads, ...needed])) {
+        return interaction.editReply({
+            embeds: [embeds.error(
+                'Missing Permissions',
+                channel.type === ChannelType.GuildForum
+                    ? `I need **View Channel**, **Send Messages**, **Embed Links** and **Manage Threads** in ${channel}.`
+                    : `I need **View Channel**, **Create Public Threads**, **Send Messages in Threads**, **Embed Links** and **Manage Threads** in ${channel}.`
+            )]
+        });
+    }
+
+    await setModmailChannel(interaction.guild.id, channel.id, interaction.user.id);
+
+    await interaction.editReply({
+        embeds: [embeds.success(
+            'Modmail Enabled',
+            `Members can now DM me to reach staff. Tickets open in ${channel}.\n\n` +
+            `Messages in a ticket thread are sent to the member; start one with \`${INTERNAL_NOTE_PREFIX}\` to keep it between staff. ` +
+            'Make sure only staff can see this channel.'
+        )]
+    });
+}
+
+/**
+ * Handle /modmail disable
+ */
+async function handleDisable(interaction) {
+    if (!await requireManageGuild(interaction)) return;
+
+    const disabled = await disableModmail(interaction.guild.id);
+
+    if (!disabled) {
+        return interaction.editReply({
+            embeds: [embeds.warn('Not Enabled', 'Modmail is not enabled in this server.')]
+        });
+    }
+
+    await interaction.editReply({
+        embeds: [embeds.success('Modmail Disabled', 'Members can no longer open new tickets. Open tickets stay open until closed.')]
+    });
+}
+
+/**
+ * Handle /modmail close
+ */
+async function handleClose(interaction, client) {
+    const ticket = client.modmailService?.getTicketByThread(interaction.channelId);
+
+    if (!ticket) {
+        return interaction.editReply({
+            embeds: [embeds.error('Not a Ticket', 'Use this command inside an open modmail ticket thread.')]
+        });
+    }
+
+    const reason = interaction.options.getString('reason');
+
+    // Reply before closing, since closing archives the thread
+    await interaction.editReply({
+        embeds: [embeds.success('Closing Ticket', `Ticket #${ticket.id} is being closed.`)]
+    });
+
+    await client.modmailService.closeTicket(ticket, {
+        guild: interaction.guild,
+        closedBy: interaction.user,
+        reason
+    });
+}
@@ -0,0 +1,409 @@
+const { SlashCommandBuilder, PermissionFlagsBits, ChannelType, MessageFlags } = require('discord.js');
+const embeds = require('../../utils/embeds');
+const { handleCommandError } = require('../../utils/errorHandlerUtil');
+const { fetchChannel, safeMessageFetch, safeMessageDelete, safeChannelSend, RoleManager } = require('../../utils/discordApiUtil');
+const {
+    getPanel,
+    getGuildPanels,
+    getPanelOptions,
+    createPanel,
+    deletePanel,
+    addPanelOption,
+    removePanelOption,
+    getEmojiKey,
+    findOptionByEmoji,
+    buildPanelMessage,
+    getClickedRoles,
+    planRoleChange,
+    applyRoleChange,
+    buildRoleChangeEmbed,
+    PANEL_STYLES,
+    PANEL_MODES
+} = require('../../utils/rolePanelUtil');
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('rolepanel')
+        .setDescription('Self-service role panels with buttons, a select menu or reactions')
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('create')
+                .setDescription('Post a new role panel')
+                .addChannelOption(option =>
+                    option.setName('channel')
+                        .setDescription('Channel to post the panel in')
+                        .addChannelTypes(ChannelType.GuildText, ChannelType.GuildAnnouncement)
+                        .setRequired(true)
+                )
+                .addStringOption(option =>
+                    option.setName('title')
+                        .setDescription('Panel title')
+                        .setMaxLength(256)
+                        .setRequired(true)
+                )
+                .addStringOption(option =>
+                    option.setName('style')
+                        .setDescription('How members pick roles')
+                        .setRequired(true)
+                        .addChoices(...Object.entries(PANEL_STYLES).map(([value, { label }]) => ({ name: label, value })))
+                )
+                .addStringOption(option =>
+                    option.setName('mode')
+                        .setDescription('How roles behave (default: toggle)')
+                        .setRequired(false)
+                        .addChoices(...Object.entries(PANEL_MODES).map(([value, { label }]) => ({ name: label, value })))
+                )
+                .addStringOption(option =>
+                    option.setName('description')
+                        .setDescription('Text shown above the roles')
+                        .setMaxLength(2000)
+                        .setRequired(false)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('add')
+                .setDescription('Add a role to a panel')
+                .addIntegerOption(option =>
+                    option.setName('panel')
+                        .setDescription('Panel ID (see /rolepanel list)')
+                        .setMinValue(1)
+                        .setRequired(true)
+                )
+                .addRoleOption(option =>
+                    option.setName('role')
+                        .setDescription('Role to offer')
+                        .setRequired(true)
+                )
+                .addStringOption(option =>
+                    option.setName('emoji')
+                        .setDescription('Emoji for the role (required for reaction panels)')
+                        .setRequired(false)
+                )
+                .addStringOption(option =>
+                    option.setName('label')
+                        .setDescription('Button or menu label (default: role name)')
+                        .setMaxLength(80)
+                        .setRequired(false)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('remove')
+                .setDescription('Remove a role from a panel')
+                .addIntegerOption(option =>
+                    option.setName('panel')
+                        .setDescription('Panel ID (see /rolepanel list)')
+                        .setMinValue(1)
+                        .setRequired(true)
+                )
+                .addRoleOption(option =>
+                    option.setName('role')
+                        .setDescription('Role to remove')
+                        .setRequired(true)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('delete')
+                .setDescription('Delete a panel and its message')
+                .addIntegerOption(option =>
+                    option.setName('panel')
+                        .setDescription('Panel ID (see /rolepanel list)')
+                        .setMinValue(1)
+                        .setRequired(true)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('list')
+                .setDescription('List this server\'s role panels')
+        )
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageRoles)
+        .setDMPermission(false),
+
+    permissions: [PermissionFlagsBits.ManageRoles],
+    longRunning: true,
+    deferEphemeral: true,
+
+    async execute(interaction, client) {
+        const subcommand = interaction.options.getSubcommand();
+
+        try {
+            switch (subcommand) {
+                case 'create':
+                    await handleCreate(interaction, client);
+                    break;
+                case 'add':
+                    await handleAdd(interaction);
+                    break;
+                case 'remove':
+                    await handleRemove(interaction);
+                    break;
+                case 'delete':
+                    await handleDelete(interaction);
+                    break;
+                case 'list':
+                    await handleList(interaction);
+                    break;
+            }
+        } catch (error) {
+            await handleCommandError(error, interaction, 'managing role panels');
+        }
+    },
+
+    /**
+     * Handle role panel buttons (rolepanel_<panelId>_<roleId>) and select menus (rolepanel_<panelId>)
+     */
+    async handleInteraction(interaction) {
+        await interaction.deferReply({ flags: [MessageFlags.Ephemeral] });
+
+        const [, panelId, roleId] = interaction.customId.split('_');
+        const panel = await getPanel(Number(panelId));
+
+        if (!panel || panel.guildId !== interaction.guildId) {
+            return interaction.editReply({
+                embeds: [embeds.error('Panel Removed', 'This role panel no longer exists.')]
+            });
+        }
+
+        const panelRoleIds = (await getPanelOptions(panel.id)).map(option => option.roleId);
+        const held = panelRoleIds.filter(id => interaction.member.roles.cache.has(id));
+        const wanted = interaction.isButton()
+            ? getClickedRoles(panel.mode, held, roleId)
+            : interaction.values;
+
+        // Roles taken off the panel since the message was rendered are ignored
+        const plan = planRoleChange(panel.mode, held, wanted.filter(id => panelRoleIds.includes(id)));
+        const result = await applyRoleChange(interaction.member, plan, panel.id);
+
+        await interaction.editReply({ embeds: [buildRoleChangeEmbed(result)] });
+    }
+};
+
+/**
+ * Look up a panel of this guild from the panel option
+ * Replies with an error and returns null if there is no such panel.
+ */
+async function getGuildPanel(interaction) {
+    const panel = await getPanel(interaction.options.getInteger('panel'));
+
+    if (!panel || panel.guildId !== interaction.guild.id) {
+        await interaction.editReply({
+            embeds: [embeds.error('Panel Not Found', 'No role panel with that ID exists in this server. Use `/rolepanel list` to see them.')]
+        });
+        return null;
+    }
+
+    return panel;
+}
+
+/**
+ * Fetch the message a panel is posted as
+ * @returns {Promise<Message|null>}
+ */
+async function fetchPanelMessage(guild, panel) {
+    const channel = await fetchChannel(guild, panel.channelId, { logContext: 'role-panel' });
+    return channel ? safeMessageFetch(channel, panel.messageId, { logContext: 'role-panel' }) : null;
+}
+
+/**
+ * Re-render a panel's message after its roles changed
+ * @returns {Promise<boolean>} - true if the message was updated
+ */
+async function refreshPanel(guild, panel) {
+    const message = await fetchPanelMessage(guild, panel);
+    if (!message) return false;
+
+    try {
+        await message.edit(buildPanelMessage(panel, await getPanelOptions(panel.id)));
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Handle /rolepanel create
+ */
+async function handleCreate(interaction, client) {
+    const channel = interaction.options.getChannel('channel');
+    const style = interaction.options.getString('style');
+    const panel = {
+        guildId: interaction.guild.id,
+        channelId: channel.id,
+        title: interaction.options.getString('title'),
+        description: interaction.options.getString('description'),
+        style,
+        mode: interaction.options.getString('mode') ?? 'toggle',
+        createdBy: interaction.user.id
+    };
+
+    const needed = [PermissionFlagsBits.ViewChannel, PermissionFlagsBits.SendMessages, PermissionFlagsBits.EmbedLinks];
+    if (style === 'reaction') needed.push(PermissionFlagsBits.AddReactions, PermissionFlagsBits.ReadMessageHistory);
+
+    if (!channel.permissionsFor(client.user.id)?.has(needed)) {
+        return interaction.editReply({
+            embeds: [embeds.error('Missing Permissions', `I need **View Channel**, **Send Messages** and **Embed Links**${style === 'reaction' ? ', **Add Reactions** and **Read Message History**' : ''} in ${channel}.`)]
+        });
+    }
+
+    const message = await safeChannelSend(channel, buildPanelMessage(panel, []), { logContext: 'role-panel' });
+    if (!message) {
+        return interaction.editReply({
+            embeds: [embeds.error('Panel Not Posted', `I couldn't post the panel in ${channel}.`)]
+        });
+    }
+
+    const created = await createPanel({ ...panel, messageId: message.id });
+
+    await interaction.editReply({
+        embeds: [embeds.success(
+            'Role Panel Created',
+            `Panel **#${created.id}** was posted in ${channel}. Add roles with \`/rolepanel add panel:${created.id}\`.`
+        )]
+    });
+}
+
+/**
+ * Handle /rolepanel add
+ */
+async function handleAdd(interaction) {
+    const panel = await getGuildPanel(interaction);
+    if (!panel) return;
+
+    const role = interaction.options.getRole('role');
+    const emoji = interaction.options.getString('emoji')?.trim() || null;
+    const label = interaction.options.getString('label') ?? role.name.slice(0, 80);
+
+    if (role.managed || role.id === interaction.guild.id) {
+        return interaction.editReply({
+            embeds: [embeds.error('Invalid Role', 'Bot-managed roles and @everyone can\'t be handed out by a panel.')]
+        });
+    }
+
+    if (!RoleManager.canManageRole(interaction.guild, role)) {
+        return interaction.editReply({
+            embeds: [embeds.error('Role Too High', `${role} is higher than or equal to my highest role, so I can't hand it out.`)]
+        });
+    }
+
+    if (interaction.member.roles.highest.position <= role.position && interaction.guild.ownerId !== interaction.user.id) {
+        return interaction.editReply({
+            embeds: [embeds.error('Role Too High', `${role} is higher than or equal to your highest role.`)]
+        });
+    }
+
+    if (emoji && !getEmojiKey(emoji)) {
+        return interaction.editReply({
+            embeds: [embeds.error('Invalid Emoji', 'Use a standard emoji or a custom emoji from a server I\'m in.')]
+        });
+    }
+
+    if (panel.style === 'reaction' && !emoji) {
+        return interaction.editReply({
+            embeds: [embeds.error('Emoji Required', 'Reaction panels need an emoji for every role.')]
+        });
+    }
+
+    const added = await addPanelOption(panel, { roleId: role.id, label, emoji });
+    if (!added.success) {
+        return interaction.editReply({ embeds: [embeds.error('Role Not Added', added.error)] });
+    }
+
+    const message = await fetchPanelMessage(interaction.guild, panel);
+    let published = Boolean(message);
+
+    if (message && panel.style === 'reaction') {
+        published = await message.react(emoji).then(() => true, () => false);
+    }
+    if (published) {
+        published = await refreshPanel(interaction.guild, panel);
+    }
+
+    // Discord rejected the emoji or the panel message is gone: don't keep a role members can't pick
+    if (!published) {
+        await removePanelOption(panel.id, role.id);
+        return interaction.editReply({
+            embeds: [embeds.error(
+                'Role Not Added',
+                message
+                    ? 'Discord rejected that emoji. Use a standard emoji or a custom emoji from a server I\'m in.'
+                    : 'The panel\'s message was deleted. Delete the panel with `/rolepanel delete` and create a new one.'
+            )]
+        });
+    }
+
+    await interaction.editReply({
+        embeds: [embeds.success('Role Added', `${emoji ? `${emoji} ` : ''}${role} was added to panel **#${panel.id}**.`)]
+    });
+}
+
+/**
+ * Handle /rolepanel remove
+ */
+async function handleRemove(interaction) {
+    const panel = await getGuildPanel(interaction);
+    if (!panel) return;
+
+    const role = interaction.options.getRole('role');
+    const removed = await removePanelOption(panel.id, role.id);
+
+    if (!removed) {
+        return interaction.editReply({
+            embeds: [embeds.error('Not on Panel', `${role} is not on panel **#${panel.id}**.`)]
+        });
+    }
+
+    if (panel.style === 'reaction' && removed.emoji) {
+        const message = await fetchPanelMessage(interaction.guild, panel);
+        const reaction = message?.reactions.cache.find(entry => findOptionByEmoji([removed], entry.emoji));
+        await reaction?.remove().catch(() => null);
+    }
+
+    await refreshPanel(interaction.guild, panel);
+
+    await interaction.editReply({
+        embeds: [embeds.success('Role Removed', `${role} was removed from panel **#${panel.id}**. Members keep the role until they or a moderator remove it.`)]
+    });
+}
+
+/**
+ * Handle /rolepanel delete
+ */
+async function handleDelete(interaction) {
+    const panel = await getGuildPanel(interaction);
+    if (!panel) return;
+
+    const message = await fetchPanelMessage(interaction.guild, panel);
+    if (message) await safeMessageDelete(message, { logContext: 'role-panel' });
+
+    await deletePanel(panel.id);
+
+    await interaction.editReply({
+        embeds: [embeds.success('Role Panel Deleted', `Panel **#${panel.id}** (${panel.title}) was deleted.`)]
+    });
+}
+
+/**
+ * Handle /rolepanel list
+ */
+async function handleList(interaction) {
+    const panels = await getGuildPanels(interaction.guild.id);
+
+    if (panels.length === 0) {
+        return interaction.editReply({
+            embeds: [embeds.info('No Role Panels', 'Create one with `/rolepanel create`.')]
+        });
+    }
+
+    const lines = [];
+    for (const panel of panels.slice(0, 25)) {
+        const options = await getPanelOptions(panel.id);
+        lines.push(`**#${panel.id}** ${panel.title} · <#${panel.channelId}> · ${PANEL_STYLES[panel.style].label}, ${PANEL_MODES[panel.mode].label} · ${options.length} roles`);
+    }
+
+    await interaction.editReply({
+        embeds: [embeds.brand('🎭 Role Panels', lines.join('\n'))]
+    });
+}
@@ -1,12 +1,16 @@
 const { SlashCommandBuilder, ChannelType } = require('discord.js');
 const { executeAliasCommand } = require('../../utils/commandAlias');
+const { LOG_CATEGORIES } = require('../../utils/serverLogUtil');
+const { VOICE_LOG_EVENTS } = require('../../utils/voiceLogUtil');
+const { MAX_AUTO_ROLE_DELAY } = require('../../utils/autoRoleUtil');
 
 const TARGETS = {
     info: { commandName: 'serverinfo', requirePath: 'src/commands/utility/serverinfo.js' },
     stats: { commandName: 'stats', requirePath: 'src/commands/utility/stats.js', subcommand: 'server' },
     config: { commandName: 'config', requirePath: 'src/commands/administration/config.js' },
-    logs: { commandName: 'config', requirePath: 'src/commands/administration/config.js', map: { set: 'logs' } },
+    logs: { commandName: 'config', requirePath: 'src/commands/administration/config.js', map: { set: 'logs', channel: 'log-channel', ignore: 'log-ignore', unignore: 'log-unignore', voice: 'voice-log' } },
     welcome: { commandName: 'welcome', requirePath: 'src/commands/administration/welcome.js', map: { enable: 'toggle', disable: 'toggle', format: 'embed' } },
+    roles: { commandName: 'config', requirePath: 'src/commands/administration/config.js', map: { 'auto-add': 'autorole-add', 'auto-remove': 'autorole-remove', delay: 'autorole-delay', view: 'roles' } },
     starboard: { commandName: 'starboard', requirePath: 'src/commands/administration/starboard.js', map: { view: 'config' } },
     suggestion: { commandName: 'suggestion', requirePath: 'src/commands/administration/suggestion.js', map: { top: 'leaderboard' } },
     birthday: { commandName: 'birthday', requirePath: 'src/commands/utility/birthday.js' },
@@ -63,7 +67,7 @@ module.exports = {
             .addSubcommand(sub => sub.setName('view').setDescription('View server configuration')))
         .addSubcommandGroup(group => group
             .setName('logs')
-            .setDescription('Moderation log settings')
+            .setDescription('Moderation and server log settings')
             .addSubcommand(sub => sub
                 .setName('set')
                 .setDescription('Set the moderation log channel')
@@ -71,7 +75,36 @@ module.exports = {
                     .setName('channel')
                     .setDescription('Log channel')
                     .addChannelTypes(ChannelType.GuildText)
-                    .setRequired(true))))
+                    .setRequired(true)))
+            .addSubcommand(sub => sub
+                .setName('channel')
+                .setDescription('Set the channel a server log category is sent to')
+                .addStringOption(opt => opt
+                    .setName('category')
+                    .setDescription('Log category')
+                    .setRequired(true)
+                    .addChoices(...Object.entries(LOG_CATEGORIES).map(([value, name]) => ({ name, value }))))
+                .addChannelOption(opt => opt
+                    .setName('channel')
+                    .setDescription('Log channel (leave empty to turn the category off)')
+                    .addChannelTypes(ChannelType.GuildText)))
+            .addSubcommand(sub => sub
+                .setName('ignore')
+                .setDescription('Leave a channel or role out of the message log')
+                .addChannelOption(opt => opt.setName('channel').setDescription('Channel (or category) to ignore'))
+                .addRoleOption(opt => opt.setName('role').setDescription('Role whose messages are ignored')))
+            .addSubcommand(sub => sub
+                .setName('unignore')
+                .setDescription('Log a previously ignored channel or role again')
+                .addChannelOption(opt => opt.setName('channel').setDescription('Channel (or category) to log again'))
+                .addRoleOption(opt => opt.setName('role').setDescription('Role to log again')))
+            .addSubcommand(sub => {
+                sub.setName('voice').setDescription('Choose which voice events the voice log records');
+                for (const [event, label] of Object.entries(VOICE_LOG_EVENTS)) {
+                    sub.addBooleanOption(opt => opt.setName(event).setDescription(`Log ${label.toLowerCase()}`));
+                }
+                return sub;
+            }))
         .addSubcommandGroup(group => group
             .setName('welcome')
             .setDescription('Welcome message system')
@@ -92,6 +125,31 @@ module.exports = {
             .addSubcommand(sub => sub.setName('variables').setDescription('View welcome variables'))
             .addSubcommand(sub => sub.setName('test').setDescription('Send a test welcome message'))
             .addSubcommand(sub => sub.setName('view').setDescription('View welcome settings')))
+        .addSubcommandGroup(group => group
+            .setName('roles')
+            .setDescription('Auto-roles on join and sticky roles on rejoin')
+            .addSubcommand(sub => sub
+                .setName('auto-add')
+                .setDescription('Give a role to everyone who joins')
+                .addRoleOption(opt => opt.setName('role').setDescription('Role to give').setRequired(true))
+                .addBooleanOption(opt => opt.setName('bots').setDescription('Give this role to bots instead of members')))
+            .addSubcommand(sub => sub
+                .setName('auto-remove')
+                .setDescription('Stop giving a role on join')
+                .addRoleOption(opt => opt.setName('role').setDescription('Role to stop giving').setRequired(true)))
+            .addSubcommand(sub => sub
+                .setName('delay')
+                .setDescription('Set how long new members wait for their auto-roles')
+                .addIntegerOption(opt => opt.setName('seconds').setDescription(`Delay in seconds (0 for right away, up to ${MAX_AUTO_ROLE_DELAY})`).setMinValue(0).setMaxValue(MAX_AUTO_ROLE_DELAY).setRequired(true)))
+            .addSubcommand(sub => sub
+                .setName('sticky-add')
+                .setDescription('Give a role back to members who leave and rejoin')
+                .addRoleOption(opt => opt.setName('role').setDescription('Role to keep (e.g. a muted role)').setRequired(true)))
+            .addSubcommand(sub => sub
+                .setName('sticky-remove')
+                .setDescription('Stop restoring a role on rejoin')
+                .addRoleOption(opt => opt.setName('role').setDescription('Role to stop restoring').setRequired(true)))
+            .addSubcommand(sub => sub.setName('view').setDescription('View auto-roles and sticky roles')))
         .addSubcommandGroup(group => group
             .setName('starboard')
             .setDescription('Starboard system')
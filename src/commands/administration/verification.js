@@ -0,0 +1,227 @@
+const { SlashCommandBuilder, PermissionFlagsBits, ChannelType, MessageFlags } = require('discord.js');
+const embeds = require('../../utils/embeds');
+const { handleCommandError } = require('../../utils/errorHandlerUtil');
+const { fetchChannel, safeMessageFetch, safeMessageDelete, safeChannelSend } = require('../../utils/discordApiUtil');
+const { parseTime, formatDuration } = require('../../utils/timeParser');
+const { validateAssignableRole } = require('../../utils/autoRoleUtil');
+const {
+    getVerificationConfig,
+    setVerificationConfig,
+    disableVerification,
+    buildVerifyPanel,
+    MIN_KICK_AFTER,
+    MAX_KICK_AFTER,
+    VERIFY_BUTTON_ID,
+    VERIFY_MODAL_ID
+} = require('../../utils/verificationUtil');
+
+module.exports = {
+    data: new SlashCommandBuilder()
+        .setName('verification')
+        .setDescription('Make new members press a Verify button before they get access')
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('setup')
+                .setDescription('Post the Verify button (replaces any earlier setup)')
+                .addChannelOption(option =>
+                    option.setName('channel')
+                        .setDescription('Channel to post the Verify button in')
+                        .addChannelTypes(ChannelType.GuildText)
+                        .setRequired(true)
+                )
+                .addRoleOption(option =>
+                    option.setName('role')
+                        .setDescription('Role given once a member verifies')
+                        .setRequired(true)
+                )
+                .addBooleanOption(option =>
+                    option.setName('challenge')
+                        .setDescription('Ask members to type a shown code (default: off)')
+                        .setRequired(false)
+                )
+                .addStringOption(option =>
+                    option.setName('kick-after')
+                        .setDescription('Kick members who haven\'t verified after this long, e.g. 30m, 1d (default: never)')
+                        .setRequired(false)
+                )
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('disable')
+                .setDescription('Turn verification off and remove the Verify button')
+        )
+        .addSubcommand(subcommand =>
+            subcommand
+                .setName('view')
+                .setDescription('Show the verification settings')
+        )
+        .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild)
+        .setDMPermission(false),
+
+    permissions: [PermissionFlagsBits.ManageGuild],
+    longRunning: true,
+    deferEphemeral: true,
+
+    async execute(interaction, client) {
+        const subcommand = interaction.options.getSubcommand();
+
+        try {
+            switch (subcommand) {
+                case 'setup':
+                    await handleSetup(interaction, client);
+                    break;
+                case 'disable':
+                    await handleDisable(interaction, client);
+                    break;
+                case 'view':
+                    await handleView(interaction);
+                    break;
+            }
+        } catch (error) {
+            await handleCommandError(error, interaction, 'managing verification');
+        }
+    },
+
+    /**
+     * Handle the Verify button and the challenge modal
+     */
+    async handleInteraction(interaction, client) {
+        if (!client.verificationService) {
+            return interaction.reply({
+                embeds: [embeds.error('Verification Unavailable', 'Verification is not running right now. Please try again later.')],
+                flags: [MessageFlags.Ephemeral]
+            });
+        }
+
+        if (interaction.isButton() && interaction.customId === VERIFY_BUTTON_ID) {
+            await client.verificationService.handleVerifyButton(interaction);
+        } else if (interaction.isModalSubmit() && interaction.customId === VERIFY_MODAL_ID) {
+            await client.verificationService.handleChallengeSubmit(interaction);
+        }
+    }
+};
+
+/**
+ * Remove the Verify button message of an earlier setup
+ */
+async function deletePanelMessage(guild, settings) {
+    if (!settings?.messageId) return;
+
+    const channel = await fetchChannel(guild, settings.channelId, { logContext: 'verification' });
+    const message = channel && await safeMessageFetch(channel, settings.messageId, { logContext: 'verification' });
+    if (message) await safeMessageDelete(message, { logContext: 'verification' });
+}
+
+/**
+ * Handle /verification setup
+ */
+async function handleSetup(interaction, client) {
+    const channel = interaction.options.getChannel('channel');
+    const role = interaction.options.getRole('role');
+    const challenge = interaction.options.getBoolean('challenge') ?? false;
+    const kickAfterInput = interaction.options.getString('kick-after');
+
+    const roleError = validateAssignableRole(interaction.guild, role);
+    if (roleError) {
+        return interaction.editReply({ embeds: [embeds.error('Invalid Role', roleError)] });
+    }
+
+    let kickAfter = null;
+    if (kickAfterInput) {
+        const parsed = parseTime(kickAfterInput);
+        if (!parsed.success) {
+            return interaction.editReply({ embeds: [embeds.error('Invalid Duration', parsed.error)] });
+        }
+        if (parsed.duration < MIN_KICK_AFTER || parsed.duration > MAX_KICK_AFTER) {
+            return interaction.editReply({
+                embeds: [embeds.error('Invalid Duration', `The kick delay must be between ${formatDuration(MIN_KICK_AFTER)} and ${formatDuration(MAX_KICK_AFTER)}.`)]
+            });
+        }
+        if (!interaction.guild.members.me.permissions.has(PermissionFlagsBits.KickMembers)) {
+            return interaction.editReply({
+                embeds: [embeds.error('Missing Permissions', 'I need **Kick Members** to remove members who don\'t verify.')]
+            });
+        }
+        kickAfter = parsed.duration;
+    }
+
+    if (!channel.permissionsFor(client.user.id)?.has([PermissionFlagsBits.ViewChannel, PermissionFlagsBits.SendMessages, PermissionFlagsBits.EmbedLinks])) {
+        return interaction.editReply({
+            embeds: [embeds.error('Missing Permissions', `I need **View Channel**, **Send Messages** and **Embed Links** in ${channel}.`)]
+        });
+    }
+
+    const message = await safeChannelSend(channel, buildVerifyPanel(interaction.guild, { challenge, kickAfter }), { logContext: 'verification' });
+    if (!message) {
+        return interaction.editReply({
+            embeds: [embeds.error('Panel Not Posted', `I couldn't post the Verify button in ${channel}.`)]
+        });
+    }
+
+    const previous = await getVerificationConfig(interaction.guild.id);
+    await deletePanelMessage(interaction.guild, previous);
+
+    await setVerificationConfig(interaction.guild.id, {
+        channelId: channel.id,
+        messageId: message.id,
+        roleId: role.id,
+        challenge,
+        kickAfter
+    }, interaction.user.id);
+    client.verificationService?.invalidateCache(interaction.guild.id);
+
+    await interaction.editReply({
+        embeds: [embeds.success(
+            'Verification Enabled',
+            `New members get ${role} by pressing **Verify** in ${channel}` +
+            `${challenge ? ' and typing a shown code' : ''}.\n` +
+            `${kickAfter ? `Members who haven't verified within **${formatDuration(kickAfter)}** are kicked.` : 'Unverified members are never kicked.'}\n\n` +
+            `Make sure ${role} is needed to see the rest of the server, and that unverified members can see ${channel}. ` +
+            'Members who joined before now are not asked to verify.'
+        )]
+    });
+}
+
+/**
+ * Handle /verification disable
+ */
+async function handleDisable(interaction, client) {
+    const removed = await disableVerification(interaction.guild.id);
+
+    if (!removed) {
+        return interaction.editReply({
+            embeds: [embeds.warn('Not Enabled', 'Verification is not enabled in this server.')]
+        });
+    }
+
+    // Pending kick timers find nothing left to do once their entries are gone
+    client.verificationService?.invalidateCache(interaction.guild.id);
+    await deletePanelMessage(interaction.guild, removed);
+
+    await interaction.editReply({
+        embeds: [embeds.success('Verification Disabled', 'New members no longer need to verify, and nobody will be kicked for not verifying.')]
+    });
+}
+
+/**
+ * Handle /verification view
+ */
+async function handleView(interaction) {
+    const settings = await getVerificationConfig(interaction.guild.id);
+
+    if (!settings) {
+        return interaction.editReply({
+            embeds: [embeds.info('Verification Disabled', 'Set it up with `/verification setup`.')]
+        });
+    }
+
+    const embed = embeds.brand('🛡️ Verification')
+        .addFields(
+            { name: 'Channel', value: `<#${settings.channelId}>`, inline: true },
+            { name: 'Role', value: `<@&${settings.roleId}>`, inline: true },
+            { name: 'Code Challenge', value: settings.challenge ? 'On' : 'Off', inline: true },
+            { name: 'Kick Unverified After', value: settings.kickAfter ? formatDuration(settings.kickAfter) : 'Never', inline: true }
+        );
+
+    await interaction.editReply({ embeds: [embed] });
+}
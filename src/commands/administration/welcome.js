@@ -6,95 +6,12 @@ const embeds = require('../../utils/embeds');
 const { handleCommandError } = require('../../utils/errorHandlerUtil');
 const { dbLog } = require('../../utils/dbLogger');
 const { fetchChannel, safeChannelSend } = require('../../utils/discordApiUtil');
-
-/**
- * Get ordinal suffix for a number (1st, 2nd, 3rd, etc.)
- * @param {number} num - The number
- * @returns {string}
- */
-function getOrdinalSuffix(num) {
-    const j = num % 10;
-    const k = num % 100;
-    if (j === 1 && k !== 11) return num + 'st';
-    if (j === 2 && k !== 12) return num + 'nd';
-    if (j === 3 && k !== 13) return num + 'rd';
-    return num + 'th';
-}
-
-/**
- * Parse welcome message variables
- * @param {string} message - Message template with variables
- * @param {GuildMember} member - The member who joined
- * @param {Guild} guild - The guild the member joined
- * @returns {string}
- */
-function parseWelcomeMessage(message, member, guild) {
-    const now = new Date();
-    const accountCreated = member.user.createdAt;
-    const accountAgeDays = Math.floor((now - accountCreated) / (1000 * 60 * 60 * 24));
-    const accountAgeMonths = Math.floor(accountAgeDays / 30);
-    const joinedAt = member.joinedAt || now;
-
-    // Format dates
-    const joinedAtFormatted = joinedAt.toLocaleDateString('en-US', {
-        year: 'numeric',
-        month: 'long',
-        day: 'numeric'
-    });
-    const createdAtFormatted = accountCreated.toLocaleDateString('en-US', {
-        year: 'numeric',
-        month: 'long',
-        day: 'numeric'
-    });
-
-    // Relative timestamps for Discord (will show as "X days ago", "X months ago", etc.)
-    const joinedTimestamp = `<t:${Math.floor(joinedAt.getTime() / 1000)}:R>`;
-    const createdTimestamp = `<t:${Math.floor(accountCreated.getTime() / 1000)}:R>`;
-    const joinedTimestampFull = `<t:${Math.floor(joinedAt.getTime() / 1000)}:F>`;
-    const createdTimestampFull = `<t:${Math.floor(accountCreated.getTime() / 1000)}:F>`;
-
-    return message
-        // User mentions
-        .replace(/{user}/g, `<@${member.id}>`)
-        .replace(/{mention}/g, `<@${member.id}>`)
-        .replace(/{username}/g, member.user.username)
-        .replace(/{tag}/g, member.user.tag)
-        .replace(/{displayname}/g, member.displayName)
-
-        // Server info
-        .replace(/{server}/g, guild.name)
-        .replace(/{memberCount}/g, guild.memberCount.toString())
-        .replace(/{membercount}/g, guild.memberCount.toString())
-        .replace(/{memberNumber}/g, getOrdinalSuffix(guild.memberCount))
-        .replace(/{membernumber}/g, getOrdinalSuffix(guild.memberCount))
-
-        // Join date/time
-        .replace(/{joinedAt}/g, joinedAtFormatted)
-        .replace(/{joinedat}/g, joinedAtFormatted)
-        .replace(/{joinedRelative}/g, joinedTimestamp)
-        .replace(/{joinedrelative}/g, joinedTimestamp)
-        .replace(/{joinedFull}/g, joinedTimestampFull)
-        .replace(/{joinedfull}/g, joinedTimestampFull)
-
-        // Account creation
-        .replace(/{createdAt}/g, createdAtFormatted)
-        .replace(/{createdat}/g, createdAtFormatted)
-        .replace(/{createdRelative}/g, createdTimestamp)
-        .replace(/{createdrelative}/g, createdTimestamp)
-        .replace(/{createdFull}/g, createdTimestampFull)
-        .replace(/{createdfull}/g, createdTimestampFull)
-
-        // Account age
-        .replace(/{accountAgeDays}/g, accountAgeDays.toString())
-        .replace(/{accountagedays}/g, accountAgeDays.toString())
-        .replace(/{accountAgeMonths}/g, accountAgeMonths.toString())
-        .replace(/{accountagemonths}/g, accountAgeMonths.toString());
-}
+const { parseWelcomeMessage, parseGoodbyeMessage, buildGoodbyeMessage, DEFAULT_GOODBYE_MESSAGE } = require('../../utils/welcomeUtil');
 
 module.exports = {
     data: new SlashCommandBuilder()
         .setName('welcome')
-        .setDescription('Manage welcome messages for new members.')
+        .setDescription('Manage welcome messages for new members and goodbye messages when they leave.')
         .setDMPermission(false)
         .addSubcommandGroup(group => group
             .setName('configure')
@@ -149,12 +66,55 @@ module.exports = {
                 subcommand
                     .setName('view')
                     .setDescription('View current welcome message configuration')))
+        .addSubcommandGroup(group => group
+            .setName('goodbye')
+            .setDescription('Set up messages for members who leave')
+            .addSubcommand(subcommand =>
+                subcommand
+                    .setName('channel')
+                    .setDescription('Set the goodbye channel')
+                    .addChannelOption(option =>
+                        option.setName('channel')
+                            .setDescription('The channel to send goodbye messages to')
+                            .addChannelTypes(ChannelType.GuildText)
+                            .setRequired(true)))
+            .addSubcommand(subcommand =>
+                subcommand
+                    .setName('message')
+                    .setDescription('Set the goodbye message template')
+                    .addStringOption(option =>
+                        option.setName('text')
+                            .setDescription('Message template (welcome variables plus {duration} {roles})')
+                            .setRequired(true)
+                            .setMinLength(1)
+                            .setMaxLength(2000)))
+            .addSubcommand(subcommand =>
+                subcommand
+                    .setName('enabled')
+                    .setDescription('Enable or disable goodbye messages')
+                    .addBooleanOption(option =>
+                        option.setName('enabled')
+                            .setDescription('Enable or disable')
+                            .setRequired(true)))
+            .addSubcommand(subcommand =>
+                subcommand
+                    .setName('format')
+                    .setDescription('Toggle whether to use an embed for goodbye messages')
+                    .addBooleanOption(option =>
+                        option.setName('use_embed')
+                            .setDescription('Use embed format')
+                            .setRequired(true)))
+            .addSubcommand(subcommand =>
+                subcommand
+                    .setName('test')
+                    .setDescription('Send a test goodbye message to see how it looks')))
         .setDefaultMemberPermissions(PermissionFlagsBits.ManageGuild),
 
     permissions: [PermissionFlagsBits.ManageGuild],
     cooldown: 3,
 
     async execute(interaction) {
+        const group = interaction.options.getSubcommandGroup(false);
         const subcommand = interaction.options.getSubcommand();
 
         try {
@@ -172,6 +132,31 @@ module.exports = {
                 });
             }
 
+            if (group === 'goodbye') {
+                switch (subcommand) {
+                    case 'channel':
+                        await handleGoodbyeSetup(interaction);
+                        break;
+
+                    case 'message':
+                        await handleGoodbyeMessage(interaction);
+                        break;
+
+                    case 'enabled':
+                        await handleGoodbyeToggle(interaction, config);
+                        break;
+
+                    case 'format':
+                        await handleGoodbyeEmbed(interaction);
+                        break;
+
+                    case 'test':
+                        await handleGoodbyeTest(interaction, config);
+                        break;
+                }
+                return;
+            }
+
             switch (subcommand) {
                 case 'channel':
                 case 'setup':
@@ -350,6 +335,12 @@ async function handleVariables(interaction) {
                        '`{accountAgeMonths}` - Account age in months (60)',
                 inline: false
             },
+            {
+                name: '👋 Goodbye Messages Only',
+                value: '`{duration}` - Time spent in the server (1 year and 2 months)\n' +
+                       '`{roles}` - Role names the member had (Moderator, Member)',
+                inline: false
+            },
             {
                 name: '💡 Example Message',
                 value: '```Welcome to {server}, {user}! You\'re our {memberNumber} member. Your account was created {createdRelative}.```',
@@ -453,6 +444,20 @@ async function handleView(interaction, config) {
                        '**Joined:** `{joinedAt}` `{joinedRelative}` `{joinedFull}`\n' +
                        '**Account:** `{createdAt}` `{createdRelative}` `{accountAgeDays}` `{accountAgeMonths}`',
                 inline: false
+            },
+            {
+                name: 'Goodbye Messages',
+                value: `${config.goodbyeEnabled ? '✅ Enabled' : '❌ Disabled'} · ` +
+                       `${config.goodbyeChannel ? `<#${config.goodbyeChannel}>` : 'No channel'} · ` +
+                       `${(config.goodbyeUseEmbed ?? true) ? 'Branded Embed' : 'Plain Text'}`,
+                inline: false
+            },
+            {
+                name: 'Goodbye Template',
+                value: config.goodbyeMessage
+                    ? `\`\`\`${config.goodbyeMessage}\`\`\``
+                    : `*Default: ${DEFAULT_GOODBYE_MESSAGE}*`,
+                inline: false
             }
         );
 
@@ -460,3 +465,142 @@ async function handleView(interaction, config) {
         embeds: [embed]
     });
 }
+
+/**
+ * Handle goodbye channel subcommand
+ */
+async function handleGoodbyeSetup(interaction) {
+    const channel = interaction.options.getChannel('channel');
+
+    // Check bot permissions in the target channel
+    const botPermissions = channel.permissionsFor(interaction.guild.members.me);
+    if (!botPermissions.has([PermissionFlagsBits.SendMessages, PermissionFlagsBits.EmbedLinks])) {
+        return interaction.editReply({
+            embeds: [embeds.error('Missing Permissions', `I need **Send Messages** and **Embed Links** permissions in ${channel}.`)]
+        });
+    }
+
+    await dbLog.update('guilds',
+        () => db.update(guilds)
+            .set({ goodbyeChannel: channel.id })
+            .where(eq(guilds.id, interaction.guild.id)),
+        { guildId: interaction.guild.id, goodbyeChannel: channel.id }
+    );
+
+    return interaction.editReply({
+        embeds: [embeds.success('Goodbye Channel Set', `Goodbye messages will be sent to ${channel}.\n\nUse \`/welcome goodbye message\` to set a custom message, then \`/welcome goodbye enabled\` to enable.`)]
+    });
+}
+
+/**
+ * Handle goodbye message subcommand
+ */
+async function handleGoodbyeMessage(interaction) {
+    const message = interaction.options.getString('text');
+
+    await dbLog.update('guilds',
+        () => db.update(guilds)
+            .set({ goodbyeMessage: message })
+            .where(eq(guilds.id, interaction.guild.id)),
+        { guildId: interaction.guild.id }
+    );
+
+    // Parse the message to show a preview
+    const preview = parseGoodbyeMessage(message, interaction.member, interaction.guild);
+
+    const embed = embeds.success('Goodbye Message Updated', 'Your goodbye message has been set!')
+        .addFields(
+            { name: 'Template', value: `\`\`\`${message}\`\`\``, inline: false },
+            { name: 'Preview', value: preview.length > 1024 ? preview.substring(0, 1021) + '...' : preview, inline: false },
+            { name: 'Available Variables', value: 'Every welcome variable (see `/welcome preview variables`), plus:\n**Leaving:** `{duration}` `{roles}`', inline: false }
+        );
+
+    return interaction.editReply({
+        embeds: [embed]
+    });
+}
+
+/**
+ * Handle goodbye enabled subcommand
+ */
+async function handleGoodbyeToggle(interaction, config) {
+    const enabled = interaction.options.getBoolean('enabled');
+
+    // Check if channel is configured
+    if (enabled && !config.goodbyeChannel) {
+        return interaction.editReply({
+            embeds: [embeds.error('Channel Not Set', 'Please use `/welcome goodbye channel` to set a goodbye channel first.')]
+        });
+    }
+
+    await dbLog.update('guilds',
+        () => db.update(guilds)
+            .set({ goodbyeEnabled: enabled })
+            .where(eq(guilds.id, interaction.guild.id)),
+        { guildId: interaction.guild.id, goodbyeEnabled: enabled }
+    );
+
+    const statusText = enabled ? 'enabled' : 'disabled';
+    const emoji = enabled ? '✅' : '❌';
+
+    return interaction.editReply({
+        embeds: [embeds.success(`Goodbye Messages ${enabled ? 'Enabled' : 'Disabled'}`, `${emoji} Goodbye messages are now **${statusText}**.`)]
+    });
+}
+
+/**
+ * Handle goodbye format subcommand
+ */
+async function handleGoodbyeEmbed(interaction) {
+    const useEmbed = interaction.options.getBoolean('use_embed');
+
+    await dbLog.update('guilds',
+        () => db.update(guilds)
+            .set({ goodbyeUseEmbed: useEmbed })
+            .where(eq(guilds.id, interaction.guild.id)),
+        { guildId: interaction.guild.id, goodbyeUseEmbed: useEmbed }
+    );
+
+    const formatText = useEmbed ? 'branded embed' : 'plain text';
+
+    return interaction.editReply({
+        embeds: [embeds.success('Goodbye Format Updated', `Goodbye messages will now be sent as **${formatText}**.`)]
+    });
+}
+
+/**
+ * Handle goodbye test subcommand (uses the caller as the member who left)
+ */
+async function handleGoodbyeTest(interaction, config) {
+    // Check if channel is configured
+    if (!config.goodbyeChannel) {
+        return interaction.editReply({
+            embeds: [embeds.error('Channel Not Set', 'Please use `/welcome goodbye channel` to set a goodbye channel first.')]
+        });
+    }
+
+    const channel = await fetchChannel(interaction.guild, config.goodbyeChannel, { logContext: 'goodbye-test' });
+    if (!channel) {
+        return interaction.editReply({
+            embeds: [embeds.error('Channel Not Found', 'The configured goodbye channel no longer exists. Please run `/welcome goodbye channel` again.')]
+        });
+    }
+
+    const messageOptions = buildGoodbyeMessage(config, interaction.member, interaction.guild);
+    if (messageOptions.embeds) {
+        messageOptions.embeds[0].setFooter({ text: 'This is a test message' });
+    } else {
+        messageOptions.content += '\n\n*This is a test message*';
+    }
+
+    const sent = await safeChannelSend(channel, messageOptions, { logContext: 'goodbye-test' });
+    if (!sent) {
+        return interaction.editReply({
+            embeds: [embeds.error('Failed to Send', 'Could not send test message. Check bot permissions.')]
+        });
+    }
+
+    return interaction.editReply({
+        embeds: [embeds.success('Test Sent', `A test goodbye message has been sent to ${channel}.`)]
+    });
+}
@@ -2,8 +2,10 @@ const { ContextMenuCommandBuilder, ApplicationCommandType, ActionRowBuilder, But
 const embeds = require('../../utils/embeds');
 const { db } = require('../../database');
 const { moderationLogs } = require('../../database/schema');
-const { eq, desc } = require('drizzle-orm');
-const { executeModerationAction, validateHierarchy } = require('../../utils/moderationUtil');
+const { eq, and, desc, isNull } = require('drizzle-orm');
+const { executeModerationAction, validateHierarchy, parseTimeoutDuration } = require('../../utils/moderationUtil');
+const { applyEscalation, formatEscalationResult, getWarningLifetime, isWarningExpired } = require('../../utils/escalationUtil');
+const { formatDuration } = require('../../utils/timeParser');
 const { handleCommandError } = require('../../utils/errorHandlerUtil');
 const { fetchMember } = require('../../utils/discordApiUtil');
 
@@ -38,6 +40,10 @@ module.exports = {
             });
         }
 
+        // Timed-out members get a "Remove Timeout" button instead of "Timeout"
+        const isTimedOut = targetMember.isCommunicationDisabled();
+        const canModerateMembers = interaction.guild.members.me.permissions.has(PermissionFlagsBits.ModerateMembers);
+
         // Build action buttons
         const row = new ActionRowBuilder()
             .addComponents(
@@ -46,6 +52,12 @@ module.exports = {
                     .setLabel('Warn')
                     .setStyle(ButtonStyle.Primary)
                     .setEmoji('⚠️'),
+                new ButtonBuilder()
+                    .setCustomId(`mod_${isTimedOut ? 'untimeout' : 'timeout'}_${target.id}`)
+                    .setLabel(isTimedOut ? 'Remove Timeout' : 'Timeout')
+                    .setStyle(isTimedOut ? ButtonStyle.Success : ButtonStyle.Primary)
+                    .setEmoji(isTimedOut ? '🔊' : '🔇')
+                    .setDisabled(!canModerateMembers),
                 new ButtonBuilder()
                     .setCustomId(`mod_kick_${target.id}`)
                     .setLabel('Kick')
@@ -74,6 +86,9 @@ module.exports = {
 
         // Add warnings if bot lacks permissions
         const warnings = [];
+        if (!canModerateMembers) {
+            warnings.push('Bot lacks **Moderate Members** permission');
+        }
         if (!interaction.guild.members.me.permissions.has(PermissionFlagsBits.KickMembers)) {
             warnings.push('Bot lacks **Kick Members** permission');
         }
@@ -103,6 +118,14 @@ module.exports = {
                 await showReasonModal(interaction, userId, 'warn', 'Warn User');
                 break;
 
+            case 'timeout':
+                await showReasonModal(interaction, userId, 'timeout', 'Timeout User');
+                break;
+
+            case 'untimeout':
+                await showReasonModal(interaction, userId, 'untimeout', 'Remove Timeout');
+                break;
+
             case 'kick':
                 await showReasonModal(interaction, userId, 'kick', 'Kick User');
                 break;
@@ -163,8 +186,70 @@ module.exports = {
                         reason
                     });
 
+                    let description = `${target.tag} has been warned.\n\n**Reason:** ${reason}`;
+
+                    const escalation = await applyEscalation({ guild, target, client });
+                    if (escalation) {
+                        description += `\n\n${formatEscalationResult(escalation)}`;
+                    }
+
+                    return interaction.editReply({
+                        embeds: [embeds.success('User Warned', description)]
+                    });
+
+                case 'timeout': {
+                    const parsed = parseTimeoutDuration(interaction.fields.getTextInputValue('duration'));
+                    if (!parsed.success) {
+                        return interaction.editReply({
+                            embeds: [embeds.error('Invalid Duration', parsed.error)]
+                        });
+                    }
+
+                    if (!targetMember.moderatable) {
+                        return interaction.editReply({
+                            embeds: [embeds.error('Cannot Moderate', 'I cannot time out this user. They might have a higher role than me.')]
+                        });
+                    }
+
+                    // Time out first so a failed timeout leaves no case or DM behind
+                    await targetMember.timeout(parsed.duration, reason);
+
+                    await executeModerationAction({
+                        guildId: guild.id,
+                        guildName: guild.name,
+                        target,
+                        executor,
+                        action: 'TIMEOUT',
+                        reason,
+                        duration: parsed.duration
+                    });
+
+                    return interaction.editReply({
+                        embeds: [embeds.success('User Timed Out', `${target.tag} has been timed out for **${formatDuration(parsed.duration)}**.\n\n**Reason:** ${reason}`)]
+                    });
+                }
+
+                case 'untimeout':
+                    if (!targetMember.isCommunicationDisabled()) {
+                        return interaction.editReply({
+                            embeds: [embeds.error('Not Timed Out', `${target.tag} is not currently timed out.`)]
+                        });
+                    }
+
+                    // Lift the timeout first so the DM reflects reality
+                    await targetMember.timeout(null, reason);
+
+                    await executeModerationAction({
+                        guildId: guild.id,
+                        guildName: guild.name,
+                        target,
+                        executor,
+                        action: 'UNTIMEOUT',
+                        reason
+                    });
+
                     return interaction.editReply({
-                        embeds: [embeds.success('User Warned', `${target.tag} has been warned.\n\n**Reason:** ${reason}`)]
+                        embeds: [embeds.success('Timeout Removed', `${target.tag}'s timeout has been removed.\n\n**Reason:** ${reason}`)]
                     });
 
                 case 'kick':
@@ -199,6 +284,9 @@ module.exports = {
                     // Perform the ban
                     await guild.members.ban(userId, { reason: reason, deleteMessageSeconds: 0 });
 
+                    // A permanent ban replaces any temp ban that would otherwise lift it
+                    await client.tempBanService?.cancelTempBan(guild.id, userId);
+
                     return interaction.editReply({
                         embeds: [embeds.success('User Banned', `${target.tag} has been banned from the server.\n\n**Reason:** ${reason}`)]
                     });
@@ -229,6 +317,20 @@ async function showReasonModal(interaction, userId, action, title) {
         new ActionRowBuilder().addComponents(reasonInput)
     );
 
+    if (action === 'timeout') {
+        const durationInput = new TextInputBuilder()
+            .setCustomId('duration')
+            .setLabel('Duration')
+            .setStyle(TextInputStyle.Short)
+            .setRequired(true)
+            .setMaxLength(20)
+            .setPlaceholder('e.g., 10m, 1h, 2d (max 28 days)');
+
+        modal.addComponents(
+            new ActionRowBuilder().addComponents(durationInput)
+        );
+    }
+
     await interaction.showModal(modal);
 }
 
@@ -240,7 +342,11 @@ async function showHistory(interaction, userId) {
 
     const logs = await db.select()
         .from(moderationLogs)
-        .where(eq(moderationLogs.targetId, userId))
+        .where(and(
+            eq(moderationLogs.guildId, interaction.guild.id),
+            eq(moderationLogs.targetId, userId),
+            isNull(moderationLogs.deletedAt)
+        ))
         .orderBy(desc(moderationLogs.timestamp))
         .limit(10)
         .all();
@@ -256,18 +362,25 @@ async function showHistory(interaction, userId) {
         `Showing last ${logs.length} action(s) for <@${userId}>`
     );
 
+    const lifetime = await getWarningLifetime(interaction.guild.id);
+    const now = Date.now();
+
     for (const log of logs) {
         const timestamp = Math.floor(new Date(log.timestamp).getTime() / 1000);
         const actionEmoji = {
             'WARN': '⚠️',
             'KICK': '👢',
             'BAN': '🔨',
+            'UNBAN': '🔓',
+            'TIMEOUT': '🔇',
+            'UNTIMEOUT': '🔊',
             'CLEAR': '🗑️'
         };
+        const durationText = log.duration ? `\n**Duration:** ${formatDuration(log.duration)}` : '';
 
         historyEmbed.addFields({
-            name: `${actionEmoji[log.action] || '•'} ${log.action} - <t:${timestamp}:R>`,
-            value: `**By:** <@${log.executorId}>\n**Reason:** ${log.reason || '*No reason provided*'}`,
+            name: `${actionEmoji[log.action] || '•'} Case #${log.caseNumber} ${log.action}${log.source === 'external' ? ' (external)' : ''}${isWarningExpired(log, lifetime, now) ? ' (expired)' : ''} - <t:${timestamp}:R>`,
+            value: `**By:** <@${log.executorId}>\n**Reason:** ${log.reason || '*No reason provided*'}${durationText}`,
             inline: false
         });
     }
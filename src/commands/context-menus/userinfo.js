@@ -1,9 +1,11 @@
-const { ContextMenuCommandBuilder, ApplicationCommandType, MessageFlags } = require('discord.js');
+const { ContextMenuCommandBuilder, ApplicationCommandType, MessageFlags, PermissionFlagsBits } = require('discord.js');
 const embeds = require('../../utils/embeds');
 const { shouldBeEphemeral } = require('../../utils/ephemeralHelper');
 const { db } = require('../../database');
 const { users } = require('../../database/schema');
 const { eq, and } = require('drizzle-orm');
+const { getActiveWarnings } = require('../../utils/escalationUtil');
+const { getNotes, formatNote } = require('../../utils/noteUtil');
 
 module.exports = {
     data: new ContextMenuCommandBuilder()
@@ -82,6 +84,34 @@ module.exports = {
             }
         }
 
+        // Active warnings and notes (moderators only - expired and deleted warnings don't count)
+        if (interaction.guild && interaction.memberPermissions?.has(PermissionFlagsBits.ModerateMembers)) {
+            try {
+                const warnings = await getActiveWarnings(interaction.guild.id, user.id);
+                embed.addFields({
+                    name: '⚠️ Active Warnings',
+                    value: `**${warnings.length}**`,
+                    inline: true
+                });
+            } catch (error) {
+                // Skip warnings if DB query fails
+            }
+
+            try {
+                // Notes are private, so a public reply never shows them
+                const notes = isEphemeral ? await getNotes(interaction.guild.id, user.id) : [];
+                if (notes.length > 0) {
+                    embed.addFields({
+                        name: `📝 Notes [${notes.length}]`,
+                        value: notes.slice(0, 3).map(note => formatNote(note, 100)).join('\n').slice(0, 1024),
+                        inline: false
+                    });
+                }
+            } catch (error) {
+                // Skip notes if DB query fails
+            }
+        }
+
         // Bot stats from DB
         try {
             const userData = await db.select()
@@ -1,8 +1,30 @@
 const { SlashCommandBuilder, PermissionFlagsBits } = require('discord.js');
 const embeds = require('../../utils/embeds');
+const config = require('../../utils/config');
 const { handleCommandError } = require('../../utils/errorHandlerUtil');
-const { db } = require('../../database/index');
-const { moderationLogs } = require('../../database/schema');
+const { logModerationAction, sendModerationLog, setCaseTranscript } = require('../../utils/moderationUtil');
+const {
+    buildMessageFilter,
+    collectMessages,
+    createTranscriptAttachment,
+    bulkDeleteMessages,
+    MAX_PURGE_AMOUNT
+} = require('../../utils/purgeUtil');
+
+/**
+ * Describe the active filters for the reply and the case reason
+ */
+function describeFilters({ user, bots, contains, regex, attachments, links, after }) {
+    const parts = [];
+    if (user) parts.push(`from ${user.tag}`);
+    if (bots) parts.push('from bots');
+    if (contains) parts.push(`containing "${contains}"`);
+    if (regex) parts.push(`matching /${regex}/i`);
+    if (attachments) parts.push('with attachments');
+    if (links) parts.push('with links');
+    if (after) parts.push(`after ${after}`);
+    return parts.join(', ');
+}
 
 module.exports = {
     data: new SlashCommandBuilder()
@@ -10,10 +32,33 @@ module.exports = {
         .setDescription('Deletes a specified amount of messages.')
         .addIntegerOption(option =>
             option.setName('amount')
-                .setDescription('Number of messages to delete (1-100)')
+                .setDescription(`Number of messages to delete (1-${MAX_PURGE_AMOUNT})`)
                 .setRequired(true)
                 .setMinValue(1)
-                .setMaxValue(100))
+                .setMaxValue(MAX_PURGE_AMOUNT))
+        .addUserOption(option =>
+            option.setName('user')
+                .setDescription('Only delete messages from this user'))
+        .addBooleanOption(option =>
+            option.setName('bots')
+                .setDescription('Only delete messages from bots'))
+        .addStringOption(option =>
+            option.setName('contains')
+                .setDescription('Only delete messages containing this text')
+                .setMaxLength(200))
+        .addStringOption(option =>
+            option.setName('regex')
+                .setDescription('Only delete messages matching this pattern (case-insensitive, dev only)')
+                .setMaxLength(200))
+        .addBooleanOption(option =>
+            option.setName('attachments')
+                .setDescription('Only delete messages with attachments'))
+        .addBooleanOption(option =>
+            option.setName('links')
+                .setDescription('Only delete messages containing links'))
+        .addStringOption(option =>
+            option.setName('after')
+                .setDescription('Only delete messages sent after this message ID'))
         .setDefaultMemberPermissions(PermissionFlagsBits.ManageMessages),
 
     permissions: [PermissionFlagsBits.ManageMessages],
@@ -21,24 +66,90 @@ module.exports = {
 
     async execute(interaction) {
         const amount = interaction.options.getInteger('amount');
+        const filters = {
+            user: interaction.options.getUser('user'),
+            bots: interaction.options.getBoolean('bots') ?? false,
+            contains: interaction.options.getString('contains'),
+            regex: interaction.options.getString('regex'),
+            attachments: interaction.options.getBoolean('attachments') ?? false,
+            links: interaction.options.getBoolean('links') ?? false,
+            after: interaction.options.getString('after')
+        };
+
+        if (filters.after && !/^\d{17,20}$/.test(filters.after)) {
+            return interaction.editReply({
+                embeds: [embeds.error('Invalid Message ID', 'The `after` option must be a message ID.')]
+            });
+        }
+
+        // Regex is restricted to bot developers (ReDoS risk), as with /automod and /autorespond
+        if (filters.regex && !config.developers.includes(interaction.user.id)) {
+            return interaction.editReply({
+                embeds: [embeds.error(
+                    'Permission Denied',
+                    'Regex matching is restricted to bot developers due to security risks (ReDoS attacks).\n\nUse **contains** instead.'
+                )]
+            });
+        }
+
+        const built = buildMessageFilter({ ...filters, userId: filters.user?.id });
+        if (!built.success) {
+            return interaction.editReply({
+                embeds: [embeds.error('Invalid Filter', built.error)]
+            });
+        }
 
         try {
-            // Delete messages first (before replying to avoid deleting our own reply)
-            const deleted = await interaction.channel.bulkDelete(amount, true);
-
-            // Log to database
-            await db.insert(moderationLogs).values({
-                guildId: interaction.guild.id,
-                targetId: interaction.channel.id, // Using channel ID as target for CLEAR
-                executorId: interaction.user.id,
-                action: 'CLEAR',
-                reason: `Deleted ${deleted.size} messages`,
-                timestamp: new Date()
+            // Never sweep up our own deferred reply
+            const reply = await interaction.fetchReply().catch(() => null);
+
+            const { deletable, tooOld } = await collectMessages(interaction.channel, {
+                amount,
+                filter: built.filter,
+                afterId: filters.after,
+                excludeIds: new Set(reply ? [reply.id] : [])
             });
 
-            // Reply AFTER deletion to avoid our reply being caught in bulkDelete
+            // Render the transcript first - the content is gone once deleted
+            const transcript = deletable.length > 0
+                ? createTranscriptAttachment(deletable, { channel: interaction.channel, executor: interaction.user })
+                : null;
+
+            const deleted = await bulkDeleteMessages(interaction.channel, deletable);
+
+            const filterText = describeFilters(filters);
+            const reason = filterText ? `Deleted ${deleted} messages (${filterText})` : `Deleted ${deleted} messages`;
+
+            // Log to database (channel ID is the target for CLEAR)
+            const entry = await logModerationAction(
+                interaction.guild.id,
+                interaction.channel.id,
+                interaction.user.id,
+                'CLEAR',
+                reason
+            );
+
+            // Post the case with its transcript, then link the transcript to the case
+            const logMessage = await sendModerationLog(interaction.guild, entry, { files: transcript ? [transcript] : [] });
+            if (logMessage && transcript) {
+                await setCaseTranscript(interaction.guild.id, entry.caseNumber, logMessage.url);
+            }
+
+            let description = `Successfully deleted **${deleted}** messages.`;
+            if (filterText) {
+                description += `\n**Filters:** ${filterText}`;
+            }
+            if (transcript) {
+                description += logMessage
+                    ? `\n**Transcript:** [case #${entry.caseNumber}](${logMessage.url})`
+                    : '\n*No transcript was saved - set a log channel with `/server logs set`.*';
+            }
+            if (tooOld > 0) {
+                description += `\n\n⚠️ Skipped **${tooOld}** matching messages older than 14 days (Discord does not allow bulk deleting them).`;
+            }
+
             await interaction.editReply({
-                embeds: [embeds.success('Messages Cleared', `Successfully deleted **${deleted.size}** messages.`)]
+                embeds: [embeds.success('Messages Cleared', description)]
             });
         } catch (error) {
             await handleCommandError(error, interaction, 'clearing messages');
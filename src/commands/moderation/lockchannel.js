@@ -1,7 +1,9 @@
 const { SlashCommandBuilder, PermissionFlagsBits } = require('discord.js');
 const embeds = require('../../utils/embeds');
 const { handleCommandError } = require('../../utils/errorHandlerUtil');
-const { PermissionOverwriteManager } = require('../../utils/discordApiUtil');
+const { PermissionOverwriteManager, safeChannelSend } = require('../../utils/discordApiUtil');
+const { logModerationAction } = require('../../utils/moderationUtil');
+const { parseTime, formatDuration } = require('../../utils/timeParser');
 
 module.exports = {
     data: new SlashCommandBuilder()
@@ -10,7 +12,14 @@ module.exports = {
         .addSubcommand(subcommand =>
             subcommand
                 .setName('lock')
-                .setDescription('Lock the current channel (prevents @everyone from sending messages)'))
+                .setDescription('Lock the current channel (prevents @everyone from sending messages)')
+                .addStringOption(option =>
+                    option.setName('duration')
+                        .setDescription('Unlock automatically after (e.g., 30m, 2h) - stays locked if omitted'))
+                .addStringOption(option =>
+                    option.setName('reason')
+                        .setDescription('Reason posted in the channel')
+                        .setMaxLength(500)))
         .addSubcommand(subcommand =>
             subcommand
                 .setName('unlock')
@@ -20,11 +29,31 @@ module.exports = {
     permissions: [PermissionFlagsBits.ManageChannels],
     longRunning: true,
 
-    async execute(interaction) {
+    async execute(interaction, client) {
         const subcommand = interaction.options.getSubcommand();
 
         try {
             if (subcommand === 'lock') {
+                const durationInput = interaction.options.getString('duration');
+                const reason = interaction.options.getString('reason');
+
+                let duration = null;
+                if (durationInput) {
+                    const parsed = parseTime(durationInput);
+                    if (!parsed.success) {
+                        return interaction.editReply({
+                            embeds: [embeds.error('Invalid Duration', parsed.error)]
+                        });
+                    }
+                    duration = parsed.duration;
+
+                    if (!client?.channelTimerService) {
+                        return interaction.editReply({
+                            embeds: [embeds.error('Unavailable', 'Timed locks are unavailable right now. Please try again shortly.')]
+                        });
+                    }
+                }
+
                 const result = await PermissionOverwriteManager.lockChannel(
                     interaction.channel,
                     interaction.guild.id,
@@ -35,8 +64,43 @@ module.exports = {
                     return await handleCommandError(new Error(result.error), interaction, 'locking the channel', { ephemeral: false });
                 }
 
+                const entry = await logModerationAction(
+                    interaction.guild.id,
+                    interaction.channel.id,
+                    interaction.user.id,
+                    'LOCK',
+                    reason ? `Locked #${interaction.channel.name}: ${reason}` : `Locked #${interaction.channel.name}`,
+                    { duration, guild: interaction.guild }
+                );
+
+                // A new lock replaces any pending auto-unlock
+                if (duration) {
+                    await client.channelTimerService.createTimer({
+                        guildId: interaction.guild.id,
+                        channelId: interaction.channel.id,
+                        action: 'UNLOCK',
+                        executorId: interaction.user.id,
+                        caseNumber: entry?.caseNumber ?? null,
+                        duration
+                    });
+                } else {
+                    await client?.channelTimerService?.cancelTimer(interaction.channel.id, 'UNLOCK');
+                }
+
+                const unlockText = duration
+                    ? `\nUnlocks <t:${Math.floor((Date.now() + duration) / 1000)}:R>.`
+                    : '';
+
+                if (reason || duration) {
+                    await safeChannelSend(interaction.channel, {
+                        embeds: [embeds.warn('🔒 Channel Locked', `${reason ? `**Reason:** ${reason}` : 'This channel has been locked.'}${unlockText}`)]
+                    });
+                }
+
                 await interaction.editReply({
-                    embeds: [embeds.success('Channel Locked', 'The @everyone role can no longer send messages in this channel.')]
+                    embeds: [embeds.success('Channel Locked', duration
+                        ? `The @everyone role can no longer send messages in this channel for **${formatDuration(duration)}**.`
+                        : 'The @everyone role can no longer send messages in this channel.')]
                 });
             } else if (subcommand === 'unlock') {
                 const result = await PermissionOverwriteManager.unlockChannel(
@@ -49,6 +113,17 @@ module.exports = {
                     return await handleCommandError(new Error(result.error), interaction, 'unlocking the channel', { ephemeral: false });
                 }
 
+                await client?.channelTimerService?.cancelTimer(interaction.channel.id, 'UNLOCK');
+
+                await logModerationAction(
+                    interaction.guild.id,
+                    interaction.channel.id,
+                    interaction.user.id,
+                    'UNLOCK',
+                    `Unlocked #${interaction.channel.name}`,
+                    { guild: interaction.guild }
+                );
+
                 await interaction.editReply({
                     embeds: [embeds.success('Channel Unlocked', 'The @everyone role can now send messages in this channel again.')]
                 });
@@ -1,12 +1,77 @@
-const { SlashCommandBuilder, PermissionFlagsBits, MessageFlags } = require('discord.js');
+const { SlashCommandBuilder, PermissionFlagsBits, MessageFlags, ChannelType, ActionRowBuilder, ButtonBuilder, ButtonStyle } = require('discord.js');
+const axios = require('axios');
 const embeds = require('../../utils/embeds');
 const { handleCommandError } = require('../../utils/errorHandlerUtil');
-const { executeModerationAction, validateHierarchy } = require('../../utils/moderationUtil');
+const {
+    executeModerationAction,
+    validateHierarchy,
+    parseTimeoutDuration,
+    getCase,
+    getCaseEdits,
+    editCaseReason,
+    deleteCase,
+    logModerationAction
+} = require('../../utils/moderationUtil');
+const {
+    getEscalationRules,
+    setEscalationRule,
+    removeEscalationRule,
+    getWarningLifetime,
+    setWarningLifetime,
+    isWarningExpired,
+    describeEscalationRule,
+    formatEscalationResult,
+    applyEscalation
+} = require('../../utils/escalationUtil');
+const {
+    getLockdownChannels,
+    addLockdownChannel,
+    removeLockdownChannel,
+    getLockdownSnapshots,
+    resolveLockdownChannels,
+    startLockdown,
+    endLockdown,
+    LOCKABLE_CHANNEL_TYPES
+} = require('../../utils/lockdownUtil');
+const {
+    getAppealChannel,
+    setAppealChannel,
+    getAppeal,
+    getOpenAppeal,
+    getOpenAppeals,
+    createAppeal,
+    setAppealReviewMessage,
+    resolveAppeal,
+    reopenAppeal,
+    deleteAppeal,
+    createAppealModal,
+    createDenyModal,
+    createAppealReviewEmbed,
+    createAppealReviewButtons
+} = require('../../utils/appealUtil');
+const { fetchChannel, safeChannelSend, safeDMUser, safeMessageFetch } = require('../../utils/discordApiUtil');
+const { getNotes, addNote, removeNote, formatNote, MAX_NOTE_LENGTH } = require('../../utils/noteUtil');
+const {
+    parseUserIds,
+    filterBannableIds,
+    executeMassBan,
+    formatCaseRange,
+    sendMassBanLog,
+    MAX_MASSBAN_USERS
+} = require('../../utils/massBanUtil');
+const { parseTime, formatDuration } = require('../../utils/timeParser');
 const { db } = require('../../database/index');
 const { moderationLogs } = require('../../database/schema');
-const { eq, and, desc } = require('drizzle-orm');
+const { eq, and, desc, isNull } = require('drizzle-orm');
 const { createCommandAliasInteraction, executeAliasCommand } = require('../../utils/commandAlias');
 const { checkUserPermissions } = require('../../utils/permissions');
+const logger = require('../../utils/logger');
+
+// Discord's maximum slowmode (6 hours)
+const MAX_SLOWMODE_SECONDS = 21600;
+// Largest ID list file /mod user massban accepts
+const MAX_MASSBAN_FILE_SIZE = 100 * 1024;
+const DAY_SECONDS = 24 * 60 * 60;
 
 module.exports = {
     data: new SlashCommandBuilder()
@@ -17,10 +82,35 @@ module.exports = {
         .addSubcommandGroup(group => group
             .setName('user')
             .setDescription('Moderate members')
-            .addSubcommand(sub => sub.setName('ban').setDescription('Ban a member').addUserOption(opt => opt.setName('target').setDescription('The member to ban').setRequired(true)).addStringOption(opt => opt.setName('reason').setDescription('Reason for the ban')))
+            .addSubcommand(sub => sub
+                .setName('ban')
+                .setDescription('Ban a member')
+                .addUserOption(opt => opt.setName('target').setDescription('The member to ban').setRequired(true))
+                .addStringOption(opt => opt.setName('reason').setDescription('Reason for the ban'))
+                .addStringOption(opt => opt.setName('duration').setDescription('Lift the ban automatically after (e.g., 1d, 2w) - permanent if omitted')))
+            .addSubcommand(sub => sub
+                .setName('massban')
+                .setDescription('Ban many users at once by ID')
+                .addStringOption(opt => opt.setName('ids').setDescription('User IDs separated by spaces').setMaxLength(6000))
+                .addAttachmentOption(opt => opt.setName('file').setDescription('A .txt file of user IDs'))
+                .addStringOption(opt => opt.setName('reason').setDescription('Reason shared by every ban').setMaxLength(500))
+                .addIntegerOption(opt => opt.setName('delete_days').setDescription('Days of messages to delete (default 0)').setMinValue(0).setMaxValue(7)))
+            .addSubcommand(sub => sub
+                .setName('softban')
+                .setDescription('Ban and immediately unban a member to delete their recent messages')
+                .addUserOption(opt => opt.setName('target').setDescription('The user to softban').setRequired(true))
+                .addStringOption(opt => opt.setName('reason').setDescription('Reason for the softban'))
+                .addIntegerOption(opt => opt.setName('delete_days').setDescription('Days of messages to delete (default 1)').setMinValue(1).setMaxValue(7)))
             .addSubcommand(sub => sub.setName('kick').setDescription('Kick a member').addUserOption(opt => opt.setName('target').setDescription('The member to kick').setRequired(true)).addStringOption(opt => opt.setName('reason').setDescription('Reason for the kick')))
             .addSubcommand(sub => sub.setName('warn').setDescription('Warn a member').addUserOption(opt => opt.setName('target').setDescription('The member to warn').setRequired(true)).addStringOption(opt => opt.setName('reason').setDescription('Reason for the warning').setRequired(true)))
-            .addSubcommand(sub => sub.setName('unwarn').setDescription('Remove a warning').addUserOption(opt => opt.setName('target').setDescription('The user to remove the warning from').setRequired(true)).addIntegerOption(opt => opt.setName('id').setDescription('The warning ID to remove').setRequired(true)))
+            .addSubcommand(sub => sub.setName('unwarn').setDescription('Remove a warning').addUserOption(opt => opt.setName('target').setDescription('The user to remove the warning from').setRequired(true)).addIntegerOption(opt => opt.setName('case').setDescription('The case number of the warning to remove').setRequired(true).setMinValue(1)))
+            .addSubcommand(sub => sub
+                .setName('timeout')
+                .setDescription('Time out a member')
+                .addUserOption(opt => opt.setName('target').setDescription('The member to time out').setRequired(true))
+                .addStringOption(opt => opt.setName('duration').setDescription('Duration (e.g., 10m, 1h, 2d) - max 28 days').setRequired(true))
+                .addStringOption(opt => opt.setName('reason').setDescription('Reason for the timeout')))
+            .addSubcommand(sub => sub.setName('untimeout').setDescription('Remove a member\'s timeout').addUserOption(opt => opt.setName('target').setDescription('The member to remove the timeout from').setRequired(true)).addStringOption(opt => opt.setName('reason').setDescription('Reason for removing the timeout')))
             .addSubcommand(sub => sub
                 .setName('history')
                 .setDescription('View moderation history for a user')
@@ -29,9 +119,20 @@ module.exports = {
                     { name: 'Warn', value: 'WARN' },
                     { name: 'Kick', value: 'KICK' },
                     { name: 'Ban', value: 'BAN' },
+                    { name: 'Unban', value: 'UNBAN' },
+                    { name: 'Softban', value: 'SOFTBAN' },
+                    { name: 'Timeout', value: 'TIMEOUT' },
+                    { name: 'Untimeout', value: 'UNTIMEOUT' },
                     { name: 'Clear', value: 'CLEAR' }
                 ))
-                .addIntegerOption(opt => opt.setName('limit').setDescription('Number of results').setMinValue(1).setMaxValue(50))))
+                .addIntegerOption(opt => opt.setName('limit').setDescription('Number of results').setMinValue(1).setMaxValue(50)))
+            .addSubcommand(sub => sub
+                .setName('note-add')
+                .setDescription('Add a private note on a member (they are not notified)')
+                .addUserOption(opt => opt.setName('target').setDescription('The member the note is about').setRequired(true))
+                .addStringOption(opt => opt.setName('text').setDescription('Note text').setRequired(true).setMaxLength(MAX_NOTE_LENGTH)))
+            .addSubcommand(sub => sub.setName('note-list').setDescription('List the notes on a member').addUserOption(opt => opt.setName('target').setDescription('The member to list notes for').setRequired(true)))
+            .addSubcommand(sub => sub.setName('note-remove').setDescription('Remove a note').addIntegerOption(opt => opt.setName('id').setDescription('The note number to remove').setRequired(true).setMinValue(1))))
         .addSubcommandGroup(group => group
             .setName('logs')
             .setDescription('Moderation logs')
@@ -40,9 +141,94 @@ module.exports = {
         .addSubcommandGroup(group => group
             .setName('channel')
             .setDescription('Moderate the current channel')
-            .addSubcommand(sub => sub.setName('clear').setDescription('Delete recent messages').addIntegerOption(opt => opt.setName('amount').setDescription('Number of messages to delete').setRequired(true).setMinValue(1).setMaxValue(100)))
-            .addSubcommand(sub => sub.setName('lock').setDescription('Lock the current channel'))
-            .addSubcommand(sub => sub.setName('unlock').setDescription('Unlock the current channel'))),
+            .addSubcommand(sub => sub
+                .setName('clear')
+                .setDescription('Delete recent messages')
+                .addIntegerOption(opt => opt.setName('amount').setDescription('Number of messages to delete').setRequired(true).setMinValue(1).setMaxValue(1000))
+                .addUserOption(opt => opt.setName('user').setDescription('Only delete messages from this user'))
+                .addBooleanOption(opt => opt.setName('bots').setDescription('Only delete messages from bots'))
+                .addStringOption(opt => opt.setName('contains').setDescription('Only delete messages containing this text').setMaxLength(200))
+                .addStringOption(opt => opt.setName('regex').setDescription('Only delete messages matching this pattern (case-insensitive, dev only)').setMaxLength(200))
+                .addBooleanOption(opt => opt.setName('attachments').setDescription('Only delete messages with attachments'))
+                .addBooleanOption(opt => opt.setName('links').setDescription('Only delete messages containing links'))
+                .addStringOption(opt => opt.setName('after').setDescription('Only delete messages sent after this message ID')))
+            .addSubcommand(sub => sub
+                .setName('lock')
+                .setDescription('Lock the current channel')
+                .addStringOption(opt => opt.setName('duration').setDescription('Unlock automatically after (e.g., 30m, 2h) - stays locked if omitted'))
+                .addStringOption(opt => opt.setName('reason').setDescription('Reason posted in the channel').setMaxLength(500)))
+            .addSubcommand(sub => sub.setName('unlock').setDescription('Unlock the current channel'))
+            .addSubcommand(sub => sub
+                .setName('slowmode')
+                .setDescription('Set or clear slowmode in the current channel')
+                .addIntegerOption(opt => opt.setName('seconds').setDescription('Seconds between messages (0 clears slowmode)').setRequired(true).setMinValue(0).setMaxValue(MAX_SLOWMODE_SECONDS))
+                .addStringOption(opt => opt.setName('duration').setDescription('Restore the previous slowmode after (e.g., 30m, 2h) - permanent if omitted'))
+                .addStringOption(opt => opt.setName('reason').setDescription('Reason for the change').setMaxLength(500))))
+        .addSubcommandGroup(group => group
+            .setName('case')
+            .setDescription('Manage moderation cases')
+            .addSubcommand(sub => sub.setName('view').setDescription('View a moderation case').addIntegerOption(opt => opt.setName('number').setDescription('Case number').setRequired(true).setMinValue(1)))
+            .addSubcommand(sub => sub
+                .setName('edit-reason')
+                .setDescription('Change the reason of a moderation case')
+                .addIntegerOption(opt => opt.setName('number').setDescription('Case number').setRequired(true).setMinValue(1))
+                .addStringOption(opt => opt.setName('reason').setDescription('New reason').setRequired(true).setMaxLength(1000)))
+            .addSubcommand(sub => sub
+                .setName('delete')
+                .setDescription('Delete a moderation case')
+                .addIntegerOption(opt => opt.setName('number').setDescription('Case number').setRequired(true).setMinValue(1))
+                .addStringOption(opt => opt.setName('reason').setDescription('Why the case is being deleted'))))
+        .addSubcommandGroup(group => group
+            .setName('escalation')
+            .setDescription('Automatic punishments based on warning count')
+            .addSubcommand(sub => sub
+                .setName('set')
+                .setDescription('Set the punishment for reaching a number of active warnings')
+                .addIntegerOption(opt => opt.setName('warnings').setDescription('Number of active warnings').setRequired(true).setMinValue(1).setMaxValue(50))
+                .addStringOption(opt => opt.setName('action').setDescription('Punishment to apply').setRequired(true).addChoices(
+                    { name: 'Timeout', value: 'TIMEOUT' },
+                    { name: 'Kick', value: 'KICK' },
+                    { name: 'Ban', value: 'BAN' }
+                ))
+                .addStringOption(opt => opt.setName('duration').setDescription('Timeout length, or ban length for a temporary ban (e.g., 1h, 7d)')))
+            .addSubcommand(sub => sub
+                .setName('remove')
+                .setDescription('Remove an escalation rule')
+                .addIntegerOption(opt => opt.setName('warnings').setDescription('Warning count of the rule to remove').setRequired(true).setMinValue(1).setMaxValue(50)))
+            .addSubcommand(sub => sub.setName('list').setDescription('List escalation rules'))
+            .addSubcommand(sub => sub
+                .setName('lifetime')
+                .setDescription('Set how long warnings count toward escalation')
+                .addStringOption(opt => opt.setName('duration').setDescription('Warning lifetime (e.g., 30d, 12w) - warnings never expire if omitted'))))
+        .addSubcommandGroup(group => group
+            .setName('lockdown')
+            .setDescription('Lock many channels at once during a raid')
+            .addSubcommand(sub => sub
+                .setName('start')
+                .setDescription('Lock the lockdown channels (all text channels if none are configured)')
+                .addStringOption(opt => opt.setName('reason').setDescription('Reason for the lockdown').setMaxLength(500))
+                .addBooleanOption(opt => opt.setName('all').setDescription('Lock every text channel, ignoring the configured list')))
+            .addSubcommand(sub => sub
+                .setName('end')
+                .setDescription('Restore every locked channel to its previous permissions')
+                .addStringOption(opt => opt.setName('reason').setDescription('Reason for ending the lockdown').setMaxLength(500)))
+            .addSubcommand(sub => sub
+                .setName('channel-add')
+                .setDescription('Add a channel to the lockdown list')
+                .addChannelOption(opt => opt.setName('channel').setDescription('Channel to lock during lockdowns').addChannelTypes(...LOCKABLE_CHANNEL_TYPES).setRequired(true)))
+            .addSubcommand(sub => sub
+                .setName('channel-remove')
+                .setDescription('Remove a channel from the lockdown list')
+                .addChannelOption(opt => opt.setName('channel').setDescription('Channel to remove').addChannelTypes(...LOCKABLE_CHANNEL_TYPES).setRequired(true)))
+            .addSubcommand(sub => sub.setName('status').setDescription('Show the lockdown list and whether a lockdown is active')))
+        .addSubcommandGroup(group => group
+            .setName('appeal')
+            .setDescription('Ban appeals')
+            .addSubcommand(sub => sub
+                .setName('setup')
+                .setDescription('Set the staff channel that reviews ban appeals')
+                .addChannelOption(opt => opt.setName('channel').setDescription('Review channel - appeals are disabled if omitted').addChannelTypes(ChannelType.GuildText)))
+            .addSubcommand(sub => sub.setName('pending').setDescription('List ban appeals waiting for review'))),
 
     permissions: [PermissionFlagsBits.ModerateMembers],
     cooldown: 3,
@@ -63,6 +249,10 @@ module.exports = {
                 });
             }
 
+            if (subcommand === 'slowmode') {
+                return handleSlowmode(interaction, client);
+            }
+
             return executeAliasCommand(interaction, client, {
                 commandName: 'lockchannel',
                 requirePath: 'src/commands/moderation/lockchannel.js',
@@ -88,7 +278,9 @@ module.exports = {
         }
 
         if (!interaction.deferred && !interaction.replied) {
-            await interaction.deferReply();
+            // Notes are for moderators only, so their replies stay private
+            const isPrivate = subcommand.startsWith('note-');
+            await interaction.deferReply({ flags: isPrivate ? [MessageFlags.Ephemeral] : [] });
         }
 
         const legacyInteraction = createCommandAliasInteraction(interaction, {
@@ -99,36 +291,219 @@ module.exports = {
 
         switch (legacyInteraction.options.getSubcommand()) {
             case 'ban':
-                await handleBan(legacyInteraction);
+                await handleBan(legacyInteraction, client);
+                break;
+            case 'massban':
+                await handleMassBan(legacyInteraction);
+                break;
+            case 'softban':
+                await handleSoftban(legacyInteraction);
                 break;
             case 'kick':
                 await handleKick(legacyInteraction);
                 break;
             case 'warn':
-                await handleWarn(legacyInteraction);
+                await handleWarn(legacyInteraction, client);
                 break;
             case 'unwarn':
                 await handleUnwarn(legacyInteraction);
                 break;
+            case 'timeout':
+                await handleTimeout(legacyInteraction);
+                break;
+            case 'untimeout':
+                await handleUntimeout(legacyInteraction);
+                break;
             case 'history':
                 await handleHistory(legacyInteraction);
                 break;
+            case 'note-add':
+                await handleNoteAdd(legacyInteraction);
+                break;
+            case 'note-list':
+                await handleNoteList(legacyInteraction);
+                break;
+            case 'note-remove':
+                await handleNoteRemove(legacyInteraction);
+                break;
             case 'recent':
                 await handleRecent(legacyInteraction);
                 break;
             case 'actions':
                 await handleActions(legacyInteraction);
                 break;
+            case 'view':
+                await handleCaseView(legacyInteraction);
+                break;
+            case 'edit-reason':
+                await handleCaseEditReason(legacyInteraction);
+                break;
+            case 'delete':
+                await handleCaseDelete(legacyInteraction);
+                break;
+            case 'set':
+                await handleEscalationSet(legacyInteraction);
+                break;
+            case 'remove':
+                await handleEscalationRemove(legacyInteraction);
+                break;
+            case 'list':
+                await handleEscalationList(legacyInteraction);
+                break;
+            case 'lifetime':
+                await handleEscalationLifetime(legacyInteraction);
+                break;
+            case 'start':
+                await handleLockdownStart(legacyInteraction);
+                break;
+            case 'end':
+                await handleLockdownEnd(legacyInteraction);
+                break;
+            case 'channel-add':
+                await handleLockdownChannelAdd(legacyInteraction);
+                break;
+            case 'channel-remove':
+                await handleLockdownChannelRemove(legacyInteraction);
+                break;
+            case 'status':
+                await handleLockdownStatus(legacyInteraction);
+                break;
+            case 'setup':
+                await handleAppealSetup(legacyInteraction);
+                break;
+            case 'pending':
+                await handleAppealPending(legacyInteraction);
+                break;
+        }
+    },
+
+    /**
+     * Handle ban appeal buttons and modals (appeal_*)
+     * open/submit come from the banned user's DM; accept/deny/denyreason from the review channel.
+     */
+    async handleInteraction(interaction, client) {
+        const [, action, ...args] = interaction.customId.split('_');
+
+        switch (action) {
+            case 'open':
+                return handleAppealOpen(interaction, client, args[0], Number(args[1]) || null);
+            case 'submit':
+                return handleAppealSubmit(interaction, client, args[0], Number(args[1]) || null);
+            case 'accept':
+                return handleAppealAccept(interaction, client, Number(args[0]));
+            case 'deny':
+                return handleAppealDeny(interaction, Number(args[0]));
+            case 'denyreason':
+                return handleAppealDenyReason(interaction, client, Number(args[0]));
         }
     }
 };
 
+/**
+ * Handle /mod channel slowmode
+ * Channel moderation needs Manage Channels rather than the hub's Moderate Members
+ */
+async function handleSlowmode(interaction, client) {
+    const permissionCheck = await checkUserPermissions(interaction, {
+        data: { name: 'mod' },
+        permissions: [PermissionFlagsBits.ManageChannels]
+    });
+
+    if (!permissionCheck.allowed) {
+        return interaction.reply({
+            embeds: [permissionCheck.error],
+            flags: [MessageFlags.Ephemeral]
+        });
+    }
+
+    if (!interaction.deferred && !interaction.replied) {
+        await interaction.deferReply();
+    }
+
+    const seconds = interaction.options.getInteger('seconds');
+    const durationInput = interaction.options.getString('duration');
+    const reason = interaction.options.getString('reason');
+    const channel = interaction.channel;
+
+    if (typeof channel.setRateLimitPerUser !== 'function') {
+        return interaction.editReply({
+            embeds: [embeds.error('Unsupported Channel', 'Slowmode cannot be set in this channel.')]
+        });
+    }
+
+    let duration = null;
+    if (durationInput) {
+        const parsed = parseTime(durationInput);
+        if (!parsed.success) {
+            return interaction.editReply({
+                embeds: [embeds.error('Invalid Duration', parsed.error)]
+            });
+        }
+        duration = parsed.duration;
+
+        if (!client.channelTimerService) {
+            return interaction.editReply({
+                embeds: [embeds.error('Unavailable', 'Timed slowmode is unavailable right now. Please try again shortly.')]
+            });
+        }
+    }
+
+    const previous = channel.rateLimitPerUser ?? 0;
+
+    try {
+        await channel.setRateLimitPerUser(seconds, `Slowmode set by ${interaction.user.tag}${reason ? `: ${reason}` : ''}`);
+
+        const change = seconds > 0
+            ? `Set slowmode in #${channel.name} to ${formatDuration(seconds * 1000)}`
+            : `Cleared slowmode in #${channel.name}`;
+
+        const entry = await logModerationAction(
+            interaction.guild.id,
+            channel.id,
+            interaction.user.id,
+            'SLOWMODE',
+            reason ? `${change}: ${reason}` : change,
+            { duration, guild: interaction.guild }
+        );
+
+        // A new slowmode replaces any pending restore
+        if (duration) {
+            await client.channelTimerService.createTimer({
+                guildId: interaction.guild.id,
+                channelId: channel.id,
+                action: 'SLOWMODE',
+                value: previous,
+                executorId: interaction.user.id,
+                caseNumber: entry?.caseNumber ?? null,
+                duration
+            });
+        } else {
+            await client.channelTimerService?.cancelTimer(channel.id, 'SLOWMODE');
+        }
+
+        let description = seconds > 0
+            ? `Members can now send one message every **${formatDuration(seconds * 1000)}**.`
+            : 'Slowmode has been cleared.';
+        if (duration) {
+            const restoredText = previous > 0 ? formatDuration(previous * 1000) : 'off';
+            description += `\nRestores to **${restoredText}** <t:${Math.floor((Date.now() + duration) / 1000)}:R>.`;
+        }
+
+        await interaction.editReply({
+            embeds: [embeds.success('Slowmode Updated', description)]
+        });
+    } catch (error) {
+        await handleCommandError(error, interaction, 'updating slowmode');
+    }
+}
+
 /**
  * Handle /mod ban
  */
-async function handleBan(interaction) {
+async function handleBan(interaction, client) {
     const target = interaction.options.getMember('target');
     const reason = interaction.options.getString('reason') ?? 'No reason provided';
+    const durationInput = interaction.options.getString('duration');
 
     if (!target) {
         return interaction.editReply({
@@ -136,6 +511,23 @@ async function handleBan(interaction) {
         });
     }
 
+    let duration = null;
+    if (durationInput) {
+        const parsed = parseTime(durationInput);
+        if (!parsed.success) {
+            return interaction.editReply({
+                embeds: [embeds.error('Invalid Duration', parsed.error)]
+            });
+        }
+        duration = parsed.duration;
+
+        if (!client.tempBanService) {
+            return interaction.editReply({
+                embeds: [embeds.error('Unavailable', 'Temporary bans are unavailable right now. Please try again shortly.')]
+            });
+        }
+    }
+
     const hierarchy = validateHierarchy(interaction.member, target);
     if (!hierarchy.valid) {
         return interaction.editReply({
@@ -150,17 +542,36 @@ async function handleBan(interaction) {
     }
 
     try {
-        await executeModerationAction({
+        const entry = await executeModerationAction({
             guildId: interaction.guild.id,
             guildName: interaction.guild.name,
             target: target.user,
             executor: interaction.member,
             action: 'BAN',
-            reason
+            reason,
+            duration
         });
 
         await target.ban({ reason });
 
+        if (duration) {
+            await client.tempBanService.createTempBan({
+                guildId: interaction.guild.id,
+                userId: target.id,
+                executorId: interaction.user.id,
+                caseNumber: entry?.caseNumber ?? null,
+                duration
+            });
+
+            const expiresAt = Math.floor((Date.now() + duration) / 1000);
+            return interaction.editReply({
+                embeds: [embeds.success('Member Banned', `**${target.user.tag}** has been banned for **${formatDuration(duration)}** (lifted <t:${expiresAt}:R>).\n**Reason:** ${reason}`)]
+            });
+        }
+
+        // A permanent ban replaces any temp ban that would otherwise lift it
+        await client.tempBanService?.cancelTempBan(interaction.guild.id, target.id);
+
         await interaction.editReply({
             embeds: [embeds.success('Member Banned', `**${target.user.tag}** has been banned.\n**Reason:** ${reason}`)]
         });
@@ -169,6 +580,192 @@ async function handleBan(interaction) {
     }
 }
 
+/**
+ * Handle /mod massban
+ * Collects IDs from the text option and/or a .txt file, then asks for confirmation before banning.
+ */
+async function handleMassBan(interaction) {
+    const text = interaction.options.getString('ids') ?? '';
+    const file = interaction.options.getAttachment('file');
+    const reason = interaction.options.getString('reason') ?? 'Mass ban';
+    const deleteDays = interaction.options.getInteger('delete_days') ?? 0;
+
+    // Bans skip the per-member checks of /mod ban, so the moderator must be able to ban themselves
+    if (!interaction.member.permissions.has(PermissionFlagsBits.BanMembers)) {
+        return interaction.editReply({
+            embeds: [embeds.error('Missing Permissions', 'You need the **Ban Members** permission to mass ban.')]
+        });
+    }
+
+    let input = text;
+    if (file) {
+        if (!file.name.toLowerCase().endsWith('.txt') || file.size > MAX_MASSBAN_FILE_SIZE) {
+            return interaction.editReply({
+                embeds: [embeds.error('Invalid File', `Upload a .txt file no larger than ${MAX_MASSBAN_FILE_SIZE / 1024} KB.`)]
+            });
+        }
+
+        try {
+            const response = await axios.get(file.url, { responseType: 'text', timeout: 10000 });
+            input += `\n${response.data}`;
+        } catch (error) {
+            logger.error(`Failed to download massban list for ${interaction.guild.id}:`, error);
+            return interaction.editReply({
+                embeds: [embeds.error('Download Failed', 'Could not read the uploaded file. Please try again.')]
+            });
+        }
+    }
+
+    const userIds = parseUserIds(input);
+    if (userIds.length === 0) {
+        return interaction.editReply({
+            embeds: [embeds.error('No IDs', 'Provide user IDs in the `ids` option or a .txt file.')]
+        });
+    }
+
+    if (userIds.length > MAX_MASSBAN_USERS) {
+        return interaction.editReply({
+            embeds: [embeds.error('Too Many IDs', `A mass ban can include at most ${MAX_MASSBAN_USERS} users (got ${userIds.length}).`)]
+        });
+    }
+
+    const { allowed, skipped } = await filterBannableIds(interaction.guild, interaction.member, userIds);
+    if (allowed.length === 0) {
+        return interaction.editReply({
+            embeds: [embeds.error('Nothing to Ban', 'None of these users can be banned by you.')]
+        });
+    }
+
+    const skippedText = skipped.length > 0
+        ? `\n**${skipped.length}** users are skipped (you, the bot, the owner, or members above you or the bot).`
+        : '';
+    const confirmEmbed = embeds.warn(
+        'Confirm Mass Ban',
+        `Ban **${allowed.length}** users?${skippedText}\n\n**Reason:** ${reason}\n**Delete messages:** ${deleteDays > 0 ? `${deleteDays} days` : 'None'}`
+    );
+
+    const row = new ActionRowBuilder().addComponents(
+        new ButtonBuilder().setCustomId('massban_confirm').setLabel(`Ban ${allowed.length} Users`).setStyle(ButtonStyle.Danger),
+        new ButtonBuilder().setCustomId('massban_cancel').setLabel('Cancel').setStyle(ButtonStyle.Secondary)
+    );
+
+    const response = await interaction.editReply({ embeds: [confirmEmbed], components: [row] });
+
+    const collector = response.createMessageComponentCollector({
+        filter: i => i.user.id === interaction.user.id && i.customId.startsWith('massban_'),
+        time: 60000,
+        max: 1
+    });
+
+    collector.on('collect', async button => {
+        if (button.customId === 'massban_cancel') {
+            await button.update({ embeds: [embeds.info('Mass Ban Cancelled', 'No users were banned.')], components: [] });
+            return;
+        }
+
+        await button.update({
+            embeds: [embeds.info('Mass Banning...', `Banning **${allowed.length}** users. This may take a moment.`)],
+            components: []
+        });
+
+        try {
+            const result = await executeMassBan(interaction.guild, allowed, {
+                executorId: interaction.user.id,
+                reason,
+                deleteMessageSeconds: deleteDays * DAY_SECONDS
+            });
+            await sendMassBanLog(interaction.guild, { executor: interaction.user, reason, result });
+
+            const failedText = result.failed.length > 0
+                ? `\n**${result.failed.length}** could not be banned (already banned or unknown users).`
+                : '';
+            await button.editReply({
+                embeds: [(result.banned.length > 0 ? embeds.success : embeds.warn)(
+                    'Mass Ban Complete',
+                    `Banned **${result.banned.length}** users (cases ${formatCaseRange(result.cases)}).${failedText}\n**Reason:** ${reason}`
+                )]
+            });
+        } catch (error) {
+            logger.error(`Mass ban failed in ${interaction.guild.id}:`, error);
+            await button.editReply({
+                embeds: [embeds.error('Mass Ban Failed', 'Something went wrong while banning. Check the ban list before retrying.')]
+            }).catch(() => {});
+        }
+    });
+
+    collector.on('end', collected => {
+        if (collected.size === 0) {
+            interaction.editReply({
+                embeds: [embeds.warn('Mass Ban Timed Out', 'Mass ban confirmation timed out after 60 seconds.')],
+                components: []
+            }).catch(() => {});
+        }
+    });
+}
+
+/**
+ * Handle /mod softban
+ * Bans and unbans right away: the member is removed and their recent messages are deleted, but they can rejoin.
+ */
+async function handleSoftban(interaction) {
+    const target = interaction.options.getUser('target');
+    const reason = interaction.options.getString('reason') ?? 'No reason provided';
+    const deleteDays = interaction.options.getInteger('delete_days') ?? 1;
+
+    // A softban is a ban followed by an unban, so the moderator must be able to ban themselves
+    if (!interaction.member.permissions.has(PermissionFlagsBits.BanMembers)) {
+        return interaction.editReply({
+            embeds: [embeds.error('Missing Permissions', 'You need the **Ban Members** permission to softban.')]
+        });
+    }
+
+    const member = await interaction.guild.members.fetch(target.id).catch(() => null);
+    if (member) {
+        const hierarchy = validateHierarchy(interaction.member, member);
+        if (!hierarchy.valid) {
+            return interaction.editReply({
+                embeds: [embeds.error('Cannot Moderate', hierarchy.error)]
+            });
+        }
+
+        if (!member.bannable) {
+            return interaction.editReply({
+                embeds: [embeds.error('Error', 'I cannot ban this user. They might have a higher role than me.')]
+            });
+        }
+    } else {
+        // The unban would lift a standing ban
+        const existingBan = await interaction.guild.bans.fetch(target.id).catch(() => null);
+        if (existingBan) {
+            return interaction.editReply({
+                embeds: [embeds.error('Already Banned', `**${target.tag}** is already banned. A softban would lift that ban.`)]
+            });
+        }
+    }
+
+    try {
+        // DM first - after the ban the bot shares no server with them
+        await executeModerationAction({
+            guildId: interaction.guild.id,
+            guildName: interaction.guild.name,
+            target,
+            executor: interaction.member,
+            action: 'SOFTBAN',
+            reason,
+            notify: Boolean(member)
+        });
+
+        await interaction.guild.bans.create(target.id, { reason: `Softban: ${reason}`, deleteMessageSeconds: deleteDays * DAY_SECONDS });
+        await interaction.guild.bans.remove(target.id, `Softban: ${reason}`);
+
+        await interaction.editReply({
+            embeds: [embeds.success('Member Softbanned', `**${target.tag}** has been softbanned and their last ${deleteDays} day(s) of messages deleted.\n**Reason:** ${reason}`)]
+        });
+    } catch (error) {
+        await handleCommandError(error, interaction, 'softbanning member');
+    }
+}
+
 /**
  * Handle /mod kick
  */
@@ -218,7 +815,7 @@ async function handleKick(interaction) {
 /**
  * Handle /mod warn
  */
-async function handleWarn(interaction) {
+async function handleWarn(interaction, client) {
     const target = interaction.options.getUser('target');
     const reason = interaction.options.getString('reason');
 
@@ -246,8 +843,15 @@ async function handleWarn(interaction) {
             reason
         });
 
+        let description = `**${target.tag}** has been warned.\n**Reason:** ${reason}`;
+
+        const escalation = await applyEscalation({ guild: interaction.guild, target, client });
+        if (escalation) {
+            description += `\n\n${formatEscalationResult(escalation)}`;
+        }
+
         await interaction.editReply({
-            embeds: [embeds.success('Member Warned', `**${target.tag}** has been warned.\n**Reason:** ${reason}`)]
+            embeds: [embeds.success('Member Warned', description)]
         });
     } catch (error) {
         await handleCommandError(error, interaction, 'warning member');
@@ -259,36 +863,29 @@ async function handleWarn(interaction) {
  */
 async function handleUnwarn(interaction) {
     const target = interaction.options.getUser('target');
-    const id = interaction.options.getInteger('id');
+    const caseNumber = interaction.options.getInteger('case');
 
     try {
         // Check if warning exists and matches target
-        const warning = await db.select()
-            .from(moderationLogs)
-            .where(and(
-                eq(moderationLogs.id, id),
-                eq(moderationLogs.guildId, interaction.guild.id)
-            ))
-            .get();
+        const warning = await getCase(interaction.guild.id, caseNumber);
 
-        if (!warning) {
+        if (!warning || warning.action !== 'WARN') {
             return interaction.editReply({
-                embeds: [embeds.error('Not Found', `Warning ID **${id}** was not found in this server.`)]
+                embeds: [embeds.error('Not Found', `No warning with case **#${caseNumber}** was found in this server.`)]
             });
         }
 
         if (warning.targetId !== target.id) {
             return interaction.editReply({
-                embeds: [embeds.error('Mismatch', `Warning ID **${id}** does not belong to ${target}.`)]
+                embeds: [embeds.error('Mismatch', `Case **#${caseNumber}** does not belong to ${target}.`)]
             });
         }
 
-        // Delete warning
-        await db.delete(moderationLogs)
-            .where(eq(moderationLogs.id, id));
+        // Soft delete keeps the case number reserved and the removal auditable
+        await deleteCase(interaction.guild.id, caseNumber, interaction.user.id, 'Warning removed');
 
         return interaction.editReply({
-            embeds: [embeds.success('Warning Removed', `Successfully removed Warning ID **${id}** from ${target}.`)]
+            embeds: [embeds.success('Warning Removed', `Successfully removed warning case **#${caseNumber}** from ${target}.`)]
         });
 
     } catch (error) {
@@ -297,72 +894,286 @@ async function handleUnwarn(interaction) {
 }
 
 /**
- * Handle /mod history
+ * Handle /mod timeout
  */
-async function handleHistory(interaction) {
-    const target = interaction.options.getUser('target');
-    const actionFilter = interaction.options.getString('action');
-    const limit = interaction.options.getInteger('limit') ?? 10;
+async function handleTimeout(interaction) {
+    const target = interaction.options.getMember('target');
+    const durationInput = interaction.options.getString('duration');
+    const reason = interaction.options.getString('reason') ?? 'No reason provided';
 
-    if (!interaction.deferred && !interaction.replied) {
-        await interaction.deferReply(); // Public for transparency
+    if (!target) {
+        return interaction.editReply({
+            embeds: [embeds.error('Error', 'Target member not found.')]
+        });
     }
 
-    try {
-        let logs = await db.select()
-            .from(moderationLogs)
-            .where(and(
-                eq(moderationLogs.guildId, interaction.guild.id),
-                eq(moderationLogs.targetId, target.id)
-            ))
-            .orderBy(desc(moderationLogs.timestamp))
-            .limit(limit);
-
-        // Filter by action type if specified
-        if (actionFilter) {
-            logs = logs.filter(log => log.action === actionFilter);
-        }
-
-        const title = actionFilter
-            ? `History: ${target.username} (${actionFilter} only)`
-            : `History: ${target.username}`;
+    const parsed = parseTimeoutDuration(durationInput);
+    if (!parsed.success) {
+        return interaction.editReply({
+            embeds: [embeds.error('Invalid Duration', parsed.error)]
+        });
+    }
 
-        if (logs.length === 0) {
-            return interaction.editReply({
-                embeds: [embeds.brand(title, 'No moderation logs found.')]
-            });
-        }
+    const hierarchy = validateHierarchy(interaction.member, target);
+    if (!hierarchy.valid) {
+        return interaction.editReply({
+            embeds: [embeds.error('Cannot Moderate', hierarchy.error)]
+        });
+    }
 
-        const description = logs.map(log => {
-            const timestamp = Math.floor(log.timestamp / 1000);
-            const reason = log.reason || 'No reason provided';
-            return `**#${log.id}** [**${log.action}**] <t:${timestamp}:d>\n→ By: <@${log.executorId}>\n→ Reason: ${reason}`;
-        }).join('\n\n');
+    if (!target.moderatable) {
+        return interaction.editReply({
+            embeds: [embeds.error('Error', 'I cannot time out this user. They might have a higher role than me.')]
+        });
+    }
 
-        const embed = embeds.brand(title, description.slice(0, 4000))
-            .setFooter({ text: `Showing ${logs.length} results` });
+    try {
+        // Time out first so a failed timeout leaves no case or DM behind
+        await target.timeout(parsed.duration, reason);
 
-        await interaction.editReply({ embeds: [embed] });
+        await executeModerationAction({
+            guildId: interaction.guild.id,
+            guildName: interaction.guild.name,
+            target: target.user,
+            executor: interaction.member,
+            action: 'TIMEOUT',
+            reason,
+            duration: parsed.duration
+        });
 
+        const expiresAt = Math.floor((Date.now() + parsed.duration) / 1000);
+        await interaction.editReply({
+            embeds: [embeds.success('Member Timed Out', `**${target.user.tag}** has been timed out for **${formatDuration(parsed.duration)}** (expires <t:${expiresAt}:R>).\n**Reason:** ${reason}`)]
+        });
     } catch (error) {
-        await handleCommandError(error, interaction, 'fetching history', { ephemeral: false });
+        await handleCommandError(error, interaction, 'timing out member');
     }
 }
 
 /**
- * Handle /mod recent
+ * Handle /mod untimeout
  */
-async function handleRecent(interaction) {
-    const limit = interaction.options.getInteger('limit') ?? 10;
-
-    if (!interaction.deferred && !interaction.replied) {
-        await interaction.deferReply(); // Public for transparency
-    }
+async function handleUntimeout(interaction) {
+    const target = interaction.options.getMember('target');
+    const reason = interaction.options.getString('reason') ?? 'No reason provided';
 
-    try {
+    if (!target) {
+        return interaction.editReply({
+            embeds: [embeds.error('Error', 'Target member not found.')]
+        });
+    }
+
+    if (!target.isCommunicationDisabled()) {
+        return interaction.editReply({
+            embeds: [embeds.error('Not Timed Out', `**${target.user.tag}** is not currently timed out.`)]
+        });
+    }
+
+    const hierarchy = validateHierarchy(interaction.member, target);
+    if (!hierarchy.valid) {
+        return interaction.editReply({
+            embeds: [embeds.error('Cannot Moderate', hierarchy.error)]
+        });
+    }
+
+    if (!target.moderatable) {
+        return interaction.editReply({
+            embeds: [embeds.error('Error', 'I cannot remove this user\'s timeout. They might have a higher role than me.')]
+        });
+    }
+
+    try {
+        await target.timeout(null, reason);
+
+        await executeModerationAction({
+            guildId: interaction.guild.id,
+            guildName: interaction.guild.name,
+            target: target.user,
+            executor: interaction.member,
+            action: 'UNTIMEOUT',
+            reason
+        });
+
+        await interaction.editReply({
+            embeds: [embeds.success('Timeout Removed', `**${target.user.tag}**'s timeout has been removed.\n**Reason:** ${reason}`)]
+        });
+    } catch (error) {
+        await handleCommandError(error, interaction, 'removing timeout');
+    }
+}
+
+/**
+ * Format the duration line for a moderation log entry (empty for untimed actions)
+ */
+function formatLogDuration(log) {
+    return log.duration ? `\n→ Duration: ${formatDuration(log.duration)}` : '';
+}
+
+/**
+ * Mark cases imported from the audit log (actions taken outside the bot)
+ */
+function formatLogSource(log) {
+    return log.source === 'external' ? ' *(external)*' : '';
+}
+
+/**
+ * Handle /mod history
+ */
+async function handleHistory(interaction) {
+    const target = interaction.options.getUser('target');
+    const actionFilter = interaction.options.getString('action');
+    const limit = interaction.options.getInteger('limit') ?? 10;
+
+    if (!interaction.deferred && !interaction.replied) {
+        await interaction.deferReply(); // Public for transparency
+    }
+
+    try {
+        let logs = await db.select()
+            .from(moderationLogs)
+            .where(and(
+                eq(moderationLogs.guildId, interaction.guild.id),
+                eq(moderationLogs.targetId, target.id),
+                isNull(moderationLogs.deletedAt)
+            ))
+            .orderBy(desc(moderationLogs.timestamp))
+            .limit(limit);
+
+        // Filter by action type if specified
+        if (actionFilter) {
+            logs = logs.filter(log => log.action === actionFilter);
+        }
+
+        const title = actionFilter
+            ? `History: ${target.username} (${actionFilter} only)`
+            : `History: ${target.username}`;
+
+        // Notes aren't cases, so an action filter hides them; a public reply never shows them
+        const notes = actionFilter || !interaction.ephemeral ? [] : await getNotes(interaction.guild.id, target.id);
+
+        if (logs.length === 0 && notes.length === 0) {
+            return interaction.editReply({
+                embeds: [embeds.brand(title, 'No moderation logs found.')]
+            });
+        }
+
+        const lifetime = await getWarningLifetime(interaction.guild.id);
+        const now = Date.now();
+
+        const description = logs.length > 0
+            ? logs.map(log => {
+                const timestamp = Math.floor(log.timestamp / 1000);
+                const reason = log.reason || 'No reason provided';
+                const expired = isWarningExpired(log, lifetime, now) ? ' *(expired)*' : '';
+                return `**Case #${log.caseNumber}** [**${log.action}**]${formatLogSource(log)}${expired} <t:${timestamp}:d>\n→ By: <@${log.executorId}>\n→ Reason: ${reason}${formatLogDuration(log)}`;
+            }).join('\n\n')
+            : 'No moderation logs found.';
+
+        const embed = embeds.brand(title, description.slice(0, 4000))
+            .setFooter({ text: `Showing ${logs.length} results` });
+
+        if (notes.length > 0) {
+            const noteText = notes.slice(0, 5).map(note => formatNote(note, 150)).join('\n');
+            const more = notes.length > 5 ? `\n*+${notes.length - 5} more - see \`/mod user note-list\`*` : '';
+            embed.addFields({ name: `📝 Notes (${notes.length})`, value: `${noteText}${more}`.slice(0, 1024) });
+        }
+
+        await interaction.editReply({ embeds: [embed] });
+
+    } catch (error) {
+        await handleCommandError(error, interaction, 'fetching history', { ephemeral: false });
+    }
+}
+
+/**
+ * Handle /mod user note-add
+ * Notes are for moderators only - the member is never DMed.
+ */
+async function handleNoteAdd(interaction) {
+    const target = interaction.options.getUser('target');
+    const text = interaction.options.getString('text');
+
+    try {
+        const result = await addNote(interaction.guild.id, target.id, interaction.user.id, text);
+        if (!result.success) {
+            return interaction.editReply({
+                embeds: [embeds.error('Cannot Add Note', result.error)]
+            });
+        }
+
+        await interaction.editReply({
+            embeds: [embeds.success('Note Added', `Added **note #${result.note.id}** on **${target.tag}**. They have not been notified.`)]
+        });
+    } catch (error) {
+        await handleCommandError(error, interaction, 'adding note');
+    }
+}
+
+/**
+ * Handle /mod user note-list
+ */
+async function handleNoteList(interaction) {
+    const target = interaction.options.getUser('target');
+
+    try {
+        const notes = await getNotes(interaction.guild.id, target.id);
+
+        if (notes.length === 0) {
+            return interaction.editReply({
+                embeds: [embeds.brand(`Notes: ${target.username}`, 'No notes found.')]
+            });
+        }
+
+        const description = notes.map(note => formatNote(note, 300)).join('\n\n');
+
+        await interaction.editReply({
+            embeds: [embeds.brand(`Notes: ${target.username}`, description.slice(0, 4000))
+                .setFooter({ text: `${notes.length} notes` })]
+        });
+    } catch (error) {
+        await handleCommandError(error, interaction, 'fetching notes');
+    }
+}
+
+/**
+ * Handle /mod user note-remove
+ */
+async function handleNoteRemove(interaction) {
+    const noteId = interaction.options.getInteger('id');
+
+    try {
+        const removed = await removeNote(interaction.guild.id, noteId);
+        if (!removed) {
+            return interaction.editReply({
+                embeds: [embeds.error('Not Found', `Note **#${noteId}** was not found in this server.`)]
+            });
+        }
+
+        await interaction.editReply({
+            embeds: [embeds.success('Note Removed', `Note **#${noteId}** on <@${removed.userId}> has been removed.`)]
+        });
+    } catch (error) {
+        await handleCommandError(error, interaction, 'removing note');
+    }
+}
+
+/**
+ * Handle /mod recent
+ */
+async function handleRecent(interaction) {
+    const limit = interaction.options.getInteger('limit') ?? 10;
+
+    if (!interaction.deferred && !interaction.replied) {
+        await interaction.deferReply(); // Public for transparency
+    }
+
+    try {
         const logs = await db.select()
             .from(moderationLogs)
-            .where(eq(moderationLogs.guildId, interaction.guild.id))
+            .where(and(
+                eq(moderationLogs.guildId, interaction.guild.id),
+                isNull(moderationLogs.deletedAt)
+            ))
             .orderBy(desc(moderationLogs.timestamp))
             .limit(limit);
 
@@ -375,7 +1186,7 @@ async function handleRecent(interaction) {
         const description = logs.map(log => {
             const timestamp = Math.floor(log.timestamp / 1000);
             const reason = log.reason || 'No reason provided';
-            return `**#${log.id}** [**${log.action}**] <t:${timestamp}:d>\n→ Target: <@${log.targetId}> | By: <@${log.executorId}>\n→ Reason: ${reason}`;
+            return `**Case #${log.caseNumber}** [**${log.action}**]${formatLogSource(log)} <t:${timestamp}:d>\n→ Target: <@${log.targetId}> | By: <@${log.executorId}>\n→ Reason: ${reason}${formatLogDuration(log)}`;
         }).join('\n\n');
 
         const embed = embeds.brand('Recent Moderation Actions', description.slice(0, 4000))
@@ -404,7 +1215,8 @@ async function handleActions(interaction) {
             .from(moderationLogs)
             .where(and(
                 eq(moderationLogs.guildId, interaction.guild.id),
-                eq(moderationLogs.executorId, moderator.id)
+                eq(moderationLogs.executorId, moderator.id),
+                isNull(moderationLogs.deletedAt)
             ))
             .orderBy(desc(moderationLogs.timestamp))
             .limit(limit);
@@ -420,7 +1232,7 @@ async function handleActions(interaction) {
         const description = logs.map(log => {
             const timestamp = Math.floor(log.timestamp / 1000);
             const reason = log.reason || 'No reason provided';
-            return `**#${log.id}** [**${log.action}**] <t:${timestamp}:d>\n→ Target: <@${log.targetId}>\n→ Reason: ${reason}`;
+            return `**Case #${log.caseNumber}** [**${log.action}**]${formatLogSource(log)} <t:${timestamp}:d>\n→ Target: <@${log.targetId}>\n→ Reason: ${reason}${formatLogDuration(log)}`;
         }).join('\n\n');
 
         const embed = embeds.brand(title, description.slice(0, 4000))
@@ -432,3 +1244,727 @@ async function handleActions(interaction) {
         await handleCommandError(error, interaction, 'fetching moderator actions', { ephemeral: false });
     }
 }
+
+/**
+ * Format a single audit trail entry for a case
+ */
+function formatCaseEdit(edit) {
+    const timestamp = Math.floor(new Date(edit.editedAt).getTime() / 1000);
+
+    if (edit.field === 'deleted') {
+        const reason = edit.newValue ? `: ${edit.newValue}` : '';
+        return `<t:${timestamp}:d> <@${edit.editorId}> deleted the case${reason}`;
+    }
+
+    return `<t:${timestamp}:d> <@${edit.editorId}> changed ${edit.field}: "${edit.oldValue ?? 'None'}" → "${edit.newValue ?? 'None'}"`;
+}
+
+/**
+ * Handle /mod case view
+ */
+async function handleCaseView(interaction) {
+    const caseNumber = interaction.options.getInteger('number');
+
+    try {
+        const entry = await getCase(interaction.guild.id, caseNumber, { includeDeleted: true });
+
+        if (!entry) {
+            return interaction.editReply({
+                embeds: [embeds.error('Not Found', `Case **#${caseNumber}** was not found in this server.`)]
+            });
+        }
+
+        const timestamp = Math.floor(new Date(entry.timestamp).getTime() / 1000);
+        const embed = embeds.brand(`Case #${entry.caseNumber} | ${entry.action}`, null)
+            .addFields(
+                { name: 'Target', value: `<@${entry.targetId}> (${entry.targetId})`, inline: true },
+                { name: 'Moderator', value: `<@${entry.executorId}>`, inline: true },
+                { name: 'Date', value: `<t:${timestamp}:f>`, inline: true },
+                { name: 'Reason', value: entry.reason || 'No reason provided' }
+            );
+
+        if (entry.duration) {
+            embed.addFields({ name: 'Duration', value: formatDuration(entry.duration), inline: true });
+        }
+
+        if (entry.relatedCaseNumber) {
+            embed.addFields({ name: 'Related Case', value: `#${entry.relatedCaseNumber}`, inline: true });
+        }
+
+        if (entry.source === 'external') {
+            embed.addFields({ name: 'Source', value: 'Outside the bot (audit log)', inline: true });
+        }
+
+        if (entry.transcriptUrl) {
+            embed.addFields({ name: 'Transcript', value: `[View transcript](${entry.transcriptUrl})`, inline: true });
+        }
+
+        if (entry.deletedAt) {
+            const deletedAt = Math.floor(new Date(entry.deletedAt).getTime() / 1000);
+            embed.addFields({ name: 'Status', value: `Deleted by <@${entry.deletedBy}> <t:${deletedAt}:R>` });
+        }
+
+        const edits = await getCaseEdits(interaction.guild.id, caseNumber);
+        if (edits.length > 0) {
+            embed.addFields({
+                name: `Audit Trail (${edits.length})`,
+                value: edits.map(formatCaseEdit).join('\n').slice(0, 1024)
+            });
+        }
+
+        await interaction.editReply({ embeds: [embed] });
+
+    } catch (error) {
+        await handleCommandError(error, interaction, 'fetching case', { ephemeral: false });
+    }
+}
+
+/**
+ * Handle /mod case edit-reason
+ */
+async function handleCaseEditReason(interaction) {
+    const caseNumber = interaction.options.getInteger('number');
+    const reason = interaction.options.getString('reason');
+
+    try {
+        const result = await editCaseReason(interaction.guild.id, caseNumber, interaction.user.id, reason);
+
+        if (!result) {
+            return interaction.editReply({
+                embeds: [embeds.error('Not Found', `Case **#${caseNumber}** was not found in this server.`)]
+            });
+        }
+
+        await interaction.editReply({
+            embeds: [embeds.success('Case Updated', `Reason for case **#${caseNumber}** updated.\n**Before:** ${result.before.reason || 'No reason provided'}\n**After:** ${reason}`)]
+        });
+
+    } catch (error) {
+        await handleCommandError(error, interaction, 'editing case');
+    }
+}
+
+/**
+ * Handle /mod case delete
+ */
+async function handleCaseDelete(interaction) {
+    const caseNumber = interaction.options.getInteger('number');
+    const reason = interaction.options.getString('reason');
+
+    try {
+        const deleted = await deleteCase(interaction.guild.id, caseNumber, interaction.user.id, reason);
+
+        if (!deleted) {
+            return interaction.editReply({
+                embeds: [embeds.error('Not Found', `Case **#${caseNumber}** was not found in this server.`)]
+            });
+        }
+
+        await interaction.editReply({
+            embeds: [embeds.success('Case Deleted', `Case **#${caseNumber}** (${deleted.action} on <@${deleted.targetId}>) has been deleted.`)]
+        });
+
+    } catch (error) {
+        await handleCommandError(error, interaction, 'deleting case');
+    }
+}
+
+/**
+ * Settings that change what the bot does on its own (escalation, appeals) need Manage Server
+ */
+async function requireManageGuild(interaction, action = 'configure escalation rules') {
+    if (interaction.member.permissions.has(PermissionFlagsBits.ManageGuild)) {
+        return true;
+    }
+
+    await interaction.editReply({
+        embeds: [embeds.error('Missing Permissions', `You need **Manage Server** permission to ${action}.`)]
+    });
+    return false;
+}
+
+/**
+ * Handle /mod escalation set
+ */
+async function handleEscalationSet(interaction) {
+    if (!await requireManageGuild(interaction)) return;
+
+    const warningCount = interaction.options.getInteger('warnings');
+    const action = interaction.options.getString('action');
+    const durationInput = interaction.options.getString('duration');
+
+    let duration = null;
+    if (durationInput && action !== 'KICK') {
+        const parsed = action === 'TIMEOUT' ? parseTimeoutDuration(durationInput) : parseTime(durationInput);
+        if (!parsed.success) {
+            return interaction.editReply({
+                embeds: [embeds.error('Invalid Duration', parsed.error)]
+            });
+        }
+        duration = parsed.duration;
+    }
+
+    try {
+        const result = await setEscalationRule(interaction.guild.id, {
+            warningCount,
+            action,
+            duration,
+            createdBy: interaction.user.id
+        });
+
+        if (!result.success) {
+            return interaction.editReply({
+                embeds: [embeds.error('Cannot Save Rule', result.error)]
+            });
+        }
+
+        const replacedText = result.replaced ? `\n*Replaced:* ${describeEscalationRule(result.replaced)}` : '';
+        await interaction.editReply({
+            embeds: [embeds.success('Escalation Rule Saved', `**${describeEscalationRule(result.rule)}**${replacedText}`)]
+        });
+    } catch (error) {
+        await handleCommandError(error, interaction, 'saving escalation rule');
+    }
+}
+
+/**
+ * Handle /mod escalation remove
+ */
+async function handleEscalationRemove(interaction) {
+    if (!await requireManageGuild(interaction)) return;
+
+    const warningCount = interaction.options.getInteger('warnings');
+
+    try {
+        const removed = await removeEscalationRule(interaction.guild.id, warningCount);
+
+        if (!removed) {
+            return interaction.editReply({
+                embeds: [embeds.error('Not Found', `There is no escalation rule for **${warningCount}** warnings.`)]
+            });
+        }
+
+        await interaction.editReply({
+            embeds: [embeds.success('Escalation Rule Removed', `Members will no longer be punished automatically at **${warningCount}** warnings.`)]
+        });
+    } catch (error) {
+        await handleCommandError(error, interaction, 'removing escalation rule');
+    }
+}
+
+/**
+ * Handle /mod escalation list
+ */
+async function handleEscalationList(interaction) {
+    try {
+        const rules = await getEscalationRules(interaction.guild.id);
+        const lifetime = await getWarningLifetime(interaction.guild.id);
+        const lifetimeText = `**Warning lifetime:** ${lifetime ? formatDuration(lifetime) : 'Never expire'}`;
+
+        if (rules.length === 0) {
+            return interaction.editReply({
+                embeds: [embeds.brand('Escalation Rules', `No escalation rules configured. Use \`/mod escalation set\` to add one.\n\n${lifetimeText}`)]
+            });
+        }
+
+        const description = rules.map(rule => `• ${describeEscalationRule(rule)}`).join('\n');
+        await interaction.editReply({
+            embeds: [embeds.brand('Escalation Rules', `${description}\n\n${lifetimeText}`)]
+        });
+    } catch (error) {
+        await handleCommandError(error, interaction, 'fetching escalation rules', { ephemeral: false });
+    }
+}
+
+/**
+ * Handle /mod escalation lifetime
+ */
+async function handleEscalationLifetime(interaction) {
+    if (!await requireManageGuild(interaction)) return;
+
+    const durationInput = interaction.options.getString('duration');
+
+    let lifetime = null;
+    if (durationInput) {
+        const parsed = parseTime(durationInput);
+        if (!parsed.success) {
+            return interaction.editReply({
+                embeds: [embeds.error('Invalid Duration', parsed.error)]
+            });
+        }
+        lifetime = parsed.duration;
+    }
+
+    try {
+        await setWarningLifetime(interaction.guild.id, lifetime);
+
+        const description = lifetime
+            ? `Warnings now stop counting toward escalation after **${formatDuration(lifetime)}**. Expired warnings stay in history.`
+            : 'Warnings now count toward escalation forever.';
+
+        await interaction.editReply({
+            embeds: [embeds.success('Warning Lifetime Updated', description)]
+        });
+    } catch (error) {
+        await handleCommandError(error, interaction, 'updating warning lifetime');
+    }
+}
+
+/**
+ * Lockdowns rewrite channel permissions, so they need Manage Channels
+ */
+async function requireManageChannels(interaction) {
+    if (interaction.member.permissions.has(PermissionFlagsBits.ManageChannels)) {
+        return true;
+    }
+
+    await interaction.editReply({
+        embeds: [embeds.error('Missing Permissions', 'You need **Manage Channels** permission to manage lockdowns.')]
+    });
+    return false;
+}
+
+/**
+ * Handle /mod lockdown start
+ */
+async function handleLockdownStart(interaction) {
+    if (!await requireManageChannels(interaction)) return;
+
+    const reason = interaction.options.getString('reason') ?? 'No reason provided';
+    const all = interaction.options.getBoolean('all') ?? false;
+
+    try {
+        const active = await getLockdownSnapshots(interaction.guild.id);
+        if (active.length > 0) {
+            return interaction.editReply({
+                embeds: [embeds.error('Lockdown Active', `A lockdown is already active on **${active.length}** channels. End it with \`/mod lockdown end\` first.`)]
+            });
+        }
+
+        const channels = await resolveLockdownChannels(interaction.guild, { all });
+        if (channels.length === 0) {
+            return interaction.editReply({
+                embeds: [embeds.error('No Channels', 'There are no channels to lock.')]
+            });
+        }
+
+        const { locked, failed } = await startLockdown(interaction.guild, channels, {
+            executorId: interaction.user.id,
+            reason: `Lockdown by ${interaction.user.tag}: ${reason}`
+        });
+
+        if (locked.length > 0) {
+            await logModerationAction(
+                interaction.guild.id,
+                interaction.guild.id,
+                interaction.user.id,
+                'LOCKDOWN',
+                `Locked ${locked.length} channels: ${reason}`,
+                { guild: interaction.guild }
+            );
+        }
+
+        let description = `Locked **${locked.length}** channels.\n**Reason:** ${reason}`;
+        if (failed.length > 0) {
+            description += `\n\n⚠️ Could not lock ${failed.map(({ channel }) => `<#${channel.id}>`).join(', ')}.`;
+        }
+        description += '\n\nRun `/mod lockdown end` to restore their previous permissions.';
+
+        await interaction.editReply({
+            embeds: [locked.length > 0
+                ? embeds.success('Lockdown Started', description)
+                : embeds.error('Lockdown Failed', description)]
+        });
+    } catch (error) {
+        await handleCommandError(error, interaction, 'starting the lockdown');
+    }
+}
+
+/**
+ * Handle /mod lockdown end
+ */
+async function handleLockdownEnd(interaction) {
+    if (!await requireManageChannels(interaction)) return;
+
+    const reason = interaction.options.getString('reason') ?? 'No reason provided';
+
+    try {
+        const active = await getLockdownSnapshots(interaction.guild.id);
+        if (active.length === 0) {
+            return interaction.editReply({
+                embeds: [embeds.error('No Lockdown', 'There is no active lockdown in this server.')]
+            });
+        }
+
+        const { restored, missing, failed } = await endLockdown(interaction.guild, {
+            executorId: interaction.user.id,
+            reason: `Lockdown ended by ${interaction.user.tag}: ${reason}`
+        });
+
+        if (restored > 0) {
+            await logModerationAction(
+                interaction.guild.id,
+                interaction.guild.id,
+                interaction.user.id,
+                'LOCKDOWN_END',
+                `Restored ${restored} channels: ${reason}`,
+                { guild: interaction.guild }
+            );
+        }
+
+        let description = `Restored the previous permissions of **${restored}** channels.`;
+        if (missing > 0) {
+            description += `\n${missing} locked channels no longer exist.`;
+        }
+        if (failed.length > 0) {
+            description += `\n\n⚠️ Could not restore ${failed.map(({ channelId }) => `<#${channelId}>`).join(', ')}. Their snapshots were kept - run \`/mod lockdown end\` again once the bot can manage them.`;
+        }
+
+        await interaction.editReply({
+            embeds: [failed.length === 0
+                ? embeds.success('Lockdown Ended', description)
+                : embeds.warn('Lockdown Partially Ended', description)]
+        });
+    } catch (error) {
+        await handleCommandError(error, interaction, 'ending the lockdown');
+    }
+}
+
+/**
+ * Handle /mod lockdown channel-add
+ */
+async function handleLockdownChannelAdd(interaction) {
+    if (!await requireManageChannels(interaction)) return;
+
+    const channel = interaction.options.getChannel('channel');
+
+    try {
+        const result = await addLockdownChannel(interaction.guild.id, channel.id, interaction.user.id);
+        if (!result.success) {
+            return interaction.editReply({
+                embeds: [embeds.error('Cannot Add Channel', result.error)]
+            });
+        }
+
+        await interaction.editReply({
+            embeds: [embeds.success('Lockdown Channel Added', `${channel} will be locked by \`/mod lockdown start\`.`)]
+        });
+    } catch (error) {
+        await handleCommandError(error, interaction, 'adding lockdown channel');
+    }
+}
+
+/**
+ * Handle /mod lockdown channel-remove
+ */
+async function handleLockdownChannelRemove(interaction) {
+    if (!await requireManageChannels(interaction)) return;
+
+    const channel = interaction.options.getChannel('channel');
+
+    try {
+        const removed = await removeLockdownChannel(interaction.guild.id, channel.id);
+        if (!removed) {
+            return interaction.editReply({
+                embeds: [embeds.error('Not Found', `${channel} is not in the lockdown list.`)]
+            });
+        }
+
+        await interaction.editReply({
+            embeds: [embeds.success('Lockdown Channel Removed', `${channel} will no longer be locked by \`/mod lockdown start\`.`)]
+        });
+    } catch (error) {
+        await handleCommandError(error, interaction, 'removing lockdown channel');
+    }
+}
+
+/**
+ * Handle /mod lockdown status
+ */
+async function handleLockdownStatus(interaction) {
+    try {
+        const channelIds = await getLockdownChannels(interaction.guild.id);
+        const active = await getLockdownSnapshots(interaction.guild.id);
+
+        const listText = channelIds.length > 0
+            ? channelIds.map(id => `<#${id}>`).join(', ')
+            : '*None configured - `/mod lockdown start` locks all text channels.*';
+        const statusText = active.length > 0
+            ? `🔒 **Active** on ${active.length} channels since <t:${Math.floor(active[0].createdAt.getTime() / 1000)}:R> (by <@${active[0].lockedBy}>)`
+            : '🔓 No lockdown is active.';
+
+        await interaction.editReply({
+            embeds: [embeds.brand('Lockdown', `${statusText}\n\n**Lockdown channels:** ${listText}`)]
+        });
+    } catch (error) {
+        await handleCommandError(error, interaction, 'fetching lockdown status', { ephemeral: false });
+    }
+}
+
+/**
+ * Handle /mod appeal setup
+ */
+async function handleAppealSetup(interaction) {
+    if (!await requireManageGuild(interaction, 'configure ban appeals')) return;
+
+    const channel = interaction.options.getChannel('channel');
+
+    try {
+        await setAppealChannel(interaction.guild.id, channel?.id ?? null);
+
+        const description = channel
+            ? `Ban DMs now include an **Appeal** button. Appeals will be posted to ${channel} for review.`
+            : 'Ban appeals are now disabled. Pending appeals can still be reviewed.';
+
+        await interaction.editReply({
+            embeds: [embeds.success('Ban Appeals Updated', description)]
+        });
+    } catch (error) {
+        await handleCommandError(error, interaction, 'configuring ban appeals');
+    }
+}
+
+/**
+ * Handle /mod appeal pending
+ */
+async function handleAppealPending(interaction) {
+    try {
+        const appeals = await getOpenAppeals(interaction.guild.id);
+
+        if (appeals.length === 0) {
+            return interaction.editReply({
+                embeds: [embeds.brand('Pending Appeals', 'There are no ban appeals waiting for review.')]
+            });
+        }
+
+        const lines = appeals.slice(0, 25).map(appeal => {
+            const timestamp = Math.floor(appeal.createdAt.getTime() / 1000);
+            const link = appeal.reviewMessageId
+                ? ` - [review](https://discord.com/channels/${appeal.guildId}/${appeal.reviewChannelId}/${appeal.reviewMessageId})`
+                : '';
+            const caseRef = appeal.caseNumber ? ` (case #${appeal.caseNumber})` : '';
+            return `**Appeal #${appeal.id}** <@${appeal.userId}>${caseRef} <t:${timestamp}:R>${link}`;
+        });
+
+        await interaction.editReply({
+            embeds: [embeds.brand(`Pending Appeals (${appeals.length})`, lines.join('\n'))]
+        });
+    } catch (error) {
+        await handleCommandError(error, interaction, 'fetching pending appeals', { ephemeral: false });
+    }
+}
+
+/**
+ * Reply to an appeal button/modal with an ephemeral error
+ */
+async function replyAppealError(interaction, title, description) {
+    const payload = { embeds: [embeds.error(title, description)], flags: [MessageFlags.Ephemeral] };
+    return interaction.deferred || interaction.replied
+        ? interaction.editReply({ embeds: payload.embeds })
+        : interaction.reply(payload);
+}
+
+/**
+ * Appeal button in a ban DM - check the user can appeal, then show the modal
+ */
+async function handleAppealOpen(interaction, client, guildId, caseNumber) {
+    const guild = await client.guilds.fetch(guildId).catch(() => null);
+    if (!guild || !await getAppealChannel(guildId)) {
+        return replyAppealError(interaction, 'Appeals Closed', 'This server is not accepting ban appeals right now.');
+    }
+
+    const ban = await guild.bans.fetch(interaction.user.id).catch(() => null);
+    if (!ban) {
+        return replyAppealError(interaction, 'Not Banned', `You are not banned from **${guild.name}**.`);
+    }
+
+    if (await getOpenAppeal(guildId, interaction.user.id)) {
+        return replyAppealError(interaction, 'Appeal Pending', 'You already have an open appeal in this server. Please wait for staff to review it.');
+    }
+
+    await interaction.showModal(createAppealModal(guildId, caseNumber));
+}
+
+/**
+ * Appeal modal submitted - store the appeal and post it for review
+ */
+async function handleAppealSubmit(interaction, client, guildId, caseNumber) {
+    await interaction.deferReply({ flags: [MessageFlags.Ephemeral] });
+
+    const guild = await client.guilds.fetch(guildId).catch(() => null);
+    const channelId = guild && await getAppealChannel(guildId);
+    const channel = channelId && await fetchChannel(guild, channelId, { logContext: 'appeal-submit' });
+    if (!channel) {
+        return replyAppealError(interaction, 'Appeals Closed', 'This server is not accepting ban appeals right now.');
+    }
+
+    const result = await createAppeal({
+        guildId,
+        userId: interaction.user.id,
+        caseNumber,
+        content: interaction.fields.getTextInputValue('content')
+    });
+
+    if (!result.success) {
+        return replyAppealError(interaction, 'Appeal Pending', result.error);
+    }
+
+    const banCase = caseNumber ? await getCase(guildId, caseNumber) : null;
+    const message = await safeChannelSend(channel, {
+        embeds: [createAppealReviewEmbed(result.appeal, { user: interaction.user, banReason: banCase?.reason })],
+        components: [createAppealReviewButtons(result.appeal.id)]
+    }, { logContext: 'appeal-submit' });
+
+    // An appeal staff can't see would block the user from ever appealing again
+    if (!message) {
+        await deleteAppeal(result.appeal.id);
+        return replyAppealError(interaction, 'Appeal Failed', 'Your appeal could not be delivered to the staff. Please try again later.');
+    }
+
+    await setAppealReviewMessage(result.appeal.id, message);
+
+    await interaction.editReply({
+        embeds: [embeds.success('Appeal Submitted', `Your appeal has been sent to the staff of **${guild.name}**. You will receive a DM once it has been reviewed.`)]
+    });
+}
+
+/**
+ * Check that a review button press comes from someone who can unban
+ */
+async function requireAppealReviewer(interaction) {
+    if (interaction.member?.permissions.has(PermissionFlagsBits.BanMembers)) {
+        return true;
+    }
+
+    await replyAppealError(interaction, 'Missing Permissions', 'You need **Ban Members** permission to review appeals.');
+    return false;
+}
+
+/**
+ * Refresh the review message with the appeal's decision and disabled buttons
+ */
+async function updateAppealReviewMessage(guild, appeal) {
+    if (!appeal.reviewMessageId) return;
+
+    const channel = await fetchChannel(guild, appeal.reviewChannelId, { logContext: 'appeal-review' });
+    const message = channel && await safeMessageFetch(channel, appeal.reviewMessageId, { logContext: 'appeal-review' });
+    if (!message) return;
+
+    const banCase = appeal.caseNumber ? await getCase(guild.id, appeal.caseNumber) : null;
+    await message.edit({
+        embeds: [createAppealReviewEmbed(appeal, { banReason: banCase?.reason })],
+        components: [createAppealReviewButtons(appeal.id, { disabled: true })]
+    }).catch(error => logger.warn(`Failed to update review message for appeal #${appeal.id}:`, error.message));
+}
+
+/**
+ * Accept button - unban the user and record the decision
+ */
+async function handleAppealAccept(interaction, client, appealId) {
+    if (!await requireAppealReviewer(interaction)) return;
+
+    await interaction.deferReply({ flags: [MessageFlags.Ephemeral] });
+
+    const appeal = await getAppeal(appealId);
+    if (!appeal || appeal.guildId !== interaction.guild.id) {
+        return replyAppealError(interaction, 'Not Found', 'This appeal no longer exists.');
+    }
+
+    // Claim the decision first so a concurrent accept/deny can't also go through
+    const resolved = await resolveAppeal(appealId, { status: 'accepted', reviewedBy: interaction.user.id });
+    if (!resolved) {
+        return replyAppealError(interaction, 'Already Reviewed', `Appeal #${appealId} has already been ${appeal.status}.`);
+    }
+
+    const reason = `Ban appeal #${appealId} accepted`;
+
+    try {
+        await interaction.guild.members.unban(appeal.userId, reason);
+    } catch (error) {
+        // Unknown Ban - already unbanned, the appeal still counts as accepted
+        if (error.code !== 10026) {
+            await reopenAppeal(appealId);
+            return handleCommandError(error, interaction, 'accepting the appeal');
+        }
+    }
+
+    await client.tempBanService?.cancelTempBan(interaction.guild.id, appeal.userId);
+
+    await logModerationAction(
+        interaction.guild.id,
+        appeal.userId,
+        interaction.user.id,
+        'UNBAN',
+        reason,
+        { relatedCaseNumber: appeal.caseNumber, guild: interaction.guild }
+    );
+
+    const user = await client.users.fetch(appeal.userId).catch(() => null);
+    const dmSent = user && await safeDMUser(user, {
+        embeds: [embeds.success(`Appeal accepted in ${interaction.guild.name}`, 'Your ban appeal has been accepted and you have been unbanned.')]
+    });
+
+    await updateAppealReviewMessage(interaction.guild, resolved);
+
+    await interaction.editReply({
+        embeds: [embeds.success('Appeal Accepted', `<@${appeal.userId}> has been unbanned.${dmSent ? '' : '\n*They could not be notified by DM.*'}`)]
+    });
+}
+
+/**
+ * Deny button - ask the moderator for the reason sent to the user
+ */
+async function handleAppealDeny(interaction, appealId) {
+    if (!await requireAppealReviewer(interaction)) return;
+
+    const appeal = await getAppeal(appealId);
+    if (!appeal || appeal.guildId !== interaction.guild.id) {
+        return replyAppealError(interaction, 'Not Found', 'This appeal no longer exists.');
+    }
+    if (appeal.status !== 'pending') {
+        return replyAppealError(interaction, 'Already Reviewed', `Appeal #${appealId} is no longer pending.`);
+    }
+
+    await interaction.showModal(createDenyModal(appealId));
+}
+
+/**
+ * Deny modal submitted - record the decision and DM the reason
+ */
+async function handleAppealDenyReason(interaction, client, appealId) {
+    if (!await requireAppealReviewer(interaction)) return;
+
+    await interaction.deferReply({ flags: [MessageFlags.Ephemeral] });
+
+    const appeal = await getAppeal(appealId);
+    if (!appeal || appeal.guildId !== interaction.guild.id) {
+        return replyAppealError(interaction, 'Not Found', 'This appeal no longer exists.');
+    }
+
+    // Claim the decision first so a concurrent accept/deny can't also go through
+    const reason = interaction.fields.getTextInputValue('reason');
+    const resolved = await resolveAppeal(appealId, { status: 'denied', reviewedBy: interaction.user.id, reason });
+    if (!resolved) {
+        return replyAppealError(interaction, 'Already Reviewed', `Appeal #${appealId} has already been ${appeal.status}.`);
+    }
+
+    await logModerationAction(
+        interaction.guild.id,
+        resolved.userId,
+        interaction.user.id,
+        'APPEAL_DENY',
+        `Ban appeal #${appealId} denied: ${reason}`,
+        { relatedCaseNumber: resolved.caseNumber, guild: interaction.guild }
+    );
+
+    const user = await client.users.fetch(resolved.userId).catch(() => null);
+    const dmSent = user && await safeDMUser(user, {
+        embeds: [embeds.error(`Appeal denied in ${interaction.guild.name}`, `Your ban appeal has been denied.\n\n**Reason:** ${reason}`)]
+    });
+
+    await updateAppealReviewMessage(interaction.guild, resolved);
+
+    await interaction.editReply({
+        embeds: [embeds.success('Appeal Denied', `Appeal #${appealId} has been denied.${dmSent ? '' : '\n*The user could not be notified by DM.*'}`)]
+    });
+}
@@ -1,4 +1,6 @@
 const { drizzle } = require('drizzle-orm/better-sqlite3');
+const { is } = require('drizzle-orm');
+const { SQLiteTable, getTableConfig } = require('drizzle-orm/sqlite-core');
 const Database = require('better-sqlite3');
 const schema = require('./schema');
 const { isValidSQLIdentifier, isValidSQLType } = require('../utils/validationUtil');
@@ -50,10 +52,17 @@ const expectedSchema = {
         welcome_message: 'TEXT',
         welcome_enabled: 'INTEGER DEFAULT 0',
         welcome_use_embed: 'INTEGER DEFAULT 1',
+        goodbye_channel: 'TEXT',
+        goodbye_message: 'TEXT',
+        goodbye_enabled: 'INTEGER DEFAULT 0',
+        goodbye_use_embed: 'INTEGER DEFAULT 1',
         joined_at: 'INTEGER',
         voice_hub_channel_id: 'TEXT',
         voice_hub_category_id: 'TEXT',
-        achievements_enabled: 'INTEGER DEFAULT 1'
+        achievements_enabled: 'INTEGER DEFAULT 1',
+        warning_lifetime: 'INTEGER',
+        appeal_channel: 'TEXT',
+        auto_role_delay: 'INTEGER'
     },
     users: {
         id: 'TEXT PRIMARY KEY',
@@ -67,11 +76,224 @@ const expectedSchema = {
     moderation_logs: {
         id: 'INTEGER PRIMARY KEY AUTOINCREMENT',
         guild_id: 'TEXT NOT NULL',
+        case_number: 'INTEGER',
         target_id: 'TEXT NOT NULL',
         executor_id: 'TEXT NOT NULL',
         action: 'TEXT NOT NULL',
         reason: 'TEXT',
-        timestamp: 'INTEGER'
+        duration: 'INTEGER',
+        related_case_number: 'INTEGER',
+        source: 'TEXT DEFAULT "bot"',
+        transcript_url: 'TEXT',
+        timestamp: 'INTEGER',
+        deleted_at: 'INTEGER',
+        deleted_by: 'TEXT'
+    },
+    moderation_case_edits: {
+        id: 'INTEGER PRIMARY KEY AUTOINCREMENT',
+        guild_id: 'TEXT NOT NULL',
+        case_number: 'INTEGER NOT NULL',
+        editor_id: 'TEXT NOT NULL',
+        field: 'TEXT NOT NULL',
+        old_value: 'TEXT',
+        new_value: 'TEXT',
+        edited_at: 'INTEGER NOT NULL'
+    },
+    moderator_notes: {
+        id: 'INTEGER PRIMARY KEY AUTOINCREMENT',
+        guild_id: 'TEXT NOT NULL',
+        user_id: 'TEXT NOT NULL',
+        author_id: 'TEXT NOT NULL',
+        content: 'TEXT NOT NULL',
+        created_at: 'INTEGER NOT NULL'
+    },
+    escalation_rules: {
+        id: 'INTEGER PRIMARY KEY AUTOINCREMENT',
+        guild_id: 'TEXT NOT NULL',
+        warning_count: 'INTEGER NOT NULL',
+        action: 'TEXT NOT NULL',
+        duration: 'INTEGER',
+        created_by: 'TEXT NOT NULL',
+        created_at: 'INTEGER NOT NULL'
+    },
+    ban_appeals: {
+        id: 'INTEGER PRIMARY KEY AUTOINCREMENT',
+        guild_id: 'TEXT NOT NULL',
+        user_id: 'TEXT NOT NULL',
+        case_number: 'INTEGER',
+        content: 'TEXT NOT NULL',
+        status: 'TEXT DEFAULT "pending" NOT NULL',
+        review_channel_id: 'TEXT',
+        review_message_id: 'TEXT',
+        reviewed_by: 'TEXT',
+        reviewed_at: 'INTEGER',
+        review_reason: 'TEXT',
+        created_at: 'INTEGER NOT NULL'
+    },
+    lockdown_channels: {
+        id: 'INTEGER PRIMARY KEY AUTOINCREMENT',
+        guild_id: 'TEXT NOT NULL',
+        channel_id: 'TEXT NOT NULL',
+        added_by: 'TEXT NOT NULL',
+        added_at: 'INTEGER NOT NULL'
+    },
+    lockdown_snapshots: {
+        id: 'INTEGER PRIMARY KEY AUTOINCREMENT',
+        guild_id: 'TEXT NOT NULL',
+        channel_id: 'TEXT NOT NULL',
+        allow: 'TEXT',
+        deny: 'TEXT',
+        locked_by: 'TEXT NOT NULL',
+        created_at: 'INTEGER NOT NULL'
+    },
+    automod_rules: {
+        id: 'INTEGER PRIMARY KEY AUTOINCREMENT',
+        guild_id: 'TEXT NOT NULL',
+        rule: 'TEXT NOT NULL',
+        enabled: 'INTEGER DEFAULT 1 NOT NULL',
+        threshold: 'INTEGER NOT NULL',
+        interval: 'INTEGER',
+        action: 'TEXT DEFAULT "delete" NOT NULL',
+        duration: 'INTEGER',
+        updated_by: 'TEXT NOT NULL',
+        updated_at: 'INTEGER NOT NULL'
+    },
+    automod_exemptions: {
+        id: 'INTEGER PRIMARY KEY AUTOINCREMENT',
+        guild_id: 'TEXT NOT NULL',
+        type: 'TEXT NOT NULL',
+        target_id: 'TEXT NOT NULL',
+        added_by: 'TEXT NOT NULL',
+        added_at: 'INTEGER NOT NULL'
+    },
+    automod_filters: {
+        id: 'INTEGER PRIMARY KEY AUTOINCREMENT',
+        guild_id: 'TEXT NOT NULL',
+        pattern: 'TEXT NOT NULL',
+        match_type: 'TEXT DEFAULT "contains" NOT NULL',
+        created_by: 'TEXT NOT NULL',
+        created_at: 'INTEGER NOT NULL'
+    },
+    raid_config: {
+        guild_id: 'TEXT PRIMARY KEY',
+        enabled: 'INTEGER DEFAULT 0 NOT NULL',
+        join_threshold: 'INTEGER DEFAULT 10 NOT NULL',
+        join_window: 'INTEGER DEFAULT 10 NOT NULL',
+        action: 'TEXT DEFAULT "alert" NOT NULL',
+        alert_channel_id: 'TEXT',
+        min_account_age: 'INTEGER',
+        account_age_action: 'TEXT DEFAULT "kick" NOT NULL',
+        quarantine_role_id: 'TEXT'
+    },
+    log_channels: {
+        id: 'INTEGER PRIMARY KEY AUTOINCREMENT',
+        guild_id: 'TEXT NOT NULL',
+        category: 'TEXT NOT NULL',
+        channel_id: 'TEXT NOT NULL',
+        updated_by: 'TEXT NOT NULL',
+        updated_at: 'INTEGER NOT NULL'
+    },
+    log_ignores: {
+        id: 'INTEGER PRIMARY KEY AUTOINCREMENT',
+        guild_id: 'TEXT NOT NULL',
+        type: 'TEXT NOT NULL',
+        target_id: 'TEXT NOT NULL',
+        added_by: 'TEXT NOT NULL',
+        added_at: 'INTEGER NOT NULL'
+    },
+    voice_log_config: {
+        guild_id: 'TEXT PRIMARY KEY',
+        joins: 'INTEGER DEFAULT 1 NOT NULL',
+        leaves: 'INTEGER DEFAULT 1 NOT NULL',
+        moves: 'INTEGER DEFAULT 1 NOT NULL',
+        mutes: 'INTEGER DEFAULT 1 NOT NULL',
+        disconnects: 'INTEGER DEFAULT 1 NOT NULL'
+    },
+    modmail_config: {
+        guild_id: 'TEXT PRIMARY KEY',
+        channel_id: 'TEXT NOT NULL',
+        updated_by: 'TEXT NOT NULL',
+        updated_at: 'INTEGER NOT NULL'
+    },
+    modmail_tickets: {
+        id: 'INTEGER PRIMARY KEY AUTOINCREMENT',
+        guild_id: 'TEXT NOT NULL',
+        user_id: 'TEXT NOT NULL',
+        thread_id: 'TEXT NOT NULL',
+        status: 'TEXT DEFAULT "open" NOT NULL',
+        opened_at: 'INTEGER NOT NULL',
+        closed_at: 'INTEGER',
+        closed_by: 'TEXT',
+        close_reason: 'TEXT'
+    },
+    modmail_messages: {
+        id: 'INTEGER PRIMARY KEY AUTOINCREMENT',
+        ticket_id: 'INTEGER NOT NULL',
+        author_id: 'TEXT NOT NULL',
+        author_tag: 'TEXT NOT NULL',
+        from_staff: 'INTEGER NOT NULL',
+        content: 'TEXT',
+        attachments: 'TEXT',
+        created_at: 'INTEGER NOT NULL'
+    },
+    role_panels: {
+        id: 'INTEGER PRIMARY KEY AUTOINCREMENT',
+        guild_id: 'TEXT NOT NULL',
+        channel_id: 'TEXT NOT NULL',
+        message_id: 'TEXT NOT NULL',
+        title: 'TEXT NOT NULL',
+        description: 'TEXT',
+        style: 'TEXT NOT NULL',
+        mode: 'TEXT DEFAULT "toggle" NOT NULL',
+        created_by: 'TEXT NOT NULL',
+        created_at: 'INTEGER NOT NULL'
+    },
+    role_panel_options: {
+        id: 'INTEGER PRIMARY KEY AUTOINCREMENT',
+        panel_id: 'INTEGER NOT NULL',
+        role_id: 'TEXT NOT NULL',
+        label: 'TEXT NOT NULL',
+        emoji: 'TEXT'
+    },
+    auto_roles: {
+        id: 'INTEGER PRIMARY KEY AUTOINCREMENT',
+        guild_id: 'TEXT NOT NULL',
+        role_id: 'TEXT NOT NULL',
+        target: 'TEXT DEFAULT "member" NOT NULL',
+        added_by: 'TEXT NOT NULL',
+        added_at: 'INTEGER NOT NULL'
+    },
+    sticky_roles: {
+        id: 'INTEGER PRIMARY KEY AUTOINCREMENT',
+        guild_id: 'TEXT NOT NULL',
+        role_id: 'TEXT NOT NULL',
+        added_by: 'TEXT NOT NULL',
+        added_at: 'INTEGER NOT NULL'
+    },
+    sticky_role_snapshots: {
+        id: 'INTEGER PRIMARY KEY AUTOINCREMENT',
+        guild_id: 'TEXT NOT NULL',
+        user_id: 'TEXT NOT NULL',
+        role_ids: 'TEXT NOT NULL',
+        saved_at: 'INTEGER NOT NULL'
+    },
+    verification_config: {
+        guild_id: 'TEXT PRIMARY KEY',
+        channel_id: 'TEXT NOT NULL',
+        message_id: 'TEXT',
+        role_id: 'TEXT NOT NULL',
+        challenge: 'INTEGER DEFAULT 0 NOT NULL',
+        kick_after: 'INTEGER',
+        updated_by: 'TEXT NOT NULL',
+        updated_at: 'INTEGER NOT NULL'
+    },
+    pending_verifications: {
+        id: 'INTEGER PRIMARY KEY AUTOINCREMENT',
+        guild_id: 'TEXT NOT NULL',
+        user_id: 'TEXT NOT NULL',
+        joined_at: 'INTEGER NOT NULL',
+        kick_at: 'INTEGER',
+        failed_attempts: 'INTEGER DEFAULT 0 NOT NULL'
     },
     command_permissions: {
         id: 'INTEGER PRIMARY KEY AUTOINCREMENT',
@@ -210,6 +432,28 @@ const expectedSchema = {
         created_at: 'INTEGER NOT NULL',
         active: 'INTEGER DEFAULT 1 NOT NULL'
     },
+    temp_bans: {
+        id: 'INTEGER PRIMARY KEY AUTOINCREMENT',
+        guild_id: 'TEXT NOT NULL',
+        user_id: 'TEXT NOT NULL',
+        executor_id: 'TEXT NOT NULL',
+        case_number: 'INTEGER',
+        expires_at: 'INTEGER NOT NULL',
+        created_at: 'INTEGER NOT NULL',
+        active: 'INTEGER DEFAULT 1 NOT NULL'
+    },
+    channel_timers: {
+        id: 'INTEGER PRIMARY KEY AUTOINCREMENT',
+        guild_id: 'TEXT NOT NULL',
+        channel_id: 'TEXT NOT NULL',
+        action: 'TEXT NOT NULL',
+        value: 'INTEGER',
+        executor_id: 'TEXT NOT NULL',
+        case_number: 'INTEGER',
+        expires_at: 'INTEGER NOT NULL',
+        created_at: 'INTEGER NOT NULL',
+        active: 'INTEGER DEFAULT 1 NOT NULL'
+    },
     suggestion_config: {
         guild_id: 'TEXT PRIMARY KEY',
         channel_id: 'TEXT NOT NULL',
@@ -406,6 +650,96 @@ function fixBytepodUserSettingsTable() {
     }
 }
 
+/**
+ * Assign guild-scoped case numbers to moderation logs created before case numbers existed
+ * Numbers continue after the highest existing case in each guild, in insertion order
+ */
+function backfillModerationCaseNumbers() {
+    const logger = require('../utils/logger');
+
+    try {
+        if (!tableExists('moderation_logs') || !getTableColumns('moderation_logs').includes('case_number')) {
+            return null;
+        }
+
+        const unnumbered = sqlite.prepare(
+            'SELECT id, guild_id FROM moderation_logs WHERE case_number IS NULL ORDER BY id'
+        ).all();
+
+        if (unnumbered.length === 0) {
+            return null;
+        }
+
+        const maxCase = sqlite.prepare(
+            'SELECT COALESCE(MAX(case_number), 0) AS max FROM moderation_logs WHERE guild_id = ?'
+        );
+        const assign = sqlite.prepare('UPDATE moderation_logs SET case_number = ? WHERE id = ?');
+        const nextCase = new Map(); // guildId -> next case number
+
+        sqlite.transaction(() => {
+            for (const row of unnumbered) {
+                if (!nextCase.has(row.guild_id)) {
+                    nextCase.set(row.guild_id, maxCase.get(row.guild_id).max + 1);
+                }
+
+                const caseNumber = nextCase.get(row.guild_id);
+                assign.run(caseNumber, row.id);
+                nextCase.set(row.guild_id, caseNumber + 1);
+            }
+        })();
+
+        return `Backfilled case numbers for ${unnumbered.length} moderation log(s)`;
+    } catch (error) {
+        logger.error(`Failed to backfill moderation case numbers: ${error.message}`, 'Database');
+        return null;
+    }
+}
+
+/**
+ * Create the indexes declared in schema.js that are missing from the database
+ * Tables created by validateAndFixSchema start without indexes, and the migrations that would add
+ * them fail on such a database, so the indexes are created here instead.
+ */
+function ensureSchemaIndexes() {
+    const logger = require('../utils/logger');
+    const created = [];
+
+    for (const table of Object.values(schema)) {
+        if (!is(table, SQLiteTable)) continue;
+
+        const { name: tableName, indexes } = getTableConfig(table);
+        if (!tableExists(tableName)) continue;
+
+        const existingColumns = getTableColumns(tableName);
+
+        for (const { config } of indexes) {
+            const columns = config.columns.map(column => column.name);
+
+            // SECURITY: Validate identifiers before SQL execution
+            if (![config.name, tableName, ...columns].every(isValidSQLIdentifier)) {
+                logger.error(`Invalid identifier in index ${config.name} on ${tableName}`);
+                continue;
+            }
+            if (!columns.every(column => existingColumns.includes(column))) continue;
+
+            const exists = sqlite.prepare(
+                `SELECT name FROM sqlite_master WHERE type='index' AND name=?`
+            ).get(config.name);
+            if (exists) continue;
+
+            try {
+                sqlite.exec(`CREATE ${config.unique ? 'UNIQUE ' : ''}INDEX ${config.name} ON ${tableName} (${columns.join(', ')})`);
+                created.push(`Created index: ${config.name}`);
+            } catch (error) {
+                // e.g. duplicate rows blocking a unique index - the rest of the schema is still usable
+                logger.error(`Failed to create index ${config.name}: ${error.message}`, 'Database');
+            }
+        }
+    }
+
+    return created;
+}
+
 /**
  * Validate and fix database schema before running Drizzle migrations
  * This ensures missing columns are added to prevent migration failures
@@ -487,6 +821,15 @@ function validateAndFixSchema() {
         }
     }
 
+    // Data fixes that depend on columns added above
+    const caseBackfillResult = backfillModerationCaseNumbers();
+    if (caseBackfillResult) {
+        fixes.push(caseBackfillResult);
+    }
+
+    // Indexes last, so unique ones see the backfilled data
+    fixes.push(...ensureSchemaIndexes());
+
     return fixes;
 }
 
@@ -1,4 +1,4 @@
-const { sqliteTable, text, integer, real, index, unique, primaryKey } = require('drizzle-orm/sqlite-core');
+const { sqliteTable, text, integer, real, index, uniqueIndex, unique, primaryKey } = require('drizzle-orm/sqlite-core');
 
 const guilds = sqliteTable('guilds', {
     id: text('id').primaryKey(),
@@ -8,10 +8,17 @@ const guilds = sqliteTable('guilds', {
     welcomeMessage: text('welcome_message'),
     welcomeEnabled: integer('welcome_enabled', { mode: 'boolean' }).default(false),
     welcomeUseEmbed: integer('welcome_use_embed', { mode: 'boolean' }).default(true),
+    goodbyeChannel: text('goodbye_channel'),
+    goodbyeMessage: text('goodbye_message'),
+    goodbyeEnabled: integer('goodbye_enabled', { mode: 'boolean' }).default(false),
+    goodbyeUseEmbed: integer('goodbye_use_embed', { mode: 'boolean' }).default(true),
     joinedAt: integer('joined_at', { mode: 'timestamp' }),
     voiceHubChannelId: text('voice_hub_channel_id'),
     voiceHubCategoryId: text('voice_hub_category_id'),
     achievementsEnabled: integer('achievements_enabled', { mode: 'boolean' }).default(true), // Guild-level achievement toggle
+    warningLifetime: integer('warning_lifetime'), // ms a warning counts toward escalation (null = never expires)
+    appealChannel: text('appeal_channel'), // Staff channel for ban appeals (null = appeals disabled)
+    autoRoleDelay: integer('auto_role_delay'), // Seconds new members wait for their auto-roles (null = right away)
 });
 
 const users = sqliteTable('users', {
@@ -27,13 +34,334 @@ const users = sqliteTable('users', {
 const moderationLogs = sqliteTable('moderation_logs', {
     id: integer('id').primaryKey({ autoIncrement: true }),
     guildId: text('guild_id').notNull(),
+    caseNumber: integer('case_number'), // Guild-scoped sequential case number (never reused)
     targetId: text('target_id').notNull(),
     executorId: text('executor_id').notNull(),
     action: text('action').notNull(), // 'KICK', 'BAN', 'CLEAR', etc.
     reason: text('reason'),
+    duration: integer('duration'), // Duration in ms for timed actions (TIMEOUT, temporary BAN), null otherwise
+    relatedCaseNumber: integer('related_case_number'), // Case this action follows up on (e.g. the BAN an UNBAN lifts)
+    source: text('source').default('bot'), // 'bot' (issued through the bot) | 'external' (imported from the audit log)
+    transcriptUrl: text('transcript_url'), // Log channel message holding the transcript of a CLEAR
     timestamp: integer('timestamp', { mode: 'timestamp' }).default(new Date()),
+    deletedAt: integer('deleted_at', { mode: 'timestamp' }), // Soft delete via /mod case delete - null if active
+    deletedBy: text('deleted_by'),
+}, (table) => ({
+    // Case lookups - a case number is never shared within a guild
+    guildCaseIdx: uniqueIndex('moderation_logs_guild_case_idx').on(table.guildId, table.caseNumber),
+}));
+
+// Moderation case audit trail (every reason edit / deletion)
+const moderationCaseEdits = sqliteTable('moderation_case_edits', {
+    id: integer('id').primaryKey({ autoIncrement: true }),
+    guildId: text('guild_id').notNull(),
+    caseNumber: integer('case_number').notNull(),
+    editorId: text('editor_id').notNull(),
+    field: text('field').notNull(), // 'reason' | 'deleted'
+    oldValue: text('old_value'),
+    newValue: text('new_value'),
+    editedAt: integer('edited_at', { mode: 'timestamp' }).notNull()
+}, (table) => ({
+    // Index for per-case audit trail lookups
+    guildCaseIdx: index('moderation_case_edits_guild_case_idx').on(table.guildId, table.caseNumber),
+}));
+
+// Private moderator notes on members (never shown to the member)
+const moderatorNotes = sqliteTable('moderator_notes', {
+    id: integer('id').primaryKey({ autoIncrement: true }),
+    guildId: text('guild_id').notNull(),
+    userId: text('user_id').notNull(), // Member the note is about
+    authorId: text('author_id').notNull(),
+    content: text('content').notNull(),
+    createdAt: integer('created_at', { mode: 'timestamp' }).notNull()
+}, (table) => ({
+    // Index for per-member note lookups
+    guildUserIdx: index('moderator_notes_guild_user_idx').on(table.guildId, table.userId),
+}));
+
+// Automatic punishment escalation (per-guild, one rule per warning count)
+const escalationRules = sqliteTable('escalation_rules', {
+    id: integer('id').primaryKey({ autoIncrement: true }),
+    guildId: text('guild_id').notNull(),
+    warningCount: integer('warning_count').notNull(), // Active warnings that trigger this rule
+    action: text('action').notNull(), // 'TIMEOUT' | 'KICK' | 'BAN'
+    duration: integer('duration'), // Duration in ms (required for TIMEOUT, makes BAN temporary)
+    createdBy: text('created_by').notNull(),
+    createdAt: integer('created_at', { mode: 'timestamp' }).notNull()
+}, (table) => ({
+    // Index for per-guild rule lookups
+    guildCountIdx: index('escalation_rules_guild_count_idx').on(table.guildId, table.warningCount),
+}));
+
+// Ban appeals submitted from the ban DM (at most one pending appeal per user per guild)
+const banAppeals = sqliteTable('ban_appeals', {
+    id: integer('id').primaryKey({ autoIncrement: true }),
+    guildId: text('guild_id').notNull(),
+    userId: text('user_id').notNull(),
+    caseNumber: integer('case_number'), // Case number of the BAN being appealed
+    content: text('content').notNull(), // Appeal text from the modal
+    status: text('status').default('pending').notNull(), // pending, accepted, denied
+    reviewChannelId: text('review_channel_id'),
+    reviewMessageId: text('review_message_id'),
+    reviewedBy: text('reviewed_by'),
+    reviewedAt: integer('reviewed_at', { mode: 'timestamp' }),
+    reviewReason: text('review_reason'), // Denial reason DMed to the user
+    createdAt: integer('created_at', { mode: 'timestamp' }).notNull()
+}, (table) => ({
+    // Index for open-appeal checks and pending lists
+    guildUserStatusIdx: index('ban_appeals_guild_user_status_idx').on(table.guildId, table.userId, table.status),
+}));
+
+// Channels locked by /mod lockdown start (per-guild, empty = all text channels)
+const lockdownChannels = sqliteTable('lockdown_channels', {
+    id: integer('id').primaryKey({ autoIncrement: true }),
+    guildId: text('guild_id').notNull(),
+    channelId: text('channel_id').notNull(),
+    addedBy: text('added_by').notNull(),
+    addedAt: integer('added_at', { mode: 'timestamp' }).notNull()
+}, (table) => ({
+    // Index for per-guild channel lookups
+    guildChannelIdx: index('lockdown_channels_guild_channel_idx').on(table.guildId, table.channelId),
+}));
+
+// @everyone overwrites saved before a lockdown (persisted so /mod lockdown end survives restarts)
+const lockdownSnapshots = sqliteTable('lockdown_snapshots', {
+    id: integer('id').primaryKey({ autoIncrement: true }),
+    guildId: text('guild_id').notNull(),
+    channelId: text('channel_id').notNull(),
+    allow: text('allow'), // Permission bitfield as a string, null if the channel had no @everyone overwrite
+    deny: text('deny'),
+    lockedBy: text('locked_by').notNull(),
+    createdAt: integer('created_at', { mode: 'timestamp' }).notNull()
+}, (table) => ({
+    // Index for per-guild restores
+    guildIdx: index('lockdown_snapshots_guild_idx').on(table.guildId),
+}));
+
+// Automod rules (per-guild, one row per rule type - missing rows are disabled)
+const automodRules = sqliteTable('automod_rules', {
+    id: integer('id').primaryKey({ autoIncrement: true }),
+    guildId: text('guild_id').notNull(),
+    rule: text('rule').notNull(), // 'spam' | 'duplicates' | 'mentions' | 'invites' | 'caps'
+    enabled: integer('enabled', { mode: 'boolean' }).default(true).notNull(),
+    threshold: integer('threshold').notNull(), // Messages, mentions or caps percentage depending on the rule
+    interval: integer('interval'), // Window in seconds for spam / duplicates, null otherwise
+    action: text('action').default('delete').notNull(), // 'delete' | 'warn' | 'timeout'
+    duration: integer('duration'), // Timeout length in ms (timeout action only)
+    updatedBy: text('updated_by').notNull(),
+    updatedAt: integer('updated_at', { mode: 'timestamp' }).notNull()
+}, (table) => ({
+    // Index for per-guild rule lookups
+    guildRuleIdx: index('automod_rules_guild_rule_idx').on(table.guildId, table.rule),
+}));
+
+// Roles and channels automod ignores (per-guild)
+const automodExemptions = sqliteTable('automod_exemptions', {
+    id: integer('id').primaryKey({ autoIncrement: true }),
+    guildId: text('guild_id').notNull(),
+    type: text('type').notNull(), // 'role' | 'channel'
+    targetId: text('target_id').notNull(),
+    addedBy: text('added_by').notNull(),
+    addedAt: integer('added_at', { mode: 'timestamp' }).notNull()
+}, (table) => ({
+    // Index for per-guild exemption lookups
+    guildTargetIdx: index('automod_exemptions_guild_target_idx').on(table.guildId, table.targetId),
+}));
+
+// Automod word filter (per-guild blocklist, matched like auto-responder triggers)
+const automodFilters = sqliteTable('automod_filters', {
+    id: integer('id').primaryKey({ autoIncrement: true }),
+    guildId: text('guild_id').notNull(),
+    pattern: text('pattern').notNull(), // Word, phrase, wildcard or regex
+    matchType: text('match_type').default('contains').notNull(), // exact, contains, wildcard, regex
+    createdBy: text('created_by').notNull(),
+    createdAt: integer('created_at', { mode: 'timestamp' }).notNull()
+}, (table) => ({
+    // Index for per-guild filter lookups
+    guildIdx: index('automod_filters_guild_idx').on(table.guildId),
+}));
+
+// Raid protection (per-guild join-rate detection and new-account gate)
+const raidConfig = sqliteTable('raid_config', {
+    guildId: text('guild_id').primaryKey(),
+    enabled: integer('enabled', { mode: 'boolean' }).default(false).notNull(), // Join-rate detection
+    joinThreshold: integer('join_threshold').default(10).notNull(), // Joins within the window that count as a raid
+    joinWindow: integer('join_window').default(10).notNull(), // Seconds
+    action: text('action').default('alert').notNull(), // 'alert' | 'lockdown' | 'kick'
+    alertChannelId: text('alert_channel_id'), // null = guild log channel
+    minAccountAge: integer('min_account_age'), // Days, null = no account age gate
+    accountAgeAction: text('account_age_action').default('kick').notNull(), // 'kick' | 'quarantine'
+    quarantineRoleId: text('quarantine_role_id')
+});
+
+// Server log channels (one channel per log category and guild)
+const logChannels = sqliteTable('log_channels', {
+    id: integer('id').primaryKey({ autoIncrement: true }),
+    guildId: text('guild_id').notNull(),
+    category: text('category').notNull(), // Server log category, e.g. 'messages'
+    channelId: text('channel_id').notNull(),
+    updatedBy: text('updated_by').notNull(),
+    updatedAt: integer('updated_at', { mode: 'timestamp' }).notNull()
+}, (table) => ({
+    // Index for per-guild category lookups
+    guildCategoryIdx: index('log_channels_guild_category_idx').on(table.guildId, table.category),
+}));
+
+// Roles and channels whose messages are never written to the message log
+const logIgnores = sqliteTable('log_ignores', {
+    id: integer('id').primaryKey({ autoIncrement: true }),
+    guildId: text('guild_id').notNull(),
+    type: text('type').notNull(), // 'role' | 'channel'
+    targetId: text('target_id').notNull(),
+    addedBy: text('added_by').notNull(),
+    addedAt: integer('added_at', { mode: 'timestamp' }).notNull()
+}, (table) => ({
+    // Index for per-guild ignore lookups
+    guildTargetIdx: index('log_ignores_guild_target_idx').on(table.guildId, table.targetId),
+}));
+
+// Which voice events the voice log records (the channel itself is the 'voice' log category)
+const voiceLogConfig = sqliteTable('voice_log_config', {
+    guildId: text('guild_id').primaryKey(),
+    joins: integer('joins', { mode: 'boolean' }).default(true).notNull(),
+    leaves: integer('leaves', { mode: 'boolean' }).default(true).notNull(),
+    moves: integer('moves', { mode: 'boolean' }).default(true).notNull(),
+    mutes: integer('mutes', { mode: 'boolean' }).default(true).notNull(), // Server mutes and deafens
+    disconnects: integer('disconnects', { mode: 'boolean' }).default(true).notNull() // Disconnects by moderators
 });
 
+// Where modmail tickets open (a forum, or a text channel that gets one thread per ticket)
+const modmailConfig = sqliteTable('modmail_config', {
+    guildId: text('guild_id').primaryKey(),
+    channelId: text('channel_id').notNull(),
+    updatedBy: text('updated_by').notNull(),
+    updatedAt: integer('updated_at', { mode: 'timestamp' }).notNull()
+});
+
+const modmailTickets = sqliteTable('modmail_tickets', {
+    id: integer('id').primaryKey({ autoIncrement: true }),
+    guildId: text('guild_id').notNull(),
+    userId: text('user_id').notNull(), // Member who opened the ticket by DM
+    threadId: text('thread_id').notNull(), // Staff thread the conversation is relayed to
+    status: text('status').default('open').notNull(), // open, closed
+    openedAt: integer('opened_at', { mode: 'timestamp' }).notNull(),
+    closedAt: integer('closed_at', { mode: 'timestamp' }),
+    closedBy: text('closed_by'),
+    closeReason: text('close_reason')
+}, (table) => ({
+    // Index for finding a user's open ticket
+    userStatusIdx: index('modmail_tickets_user_status_idx').on(table.userId, table.status),
+    // Index for thread lookups when staff reply
+    threadIdx: index('modmail_tickets_thread_idx').on(table.threadId)
+}));
+
+// Every relayed message, so the transcript doesn't depend on the thread still existing
+const modmailMessages = sqliteTable('modmail_messages', {
+    id: integer('id').primaryKey({ autoIncrement: true }),
+    ticketId: integer('ticket_id').notNull(),
+    authorId: text('author_id').notNull(),
+    authorTag: text('author_tag').notNull(),
+    fromStaff: integer('from_staff', { mode: 'boolean' }).notNull(),
+    content: text('content'),
+    attachments: text('attachments'), // Newline-separated attachment URLs
+    createdAt: integer('created_at', { mode: 'timestamp' }).notNull()
+}, (table) => ({
+    // Index for building a ticket's transcript
+    ticketIdx: index('modmail_messages_ticket_idx').on(table.ticketId)
+}));
+
+// Self-service role panels (buttons, a select menu or reactions on one message)
+const rolePanels = sqliteTable('role_panels', {
+    id: integer('id').primaryKey({ autoIncrement: true }),
+    guildId: text('guild_id').notNull(),
+    channelId: text('channel_id').notNull(),
+    messageId: text('message_id').notNull(),
+    title: text('title').notNull(),
+    description: text('description'),
+    style: text('style').notNull(), // button, select, reaction
+    mode: text('mode').default('toggle').notNull(), // toggle, unique (pick one), verify (grant only)
+    createdBy: text('created_by').notNull(),
+    createdAt: integer('created_at', { mode: 'timestamp' }).notNull()
+}, (table) => ({
+    // Index for listing a guild's panels
+    guildIdx: index('role_panels_guild_idx').on(table.guildId),
+    // Index for reaction lookups by message
+    messageIdx: index('role_panels_message_idx').on(table.messageId)
+}));
+
+const rolePanelOptions = sqliteTable('role_panel_options', {
+    id: integer('id').primaryKey({ autoIncrement: true }),
+    panelId: integer('panel_id').notNull(),
+    roleId: text('role_id').notNull(),
+    label: text('label').notNull(),
+    emoji: text('emoji') // Unicode emoji or <:name:id> (required for reaction panels)
+}, (table) => ({
+    // Index for loading a panel's options
+    panelIdx: index('role_panel_options_panel_idx').on(table.panelId)
+}));
+
+// Roles given to everyone who joins, with separate roles for bots
+const autoRoles = sqliteTable('auto_roles', {
+    id: integer('id').primaryKey({ autoIncrement: true }),
+    guildId: text('guild_id').notNull(),
+    roleId: text('role_id').notNull(),
+    target: text('target').default('member').notNull(), // member, bot
+    addedBy: text('added_by').notNull(),
+    addedAt: integer('added_at', { mode: 'timestamp' }).notNull()
+}, (table) => ({
+    // Index for per-guild auto-role lookups
+    guildIdx: index('auto_roles_guild_idx').on(table.guildId),
+}));
+
+// Roles given back to members who leave and rejoin (e.g. a muted role)
+const stickyRoles = sqliteTable('sticky_roles', {
+    id: integer('id').primaryKey({ autoIncrement: true }),
+    guildId: text('guild_id').notNull(),
+    roleId: text('role_id').notNull(),
+    addedBy: text('added_by').notNull(),
+    addedAt: integer('added_at', { mode: 'timestamp' }).notNull()
+}, (table) => ({
+    // Index for per-guild sticky role lookups
+    guildIdx: index('sticky_roles_guild_idx').on(table.guildId),
+}));
+
+// Sticky roles a member had when they left, restored when they rejoin
+const stickyRoleSnapshots = sqliteTable('sticky_role_snapshots', {
+    id: integer('id').primaryKey({ autoIncrement: true }),
+    guildId: text('guild_id').notNull(),
+    userId: text('user_id').notNull(),
+    roleIds: text('role_ids').notNull(), // Comma-separated role IDs
+    savedAt: integer('saved_at', { mode: 'timestamp' }).notNull()
+}, (table) => ({
+    // Index for the rejoin lookup
+    guildUserIdx: index('sticky_role_snapshots_guild_user_idx').on(table.guildId, table.userId),
+}));
+
+// Button verification gate for new members
+const verificationConfig = sqliteTable('verification_config', {
+    guildId: text('guild_id').primaryKey(),
+    channelId: text('channel_id').notNull(), // Channel with the Verify button
+    messageId: text('message_id'), // The Verify button message
+    roleId: text('role_id').notNull(), // Role given on verification
+    challenge: integer('challenge', { mode: 'boolean' }).default(false).notNull(), // Ask for a shown code in a modal
+    kickAfter: integer('kick_after'), // ms before unverified members are kicked (null = never)
+    updatedBy: text('updated_by').notNull(),
+    updatedAt: integer('updated_at', { mode: 'timestamp' }).notNull()
+});
+
+// Members who joined but haven't verified yet, so kick timers survive restarts
+const pendingVerifications = sqliteTable('pending_verifications', {
+    id: integer('id').primaryKey({ autoIncrement: true }),
+    guildId: text('guild_id').notNull(),
+    userId: text('user_id').notNull(),
+    joinedAt: integer('joined_at', { mode: 'timestamp' }).notNull(),
+    kickAt: integer('kick_at', { mode: 'timestamp' }), // null = never kicked
+    failedAttempts: integer('failed_attempts').default(0).notNull()
+}, (table) => ({
+    // Index for the verify/leave lookup
+    guildUserIdx: index('pending_verifications_guild_user_idx').on(table.guildId, table.userId),
+}));
+
 const commandPermissions = sqliteTable('command_permissions', {
     id: integer('id').primaryKey({ autoIncrement: true }),
     guildId: text('guild_id').notNull(),
@@ -236,6 +564,42 @@ const reminders = sqliteTable('reminders', {
     guildIdx: index('reminders_guild_idx').on(table.guildId, table.active)
 }));
 
+// Temporary bans (lifted automatically - persisted to survive restarts)
+const tempBans = sqliteTable('temp_bans', {
+    id: integer('id').primaryKey({ autoIncrement: true }),
+    guildId: text('guild_id').notNull(),
+    userId: text('user_id').notNull(),
+    executorId: text('executor_id').notNull(),
+    caseNumber: integer('case_number'), // Case number of the original BAN
+    expiresAt: integer('expires_at', { mode: 'timestamp_ms' }).notNull(),
+    createdAt: integer('created_at', { mode: 'timestamp_ms' }).notNull(),
+    active: integer('active', { mode: 'boolean' }).default(true).notNull()
+}, (table) => ({
+    // Index for scheduler queries (upcoming unbans)
+    expiresIdx: index('temp_bans_expires_idx').on(table.expiresAt, table.active),
+    // Index for per-user lookups
+    guildUserIdx: index('temp_bans_guild_user_idx').on(table.guildId, table.userId, table.active)
+}));
+
+// Timed channel changes (auto-unlock, slowmode revert - persisted to survive restarts)
+const channelTimers = sqliteTable('channel_timers', {
+    id: integer('id').primaryKey({ autoIncrement: true }),
+    guildId: text('guild_id').notNull(),
+    channelId: text('channel_id').notNull(),
+    action: text('action').notNull(), // 'UNLOCK' | 'SLOWMODE'
+    value: integer('value'), // Slowmode seconds to restore for SLOWMODE, null for UNLOCK
+    executorId: text('executor_id').notNull(),
+    caseNumber: integer('case_number'), // Case number of the LOCK / SLOWMODE that started the timer
+    expiresAt: integer('expires_at', { mode: 'timestamp_ms' }).notNull(),
+    createdAt: integer('created_at', { mode: 'timestamp_ms' }).notNull(),
+    active: integer('active', { mode: 'boolean' }).default(true).notNull()
+}, (table) => ({
+    // Index for scheduler queries (upcoming expiries)
+    expiresIdx: index('channel_timers_expires_idx').on(table.expiresAt, table.active),
+    // Index for per-channel lookups
+    channelIdx: index('channel_timers_channel_idx').on(table.channelId, table.action, table.active)
+}));
+
 // Suggestions configuration (per-guild)
 const suggestionConfig = sqliteTable('suggestion_config', {
     guildId: text('guild_id').primaryKey(),
@@ -423,6 +787,29 @@ module.exports = {
     guilds,
     users,
     moderationLogs,
+    moderationCaseEdits,
+    moderatorNotes,
+    escalationRules,
+    banAppeals,
+    lockdownChannels,
+    lockdownSnapshots,
+    automodRules,
+    automodExemptions,
+    automodFilters,
+    raidConfig,
+    logChannels,
+    logIgnores,
+    voiceLogConfig,
+    modmailConfig,
+    modmailTickets,
+    modmailMessages,
+    rolePanels,
+    rolePanelOptions,
+    autoRoles,
+    stickyRoles,
+    stickyRoleSnapshots,
+    verificationConfig,
+    pendingVerifications,
     commandPermissions,
     bytepods,
     bytepodAutoWhitelist,
@@ -438,6 +825,8 @@ module.exports = {
     starboardConfig,
     starboardMessages,
     reminders,
+    tempBans,
+    channelTimers,
     suggestionConfig,
     suggestions,
     activityStreaks,
@@ -0,0 +1,24 @@
+const { Events, AuditLogEvent } = require('discord.js');
+const logger = require('../utils/logger');
+const { recordExternalAction } = require('../utils/auditLogUtil');
+
+module.exports = {
+    name: Events.GuildBanAdd,
+
+    async execute(ban, client) {
+        try {
+            const entry = await recordExternalAction(ban.guild, client, {
+                action: 'BAN',
+                auditLogType: AuditLogEvent.MemberBanAdd,
+                targetId: ban.user.id
+            });
+
+            // A ban issued outside the bot replaces any temporary ban we were going to lift
+            if (entry && client.tempBanService) {
+                await client.tempBanService.cancelTempBan(ban.guild.id, ban.user.id);
+            }
+        } catch (error) {
+            logger.error(`Failed to record external ban of ${ban.user.id} in guild ${ban.guild.id}:`, error);
+        }
+    },
+};
@@ -0,0 +1,24 @@
+const { Events, AuditLogEvent } = require('discord.js');
+const logger = require('../utils/logger');
+const { recordExternalAction } = require('../utils/auditLogUtil');
+
+module.exports = {
+    name: Events.GuildBanRemove,
+
+    async execute(ban, client) {
+        try {
+            const entry = await recordExternalAction(ban.guild, client, {
+                action: 'UNBAN',
+                auditLogType: AuditLogEvent.MemberBanRemove,
+                targetId: ban.user.id
+            });
+
+            // Manually lifted temp bans no longer need their timer
+            if (entry && client.tempBanService) {
+                await client.tempBanService.cancelTempBan(ban.guild.id, ban.user.id);
+            }
+        } catch (error) {
+            logger.error(`Failed to record external unban of ${ban.user.id} in guild ${ban.guild.id}:`, error);
+        }
+    },
+};
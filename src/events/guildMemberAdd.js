@@ -6,95 +6,53 @@ const embeds = require('../utils/embeds');
 const logger = require('../utils/logger');
 const { dbLog } = require('../utils/dbLogger');
 const { fetchChannel, safeChannelSend } = require('../utils/discordApiUtil');
+const { parseWelcomeMessage } = require('../utils/welcomeUtil');
+const { getLogChannelId, sendLog } = require('../utils/serverLogUtil');
+const { buildJoinLog } = require('../utils/memberLogUtil');
 
-/**
- * Get ordinal suffix for a number (1st, 2nd, 3rd, etc.)
- * @param {number} num - The number
- * @returns {string}
- */
-function getOrdinalSuffix(num) {
-    const j = num % 10;
-    const k = num % 100;
-    if (j === 1 && k !== 11) return num + 'st';
-    if (j === 2 && k !== 12) return num + 'nd';
-    if (j === 3 && k !== 13) return num + 'rd';
-    return num + 'th';
-}
-
-/**
- * Parse welcome message variables
- * @param {string} message - Message template with variables
- * @param {GuildMember} member - The member who joined
- * @param {Guild} guild - The guild the member joined
- * @returns {string}
- */
-function parseWelcomeMessage(message, member, guild) {
-    const now = new Date();
-    const accountCreated = member.user.createdAt;
-    const accountAgeDays = Math.floor((now - accountCreated) / (1000 * 60 * 60 * 24));
-    const accountAgeMonths = Math.floor(accountAgeDays / 30);
-    const joinedAt = member.joinedAt || now;
-
-    // Format dates
-    const joinedAtFormatted = joinedAt.toLocaleDateString('en-US', {
-        year: 'numeric',
-        month: 'long',
-        day: 'numeric'
-    });
-    const createdAtFormatted = accountCreated.toLocaleDateString('en-US', {
-        year: 'numeric',
-        month: 'long',
-        day: 'numeric'
-    });
-
-    // Relative timestamps for Discord (will show as "X days ago", "X months ago", etc.)
-    const joinedTimestamp = `<t:${Math.floor(joinedAt.getTime() / 1000)}:R>`;
-    const createdTimestamp = `<t:${Math.floor(accountCreated.getTime() / 1000)}:R>`;
-    const joinedTimestampFull = `<t:${Math.floor(joinedAt.getTime() / 1000)}:F>`;
-    const createdTimestampFull = `<t:${Math.floor(accountCreated.getTime() / 1000)}:F>`;
-
-    return message
-        // User mentions
-        .replace(/{user}/g, `<@${member.id}>`)
-        .replace(/{mention}/g, `<@${member.id}>`)
-        .replace(/{username}/g, member.user.username)
-        .replace(/{tag}/g, member.user.tag)
-        .replace(/{displayname}/g, member.displayName)
-
-        // Server info
-        .replace(/{server}/g, guild.name)
-        .replace(/{memberCount}/g, guild.memberCount.toString())
-        .replace(/{membercount}/g, guild.memberCount.toString())
-        .replace(/{memberNumber}/g, getOrdinalSuffix(guild.memberCount))
-        .replace(/{membernumber}/g, getOrdinalSuffix(guild.memberCount))
+module.exports = {
+    name: Events.GuildMemberAdd,
 
-        // Join date/time
-        .replace(/{joinedAt}/g, joinedAtFormatted)
-        .replace(/{joinedat}/g, joinedAtFormatted)
-        .replace(/{joinedRelative}/g, joinedTimestamp)
-        .replace(/{joinedrelative}/g, joinedTimestamp)
-        .replace(/{joinedFull}/g, joinedTimestampFull)
-        .replace(/{joinedfull}/g, joinedTimestampFull)
+    async execute(member, client) {
+        // Member log - every join is recorded, including ones raid protection removes
+        try {
+            const logChannelId = await getLogChannelId(member.guild.id, 'joins');
+            if (logChannelId) {
+                await sendLog(member.guild, logChannelId, buildJoinLog(member));
+            }
+        } catch (error) {
+            logger.error(`Failed to log join of ${member.id} in guild ${member.guild.id}:`, error);
+        }
 
-        // Account creation
-        .replace(/{createdAt}/g, createdAtFormatted)
-        .replace(/{createdat}/g, createdAtFormatted)
-        .replace(/{createdRelative}/g, createdTimestamp)
-        .replace(/{createdrelative}/g, createdTimestamp)
-        .replace(/{createdFull}/g, createdTimestampFull)
-        .replace(/{createdfull}/g, createdTimestampFull)
+        // Raid protection runs before the welcome - kicked or quarantined members get no welcome
+        if (client?.raidService) {
+            try {
+                const removed = await client.raidService.checkMember(member);
+                if (removed) return;
+            } catch (error) {
+                logger.error(`Raid protection error in guild ${member.guild.id}:`, error);
+                // Don't block the welcome message on raid protection errors
+            }
+        }
 
-        // Account age
-        .replace(/{accountAgeDays}/g, accountAgeDays.toString())
-        .replace(/{accountagedays}/g, accountAgeDays.toString())
-        .replace(/{accountAgeMonths}/g, accountAgeMonths.toString())
-        .replace(/{accountagemonths}/g, accountAgeMonths.toString());
-}
+        // Auto-roles and sticky roles (after raid protection, so removed members get nothing)
+        if (client?.autoRoleService) {
+            try {
+                await client.autoRoleService.handleMemberJoin(member);
+            } catch (error) {
+                logger.error(`Auto-role error in guild ${member.guild.id}:`, error);
+            }
+        }
 
-module.exports = {
-    name: Events.GuildMemberAdd,
+        // Verification gate - new members are pending until they press Verify
+        if (client?.verificationService) {
+            try {
+                await client.verificationService.handleMemberJoin(member);
+            } catch (error) {
+                logger.error(`Verification error in guild ${member.guild.id}:`, error);
+            }
+        }
 
-    async execute(member) {
         try {
             // Fetch guild config
             const [config] = await dbLog.select('guilds',
@@ -0,0 +1,80 @@
+const { Events, AuditLogEvent } = require('discord.js');
+const { db } = require('../database');
+const { guilds } = require('../database/schema');
+const { eq } = require('drizzle-orm');
+const logger = require('../utils/logger');
+const { dbLog } = require('../utils/dbLogger');
+const { fetchChannel, safeChannelSend } = require('../utils/discordApiUtil');
+const { buildGoodbyeMessage } = require('../utils/welcomeUtil');
+const { recordExternalAction } = require('../utils/auditLogUtil');
+const { getLogChannelId, sendLog } = require('../utils/serverLogUtil');
+const { buildLeaveLog } = require('../utils/memberLogUtil');
+
+module.exports = {
+    name: Events.GuildMemberRemove,
+
+    async execute(member, client) {
+        // Member log - uncached members have no roles to show
+        if (!member.partial) {
+            try {
+                const logChannelId = await getLogChannelId(member.guild.id, 'joins');
+                if (logChannelId) {
+                    await sendLog(member.guild, logChannelId, buildLeaveLog(member));
+                }
+            } catch (error) {
+                logger.error(`Failed to log leave of ${member.id} in guild ${member.guild.id}:`, error);
+            }
+        }
+
+        // Goodbye message
+        try {
+            const [config] = await dbLog.select('guilds',
+                () => db.select()
+                    .from(guilds)
+                    .where(eq(guilds.id, member.guild.id)),
+                { guildId: member.guild.id }
+            );
+
+            if (config?.goodbyeEnabled && config.goodbyeChannel) {
+                const channel = await fetchChannel(member.guild, config.goodbyeChannel, { logContext: 'goodbye-message' });
+                if (!channel) {
+                    logger.warn(`Goodbye channel ${config.goodbyeChannel} not found in guild ${member.guild.id}`);
+                } else {
+                    const sent = await safeChannelSend(channel, buildGoodbyeMessage(config, member, member.guild), { logContext: 'goodbye-message' });
+                    if (!sent) logger.warn(`Failed to send goodbye message in guild ${member.guild.id}`);
+                }
+            }
+        } catch (error) {
+            logger.error(`Failed to send goodbye message in guild ${member.guild.id}:`, error);
+        }
+
+        // Sticky roles are saved so rejoining can't shed them
+        if (client?.autoRoleService) {
+            try {
+                await client.autoRoleService.handleMemberLeave(member);
+            } catch (error) {
+                logger.error(`Failed to save sticky roles of ${member.id} in guild ${member.guild.id}:`, error);
+            }
+        }
+
+        // Members who leave before verifying are no longer pending
+        if (client?.verificationService) {
+            try {
+                await client.verificationService.handleMemberLeave(member);
+            } catch (error) {
+                logger.error(`Failed to clear pending verification of ${member.id} in guild ${member.guild.id}:`, error);
+            }
+        }
+
+        // Discord has no kick event - a recent MemberKick audit entry tells a kick apart from a leave
+        try {
+            await recordExternalAction(member.guild, client, {
+                action: 'KICK',
+                auditLogType: AuditLogEvent.MemberKick,
+                targetId: member.id
+            });
+        } catch (error) {
+            logger.error(`Failed to record external kick of ${member.id} in guild ${member.guild.id}:`, error);
+        }
+    },
+};
@@ -0,0 +1,54 @@
+const { Events, AuditLogEvent } = require('discord.js');
+const logger = require('../utils/logger');
+const { findAuditLogEntry } = require('../utils/auditLogUtil');
+const { getLogChannelId, sendLog } = require('../utils/serverLogUtil');
+const { buildNicknameLog, buildRoleLog, buildTimeoutLog } = require('../utils/memberLogUtil');
+
+/**
+ * Post a member log entry if the category has a log channel
+ * The audit log is only fetched once we know the entry will be posted.
+ * @param {GuildMember} member - The updated member
+ * @param {string} category - Log category
+ * @param {Object} audit - The audit log entry naming who made the change
+ * @param {AuditLogEvent} audit.type - Audit log event type
+ * @param {string} audit.changeKey - Changed key the entry must contain (optional)
+ * @param {Function} build - (entry) => message options
+ */
+async function postMemberLog(member, category, { type, changeKey }, build) {
+    const channelId = await getLogChannelId(member.guild.id, category);
+    if (!channelId) return;
+
+    const entry = await findAuditLogEntry(member.guild, type, member.id, { changeKey });
+    await sendLog(member.guild, channelId, build(entry));
+}
+
+module.exports = {
+    name: Events.GuildMemberUpdate,
+
+    async execute(oldMember, newMember) {
+        // Without the previous state there's nothing to compare
+        if (oldMember.partial) return;
+
+        try {
+            if (oldMember.nickname !== newMember.nickname) {
+                await postMemberLog(newMember, 'nicknames', { type: AuditLogEvent.MemberUpdate, changeKey: 'nick' },
+                    entry => buildNicknameLog(oldMember, newMember, entry));
+            }
+
+            const added = newMember.roles.cache.filter(role => !oldMember.roles.cache.has(role.id));
+            const removed = oldMember.roles.cache.filter(role => !newMember.roles.cache.has(role.id));
+            if (added.size > 0 || removed.size > 0) {
+                await postMemberLog(newMember, 'roles', { type: AuditLogEvent.MemberRoleUpdate },
+                    entry => buildRoleLog(newMember, added, removed, entry));
+            }
+
+            // Timeouts that simply run out don't send an update, so any change here is a moderator action
+            if (oldMember.communicationDisabledUntilTimestamp !== newMember.communicationDisabledUntilTimestamp) {
+                await postMemberLog(newMember, 'timeouts', { type: AuditLogEvent.MemberUpdate, changeKey: 'communication_disabled_until' },
+                    entry => buildTimeoutLog(newMember, entry));
+            }
+        } catch (error) {
+            logger.error(`Failed to log member update of ${newMember.id} in guild ${newMember.guild.id}:`, error);
+        }
+    },
+};
@@ -150,6 +150,114 @@ module.exports = {
             return;
         }
 
+        // Handle Ban Appeal Interactions (DM appeal button/modal, staff review buttons/modal)
+        if ((interaction.isButton() || interaction.isModalSubmit()) && interaction.customId.startsWith('appeal_')) {
+            const command = client.commands.get('mod');
+            if (command && command.handleInteraction) {
+                try {
+                    await command.handleInteraction(interaction, client);
+                } catch (error) {
+                    logger.errorContext('Appeal Interaction Error', error, {
+                        customId: interaction.customId,
+                        userId: interaction.user?.id,
+                        guildId: interaction.guildId
+                    });
+                    // Attempt to notify user if possible
+                    try {
+                        const errorEmbed = embeds.error('Interaction Failed', 'An error occurred while processing this appeal.');
+                        if (interaction.replied || interaction.deferred) {
+                            await interaction.followUp({ embeds: [errorEmbed], flags: [MessageFlags.Ephemeral] });
+                        } else {
+                            await interaction.reply({ embeds: [errorEmbed], flags: [MessageFlags.Ephemeral] });
+                        }
+                    } catch (e) {
+                        logger.error('Failed to send error response to user:', e);
+                    }
+                }
+            }
+            return;
+        }
+
+        // Handle Role Panel Interactions (role buttons and select menus)
+        if ((interaction.isButton() || interaction.isStringSelectMenu()) && interaction.customId.startsWith('rolepanel_')) {
+            const command = client.commands.get('rolepanel');
+            if (command && command.handleInteraction) {
+                try {
+                    await command.handleInteraction(interaction, client);
+                } catch (error) {
+                    logger.errorContext('Role Panel Interaction Error', error, {
+                        customId: interaction.customId,
+                        userId: interaction.user?.id,
+                        guildId: interaction.guildId
+                    });
+                    try {
+                        const errorEmbed = embeds.error('Interaction Failed', 'An error occurred while updating your roles.');
+                        if (interaction.replied || interaction.deferred) {
+                            await interaction.editReply({ embeds: [errorEmbed] });
+                        } else {
+                            await interaction.reply({ embeds: [errorEmbed], flags: [MessageFlags.Ephemeral] });
+                        }
+                    } catch (e) {
+                        logger.error('Failed to send error response to user:', e);
+                    }
+                }
+            }
+            return;
+        }
+
+        // Handle Modmail Interactions (server picker in DMs)
+        if (interaction.isStringSelectMenu() && interaction.customId.startsWith('modmail_')) {
+            const command = client.commands.get('modmail');
+            if (command && command.handleInteraction) {
+                try {
+                    await command.handleInteraction(interaction, client);
+                } catch (error) {
+                    logger.errorContext('Modmail Interaction Error', error, {
+                        customId: interaction.customId,
+                        userId: interaction.user?.id
+                    });
+                    try {
+                        const errorEmbed = embeds.error('Interaction Failed', 'An error occurred while contacting staff.');
+                        if (interaction.replied || interaction.deferred) {
+                            await interaction.followUp({ embeds: [errorEmbed] });
+                        } else {
+                            await interaction.reply({ embeds: [errorEmbed] });
+                        }
+                    } catch (e) {
+                        logger.error('Failed to send error response to user:', e);
+                    }
+                }
+            }
+            return;
+        }
+
+        // Handle Verification Interactions (Verify button and code challenge)
+        if ((interaction.isButton() || interaction.isModalSubmit()) && interaction.customId.startsWith('verify_')) {
+            const command = client.commands.get('verification');
+            if (command && command.handleInteraction) {
+                try {
+                    await command.handleInteraction(interaction, client);
+                } catch (error) {
+                    logger.errorContext('Verification Interaction Error', error, {
+                        customId: interaction.customId,
+                        userId: interaction.user?.id,
+                        guildId: interaction.guildId
+                    });
+                    try {
+                        const errorEmbed = embeds.error('Interaction Failed', 'An error occurred while verifying you.');
+                        if (interaction.replied || interaction.deferred) {
+                            await interaction.editReply({ embeds: [errorEmbed] });
+                        } else {
+                            await interaction.reply({ embeds: [errorEmbed], flags: [MessageFlags.Ephemeral] });
+                        }
+                    } catch (e) {
+                        logger.error('Failed to send error response to user:', e);
+                    }
+                }
+            }
+            return;
+        }
+
         // Handle Achievement Creation Modal Submission
         if (interaction.isModalSubmit() && interaction.customId === 'achievement_create_modal') {
             try {
@@ -7,8 +7,38 @@ module.exports = {
         // Ignore bot messages (prevents infinite loops)
         if (message.author.bot) return;
 
-        // Guild only (auto-responder doesn't work in DMs)
-        if (!message.guild) return;
+        // DMs go to modmail (auto-responder doesn't work in DMs)
+        if (!message.guild) {
+            if (client.modmailService) {
+                try {
+                    await client.modmailService.handleDirectMessage(message);
+                } catch (error) {
+                    logger.error('Modmail DM error:', error);
+                }
+            }
+            return;
+        }
+
+        // Staff replies in modmail threads are relayed, not moderated or counted
+        if (client.modmailService) {
+            try {
+                const relayed = await client.modmailService.handleStaffMessage(message);
+                if (relayed) return;
+            } catch (error) {
+                logger.error('Modmail relay error:', error);
+            }
+        }
+
+        // Automod check (a removed message gets no auto-response)
+        if (client.automodService) {
+            try {
+                const actioned = await client.automodService.checkMessage(message);
+                if (actioned) return;
+            } catch (error) {
+                logger.error('Automod error:', error);
+                // Don't crash on automod errors, just log
+            }
+        }
 
         // Auto-responder check
         if (client.autoResponderService) {
@@ -1,6 +1,7 @@
 const { Events } = require('discord.js');
 const logger = require('../utils/logger');
 const bookmarkUtil = require('../utils/bookmarkUtil');
+const { getMessageLogChannelId, sendLog, buildDeleteLog } = require('../utils/serverLogUtil');
 
 module.exports = {
     name: Events.MessageDelete,
@@ -28,5 +29,17 @@ module.exports = {
                 logger.error(`Failed to handle starboard message deletion for ${message.id}: ${error}`);
             }
         }
+
+        // Log the deleted message (uncached messages have no content or author to show)
+        if (message.guild && !message.partial && !message.author?.bot) {
+            try {
+                const channelId = await getMessageLogChannelId(message);
+                if (channelId) {
+                    await sendLog(message.guild, channelId, buildDeleteLog(message));
+                }
+            } catch (error) {
+                logger.error(`Failed to log deletion of message ${message.id}: ${error}`);
+            }
+        }
     }
 };
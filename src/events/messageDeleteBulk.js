@@ -0,0 +1,24 @@
+const { Events } = require('discord.js');
+const logger = require('../utils/logger');
+const { getLogChannelId, getLogIgnores, isLogIgnored, sendLog, buildBulkDeleteLog } = require('../utils/serverLogUtil');
+
+module.exports = {
+    name: Events.MessageBulkDelete,
+    async execute(messages, channel) {
+        if (!channel.guild) return;
+
+        try {
+            const channelId = await getLogChannelId(channel.guild.id, 'messages');
+            if (!channelId || channelId === channel.id) return;
+
+            // Ignored channels skip the log entirely; ignored roles are left out of the transcript
+            const ignores = await getLogIgnores(channel.guild.id);
+            if (isLogIgnored({ channel }, ignores)) return;
+
+            const logged = [...messages.values()].filter(message => !message.partial && !isLogIgnored(message, ignores));
+            await sendLog(channel.guild, channelId, buildBulkDeleteLog(logged, channel, messages.size));
+        } catch (error) {
+            logger.error(`Failed to log bulk delete in channel ${channel.id}: ${error}`);
+        }
+    }
+};
@@ -1,5 +1,6 @@
 const { Events } = require('discord.js');
 const logger = require('../utils/logger');
+const { handlePanelReaction } = require('../utils/rolePanelUtil');
 
 module.exports = {
     name: Events.MessageReactionAdd,
@@ -46,6 +47,9 @@ module.exports = {
                 }
             }
 
+            // Role panels (reaction style)
+            if (await handlePanelReaction(reaction, user, true)) return;
+
             // Check starboard
             if (client.starboardService) {
                 await client.starboardService.handleReactionAdd(reaction, user);
@@ -1,5 +1,6 @@
 const { Events } = require('discord.js');
 const logger = require('../utils/logger');
+const { handlePanelReaction } = require('../utils/rolePanelUtil');
 
 module.exports = {
     name: Events.MessageReactionRemove,
@@ -33,6 +34,9 @@ module.exports = {
             // Ignore DMs
             if (!reaction.message.guild) return;
 
+            // Role panels (reaction style)
+            if (await handlePanelReaction(reaction, user, false)) return;
+
             // Check starboard
             if (client.starboardService) {
                 await client.starboardService.handleReactionRemove(reaction, user);
@@ -0,0 +1,21 @@
+const { Events } = require('discord.js');
+const logger = require('../utils/logger');
+const { getMessageLogChannelId, sendLog, buildEditLog } = require('../utils/serverLogUtil');
+
+module.exports = {
+    name: Events.MessageUpdate,
+    async execute(oldMessage, newMessage) {
+        // Uncached messages have no "before" to compare, and embed unfurls fire updates with unchanged content
+        if (!newMessage.guild || oldMessage.partial || newMessage.partial) return;
+        if (newMessage.author?.bot || oldMessage.content === newMessage.content) return;
+
+        try {
+            const channelId = await getMessageLogChannelId(newMessage);
+            if (!channelId) return;
+
+            await sendLog(newMessage.guild, channelId, buildEditLog(oldMessage, newMessage));
+        } catch (error) {
+            logger.error(`Failed to log edit of message ${newMessage.id}: ${error}`);
+        }
+    }
+};
@@ -213,6 +213,62 @@ module.exports = {
             logger.error(`Failed to initialize auto-responder service: ${e}`);
         }
 
+        // --- Initialize Automod Service ---
+        try {
+            const AutomodService = require('../services/automodService');
+            client.automodService = new AutomodService(client);
+            logger.success('Automod service initialized');
+        } catch (e) {
+            logger.error(`Failed to initialize automod service: ${e}`);
+        }
+
+        // --- Initialize Raid Service ---
+        try {
+            const RaidService = require('../services/raidService');
+            client.raidService = new RaidService(client);
+            logger.success('Raid service initialized');
+        } catch (e) {
+            logger.error(`Failed to initialize raid service: ${e}`);
+        }
+
+        // --- Initialize Voice Log Service ---
+        try {
+            const VoiceLogService = require('../services/voiceLogService');
+            client.voiceLogService = new VoiceLogService(client);
+            logger.success('Voice log service initialized');
+        } catch (e) {
+            logger.error(`Failed to initialize voice log service: ${e}`);
+        }
+
+        // --- Initialize Modmail Service ---
+        try {
+            const ModmailService = require('../services/modmailService');
+            client.modmailService = new ModmailService(client);
+            await client.modmailService.loadTickets();
+            logger.success('Modmail service initialized');
+        } catch (e) {
+            logger.error(`Failed to initialize modmail service: ${e}`);
+        }
+
+        // --- Initialize Auto-Role Service ---
+        try {
+            const AutoRoleService = require('../services/autoRoleService');
+            client.autoRoleService = new AutoRoleService(client);
+            logger.success('Auto-role service initialized');
+        } catch (e) {
+            logger.error(`Failed to initialize auto-role service: ${e}`);
+        }
+
+        // --- Initialize Verification Service ---
+        try {
+            const VerificationService = require('../services/verificationService');
+            client.verificationService = new VerificationService(client);
+            await client.verificationService.loadPending();
+            logger.success('Verification service initialized');
+        } catch (e) {
+            logger.error(`Failed to initialize verification service: ${e}`);
+        }
+
         // --- Initialize Starboard Service ---
         try {
             const StarboardService = require('../services/starboardService');
@@ -232,6 +288,26 @@ module.exports = {
             logger.error(`Failed to initialize reminder service: ${e}`);
         }
 
+        // --- Initialize Temp Ban Service ---
+        try {
+            const TempBanService = require('../services/tempBanService');
+            client.tempBanService = new TempBanService(client);
+            await client.tempBanService.loadTempBans();
+            logger.success('Temp ban service initialized');
+        } catch (e) {
+            logger.error(`Failed to initialize temp ban service: ${e}`);
+        }
+
+        // --- Initialize Channel Timer Service ---
+        try {
+            const ChannelTimerService = require('../services/channelTimerService');
+            client.channelTimerService = new ChannelTimerService(client);
+            await client.channelTimerService.loadTimers();
+            logger.success('Channel timer service initialized');
+        } catch (e) {
+            logger.error(`Failed to initialize channel timer service: ${e}`);
+        }
+
         // --- Initialize Activity Streak Service ---
         try {
             const ActivityStreakService = require('../services/activityStreakService');
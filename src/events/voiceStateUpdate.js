@@ -259,6 +259,13 @@ module.exports = {
 
         if (member.user.bot) return;
 
+        // Voice log runs for every guild, BytePods only for guilds with a hub
+        // Not awaited - audit log lookups shouldn't hold up pod creation
+        if (newState.client.voiceLogService) {
+            newState.client.voiceLogService.handleVoiceStateUpdate(oldState, newState)
+                .catch(error => logger.error(`Voice log error in guild ${guild.id}:`, error));
+        }
+
         // DB Fetch
         const guildData = await dbLog.select('guilds',
             () => db.select().from(guilds).where(eq(guilds.id, guild.id)).get(),
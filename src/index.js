@@ -10,10 +10,12 @@ const client = new Client({
     intents: [
         GatewayIntentBits.Guilds,
         GatewayIntentBits.GuildMembers,
+        GatewayIntentBits.GuildModeration,
         GatewayIntentBits.GuildMessages,
         GatewayIntentBits.MessageContent,
         GatewayIntentBits.GuildVoiceStates,
         GatewayIntentBits.GuildMessageReactions,
+        GatewayIntentBits.DirectMessages,
     ],
     partials: [
         Partials.Message,
@@ -44,12 +46,36 @@ const shutdown = async (signal) => {
         if (client.reminderService && client.reminderService.cleanup) {
             await client.reminderService.cleanup();
         }
+        if (client.tempBanService && client.tempBanService.cleanup) {
+            await client.tempBanService.cleanup();
+        }
+        if (client.channelTimerService && client.channelTimerService.cleanup) {
+            await client.channelTimerService.cleanup();
+        }
         if (client.birthdayService && client.birthdayService.cleanup) {
             await client.birthdayService.cleanup();
         }
         if (client.autoResponderService && client.autoResponderService.cleanup) {
             await client.autoResponderService.cleanup();
         }
+        if (client.automodService && client.automodService.cleanup) {
+            await client.automodService.cleanup();
+        }
+        if (client.raidService && client.raidService.cleanup) {
+            await client.raidService.cleanup();
+        }
+        if (client.voiceLogService && client.voiceLogService.cleanup) {
+            await client.voiceLogService.cleanup();
+        }
+        if (client.modmailService && client.modmailService.cleanup) {
+            await client.modmailService.cleanup();
+        }
+        if (client.autoRoleService && client.autoRoleService.cleanup) {
+            await client.autoRoleService.cleanup();
+        }
+        if (client.verificationService && client.verificationService.cleanup) {
+            await client.verificationService.cleanup();
+        }
         if (client.starboardService && client.starboardService.cleanup) {
             await client.starboardService.cleanup();
         }
@@ -135,6 +135,17 @@ class AutoResponderService {
      * @returns {boolean}
      */
     matchesTrigger(content, trigger, matchType) {
+        return AutoResponderService.matchesTrigger(content, trigger, matchType);
+    }
+
+    /**
+     * Check if content matches a trigger (shared with the automod word filter)
+     * @param {string} content - Message content
+     * @param {string} trigger - Trigger pattern
+     * @param {string} matchType - Match type (exact, contains, wildcard, regex)
+     * @returns {boolean}
+     */
+    static matchesTrigger(content, trigger, matchType) {
         const contentLower = content.toLowerCase();
         const triggerLower = trigger.toLowerCase();
 
@@ -154,7 +165,7 @@ class AutoResponderService {
                 try {
                     return new RegExp(trigger, 'i').test(content);
                 } catch (error) {
-                    logger.error(`Invalid regex in auto-response: ${trigger}`);
+                    logger.error(`Invalid regex trigger: ${trigger}`);
                     return false;
                 }
 
@@ -0,0 +1,151 @@
+const logger = require('../utils/logger');
+const { fetchMember, RoleManager } = require('../utils/discordApiUtil');
+const {
+    getAutoRoles,
+    getAutoRoleDelay,
+    getStickyRoles,
+    saveStickySnapshot,
+    takeStickySnapshot
+} = require('../utils/autoRoleUtil');
+
+/**
+ * Auto-Role Service
+ * Gives roles to members as they join and keeps sticky roles across rejoins.
+ *
+ * Features:
+ * - Separate auto-roles for members and bots
+ * - Optional delay before members get their auto-roles (bots get theirs right away)
+ * - Sticky roles (e.g. a muted role) saved on leave and restored on rejoin, so leaving can't dodge a punishment
+ */
+class AutoRoleService {
+    constructor(client) {
+        this.client = client;
+        this.pendingGrants = new Map(); // guildId:userId -> timeout for a delayed auto-role grant
+        this.cache = new Map(); // guildId -> { memberRoleIds, botRoleIds, stickyRoleIds, delay }
+        this.cacheExpiry = new Map(); // guildId -> expiry timestamp
+    }
+
+    /**
+     * Cleanup method - clears pending grant timers
+     * Call this when shutting down the service
+     */
+    cleanup() {
+        for (const timeout of this.pendingGrants.values()) {
+            clearTimeout(timeout);
+        }
+        this.pendingGrants.clear();
+    }
+
+    /**
+     * Restore sticky roles and give auto-roles to a member who just joined
+     * @param {GuildMember} member - The new member
+     */
+    async handleMemberJoin(member) {
+        const guildConfig = await this.getGuildConfig(member.guild.id);
+
+        // Sticky roles come back right away, whatever the delay
+        const saved = await takeStickySnapshot(member.guild.id, member.id);
+        const sticky = saved.filter(roleId => guildConfig.stickyRoleIds.includes(roleId));
+        if (sticky.length > 0) {
+            await this.grantRoles(member, sticky, 'Sticky role restored on rejoin');
+        }
+
+        const roleIds = member.user.bot ? guildConfig.botRoleIds : guildConfig.memberRoleIds;
+        if (roleIds.length === 0) return;
+
+        if (member.user.bot || guildConfig.delay === 0) {
+            await this.grantRoles(member, roleIds, 'Auto-role on join');
+            return;
+        }
+
+        const key = `${member.guild.id}:${member.id}`;
+        this.pendingGrants.set(key, setTimeout(async () => {
+            this.pendingGrants.delete(key);
+            try {
+                // The member may have left (or been removed) during the delay
+                const current = await fetchMember(member.guild, member.id, { force: true, logContext: 'auto-role' });
+                if (current) await this.grantRoles(current, roleIds, 'Auto-role on join');
+            } catch (error) {
+                logger.error(`Delayed auto-role failed for ${member.id} in ${member.guild.id}:`, error);
+            }
+        }, guildConfig.delay * 1000));
+    }
+
+    /**
+     * Cancel a pending grant and save the sticky roles of a member who left
+     * @param {GuildMember} member - The member who left (may be partial)
+     */
+    async handleMemberLeave(member) {
+        const key = `${member.guild.id}:${member.id}`;
+        if (this.pendingGrants.has(key)) {
+            clearTimeout(this.pendingGrants.get(key));
+            this.pendingGrants.delete(key);
+        }
+
+        // Uncached members have no roles to save
+        if (member.partial) return;
+
+        const { stickyRoleIds } = await this.getGuildConfig(member.guild.id);
+        if (stickyRoleIds.length === 0) return;
+
+        const held = stickyRoleIds.filter(roleId => member.roles.cache.has(roleId));
+        await saveStickySnapshot(member.guild.id, member.id, held);
+    }
+
+    /**
+     * Add roles one by one, logging the ones that fail (deleted, or above the bot's highest role)
+     * @param {GuildMember} member - Member to give the roles to
+     * @param {string[]} roleIds - Roles to add
+     * @param {string} reason - Audit log reason
+     * @returns {Promise<string[]>} - Roles that were added
+     */
+    async grantRoles(member, roleIds, reason) {
+        const added = [];
+
+        for (const roleId of roleIds) {
+            const { success, error } = await RoleManager.addRole(member, roleId, { reason, logContext: 'auto-role' });
+            if (success) {
+                added.push(roleId);
+            } else {
+                logger.warn(`Could not give role ${roleId} to ${member.id} in ${member.guild.id}: ${error}`);
+            }
+        }
+
+        return added;
+    }
+
+    /**
+     * Get the guild's auto-roles, sticky roles and delay (cached for 5 minutes)
+     * @param {string} guildId - Guild ID
+     * @returns {Promise<Object>} - { memberRoleIds, botRoleIds, stickyRoleIds, delay }
+     */
+    async getGuildConfig(guildId) {
+        const expiry = this.cacheExpiry.get(guildId);
+        if (expiry && Date.now() < expiry) {
+            return this.cache.get(guildId);
+        }
+
+        const autoRoles = await getAutoRoles(guildId);
+        const guildConfig = {
+            memberRoleIds: autoRoles.filter(entry => entry.target === 'member').map(entry => entry.roleId),
+            botRoleIds: autoRoles.filter(entry => entry.target === 'bot').map(entry => entry.roleId),
+            stickyRoleIds: (await getStickyRoles(guildId)).map(entry => entry.roleId),
+            delay: await getAutoRoleDelay(guildId)
+        };
+
+        this.cache.set(guildId, guildConfig);
+        this.cacheExpiry.set(guildId, Date.now() + 300000); // 5 minutes
+        return guildConfig;
+    }
+
+    /**
+     * Invalidate cache for guild (call after any auto-role or sticky role change)
+     * @param {string} guildId - Guild ID
+     */
+    invalidateCache(guildId) {
+        this.cache.delete(guildId);
+        this.cacheExpiry.delete(guildId);
+    }
+}
+
+module.exports = AutoRoleService;
@@ -0,0 +1,327 @@
+const { PermissionFlagsBits } = require('discord.js');
+const logger = require('../utils/logger');
+const { logModerationAction, executeModerationAction, MAX_TIMEOUT_DURATION } = require('../utils/moderationUtil');
+const { applyEscalation } = require('../utils/escalationUtil');
+const {
+    getAutomodRules,
+    getAutomodExemptions,
+    getAutomodFilters,
+    matchesFilter,
+    countFilterHits,
+    AUTOMOD_RULES,
+    MAX_AUTOMOD_INTERVAL,
+    FILTER_REASON_PREFIX
+} = require('../utils/automodUtil');
+const { fetchMember, safeMessageDelete } = require('../utils/discordApiUtil');
+
+const INVITE_REGEX = /(?:discord(?:app)?\.com\/invite|discord\.(?:gg|io|me|li))\/[\w-]+/i;
+// Shorter messages are never flagged for caps ("OK", "LOL")
+const MIN_CAPS_LETTERS = 10;
+// Message history only needs to cover the longest rule window
+const MAX_HISTORY_AGE = MAX_AUTOMOD_INTERVAL * 1000;
+// Evaluated in this order, only the first hit per message is actioned
+const RULE_ORDER = ['invites', 'mentions', 'caps', 'duplicates', 'spam'];
+// Every third word filter hit within a day earns an automatic warning
+const FILTER_WARN_THRESHOLD = 3;
+const FILTER_WARN_WINDOW = 86400000;
+
+/**
+ * Automod Service
+ * Detects spam, duplicates, mass mentions, invite links and excessive caps,
+ * then deletes the message and applies the rule's action (delete, warn or timeout).
+ * Messages matching the guild's word filter are deleted, repeat offenders are warned.
+ * Every hit is logged as a moderation case.
+ */
+class AutomodService {
+    constructor(client) {
+        this.client = client;
+        this.history = new Map(); // `${guildId}_${userId}` -> [{ content, timestamp }]
+        this.cache = new Map(); // guildId -> { rules, exemptions, filters }
+        this.cacheExpiry = new Map(); // guildId -> expiry timestamp
+
+        // Drop message history older than any rule window every minute
+        this.cleanupInterval = setInterval(() => {
+            const cutoff = Date.now() - MAX_HISTORY_AGE;
+            for (const [key, entries] of this.history.entries()) {
+                const recent = entries.filter(entry => entry.timestamp > cutoff);
+                if (recent.length === 0) {
+                    this.history.delete(key);
+                } else {
+                    this.history.set(key, recent);
+                }
+            }
+        }, 60000);
+    }
+
+    /**
+     * Cleanup method - clears interval timer
+     * Call this when shutting down the service
+     */
+    cleanup() {
+        if (this.cleanupInterval) {
+            clearInterval(this.cleanupInterval);
+            this.cleanupInterval = null;
+        }
+    }
+
+    /**
+     * Check a message against the guild's automod rules
+     * @param {Message} message - Discord.js Message object
+     * @returns {Promise<boolean>} - true if automod acted on the message (it is deleted)
+     */
+    async checkMessage(message) {
+        const { rules, exemptions, filters } = await this.getGuildConfig(message.guild.id);
+        const enabled = rules.filter(rule => rule.enabled);
+        if (enabled.length === 0 && filters.length === 0) return false;
+
+        const history = this.recordMessage(message);
+
+        const member = message.member ?? await fetchMember(message.guild, message.author.id, { logContext: 'automod' });
+        if (!member || this.isExempt(message, member, exemptions)) return false;
+
+        const filter = filters.find(f => matchesFilter(message.content, f));
+        if (filter) {
+            await this.applyFilter(filter, message, member);
+            return true;
+        }
+
+        for (const type of RULE_ORDER) {
+            const rule = enabled.find(r => r.rule === type);
+            if (!rule) continue;
+
+            const detail = this.detect(rule, message, history);
+            if (!detail) continue;
+
+            // A burst counts once - the next hit needs a fresh set of messages
+            if (type === 'spam' || type === 'duplicates') {
+                this.history.delete(`${message.guild.id}_${message.author.id}`);
+            }
+
+            await this.applyAction(rule, message, member, `Automod: ${AUTOMOD_RULES[type].label} (${detail})`);
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Run a single rule's detection
+     * @param {Object} rule - Automod rule row
+     * @param {Message} message - Discord.js Message object
+     * @param {Array<Object>} history - The author's recent messages in the guild (including this one)
+     * @returns {string|null} - Description of the hit, or null if the rule didn't trigger
+     */
+    detect(rule, message, history) {
+        const now = Date.now();
+        const inWindow = history.filter(entry => entry.timestamp > now - (rule.interval ?? 0) * 1000);
+
+        switch (rule.rule) {
+            case 'invites':
+                return INVITE_REGEX.test(message.content) ? 'posted an invite link' : null;
+
+            case 'mentions': {
+                const mentions = countMentions(message);
+                return mentions >= rule.threshold ? `${mentions} mentions` : null;
+            }
+
+            case 'caps': {
+                const ratio = capsPercentage(message.content);
+                return ratio !== null && ratio >= rule.threshold ? `${ratio}% capital letters` : null;
+            }
+
+            case 'duplicates': {
+                const content = normalizeContent(message.content);
+                if (!content) return null;
+                const repeats = inWindow.filter(entry => entry.content === content).length;
+                return repeats >= rule.threshold ? `${repeats} identical messages in ${rule.interval}s` : null;
+            }
+
+            case 'spam':
+                return inWindow.length >= rule.threshold ? `${inWindow.length} messages in ${rule.interval}s` : null;
+
+            default:
+                return null;
+        }
+    }
+
+    /**
+     * Delete the message and apply the rule's action, logging the hit as a case
+     * @param {Object} rule - Automod rule row
+     * @param {Message} message - The offending message
+     * @param {GuildMember} member - Author of the message
+     * @param {string} reason - Case reason
+     */
+    async applyAction(rule, message, member, reason) {
+        const guild = message.guild;
+        await safeMessageDelete(message, { logContext: 'automod' });
+
+        try {
+            if (rule.action === 'warn') {
+                await executeModerationAction({
+                    guildId: guild.id,
+                    guildName: guild.name,
+                    target: member.user,
+                    executor: guild.members.me,
+                    action: 'WARN',
+                    reason
+                });
+                await applyEscalation({ guild, target: member.user, client: this.client });
+                return;
+            }
+
+            if (rule.action === 'timeout' && member.moderatable) {
+                const duration = Math.min(rule.duration, MAX_TIMEOUT_DURATION);
+                await executeModerationAction({
+                    guildId: guild.id,
+                    guildName: guild.name,
+                    target: member.user,
+                    executor: guild.members.me,
+                    action: 'TIMEOUT',
+                    reason,
+                    duration
+                });
+                await member.timeout(duration, reason);
+                return;
+            }
+
+            if (rule.action === 'timeout') {
+                logger.warn(`Automod timeout skipped for ${member.id} in ${guild.id}: missing permissions or role hierarchy`);
+            }
+
+            // Delete-only hits (and timeouts the bot can't apply) still leave a case behind
+            await logModerationAction(guild.id, member.id, this.client.user.id, 'AUTOMOD', reason, { guild });
+        } catch (error) {
+            logger.error(`Failed to apply automod ${rule.action} for ${member.id} in ${guild.id}:`, error);
+        }
+    }
+
+    /**
+     * Delete a message caught by the word filter, log the matched entry, and warn repeat offenders
+     * @param {Object} filter - Matched filter entry
+     * @param {Message} message - The offending message
+     * @param {GuildMember} member - Author of the message
+     */
+    async applyFilter(filter, message, member) {
+        const guild = message.guild;
+        await safeMessageDelete(message, { logContext: 'automod-filter' });
+
+        try {
+            const reason = `${FILTER_REASON_PREFIX} (matched #${filter.id} "${filter.pattern}", ${filter.matchType})`;
+            await logModerationAction(guild.id, member.id, this.client.user.id, 'AUTOMOD', reason, { guild });
+
+            const hits = await countFilterHits(guild.id, member.id, new Date(Date.now() - FILTER_WARN_WINDOW));
+            if (hits === 0 || hits % FILTER_WARN_THRESHOLD !== 0) return;
+
+            await executeModerationAction({
+                guildId: guild.id,
+                guildName: guild.name,
+                target: member.user,
+                executor: guild.members.me,
+                action: 'WARN',
+                reason: `Automod: Repeated word filter violations (${hits} in 24 hours)`
+            });
+            await applyEscalation({ guild, target: member.user, client: this.client });
+        } catch (error) {
+            logger.error(`Failed to apply word filter for ${member.id} in ${guild.id}:`, error);
+        }
+    }
+
+    /**
+     * Whether a message is out of automod's reach (exempt channel or role, or a moderator)
+     * @param {Message} message - Discord.js Message object
+     * @param {GuildMember} member - Author of the message
+     * @param {Array<Object>} exemptions - Guild exemptions
+     * @returns {boolean}
+     */
+    isExempt(message, member, exemptions) {
+        if (member.permissions.has(PermissionFlagsBits.ManageMessages)) return true;
+
+        // Threads inherit their parent channel's exemption
+        const channelIds = [message.channel.id, message.channel.parentId].filter(Boolean);
+
+        return exemptions.some(exemption => exemption.type === 'channel'
+            ? channelIds.includes(exemption.targetId)
+            : member.roles.cache.has(exemption.targetId));
+    }
+
+    /**
+     * Add a message to its author's history and return the history
+     * @param {Message} message - Discord.js Message object
+     * @returns {Array<Object>} - [{ content, timestamp }] oldest first
+     */
+    recordMessage(message) {
+        const key = `${message.guild.id}_${message.author.id}`;
+        const cutoff = Date.now() - MAX_HISTORY_AGE;
+        const history = (this.history.get(key) ?? []).filter(entry => entry.timestamp > cutoff);
+
+        history.push({ content: normalizeContent(message.content), timestamp: Date.now() });
+        this.history.set(key, history);
+        return history;
+    }
+
+    /**
+     * Get the guild's rules, exemptions and word filter (cached for 5 minutes)
+     * @param {string} guildId - Guild ID
+     * @returns {Promise<Object>} - { rules, exemptions, filters }
+     */
+    async getGuildConfig(guildId) {
+        const expiry = this.cacheExpiry.get(guildId);
+        if (expiry && Date.now() < expiry) {
+            return this.cache.get(guildId);
+        }
+
+        const guildConfig = {
+            rules: await getAutomodRules(guildId),
+            exemptions: await getAutomodExemptions(guildId),
+            filters: await getAutomodFilters(guildId)
+        };
+
+        this.cache.set(guildId, guildConfig);
+        this.cacheExpiry.set(guildId, Date.now() + 300000); // 5 minutes
+        return guildConfig;
+    }
+
+    /**
+     * Invalidate cache for guild (call after any /automod change)
+     * @param {string} guildId - Guild ID
+     */
+    invalidateCache(guildId) {
+        this.cache.delete(guildId);
+        this.cacheExpiry.delete(guildId);
+    }
+}
+
+/**
+ * Count the distinct users and roles a message pings (@everyone / @here counts as one)
+ * @param {Message} message - Discord.js Message object
+ * @returns {number}
+ */
+function countMentions(message) {
+    return message.mentions.users.size + message.mentions.roles.size + (message.mentions.everyone ? 1 : 0);
+}
+
+/**
+ * Percentage of capital letters among the cased letters of a message
+ * @param {string} content - Message content
+ * @returns {number|null} - 0-100, or null if the message is too short to judge
+ */
+function capsPercentage(content) {
+    // Ignore mentions, custom emoji and links - their IDs and slugs aren't shouting
+    const text = content.replace(/<[@#:a-z][^>]*>|https?:\/\/\S+/gi, '');
+    const letters = [...text].filter(char => char.toLowerCase() !== char.toUpperCase());
+    if (letters.length < MIN_CAPS_LETTERS) return null;
+
+    const upper = letters.filter(char => char === char.toUpperCase()).length;
+    return Math.round((upper / letters.length) * 100);
+}
+
+/**
+ * Normalize content for duplicate detection (case and whitespace insensitive)
+ * @param {string} content - Message content
+ * @returns {string}
+ */
+function normalizeContent(content) {
+    return content.toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+module.exports = AutomodService;
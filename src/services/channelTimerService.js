@@ -0,0 +1,209 @@
+const { db } = require('../database');
+const { channelTimers } = require('../database/schema');
+const { eq, and } = require('drizzle-orm');
+const logger = require('../utils/logger');
+const { dbLog } = require('../utils/dbLogger');
+const embeds = require('../utils/embeds');
+const { logModerationAction } = require('../utils/moderationUtil');
+const { fetchChannel, safeChannelSend, PermissionOverwriteManager } = require('../utils/discordApiUtil');
+const { isChannelLockedDown } = require('../utils/lockdownUtil');
+const { ExpiryScheduler } = require('../utils/expiryScheduler');
+
+// How often a timed unlock checks again while a lockdown holds the channel
+const LOCKDOWN_RECHECK_DELAY = 300000; // 5 minutes
+
+/**
+ * ChannelTimerService - Reverts timed channel locks and slowmodes when they expire
+ *
+ * Features:
+ * - Persisted expiry (channel_timers table)
+ * - Restart resilience (re-arms active timers on startup, reverts overdue ones immediately)
+ * - Long delay handling (> 24.8 days)
+ * - Logs each revert as an UNLOCK / SLOWMODE case linked to the case that started it
+ * - Timed unlocks wait while a /mod lockdown holds the channel
+ */
+class ChannelTimerService {
+    constructor(client) {
+        this.client = client;
+        this.scheduler = new ExpiryScheduler({
+            table: channelTimers,
+            tableName: 'channelTimers',
+            label: 'channel timer',
+            run: timerId => this.runTimer(timerId)
+        });
+    }
+
+    /**
+     * Load all active channel timers on startup
+     */
+    async loadTimers() {
+        try {
+            const activeTimers = await dbLog.select('channelTimers',
+                () => db.select()
+                    .from(channelTimers)
+                    .where(eq(channelTimers.active, true))
+                    .all(),
+                { active: true }
+            );
+
+            logger.info(`Loading ${activeTimers.length} active channel timers`);
+
+            for (const timer of activeTimers) {
+                // Overdue timers run immediately - a restart must never leave a channel locked for good
+                this.scheduleTimer(timer);
+            }
+
+            logger.success(`Channel timer service loaded ${activeTimers.length} timers`);
+
+        } catch (error) {
+            logger.error('Failed to load channel timers:', error);
+        }
+    }
+
+    /**
+     * Persist a new channel timer and schedule its expiry
+     * @param {Object} options
+     * @param {string} options.guildId - Guild ID
+     * @param {string} options.channelId - Channel ID
+     * @param {string} options.action - UNLOCK or SLOWMODE
+     * @param {number|null} options.value - Slowmode seconds to restore (SLOWMODE only)
+     * @param {string} options.executorId - Moderator who started the timer
+     * @param {number|null} options.caseNumber - Case number of the LOCK / SLOWMODE
+     * @param {number} options.duration - Time until the revert in ms
+     * @returns {Promise<Object>} - The inserted timer
+     */
+    async createTimer({ guildId, channelId, action, value = null, executorId, caseNumber, duration }) {
+        // A new timer supersedes any earlier one of the same kind on the channel
+        await this.cancelTimer(channelId, action);
+
+        const timer = await dbLog.insert('channelTimers',
+            () => db.insert(channelTimers).values({
+                guildId,
+                channelId,
+                action,
+                value,
+                executorId,
+                caseNumber,
+                expiresAt: new Date(Date.now() + duration),
+                createdAt: new Date(),
+                active: true
+            }).returning().get(),
+            { guildId, channelId, action }
+        );
+
+        this.scheduleTimer(timer);
+        return timer;
+    }
+
+    /**
+     * Schedule a channel timer to run at its expiry
+     */
+    scheduleTimer(timer) {
+        this.scheduler.schedule(timer);
+    }
+
+    /**
+     * Run an expired timer (unlock or restore slowmode, mark inactive, log case)
+     */
+    async runTimer(timerId) {
+        try {
+            // Atomic check-and-mark (prevents duplicate reverts)
+            const timer = await this.scheduler.claim(timerId);
+            if (!timer) {
+                logger.debug(`Channel timer ${timerId} already ran or was cancelled`);
+                return;
+            }
+
+            const guild = await this.client.guilds.fetch(timer.guildId).catch(() => null);
+            const channel = guild && await fetchChannel(guild, timer.channelId, { logContext: 'channel-timer' });
+            if (!channel) {
+                logger.warn(`Channel ${timer.channelId} unavailable, dropping channel timer ${timerId}`);
+                return;
+            }
+
+            // Unlocking now would break the lockdown - wait until it ends (ending it restores the timed lock)
+            if (timer.action === 'UNLOCK' && await isChannelLockedDown(guild.id, channel.id)) {
+                logger.info(`Channel ${channel.id} is in a lockdown, deferring channel timer ${timerId}`);
+                await this.scheduler.retryLater(timerId, LOCKDOWN_RECHECK_DELAY);
+                return;
+            }
+
+            const caseRef = timer.caseNumber ? ` (case #${timer.caseNumber})` : '';
+
+            try {
+                if (timer.action === 'UNLOCK') {
+                    const unlocked = await PermissionOverwriteManager.unlockChannel(channel, guild.id, {
+                        reason: `Timed lock expired${caseRef}`,
+                        logContext: 'channel-timer-unlock'
+                    });
+                    if (!unlocked.success) throw new Error(unlocked.error);
+                } else {
+                    await channel.setRateLimitPerUser(timer.value ?? 0, `Timed slowmode expired${caseRef}`);
+                }
+            } catch (error) {
+                // Keep the change temporary: re-activate and retry later
+                logger.error(`Failed to run channel timer ${timerId}, retrying in 1 hour:`, error);
+                await this.scheduler.retryLater(timerId);
+                return;
+            }
+
+            const reason = timer.action === 'UNLOCK'
+                ? `Timed lock expired${caseRef}`
+                : `Timed slowmode expired, restored to ${timer.value ?? 0}s${caseRef}`;
+
+            await logModerationAction(
+                timer.guildId,
+                timer.channelId,
+                this.client.user.id,
+                timer.action,
+                reason,
+                { relatedCaseNumber: timer.caseNumber, guild }
+            );
+
+            if (timer.action === 'UNLOCK') {
+                await safeChannelSend(channel, {
+                    embeds: [embeds.success('Channel Unlocked', 'This channel has been unlocked automatically.')]
+                });
+            }
+
+            logger.info(`Ran channel timer ${timerId} (${timer.action}) in channel ${timer.channelId}`);
+
+        } catch (error) {
+            logger.error(`Failed to run channel timer ${timerId}:`, error);
+        }
+    }
+
+    /**
+     * Cancel any active timer of a kind on a channel without running it
+     * @param {string} channelId - Channel ID
+     * @param {string} action - UNLOCK or SLOWMODE
+     * @returns {Promise<number>} - Number of timers cancelled
+     */
+    async cancelTimer(channelId, action) {
+        const result = await dbLog.update('channelTimers',
+            () => db.update(channelTimers)
+                .set({ active: false })
+                .where(and(
+                    eq(channelTimers.channelId, channelId),
+                    eq(channelTimers.action, action),
+                    eq(channelTimers.active, true)
+                ))
+                .returning()
+                .all(),
+            { channelId, action, operation: 'cancel' }
+        );
+
+        result.forEach(timer => this.scheduler.clear(timer.id));
+        return result.length;
+    }
+
+    /**
+     * Cleanup all timers
+     */
+    cleanup() {
+        logger.info('Cleaning up channel timer service...');
+        this.scheduler.cleanup();
+    }
+}
+
+module.exports = ChannelTimerService;
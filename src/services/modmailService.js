@@ -0,0 +1,361 @@
+const { ActionRowBuilder, StringSelectMenuBuilder, ChannelType, ThreadAutoArchiveDuration } = require('discord.js');
+const { db } = require('../database');
+const { guilds } = require('../database/schema');
+const { eq } = require('drizzle-orm');
+const logger = require('../utils/logger');
+const embeds = require('../utils/embeds');
+const { fetchMember, fetchChannel, safeDMUser, safeChannelSend } = require('../utils/discordApiUtil');
+const {
+    getModmailConfig,
+    getModmailConfigs,
+    getOpenTickets,
+    createTicket,
+    markTicketClosed,
+    recordTicketMessage,
+    getTicketMessages,
+    isInternalNote,
+    getTicketThreadName,
+    buildTicketOpened,
+    buildMemberRelay,
+    buildStaffRelay,
+    createModmailTranscript
+} = require('../utils/modmailUtil');
+
+// How long a member has to pick a server before their held messages are dropped
+const SELECTION_TIMEOUT = 300000; // 5 minutes
+
+/**
+ * Modmail Service
+ * Relays DMs to the bot into per-member staff threads, and staff replies back.
+ *
+ * Features:
+ * - One open ticket per member, picked up again after a restart
+ * - Server picker when a member shares several modmail servers with the bot
+ * - Internal staff notes (messages starting with //) that are never relayed
+ * - Transcript on close, built from the stored messages
+ */
+class ModmailService {
+    constructor(client) {
+        this.client = client;
+        this.tickets = new Map(); // threadId -> open ticket
+        this.pendingSelections = new Map(); // userId -> { messages, expiresAt }
+
+        // Drop held messages of members who never picked a server
+        this.cleanupInterval = setInterval(() => {
+            const now = Date.now();
+            for (const [userId, { expiresAt }] of this.pendingSelections.entries()) {
+                if (expiresAt < now) this.pendingSelections.delete(userId);
+            }
+        }, 60000);
+    }
+
+    /**
+     * Cleanup method - clears interval timer
+     * Call this when shutting down the service
+     */
+    cleanup() {
+        if (this.cleanupInterval) {
+            clearInterval(this.cleanupInterval);
+            this.cleanupInterval = null;
+        }
+    }
+
+    /**
+     * Load open tickets from the database (call on startup)
+     */
+    async loadTickets() {
+        const openTickets = await getOpenTickets();
+
+        for (const ticket of openTickets) {
+            this.tickets.set(ticket.threadId, ticket);
+        }
+
+        logger.info(`Loaded ${openTickets.length} open modmail tickets`);
+    }
+
+    /**
+     * Get the open ticket behind a thread
+     * @param {string} threadId - Thread ID
+     * @returns {Object|null}
+     */
+    getTicketByThread(threadId) {
+        return this.tickets.get(threadId) ?? null;
+    }
+
+    /**
+     * Get a member's open ticket
+     * @param {string} userId - User ID
+     * @returns {Object|null}
+     */
+    getTicketByUser(userId) {
+        for (const ticket of this.tickets.values()) {
+            if (ticket.userId === userId) return ticket;
+        }
+        return null;
+    }
+
+    /**
+     * Handle a DM to the bot: relay it to the open ticket, or open one
+     * @param {Message} message - The DM
+     */
+    async handleDirectMessage(message) {
+        const ticket = this.getTicketByUser(message.author.id);
+        if (ticket) {
+            await this.relayToStaff(ticket, message);
+            return;
+        }
+
+        // Still picking a server: hold on to this message too
+        const pending = this.pendingSelections.get(message.author.id);
+        if (pending) {
+            pending.messages.push(message);
+            return;
+        }
+
+        const available = await this.getAvailableGuilds(message.author.id);
+
+        if (available.length === 0) {
+            await message.reply({
+                embeds: [embeds.error('Modmail Unavailable', 'None of the servers we share accept modmail.')]
+            }).catch(() => null);
+            return;
+        }
+
+        if (available.length === 1) {
+            await this.openTicket(available[0], message.author, [message]);
+            return;
+        }
+
+        this.pendingSelections.set(message.author.id, {
+            messages: [message],
+            expiresAt: Date.now() + SELECTION_TIMEOUT
+        });
+
+        const menu = new StringSelectMenuBuilder()
+            .setCustomId('modmail_guild')
+            .setPlaceholder('Choose a server')
+            .addOptions(available.slice(0, 25).map(guild => ({ label: guild.name.slice(0, 100), value: guild.id })));
+
+        await message.reply({
+            embeds: [embeds.brand('📬 Contact Staff', 'Which server\'s staff do you want to reach?')],
+            components: [new ActionRowBuilder().addComponents(menu)]
+        }).catch(() => null);
+    }
+
+    /**
+     * Handle the server picker from handleDirectMessage
+     * @param {StringSelectMenuInteraction} interaction - The selection
+     */
+    async handleGuildSelect(interaction) {
+        const pending = this.pendingSelections.get(interaction.user.id);
+        this.pendingSelections.delete(interaction.user.id);
+
+        if (!pending) {
+            return interaction.update({
+                embeds: [embeds.error('Selection Expired', 'Please send your message again.')],
+                components: []
+            });
+        }
+
+        const guild = (await this.getAvailableGuilds(interaction.user.id))
+            .find(available => available.id === interaction.values[0]);
+
+        if (!guild) {
+            return interaction.update({
+                embeds: [embeds.error('Modmail Unavailable', 'That server no longer accepts modmail.')],
+                components: []
+            });
+        }
+
+        await interaction.update({
+            embeds: [embeds.brand('📬 Contact Staff', `Contacting the staff of **${guild.name}**...`)],
+            components: []
+        });
+
+        await this.openTicket(guild, interaction.user, pending.messages);
+    }
+
+    /**
+     * Servers the member shares with the bot that have modmail on
+     * @param {string} userId - User ID
+     * @returns {Promise<Guild[]>}
+     */
+    async getAvailableGuilds(userId) {
+        const available = [];
+
+        for (const settings of await getModmailConfigs()) {
+            const guild = this.client.guilds.cache.get(settings.guildId);
+            if (guild && await fetchMember(guild, userId, { logContext: 'modmail' })) {
+                available.push(guild);
+            }
+        }
+
+        return available;
+    }
+
+    /**
+     * Open a ticket thread and relay the member's first messages into it
+     * @param {Guild} guild - Guild whose staff to contact
+     * @param {User} user - Member opening the ticket
+     * @param {Message[]} messages - DMs to relay
+     * @returns {Promise<Object|null>} - The ticket, or null if it couldn't be opened
+     */
+    async openTicket(guild, user, messages) {
+        const settings = await getModmailConfig(guild.id);
+        const channel = settings && await fetchChannel(guild, settings.channelId, { logContext: 'modmail' });
+
+        let thread = null;
+        if (channel) {
+            try {
+                const member = await fetchMember(guild, user.id, { logContext: 'modmail' });
+                const opening = buildTicketOpened(user, member);
+                const name = getTicketThreadName(user);
+
+                if (channel.type === ChannelType.GuildForum) {
+                    thread = await channel.threads.create({ name, message: opening });
+                } else {
+                    thread = await channel.threads.create({ name, autoArchiveDuration: ThreadAutoArchiveDuration.OneWeek });
+                    await thread.send(opening);
+                }
+            } catch (error) {
+                logger.error(`Failed to open modmail thread in ${guild.id}:`, error);
+            }
+        }
+
+        if (!thread) {
+            await safeDMUser(user, {
+                embeds: [embeds.error('Modmail Unavailable', `Your message couldn't be delivered to the staff of **${guild.name}**. Please try again later.`)]
+            });
+            return null;
+        }
+
+        const ticket = await createTicket({ guildId: guild.id, userId: user.id, threadId: thread.id });
+        this.tickets.set(thread.id, ticket);
+        logger.info(`Modmail ticket #${ticket.id} opened by ${user.id} in ${guild.id}`);
+
+        await safeDMUser(user, {
+            embeds: [embeds.success('Message Sent', `You're now talking to the staff of **${guild.name}**. Their replies will arrive here, and anything you send here goes to them.`)]
+        });
+
+        for (const message of messages) {
+            await this.relayToStaff(ticket, message);
+        }
+
+        return ticket;
+    }
+
+    /**
+     * Relay a member's DM into their ticket thread
+     * @param {Object} ticket - Open ticket
+     * @param {Message} message - The DM
+     */
+    async relayToStaff(ticket, message) {
+        let thread = null;
+        try {
+            thread = await this.client.channels.fetch(ticket.threadId);
+        } catch (error) {
+            // Only Unknown Channel means the thread is gone - outages and rate limits keep the ticket
+            if (error.code !== 10003) {
+                logger.warn(`Could not reach the thread of modmail ticket #${ticket.id}: ${error.message}`);
+                await message.react('❌').catch(() => null);
+                return;
+            }
+        }
+
+        // The thread was deleted: close the ticket and start over with a new one
+        if (!thread) {
+            await markTicketClosed(ticket.id, this.client.user.id, 'Ticket thread was deleted');
+            this.tickets.delete(ticket.threadId);
+            await this.handleDirectMessage(message);
+            return;
+        }
+
+        // Quiet tickets auto-archive; a new message brings them back
+        if (thread.archived) {
+            await thread.setArchived(false).catch(() => null);
+        }
+
+        const sent = await safeChannelSend(thread, buildMemberRelay(message), { logContext: 'modmail' });
+        if (sent) {
+            await recordTicketMessage(ticket.id, message, false);
+        }
+
+        await message.react(sent ? '✅' : '❌').catch(() => null);
+    }
+
+    /**
+     * Relay a staff message in a ticket thread to the member
+     * @param {Message} message - Message sent in a guild channel
+     * @returns {Promise<boolean>} - true if the message was in a ticket thread (handled here)
+     */
+    async handleStaffMessage(message) {
+        const ticket = this.tickets.get(message.channelId);
+        if (!ticket) return false;
+
+        if (isInternalNote(message)) return true;
+
+        const user = await this.client.users.fetch(ticket.userId).catch(() => null);
+        const sent = user && await safeDMUser(user, buildStaffRelay(message, message.guild));
+
+        if (sent) {
+            await recordTicketMessage(ticket.id, message, true);
+        }
+
+        await message.react(sent ? '✅' : '❌').catch(() => null);
+        return true;
+    }
+
+    /**
+     * Close a ticket: tell the member, post the transcript and archive the thread
+     * @param {Object} ticket - Open ticket
+     * @param {Object} options
+     * @param {Guild} options.guild - Guild the ticket belongs to
+     * @param {User} options.closedBy - Staff member closing it
+     * @param {string|null} options.reason - Close reason
+     * @returns {Promise<Object>} - { messageCount, logged }
+     */
+    async closeTicket(ticket, { guild, closedBy, reason = null }) {
+        const messages = await getTicketMessages(ticket.id);
+        const transcript = createModmailTranscript(ticket, messages, { guild, closedBy, reason });
+
+        await markTicketClosed(ticket.id, closedBy.id, reason);
+        this.tickets.delete(ticket.threadId);
+        logger.info(`Modmail ticket #${ticket.id} closed by ${closedBy.id} in ${guild.id}`);
+
+        const user = await this.client.users.fetch(ticket.userId).catch(() => null);
+        if (user) {
+            await safeDMUser(user, {
+                embeds: [embeds.info('Conversation Closed', `The staff of **${guild.name}** closed this conversation.${reason ? `\n**Reason:** ${reason}` : ''}\nSend another message to open a new one.`)]
+            });
+        }
+
+        const summary = embeds.base('📪 Modmail Ticket Closed', `Ticket #${ticket.id} with <@${ticket.userId}> was closed by ${closedBy}.`)
+            .addFields(
+                { name: 'Reason', value: reason ?? 'No reason provided' },
+                { name: 'Messages', value: `${messages.length}`, inline: true },
+                { name: 'Opened', value: `<t:${Math.floor(new Date(ticket.openedAt).getTime() / 1000)}:R>`, inline: true }
+            );
+
+        const guildConfig = await db.select({ logChannel: guilds.logChannel })
+            .from(guilds)
+            .where(eq(guilds.id, guild.id))
+            .get();
+
+        const logChannel = guildConfig?.logChannel && await fetchChannel(guild, guildConfig.logChannel, { logContext: 'modmail-log' });
+        const logged = logChannel
+            ? Boolean(await safeChannelSend(logChannel, { embeds: [summary], files: [transcript] }, { logContext: 'modmail-log' }))
+            : false;
+
+        const thread = await fetchChannel(this.client, ticket.threadId, { logContext: 'modmail' });
+        if (thread) {
+            // Without a log channel the thread keeps the only copy of the transcript
+            await safeChannelSend(thread, logged ? { embeds: [summary] } : { embeds: [summary], files: [transcript] }, { logContext: 'modmail' });
+            await thread.setLocked(true).catch(() => null);
+            await thread.setArchived(true).catch(() => null);
+        }
+
+        return { messageCount: messages.length, logged };
+    }
+}
+
+module.exports = ModmailService;
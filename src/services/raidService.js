@@ -0,0 +1,293 @@
+const { db } = require('../database');
+const { guilds } = require('../database/schema');
+const { eq } = require('drizzle-orm');
+const logger = require('../utils/logger');
+const embeds = require('../utils/embeds');
+const config = require('../utils/config');
+const { logModerationAction, executeModerationAction } = require('../utils/moderationUtil');
+const { getRaidConfig } = require('../utils/raidUtil');
+const { getAccountAge } = require('../utils/welcomeUtil');
+const { getLockdownSnapshots, resolveLockdownChannels, startLockdown } = require('../utils/lockdownUtil');
+const { fetchChannel, fetchMember, safeChannelSend, RoleManager } = require('../utils/discordApiUtil');
+
+// Raid mode (auto-kick of new joins) stays on this long after the last detection
+const RAID_MODE_DURATION = 600000;
+
+/**
+ * Raid Service
+ * Tracks the join rate per guild and enforces the minimum account age on join.
+ *
+ * Features:
+ * - Join-rate detection: alerts staff, optionally starts a lockdown or kicks the raid joins
+ * - Raid mode: with the kick action, new joins keep being kicked for 10 minutes after detection
+ * - Account age gate: kicks or quarantines accounts younger than the configured number of days
+ */
+class RaidService {
+    constructor(client) {
+        this.client = client;
+        this.joins = new Map(); // guildId -> [{ userId, timestamp }]
+        this.raidModeUntil = new Map(); // guildId -> timestamp raid mode ends
+        this.cache = new Map(); // guildId -> raid config row (or null)
+        this.cacheExpiry = new Map(); // guildId -> expiry timestamp
+
+        // Drop join history older than the longest window every minute
+        this.cleanupInterval = setInterval(() => {
+            const cutoff = Date.now() - 300000;
+            for (const [guildId, joins] of this.joins.entries()) {
+                const recent = joins.filter(join => join.timestamp > cutoff);
+                if (recent.length === 0) {
+                    this.joins.delete(guildId);
+                } else {
+                    this.joins.set(guildId, recent);
+                }
+            }
+        }, 60000);
+    }
+
+    /**
+     * Cleanup method - clears interval timer
+     * Call this when shutting down the service
+     */
+    cleanup() {
+        if (this.cleanupInterval) {
+            clearInterval(this.cleanupInterval);
+            this.cleanupInterval = null;
+        }
+    }
+
+    /**
+     * Check a new member against the guild's raid protection
+     * @param {GuildMember} member - The member who joined
+     * @returns {Promise<boolean>} - true if the member was kicked or quarantined
+     */
+    async checkMember(member) {
+        const settings = await this.getGuildConfig(member.guild.id);
+        if (!settings || member.user.bot) return false;
+
+        if (settings.enabled && await this.trackJoin(member, settings)) {
+            return true;
+        }
+
+        if (settings.minAccountAge) {
+            const { days } = getAccountAge(member.user);
+            if (days < settings.minAccountAge) {
+                return this.applyAccountAgeGate(member, settings, days);
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Record a join and react when the join rate crosses the threshold
+     * @returns {Promise<boolean>} - true if this member was kicked as part of a raid
+     */
+    async trackJoin(member, settings) {
+        const guild = member.guild;
+        const now = Date.now();
+        const windowStart = now - settings.joinWindow * 1000;
+
+        const joins = (this.joins.get(guild.id) ?? []).filter(join => join.timestamp > windowStart);
+        joins.push({ userId: member.id, timestamp: now });
+        this.joins.set(guild.id, joins);
+
+        if (this.isRaidMode(guild.id)) {
+            // Still under attack - keep raid mode alive while joins continue
+            if (joins.length >= settings.joinThreshold) {
+                this.raidModeUntil.set(guild.id, now + RAID_MODE_DURATION);
+            }
+            return settings.action === 'kick' && this.kickRaider(member);
+        }
+
+        if (joins.length < settings.joinThreshold) return false;
+
+        this.raidModeUntil.set(guild.id, now + RAID_MODE_DURATION);
+        logger.warn(`Raid detected in ${guild.id}: ${joins.length} joins in ${settings.joinWindow}s`);
+
+        const outcome = await this.applyRaidAction(guild, settings, joins);
+        await this.sendAlert(guild, settings, embeds.base(
+            '🚨 Raid Detected',
+            `**${joins.length}** members joined within **${settings.joinWindow}s**.\n\n${outcome}`
+        ).setColor(config.colors.error));
+
+        return settings.action === 'kick';
+    }
+
+    /**
+     * Carry out the configured raid action
+     * @returns {Promise<string>} - Summary for the staff alert
+     */
+    async applyRaidAction(guild, settings, joins) {
+        const reason = `Raid protection: ${joins.length} joins in ${settings.joinWindow}s`;
+
+        if (settings.action === 'lockdown') {
+            if ((await getLockdownSnapshots(guild.id)).length > 0) {
+                return 'A lockdown is already active.';
+            }
+
+            const channels = await resolveLockdownChannels(guild);
+            const { locked, failed } = await startLockdown(guild, channels, { executorId: this.client.user.id, reason });
+
+            const failedText = failed.length > 0 ? ` (${failed.length} failed)` : '';
+
+            // Nothing was locked - no case, and the alert must not claim a lockdown
+            if (locked.length === 0) {
+                logger.warn(`Raid lockdown in ${guild.id} could not lock any channels`);
+                return `⚠️ **Lockdown failed** - no channels could be locked${failedText}. Check my **Manage Channels** permission or lock them manually.`;
+            }
+
+            await logModerationAction(guild.id, guild.id, this.client.user.id, 'LOCKDOWN', reason, { guild });
+
+            return `🔒 Locked **${locked.length}** channels${failedText}. End it with \`/mod lockdown end\`.`;
+        }
+
+        if (settings.action === 'kick') {
+            let kicked = 0;
+            for (const join of joins) {
+                const member = await fetchMember(guild, join.userId, { logContext: 'raid-kick' });
+                if (member && await this.kickRaider(member)) kicked++;
+            }
+            return `👢 Kicked **${kicked}** new members. New joins are kicked for the next ${RAID_MODE_DURATION / 60000} minutes.`;
+        }
+
+        return 'No automatic action is configured - review recent joins.';
+    }
+
+    /**
+     * Kick a member who joined during a raid (no DM - raid accounts are usually bots)
+     * @returns {Promise<boolean>} - true if kicked
+     */
+    async kickRaider(member) {
+        if (!member.kickable) {
+            logger.warn(`Raid kick skipped for ${member.id} in ${member.guild.id}: missing permissions or role hierarchy`);
+            return false;
+        }
+
+        const reason = 'Raid protection: joined during a raid';
+
+        try {
+            await member.kick(reason);
+            await executeModerationAction({
+                guildId: member.guild.id,
+                guildName: member.guild.name,
+                target: member.user,
+                executor: member.guild.members.me,
+                action: 'KICK',
+                reason,
+                notify: false
+            });
+            return true;
+        } catch (error) {
+            logger.error(`Failed to kick raid join ${member.id} in ${member.guild.id}:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Kick or quarantine an account younger than the minimum age
+     * @param {number} days - Account age in days
+     * @returns {Promise<boolean>} - true if the member was kicked or quarantined
+     */
+    async applyAccountAgeGate(member, settings, days) {
+        const guild = member.guild;
+        const reason = `Raid protection: account is ${days} days old (minimum ${settings.minAccountAge})`;
+
+        try {
+            if (settings.accountAgeAction === 'quarantine') {
+                const result = await RoleManager.addRole(member, settings.quarantineRoleId, {
+                    reason,
+                    logContext: 'raid-quarantine'
+                });
+
+                if (!result.success) {
+                    logger.warn(`Quarantine failed for ${member.id} in ${guild.id}: ${result.error}`);
+                    return false;
+                }
+
+                await logModerationAction(guild.id, member.id, this.client.user.id, 'QUARANTINE', reason, { guild });
+                return true;
+            }
+
+            if (!member.kickable) {
+                logger.warn(`Account age kick skipped for ${member.id} in ${guild.id}: missing permissions or role hierarchy`);
+                return false;
+            }
+
+            // DM before the kick so the member can still be reached
+            await executeModerationAction({
+                guildId: guild.id,
+                guildName: guild.name,
+                target: member.user,
+                executor: guild.members.me,
+                action: 'KICK',
+                reason
+            });
+            await member.kick(reason);
+            return true;
+
+        } catch (error) {
+            logger.error(`Failed to apply account age gate for ${member.id} in ${guild.id}:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Post a staff alert to the raid alert channel (falls back to the log channel)
+     */
+    async sendAlert(guild, settings, embed) {
+        let channelId = settings.alertChannelId;
+
+        if (!channelId) {
+            const guildConfig = await db.select({ logChannel: guilds.logChannel })
+                .from(guilds)
+                .where(eq(guilds.id, guild.id))
+                .get();
+            channelId = guildConfig?.logChannel;
+        }
+
+        const channel = channelId && await fetchChannel(guild, channelId, { logContext: 'raid-alert' });
+        if (!channel) {
+            logger.warn(`No raid alert channel available in ${guild.id}`);
+            return;
+        }
+
+        await safeChannelSend(channel, { embeds: [embed] }, { logContext: 'raid-alert' });
+    }
+
+    /**
+     * Whether a guild is in raid mode
+     * @param {string} guildId - Guild ID
+     * @returns {boolean}
+     */
+    isRaidMode(guildId) {
+        return (this.raidModeUntil.get(guildId) ?? 0) > Date.now();
+    }
+
+    /**
+     * Get the guild's raid settings (cached for 5 minutes)
+     * @param {string} guildId - Guild ID
+     * @returns {Promise<Object|null>}
+     */
+    async getGuildConfig(guildId) {
+        const expiry = this.cacheExpiry.get(guildId);
+        if (expiry && Date.now() < expiry) {
+            return this.cache.get(guildId);
+        }
+
+        const settings = await getRaidConfig(guildId);
+        this.cache.set(guildId, settings);
+        this.cacheExpiry.set(guildId, Date.now() + 300000); // 5 minutes
+        return settings;
+    }
+
+    /**
+     * Invalidate cache for guild (call after any raid setting change)
+     * @param {string} guildId - Guild ID
+     */
+    invalidateCache(guildId) {
+        this.cache.delete(guildId);
+        this.cacheExpiry.delete(guildId);
+    }
+}
+
+module.exports = RaidService;
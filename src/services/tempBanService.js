@@ -0,0 +1,187 @@
+const { db } = require('../database');
+const { tempBans } = require('../database/schema');
+const { eq, and } = require('drizzle-orm');
+const logger = require('../utils/logger');
+const { dbLog } = require('../utils/dbLogger');
+const { logModerationAction } = require('../utils/moderationUtil');
+const { ExpiryScheduler } = require('../utils/expiryScheduler');
+
+/**
+ * TempBanService - Lifts temporary bans when they expire
+ *
+ * Features:
+ * - Persisted expiry (temp_bans table)
+ * - Restart resilience (re-arms active temp bans on startup, lifts overdue ones immediately)
+ * - Long delay handling (> 24.8 days)
+ * - Logs each lift as an UNBAN case linked to the original BAN
+ */
+class TempBanService {
+    constructor(client) {
+        this.client = client;
+        this.scheduler = new ExpiryScheduler({
+            table: tempBans,
+            tableName: 'tempBans',
+            label: 'unban',
+            run: tempBanId => this.liftTempBan(tempBanId)
+        });
+    }
+
+    /**
+     * Load all active temp bans on startup
+     */
+    async loadTempBans() {
+        try {
+            const activeBans = await dbLog.select('tempBans',
+                () => db.select()
+                    .from(tempBans)
+                    .where(eq(tempBans.active, true))
+                    .all(),
+                { active: true }
+            );
+
+            logger.info(`Loading ${activeBans.length} active temporary bans`);
+
+            for (const tempBan of activeBans) {
+                // Overdue bans are lifted immediately - a restart must never make a temp ban permanent
+                this.scheduleUnban(tempBan);
+            }
+
+            logger.success(`Temp ban service loaded ${activeBans.length} temporary bans`);
+
+        } catch (error) {
+            logger.error('Failed to load temporary bans:', error);
+        }
+    }
+
+    /**
+     * Persist a new temporary ban and schedule its expiry
+     * @param {Object} options
+     * @param {string} options.guildId - Guild ID
+     * @param {string} options.userId - Banned user ID
+     * @param {string} options.executorId - Moderator who issued the ban
+     * @param {number|null} options.caseNumber - Case number of the BAN
+     * @param {number} options.duration - Ban length in ms
+     * @returns {Promise<Object>} - The inserted temp ban
+     */
+    async createTempBan({ guildId, userId, executorId, caseNumber, duration }) {
+        // A new ban supersedes any earlier temp ban for the same user
+        await this.cancelTempBan(guildId, userId);
+
+        const tempBan = await dbLog.insert('tempBans',
+            () => db.insert(tempBans).values({
+                guildId,
+                userId,
+                executorId,
+                caseNumber,
+                expiresAt: new Date(Date.now() + duration),
+                createdAt: new Date(),
+                active: true
+            }).returning().get(),
+            { guildId, userId, caseNumber }
+        );
+
+        this.scheduleUnban(tempBan);
+        return tempBan;
+    }
+
+    /**
+     * Schedule a temp ban to be lifted at its expiry
+     */
+    scheduleUnban(tempBan) {
+        this.scheduler.schedule(tempBan);
+    }
+
+    /**
+     * Lift a temp ban (unban the user, mark inactive, log UNBAN case)
+     */
+    async liftTempBan(tempBanId) {
+        try {
+            // Atomic check-and-mark (prevents duplicate unbans)
+            const tempBan = await this.scheduler.claim(tempBanId);
+            if (!tempBan) {
+                logger.debug(`Temp ban ${tempBanId} already lifted or cancelled`);
+                return;
+            }
+
+            let guild;
+            try {
+                guild = await this.client.guilds.fetch(tempBan.guildId);
+            } catch (error) {
+                if (error.code === 10004) {
+                    // Unknown Guild - the bot was removed, nothing left to lift
+                    logger.warn(`Bot is no longer in guild ${tempBan.guildId}, dropping temp ban ${tempBanId}`);
+                    return;
+                }
+
+                // Outage or guild unavailable: keep the ban temporary and retry later
+                logger.error(`Guild ${tempBan.guildId} unavailable for temp ban ${tempBanId}, retrying in 1 hour:`, error);
+                await this.scheduler.retryLater(tempBanId);
+                return;
+            }
+
+            const caseRef = tempBan.caseNumber ? ` (case #${tempBan.caseNumber})` : '';
+            const reason = `Temporary ban expired${caseRef}`;
+
+            try {
+                await guild.members.unban(tempBan.userId, reason);
+            } catch (error) {
+                if (error.code === 10026) {
+                    // Unknown Ban - already unbanned by someone else
+                    logger.debug(`User ${tempBan.userId} was already unbanned in guild ${guild.id}`);
+                    return;
+                }
+
+                // Keep the ban temporary: re-activate and retry later
+                logger.error(`Failed to lift temp ban ${tempBanId}, retrying in 1 hour:`, error);
+                await this.scheduler.retryLater(tempBanId);
+                return;
+            }
+
+            await logModerationAction(
+                tempBan.guildId,
+                tempBan.userId,
+                this.client.user.id,
+                'UNBAN',
+                reason,
+                { relatedCaseNumber: tempBan.caseNumber, guild }
+            );
+
+            logger.info(`Lifted temp ban ${tempBanId} for user ${tempBan.userId} in guild ${tempBan.guildId}`);
+
+        } catch (error) {
+            logger.error(`Failed to lift temp ban ${tempBanId}:`, error);
+        }
+    }
+
+    /**
+     * Cancel any active temp ban for a user without unbanning them
+     * @returns {Promise<number>} - Number of temp bans cancelled
+     */
+    async cancelTempBan(guildId, userId) {
+        const result = await dbLog.update('tempBans',
+            () => db.update(tempBans)
+                .set({ active: false })
+                .where(and(
+                    eq(tempBans.guildId, guildId),
+                    eq(tempBans.userId, userId),
+                    eq(tempBans.active, true)
+                ))
+                .returning()
+                .all(),
+            { guildId, userId, operation: 'cancel' }
+        );
+
+        result.forEach(tempBan => this.scheduler.clear(tempBan.id));
+        return result.length;
+    }
+
+    /**
+     * Cleanup all timers
+     */
+    cleanup() {
+        logger.info('Cleaning up temp ban service...');
+        this.scheduler.cleanup();
+    }
+}
+
+module.exports = TempBanService;
@@ -0,0 +1,385 @@
+const { MessageFlags } = require('discord.js');
+const { db } = require('../database');
+const { guilds } = require('../database/schema');
+const { eq } = require('drizzle-orm');
+const logger = require('../utils/logger');
+const embeds = require('../utils/embeds');
+const { fetchChannel, safeChannelSend, RoleManager } = require('../utils/discordApiUtil');
+const { logModerationAction, notifyUser } = require('../utils/moderationUtil');
+const { formatDuration } = require('../utils/timeParser');
+const {
+    getVerificationConfig,
+    getAllPending,
+    addPending,
+    getPendingById,
+    removePending,
+    removePendingById,
+    recordFailedAttempt,
+    generateChallengeCode,
+    checkChallengeAnswer,
+    buildChallengeModal,
+    buildVerificationLog,
+    VERIFY_CODE_INPUT_ID
+} = require('../utils/verificationUtil');
+
+// How long a shown code stays valid
+const CHALLENGE_TTL = 600000; // 10 minutes
+// How long to wait before trying a failed kick again
+const KICK_RETRY_DELAY = 600000; // 10 minutes
+
+/**
+ * Verification Service
+ * Gates new members behind a Verify button and removes the ones who never press it.
+ *
+ * Features:
+ * - Verify button grants the member role, optionally after typing a shown code
+ * - Unverified members are kicked after a configurable time
+ * - Restart resilience (pending members are stored, kick timers are re-armed on startup and overdue ones run immediately)
+ * - Successes and failures are posted to the guild log channel
+ */
+class VerificationService {
+    constructor(client) {
+        this.client = client;
+        this.activeTimers = new Map(); // pendingId -> timeout for the kick
+        this.kickNotices = new Map(); // pendingId -> whether the kick DM arrived (kept until the kick succeeds)
+        this.challenges = new Map(); // guildId:userId -> { code, expiresAt }
+        this.cache = new Map(); // guildId -> settings (or null when verification is off)
+        this.cacheExpiry = new Map(); // guildId -> expiry timestamp
+    }
+
+    /**
+     * Re-arm the kick timers of members still pending on startup
+     */
+    async loadPending() {
+        try {
+            const pending = await getAllPending();
+            const timed = pending.filter(entry => entry.kickAt);
+
+            // Overdue members are kicked immediately - a restart must never let them stay unverified
+            for (const entry of timed) {
+                this.scheduleKick(entry);
+            }
+
+            logger.success(`Verification service loaded ${pending.length} pending members (${timed.length} with a kick timer)`);
+        } catch (error) {
+            logger.error('Failed to load pending verifications:', error);
+        }
+    }
+
+    /**
+     * Put a member who just joined on the pending list
+     * @param {GuildMember} member - The new member
+     */
+    async handleMemberJoin(member) {
+        if (member.user.bot) return;
+
+        const settings = await this.getGuildConfig(member.guild.id);
+        if (!settings || member.roles.cache.has(settings.roleId)) return;
+
+        const pending = await addPending(member.guild.id, member.id, settings.kickAfter);
+        if (pending.kickAt) this.scheduleKick(pending);
+    }
+
+    /**
+     * Forget a member who left before verifying
+     * @param {GuildMember} member - The member who left (may be partial)
+     */
+    async handleMemberLeave(member) {
+        const removed = await removePending(member.guild.id, member.id);
+        removed.forEach(entry => {
+            this.clearTimer(entry.id);
+            this.kickNotices.delete(entry.id);
+        });
+        this.challenges.delete(`${member.guild.id}:${member.id}`);
+    }
+
+    /**
+     * Handle the Verify button (verifies right away, or opens the challenge)
+     * @param {ButtonInteraction} interaction
+     */
+    async handleVerifyButton(interaction) {
+        const settings = await this.getGuildConfig(interaction.guild.id);
+
+        if (!settings) {
+            return interaction.reply({
+                embeds: [embeds.error('Verification Disabled', 'Verification is not set up in this server.')],
+                flags: [MessageFlags.Ephemeral]
+            });
+        }
+
+        if (interaction.member.roles.cache.has(settings.roleId)) {
+            return interaction.reply({
+                embeds: [embeds.info('Already Verified', 'You are already verified.')],
+                flags: [MessageFlags.Ephemeral]
+            });
+        }
+
+        if (settings.challenge) {
+            this.pruneChallenges();
+            const code = generateChallengeCode();
+            this.challenges.set(`${interaction.guild.id}:${interaction.user.id}`, { code, expiresAt: Date.now() + CHALLENGE_TTL });
+            return interaction.showModal(buildChallengeModal(code));
+        }
+
+        await interaction.deferReply({ flags: [MessageFlags.Ephemeral] });
+        await this.verifyMember(interaction, settings);
+    }
+
+    /**
+     * Handle a submitted challenge modal
+     * @param {ModalSubmitInteraction} interaction
+     */
+    async handleChallengeSubmit(interaction) {
+        const key = `${interaction.guild.id}:${interaction.user.id}`;
+        const challenge = this.challenges.get(key);
+        this.challenges.delete(key);
+
+        await interaction.deferReply({ flags: [MessageFlags.Ephemeral] });
+
+        const settings = await this.getGuildConfig(interaction.guild.id);
+        if (!settings) {
+            return interaction.editReply({
+                embeds: [embeds.error('Verification Disabled', 'Verification is not set up in this server.')]
+            });
+        }
+
+        // Codes are kept in memory only - a restart or a stale modal just means pressing Verify again
+        if (!challenge || Date.now() > challenge.expiresAt) {
+            return interaction.editReply({
+                embeds: [embeds.warn('Code Expired', 'That code has expired. Press **Verify** again to get a new one.')]
+            });
+        }
+
+        const answer = interaction.fields.getTextInputValue(VERIFY_CODE_INPUT_ID);
+        if (!checkChallengeAnswer(challenge.code, answer)) {
+            const attempts = await recordFailedAttempt(interaction.guild.id, interaction.user.id);
+            await this.sendLog(interaction.guild, buildVerificationLog(interaction.user, {
+                success: false,
+                detail: 'typed the wrong code.',
+                attempts
+            }));
+
+            return interaction.editReply({
+                embeds: [embeds.error('Wrong Code', 'That code didn\'t match. Press **Verify** again to get a new one.')]
+            });
+        }
+
+        await this.verifyMember(interaction, settings);
+    }
+
+    /**
+     * Give the verified role, clear the pending entry and log the outcome
+     * @param {ButtonInteraction|ModalSubmitInteraction} interaction - Deferred interaction from the member
+     * @param {Object} settings - Guild verification settings
+     */
+    async verifyMember(interaction, settings) {
+        const { guild, member, user } = interaction;
+
+        const { success, error } = await RoleManager.addRole(member, settings.roleId, {
+            reason: 'Passed verification',
+            logContext: 'verification'
+        });
+
+        if (!success) {
+            logger.warn(`Could not give the verified role to ${user.id} in ${guild.id}: ${error}`);
+            await this.sendLog(guild, buildVerificationLog(user, {
+                success: false,
+                detail: `the verified role could not be given (${error}).`
+            }));
+
+            return interaction.editReply({
+                embeds: [embeds.error('Verification Failed', 'Something went wrong giving you access. Please contact the server staff.')]
+            });
+        }
+
+        const removed = await removePending(guild.id, user.id);
+        removed.forEach(entry => {
+            this.clearTimer(entry.id);
+            this.kickNotices.delete(entry.id);
+        });
+
+        await this.sendLog(guild, buildVerificationLog(user, { success: true }));
+
+        await interaction.editReply({
+            embeds: [embeds.success('Verified', `Welcome to **${guild.name}**! You now have access to the server.`)]
+        });
+    }
+
+    /**
+     * Schedule the kick of a pending member at its deadline
+     * @param {Object} pending - Pending verification entry
+     */
+    scheduleKick(pending) {
+        // Kick delays are capped at a week, well under setTimeout's limit
+        const delay = Math.max(0, new Date(pending.kickAt).getTime() - Date.now());
+
+        this.clearTimer(pending.id);
+        this.activeTimers.set(pending.id, setTimeout(async () => {
+            this.activeTimers.delete(pending.id);
+            await this.kickUnverified(pending.id);
+        }, delay));
+    }
+
+    /**
+     * Kick a member whose verification deadline passed
+     * The pending entry is only removed once the member is kicked (or no longer needs to be) - on failure it is retried
+     * @param {number} pendingId - Pending verification ID
+     */
+    async kickUnverified(pendingId) {
+        try {
+            const pending = await getPendingById(pendingId);
+            if (!pending) {
+                // Verified, left or verification was disabled in the meantime
+                logger.debug(`Pending verification ${pendingId} already resolved`);
+                return;
+            }
+
+            let guild;
+            try {
+                guild = await this.client.guilds.fetch(pending.guildId);
+            } catch (error) {
+                if (error.code !== 10004) throw error;
+                // Unknown Guild - the bot was removed, nobody left to kick
+                await removePendingById(pendingId);
+                return;
+            }
+
+            // Disabling verification removes every pending entry, so missing settings are only a stale read
+            const settings = await this.getGuildConfig(guild.id);
+            if (!settings) throw new Error('Verification settings not found');
+
+            let member;
+            try {
+                member = await guild.members.fetch({ user: pending.userId, force: true });
+            } catch (error) {
+                if (error.code !== 10007) throw error;
+                // Unknown Member - left while the bot was offline
+                await removePendingById(pendingId);
+                return;
+            }
+
+            // Verified some other way (e.g. staff gave the role)
+            if (member.roles.cache.has(settings.roleId)) {
+                await removePendingById(pendingId);
+                return;
+            }
+
+            if (!member.kickable) {
+                logger.warn(`Verification kick skipped for ${member.id} in ${guild.id}: missing permissions or role hierarchy`);
+                await removePendingById(pendingId);
+                await this.sendLog(guild, buildVerificationLog(member.user, {
+                    success: false,
+                    detail: 'did not verify in time, but I can\'t kick them (missing permissions or role hierarchy).',
+                    attempts: pending.failedAttempts
+                }));
+                return;
+            }
+
+            const deadline = new Date(pending.kickAt).getTime() - new Date(pending.joinedAt).getTime();
+            const reason = `Verification: did not verify within ${formatDuration(deadline)}`;
+
+            // DM before the kick so the member can still be reached, but only once - retries reuse the first result.
+            // The case is only logged once the kick went through.
+            let dmSent = this.kickNotices.get(pendingId);
+            if (dmSent === undefined) {
+                dmSent = await notifyUser(member.user, 'KICK', guild.name, reason, this.client.user.tag);
+                this.kickNotices.set(pendingId, dmSent);
+            }
+            await member.kick(reason);
+            this.kickNotices.delete(pendingId);
+            await removePendingById(pendingId);
+            await logModerationAction(guild.id, member.id, this.client.user.id, 'KICK', reason, { guild, dmSent });
+
+            logger.info(`Kicked unverified member ${member.id} in ${guild.id}`);
+        } catch (error) {
+            logger.error(`Failed to kick unverified member for pending verification ${pendingId}, retrying in ${formatDuration(KICK_RETRY_DELAY)}:`, error);
+            this.scheduleKick({ id: pendingId, kickAt: new Date(Date.now() + KICK_RETRY_DELAY) });
+        }
+    }
+
+    /**
+     * Post a verification entry to the guild log channel
+     * @param {Guild} guild - Discord guild
+     * @param {EmbedBuilder} embed - Log entry
+     */
+    async sendLog(guild, embed) {
+        try {
+            const guildConfig = await db.select({ logChannel: guilds.logChannel })
+                .from(guilds)
+                .where(eq(guilds.id, guild.id))
+                .get();
+
+            if (!guildConfig?.logChannel) return;
+
+            const channel = await fetchChannel(guild, guildConfig.logChannel, { logContext: 'verification-log' });
+            if (channel) {
+                await safeChannelSend(channel, { embeds: [embed] }, { logContext: 'verification-log' });
+            }
+        } catch (error) {
+            logger.error(`Failed to post verification log in ${guild.id}:`, error);
+        }
+    }
+
+    /**
+     * Drop challenge codes nobody answered
+     */
+    pruneChallenges() {
+        const now = Date.now();
+        for (const [key, challenge] of this.challenges) {
+            if (now > challenge.expiresAt) this.challenges.delete(key);
+        }
+    }
+
+    /**
+     * Clear the kick timer of a pending member
+     * @param {number} pendingId - Pending verification ID
+     */
+    clearTimer(pendingId) {
+        if (this.activeTimers.has(pendingId)) {
+            clearTimeout(this.activeTimers.get(pendingId));
+            this.activeTimers.delete(pendingId);
+        }
+    }
+
+    /**
+     * Get the guild's verification settings (cached for 5 minutes)
+     * @param {string} guildId - Guild ID
+     * @returns {Promise<Object|null>} - Settings, or null if verification is off
+     */
+    async getGuildConfig(guildId) {
+        const expiry = this.cacheExpiry.get(guildId);
+        if (expiry && Date.now() < expiry) {
+            return this.cache.get(guildId);
+        }
+
+        const settings = await getVerificationConfig(guildId);
+
+        this.cache.set(guildId, settings);
+        this.cacheExpiry.set(guildId, Date.now() + 300000); // 5 minutes
+        return settings;
+    }
+
+    /**
+     * Invalidate cache for guild (call after verification is set up or disabled)
+     * @param {string} guildId - Guild ID
+     */
+    invalidateCache(guildId) {
+        this.cache.delete(guildId);
+        this.cacheExpiry.delete(guildId);
+    }
+
+    /**
+     * Cleanup method - clears kick timers
+     * Call this when shutting down the service
+     */
+    cleanup() {
+        logger.info('Cleaning up verification service...');
+
+        this.activeTimers.forEach(timeout => clearTimeout(timeout));
+        this.activeTimers.clear();
+        this.kickNotices.clear();
+        this.challenges.clear();
+    }
+}
+
+module.exports = VerificationService;
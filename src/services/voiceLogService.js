@@ -0,0 +1,177 @@
+const { AuditLogEvent, PermissionFlagsBits } = require('discord.js');
+const logger = require('../utils/logger');
+const { findAuditLogEntry, AUDIT_LOG_DELAY, AUDIT_LOG_MAX_AGE } = require('../utils/auditLogUtil');
+const { getLogChannelId, sendLog } = require('../utils/serverLogUtil');
+const {
+    getVoiceLogConfig,
+    buildVoiceJoinLog,
+    buildVoiceLeaveLog,
+    buildVoiceMoveLog,
+    buildVoiceMuteLog
+} = require('../utils/voiceLogUtil');
+
+/**
+ * Voice Log Service
+ * Posts voice activity to the guild's 'voice' log channel.
+ *
+ * Features:
+ * - Joins, leaves and moves, with the session duration on leave
+ * - Server mutes/deafens with the moderator from the audit log
+ * - Disconnects by moderators, told apart from leaves through the audit log
+ */
+class VoiceLogService {
+    constructor(client) {
+        this.client = client;
+        this.sessions = new Map(); // guildId:userId -> session start timestamp
+        // Disconnect audit entries are grouped per moderator and only bump a count, so the last seen count is kept
+        this.disconnectCounts = new Map(); // audit entry ID -> { count, seenAt }
+        this.cache = new Map(); // guildId -> { channelId, settings }
+        this.cacheExpiry = new Map(); // guildId -> expiry timestamp
+
+        // Forget disconnect audit entries that haven't shown up for an hour
+        this.cleanupInterval = setInterval(() => {
+            const cutoff = Date.now() - 3600000;
+            for (const [entryId, { seenAt }] of this.disconnectCounts.entries()) {
+                if (seenAt < cutoff) this.disconnectCounts.delete(entryId);
+            }
+        }, 60000);
+    }
+
+    /**
+     * Cleanup method - clears interval timer
+     * Call this when shutting down the service
+     */
+    cleanup() {
+        if (this.cleanupInterval) {
+            clearInterval(this.cleanupInterval);
+            this.cleanupInterval = null;
+        }
+    }
+
+    /**
+     * Handle a voice state change
+     * @param {VoiceState} oldState - State before the change
+     * @param {VoiceState} newState - State after the change
+     */
+    async handleVoiceStateUpdate(oldState, newState) {
+        const member = newState.member;
+        if (!member || member.user.bot) return;
+
+        const guild = newState.guild;
+        const key = `${guild.id}:${member.id}`;
+        const joinedAt = this.sessions.get(key) ?? null;
+        const channelChanged = oldState.channelId !== newState.channelId;
+
+        // Sessions are tracked even with the log off, so durations are right once it's turned on
+        if (channelChanged && !oldState.channelId) this.sessions.set(key, Date.now());
+        if (channelChanged && !newState.channelId) this.sessions.delete(key);
+
+        const { channelId, settings } = await this.getGuildConfig(guild.id);
+        if (!channelId) return;
+
+        if (channelChanged) {
+            await this.logChannelChange(oldState, newState, channelId, settings, joinedAt);
+        }
+
+        if (oldState.serverMute !== newState.serverMute && settings.mutes && newState.channelId) {
+            const entry = await findAuditLogEntry(guild, AuditLogEvent.MemberUpdate, member.id, { changeKey: 'mute' });
+            await sendLog(guild, channelId, buildVoiceMuteLog(member, 'mute', newState.serverMute, entry));
+        }
+
+        if (oldState.serverDeaf !== newState.serverDeaf && settings.mutes && newState.channelId) {
+            const entry = await findAuditLogEntry(guild, AuditLogEvent.MemberUpdate, member.id, { changeKey: 'deaf' });
+            await sendLog(guild, channelId, buildVoiceMuteLog(member, 'deafen', newState.serverDeaf, entry));
+        }
+    }
+
+    /**
+     * Log a join, leave, disconnect or move
+     */
+    async logChannelChange(oldState, newState, channelId, settings, joinedAt) {
+        const member = newState.member;
+        const guild = newState.guild;
+
+        if (!oldState.channelId) {
+            if (settings.joins) {
+                await sendLog(guild, channelId, buildVoiceJoinLog(member, newState.channel));
+            }
+            return;
+        }
+
+        if (!newState.channelId) {
+            const executorId = settings.disconnects ? await this.findDisconnectExecutor(guild) : null;
+
+            if (executorId || settings.leaves) {
+                await sendLog(guild, channelId, buildVoiceLeaveLog(member, oldState.channel, joinedAt, executorId));
+            }
+            return;
+        }
+
+        if (settings.moves) {
+            await sendLog(guild, channelId, buildVoiceMoveLog(member, oldState.channel, newState.channel, joinedAt));
+        }
+    }
+
+    /**
+     * Find the moderator behind a disconnect that just happened
+     * Disconnect audit entries have no target, so a new entry (or a higher count on a recent one) is the signal.
+     * @param {Guild} guild - Discord guild
+     * @returns {Promise<string|null>} - Moderator user ID, or null if the member left on their own
+     */
+    async findDisconnectExecutor(guild) {
+        if (!guild.members.me?.permissions.has(PermissionFlagsBits.ViewAuditLog)) return null;
+
+        await new Promise(resolve => setTimeout(resolve, AUDIT_LOG_DELAY));
+
+        try {
+            const auditLogs = await guild.fetchAuditLogs({ type: AuditLogEvent.MemberDisconnect, limit: 5 });
+            const now = Date.now();
+
+            for (const entry of auditLogs.entries.values()) {
+                const count = entry.extra?.count ?? 1;
+                const seen = this.disconnectCounts.get(entry.id)?.count;
+                this.disconnectCounts.set(entry.id, { count, seenAt: now });
+
+                const isNew = seen === undefined && now - entry.createdTimestamp < AUDIT_LOG_MAX_AGE;
+                if (isNew || (seen !== undefined && count > seen)) {
+                    return entry.executorId;
+                }
+            }
+        } catch (error) {
+            logger.warn(`Failed to fetch disconnect audit logs in guild ${guild.id}:`, error.message);
+        }
+
+        return null;
+    }
+
+    /**
+     * Get the guild's voice log channel and toggles (cached for 5 minutes)
+     * @param {string} guildId - Guild ID
+     * @returns {Promise<Object>} - { channelId, settings }
+     */
+    async getGuildConfig(guildId) {
+        const expiry = this.cacheExpiry.get(guildId);
+        if (expiry && Date.now() < expiry) {
+            return this.cache.get(guildId);
+        }
+
+        const channelId = await getLogChannelId(guildId, 'voice');
+        const settings = channelId ? await getVoiceLogConfig(guildId) : null;
+        const guildConfig = { channelId, settings };
+
+        this.cache.set(guildId, guildConfig);
+        this.cacheExpiry.set(guildId, Date.now() + 300000); // 5 minutes
+        return guildConfig;
+    }
+
+    /**
+     * Invalidate cache for guild (call after any voice log setting change)
+     * @param {string} guildId - Guild ID
+     */
+    invalidateCache(guildId) {
+        this.cache.delete(guildId);
+        this.cacheExpiry.delete(guildId);
+    }
+}
+
+module.exports = VoiceLogService;
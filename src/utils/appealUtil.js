@@ -0,0 +1,311 @@
+/**
+ * Appeal Utilities
+ * Ban appeals: storage, the DM appeal button, the appeal modals and the staff review message
+ */
+
+const { ActionRowBuilder, ButtonBuilder, ButtonStyle, ModalBuilder, TextInputBuilder, TextInputStyle } = require('discord.js');
+const { db } = require('../database');
+const { guilds, banAppeals } = require('../database/schema');
+const { eq, and, asc } = require('drizzle-orm');
+const logger = require('./logger');
+const embeds = require('./embeds');
+const config = require('./config');
+
+const MIN_APPEAL_LENGTH = 20;
+const MAX_APPEAL_LENGTH = 1000;
+
+const STATUS_LABELS = {
+    pending: '⏳ Pending',
+    accepted: '✅ Accepted',
+    denied: '❌ Denied'
+};
+
+/**
+ * Get the staff channel that receives ban appeals
+ * @param {string} guildId - Guild ID
+ * @returns {Promise<string|null>} - Channel ID, or null if appeals are disabled
+ */
+async function getAppealChannel(guildId) {
+    const guildConfig = await db.select({ appealChannel: guilds.appealChannel })
+        .from(guilds)
+        .where(eq(guilds.id, guildId))
+        .get();
+
+    return guildConfig?.appealChannel ?? null;
+}
+
+/**
+ * Set the staff channel that receives ban appeals
+ * @param {string} guildId - Guild ID
+ * @param {string|null} channelId - Channel ID, or null to disable appeals
+ */
+async function setAppealChannel(guildId, channelId) {
+    await db.insert(guilds)
+        .values({ id: guildId, joinedAt: new Date(), appealChannel: channelId })
+        .onConflictDoUpdate({
+            target: guilds.id,
+            set: { appealChannel: channelId }
+        });
+
+    logger.info(`Appeal channel in ${guildId} set to ${channelId ?? 'disabled'}`);
+}
+
+/**
+ * Fetch an appeal by ID
+ * @param {number} appealId - Appeal ID
+ * @returns {Promise<Object|undefined>}
+ */
+async function getAppeal(appealId) {
+    return db.select()
+        .from(banAppeals)
+        .where(eq(banAppeals.id, appealId))
+        .get();
+}
+
+/**
+ * Fetch a user's pending appeal in a guild
+ * @param {string} guildId - Guild ID
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|undefined>}
+ */
+async function getOpenAppeal(guildId, userId) {
+    return db.select()
+        .from(banAppeals)
+        .where(and(
+            eq(banAppeals.guildId, guildId),
+            eq(banAppeals.userId, userId),
+            eq(banAppeals.status, 'pending')
+        ))
+        .get();
+}
+
+/**
+ * Get all pending appeals in a guild (oldest first)
+ * @param {string} guildId - Guild ID
+ * @returns {Promise<Array<Object>>}
+ */
+async function getOpenAppeals(guildId) {
+    return db.select()
+        .from(banAppeals)
+        .where(and(
+            eq(banAppeals.guildId, guildId),
+            eq(banAppeals.status, 'pending')
+        ))
+        .orderBy(asc(banAppeals.createdAt))
+        .all();
+}
+
+/**
+ * Store a new appeal, unless the user already has one pending in the guild
+ * @param {Object} appeal
+ * @param {string} appeal.guildId - Guild ID
+ * @param {string} appeal.userId - Banned user ID
+ * @param {number|null} appeal.caseNumber - Case number of the BAN
+ * @param {string} appeal.content - Appeal text
+ * @returns {Promise<Object>} - { success: boolean, appeal?: Object, error?: string }
+ */
+async function createAppeal({ guildId, userId, caseNumber = null, content }) {
+    if (await getOpenAppeal(guildId, userId)) {
+        return { success: false, error: 'You already have an open appeal in this server. Please wait for staff to review it.' };
+    }
+
+    const appeal = await db.insert(banAppeals)
+        .values({
+            guildId,
+            userId,
+            caseNumber,
+            content,
+            status: 'pending',
+            createdAt: new Date()
+        })
+        .returning()
+        .get();
+
+    logger.info(`Ban appeal #${appeal.id} submitted by ${userId} in ${guildId}`);
+    return { success: true, appeal };
+}
+
+/**
+ * Remember where an appeal's review message was posted
+ * @param {number} appealId - Appeal ID
+ * @param {Message} message - Review message in the appeal channel
+ */
+async function setAppealReviewMessage(appealId, message) {
+    await db.update(banAppeals)
+        .set({ reviewChannelId: message.channelId, reviewMessageId: message.id })
+        .where(eq(banAppeals.id, appealId));
+}
+
+/**
+ * Accept or deny a pending appeal
+ * Only pending appeals change, so two moderators can't both decide the same appeal.
+ * @param {number} appealId - Appeal ID
+ * @param {Object} decision
+ * @param {string} decision.status - accepted or denied
+ * @param {string} decision.reviewedBy - User ID of the moderator
+ * @param {string|null} decision.reason - Reason shown to the user
+ * @returns {Promise<Object|null>} - The updated appeal, or null if it was no longer pending
+ */
+async function resolveAppeal(appealId, { status, reviewedBy, reason = null }) {
+    const updated = await db.update(banAppeals)
+        .set({ status, reviewedBy, reviewReason: reason, reviewedAt: new Date() })
+        .where(and(
+            eq(banAppeals.id, appealId),
+            eq(banAppeals.status, 'pending')
+        ))
+        .returning()
+        .all();
+
+    return updated[0] ?? null;
+}
+
+/**
+ * Put a decided appeal back to pending (the decision could not be carried out)
+ * @param {number} appealId - Appeal ID
+ */
+async function reopenAppeal(appealId) {
+    await db.update(banAppeals)
+        .set({ status: 'pending', reviewedBy: null, reviewReason: null, reviewedAt: null })
+        .where(eq(banAppeals.id, appealId));
+}
+
+/**
+ * Delete an appeal that never reached the staff channel
+ * @param {number} appealId - Appeal ID
+ */
+async function deleteAppeal(appealId) {
+    await db.delete(banAppeals).where(eq(banAppeals.id, appealId));
+}
+
+/**
+ * Build the Appeal button attached to ban DMs
+ * @param {string} guildId - Guild ID
+ * @param {number|null} caseNumber - Case number of the BAN
+ * @returns {ActionRowBuilder}
+ */
+function createAppealButton(guildId, caseNumber) {
+    return new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+            .setCustomId(`appeal_open_${guildId}_${caseNumber ?? 0}`)
+            .setLabel('Appeal')
+            .setEmoji('📝')
+            .setStyle(ButtonStyle.Primary)
+    );
+}
+
+/**
+ * Build the modal a banned user fills in to appeal
+ * @param {string} guildId - Guild ID
+ * @param {number|null} caseNumber - Case number of the BAN
+ * @returns {ModalBuilder}
+ */
+function createAppealModal(guildId, caseNumber) {
+    const contentInput = new TextInputBuilder()
+        .setCustomId('content')
+        .setLabel('Why should your ban be lifted?')
+        .setStyle(TextInputStyle.Paragraph)
+        .setMinLength(MIN_APPEAL_LENGTH)
+        .setMaxLength(MAX_APPEAL_LENGTH)
+        .setRequired(true);
+
+    return new ModalBuilder()
+        .setCustomId(`appeal_submit_${guildId}_${caseNumber ?? 0}`)
+        .setTitle('Ban Appeal')
+        .addComponents(new ActionRowBuilder().addComponents(contentInput));
+}
+
+/**
+ * Build the modal a moderator fills in to deny an appeal
+ * @param {number} appealId - Appeal ID
+ * @returns {ModalBuilder}
+ */
+function createDenyModal(appealId) {
+    const reasonInput = new TextInputBuilder()
+        .setCustomId('reason')
+        .setLabel('Reason (sent to the user)')
+        .setStyle(TextInputStyle.Paragraph)
+        .setMaxLength(500)
+        .setRequired(true);
+
+    return new ModalBuilder()
+        .setCustomId(`appeal_denyreason_${appealId}`)
+        .setTitle(`Deny Appeal #${appealId}`)
+        .addComponents(new ActionRowBuilder().addComponents(reasonInput));
+}
+
+/**
+ * Build the staff review embed for an appeal
+ * @param {Object} appeal - Appeal row
+ * @param {Object} context
+ * @param {User} context.user - The appellant (optional)
+ * @param {string} context.banReason - Reason of the appealed ban (optional)
+ * @returns {EmbedBuilder}
+ */
+function createAppealReviewEmbed(appeal, { user = null, banReason = null } = {}) {
+    const colors = {
+        pending: config.colors.warning,
+        accepted: config.colors.success,
+        denied: config.colors.error
+    };
+
+    const embed = embeds.brand(`Ban Appeal #${appeal.id}`, appeal.content)
+        .setColor(colors[appeal.status] ?? config.brand.color)
+        .addFields(
+            { name: 'User', value: `${user ? `${user.tag} ` : ''}<@${appeal.userId}> (${appeal.userId})`, inline: true },
+            { name: 'Ban Case', value: appeal.caseNumber ? `#${appeal.caseNumber}` : 'Unknown', inline: true },
+            { name: 'Status', value: STATUS_LABELS[appeal.status] ?? appeal.status, inline: true }
+        );
+
+    if (banReason) {
+        embed.addFields({ name: 'Ban Reason', value: banReason });
+    }
+
+    if (appeal.reviewedBy) {
+        const decision = `<@${appeal.reviewedBy}>${appeal.reviewReason ? `: ${appeal.reviewReason}` : ''}`;
+        embed.addFields({ name: 'Decision', value: decision });
+    }
+
+    return embed;
+}
+
+/**
+ * Build the Accept / Deny buttons for a review message
+ * @param {number} appealId - Appeal ID
+ * @param {Object} options
+ * @param {boolean} options.disabled - Disable the buttons once decided
+ * @returns {ActionRowBuilder}
+ */
+function createAppealReviewButtons(appealId, { disabled = false } = {}) {
+    return new ActionRowBuilder().addComponents(
+        new ButtonBuilder()
+            .setCustomId(`appeal_accept_${appealId}`)
+            .setLabel('Accept & Unban')
+            .setStyle(ButtonStyle.Success)
+            .setDisabled(disabled),
+        new ButtonBuilder()
+            .setCustomId(`appeal_deny_${appealId}`)
+            .setLabel('Deny')
+            .setStyle(ButtonStyle.Danger)
+            .setDisabled(disabled)
+    );
+}
+
+module.exports = {
+    getAppealChannel,
+    setAppealChannel,
+    getAppeal,
+    getOpenAppeal,
+    getOpenAppeals,
+    createAppeal,
+    setAppealReviewMessage,
+    resolveAppeal,
+    reopenAppeal,
+    deleteAppeal,
+    createAppealButton,
+    createAppealModal,
+    createDenyModal,
+    createAppealReviewEmbed,
+    createAppealReviewButtons,
+    MIN_APPEAL_LENGTH,
+    MAX_APPEAL_LENGTH
+};
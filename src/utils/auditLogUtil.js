@@ -0,0 +1,92 @@
+/**
+ * Audit Log Utilities
+ * Records moderation actions taken outside the bot (Discord UI, other bots) as cases
+ */
+
+const { PermissionFlagsBits } = require('discord.js');
+const logger = require('./logger');
+const { logModerationAction } = require('./moderationUtil');
+
+// Audit log entries can land slightly after the gateway event that caused them
+const AUDIT_LOG_DELAY = 1500;
+// Only match entries this recent, so an old ban of the same user is never picked up
+const AUDIT_LOG_MAX_AGE = 15000;
+
+/**
+ * Find the audit log entry for an action on a target
+ * @param {Guild} guild - Discord guild
+ * @param {AuditLogEvent} type - Audit log event type
+ * @param {string} targetId - ID of the affected user
+ * @param {Object} options - Optional parameters
+ * @param {number} options.delay - Wait before fetching, in ms (default: AUDIT_LOG_DELAY)
+ * @param {string} options.changeKey - Only match entries that changed this key, e.g. 'nick' (optional)
+ * @returns {Promise<GuildAuditLogsEntry|null>} - The entry, or null if not found / no permission
+ */
+async function findAuditLogEntry(guild, type, targetId, options = {}) {
+    const { delay = AUDIT_LOG_DELAY, changeKey = null } = options;
+
+    if (!guild.members.me?.permissions.has(PermissionFlagsBits.ViewAuditLog)) {
+        logger.debug(`Missing View Audit Log permission in guild ${guild.id}`);
+        return null;
+    }
+
+    if (delay > 0) {
+        await new Promise(resolve => setTimeout(resolve, delay));
+    }
+
+    try {
+        const auditLogs = await guild.fetchAuditLogs({ type, limit: 5 });
+        const now = Date.now();
+
+        return auditLogs.entries.find(entry =>
+            entry.targetId === targetId &&
+            now - entry.createdTimestamp < AUDIT_LOG_MAX_AGE &&
+            // One event type can cover several changes (MemberUpdate: nickname, timeout, ...)
+            (!changeKey || entry.changes?.some(change => change.key === changeKey))
+        ) ?? null;
+    } catch (error) {
+        logger.warn(`Failed to fetch audit logs in guild ${guild.id}:`, error.message);
+        return null;
+    }
+}
+
+/**
+ * Record an action taken outside the bot as an external case
+ * Actions executed by the bot itself are skipped - they were already recorded when issued.
+ * @param {Guild} guild - Discord guild
+ * @param {Client} client - Discord client
+ * @param {Object} options
+ * @param {string} options.action - Case action (BAN, UNBAN, KICK)
+ * @param {AuditLogEvent} options.auditLogType - Audit log event type to look up
+ * @param {string} options.targetId - ID of the affected user
+ * @param {number} options.delay - Wait before fetching the audit log, in ms (optional)
+ * @returns {Promise<Object|null>} - The recorded case, or null if nothing was recorded
+ */
+async function recordExternalAction(guild, client, { action, auditLogType, targetId, delay }) {
+    const entry = await findAuditLogEntry(guild, auditLogType, targetId, { delay });
+
+    if (!entry?.executorId) {
+        logger.debug(`No audit log entry found for ${action} on ${targetId} in guild ${guild.id}`);
+        return null;
+    }
+
+    if (entry.executorId === client.user.id) {
+        return null;
+    }
+
+    return logModerationAction(
+        guild.id,
+        targetId,
+        entry.executorId,
+        action,
+        entry.reason || 'No reason provided',
+        { source: 'external', guild }
+    );
+}
+
+module.exports = {
+    findAuditLogEntry,
+    recordExternalAction,
+    AUDIT_LOG_DELAY,
+    AUDIT_LOG_MAX_AGE
+};
@@ -0,0 +1,224 @@
+/**
+ * Auto-Role Utilities
+ * Roles given on join (members and bots), the join delay, and sticky roles kept across rejoins
+ */
+
+const { db } = require('../database');
+const { guilds, autoRoles, stickyRoles, stickyRoleSnapshots } = require('../database/schema');
+const { eq, and } = require('drizzle-orm');
+const logger = require('./logger');
+const { RoleManager } = require('./discordApiUtil');
+
+const MAX_AUTO_ROLES = 10; // Per target (members, bots)
+const MAX_STICKY_ROLES = 25;
+const MAX_AUTO_ROLE_DELAY = 600; // 10 minutes, pending grants don't survive a restart
+
+const AUTO_ROLE_TARGETS = {
+    member: 'Members',
+    bot: 'Bots'
+};
+
+/**
+ * Check a role can be handed out automatically
+ * @param {Guild} guild - Discord guild
+ * @param {Role} role - Role to check
+ * @returns {string|null} - Why the role can't be used, or null if it can
+ */
+function validateAssignableRole(guild, role) {
+    if (role.id === guild.id) return '@everyone can\'t be assigned.';
+    if (role.managed) return `${role} is managed by an integration and can't be assigned.`;
+    if (!RoleManager.canManageRole(guild, role)) return `${role} is higher than or equal to my highest role.`;
+    return null;
+}
+
+/**
+ * Get a guild's auto-roles
+ * @param {string} guildId - Guild ID
+ * @returns {Promise<Array<Object>>}
+ */
+async function getAutoRoles(guildId) {
+    return db.select()
+        .from(autoRoles)
+        .where(eq(autoRoles.guildId, guildId))
+        .all();
+}
+
+/**
+ * Give a role to everyone who joins
+ * @param {string} guildId - Guild ID
+ * @param {string} roleId - Role ID
+ * @param {string} target - member or bot
+ * @param {string} addedBy - User ID of the admin
+ * @returns {Promise<Object>} - { success: boolean, error?: string }
+ */
+async function addAutoRole(guildId, roleId, target, addedBy) {
+    const existing = await getAutoRoles(guildId);
+
+    if (existing.some(entry => entry.roleId === roleId && entry.target === target)) {
+        return { success: false, error: `That role is already given to ${AUTO_ROLE_TARGETS[target].toLowerCase()} on join.` };
+    }
+
+    if (existing.filter(entry => entry.target === target).length >= MAX_AUTO_ROLES) {
+        return { success: false, error: `At most ${MAX_AUTO_ROLES} roles can be given to ${AUTO_ROLE_TARGETS[target].toLowerCase()} on join.` };
+    }
+
+    await db.insert(autoRoles)
+        .values({ guildId, roleId, target, addedBy, addedAt: new Date() });
+
+    logger.info(`Auto-role ${roleId} (${target}) added in ${guildId}`);
+    return { success: true };
+}
+
+/**
+ * Stop giving a role on join (to members and bots alike)
+ * @param {string} guildId - Guild ID
+ * @param {string} roleId - Role ID
+ * @returns {Promise<boolean>} - true if the role was an auto-role
+ */
+async function removeAutoRole(guildId, roleId) {
+    const removed = await db.delete(autoRoles)
+        .where(and(
+            eq(autoRoles.guildId, guildId),
+            eq(autoRoles.roleId, roleId)
+        ))
+        .returning()
+        .all();
+
+    return removed.length > 0;
+}
+
+/**
+ * Get how long new members wait for their auto-roles
+ * @param {string} guildId - Guild ID
+ * @returns {Promise<number>} - Delay in seconds
+ */
+async function getAutoRoleDelay(guildId) {
+    const row = await db.select({ autoRoleDelay: guilds.autoRoleDelay })
+        .from(guilds)
+        .where(eq(guilds.id, guildId))
+        .get();
+
+    return row?.autoRoleDelay ?? 0;
+}
+
+/**
+ * Set how long new members wait for their auto-roles
+ * @param {string} guildId - Guild ID
+ * @param {number} seconds - Delay in seconds (0 = right away)
+ */
+async function setAutoRoleDelay(guildId, seconds) {
+    await db.update(guilds)
+        .set({ autoRoleDelay: seconds || null })
+        .where(eq(guilds.id, guildId));
+}
+
+/**
+ * Get a guild's sticky roles
+ * @param {string} guildId - Guild ID
+ * @returns {Promise<Array<Object>>}
+ */
+async function getStickyRoles(guildId) {
+    return db.select()
+        .from(stickyRoles)
+        .where(eq(stickyRoles.guildId, guildId))
+        .all();
+}
+
+/**
+ * Make a role sticky
+ * @param {string} guildId - Guild ID
+ * @param {string} roleId - Role ID
+ * @param {string} addedBy - User ID of the admin
+ * @returns {Promise<Object>} - { success: boolean, error?: string }
+ */
+async function addStickyRole(guildId, roleId, addedBy) {
+    const existing = await getStickyRoles(guildId);
+
+    if (existing.some(entry => entry.roleId === roleId)) {
+        return { success: false, error: 'That role is already sticky.' };
+    }
+
+    if (existing.length >= MAX_STICKY_ROLES) {
+        return { success: false, error: `At most ${MAX_STICKY_ROLES} roles can be sticky.` };
+    }
+
+    await db.insert(stickyRoles)
+        .values({ guildId, roleId, addedBy, addedAt: new Date() });
+
+    logger.info(`Sticky role ${roleId} added in ${guildId}`);
+    return { success: true };
+}
+
+/**
+ * Stop restoring a role on rejoin
+ * @param {string} guildId - Guild ID
+ * @param {string} roleId - Role ID
+ * @returns {Promise<boolean>} - true if the role was sticky
+ */
+async function removeStickyRole(guildId, roleId) {
+    const removed = await db.delete(stickyRoles)
+        .where(and(
+            eq(stickyRoles.guildId, guildId),
+            eq(stickyRoles.roleId, roleId)
+        ))
+        .returning()
+        .all();
+
+    return removed.length > 0;
+}
+
+/**
+ * Remember the sticky roles a member had when they left (replacing any older snapshot)
+ * @param {string} guildId - Guild ID
+ * @param {string} userId - User ID
+ * @param {string[]} roleIds - Sticky roles the member had
+ */
+async function saveStickySnapshot(guildId, userId, roleIds) {
+    const where = and(
+        eq(stickyRoleSnapshots.guildId, guildId),
+        eq(stickyRoleSnapshots.userId, userId)
+    );
+
+    await db.delete(stickyRoleSnapshots).where(where);
+
+    if (roleIds.length > 0) {
+        await db.insert(stickyRoleSnapshots)
+            .values({ guildId, userId, roleIds: roleIds.join(','), savedAt: new Date() });
+    }
+}
+
+/**
+ * Get and forget the sticky roles saved for a rejoining member
+ * @param {string} guildId - Guild ID
+ * @param {string} userId - User ID
+ * @returns {Promise<string[]>} - Role IDs to restore
+ */
+async function takeStickySnapshot(guildId, userId) {
+    const removed = await db.delete(stickyRoleSnapshots)
+        .where(and(
+            eq(stickyRoleSnapshots.guildId, guildId),
+            eq(stickyRoleSnapshots.userId, userId)
+        ))
+        .returning()
+        .all();
+
+    return removed.flatMap(snapshot => snapshot.roleIds.split(','));
+}
+
+module.exports = {
+    validateAssignableRole,
+    getAutoRoles,
+    addAutoRole,
+    removeAutoRole,
+    getAutoRoleDelay,
+    setAutoRoleDelay,
+    getStickyRoles,
+    addStickyRole,
+    removeStickyRole,
+    saveStickySnapshot,
+    takeStickySnapshot,
+    AUTO_ROLE_TARGETS,
+    MAX_AUTO_ROLES,
+    MAX_STICKY_ROLES,
+    MAX_AUTO_ROLE_DELAY
+};
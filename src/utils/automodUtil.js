@@ -0,0 +1,364 @@
+/**
+ * Automod Utilities
+ * Per-guild automod rules (thresholds and actions) and the roles and channels they ignore
+ */
+
+const { db } = require('../database');
+const { automodRules, automodExemptions, automodFilters, moderationLogs } = require('../database/schema');
+const { eq, and, asc, gte, like, isNull, count } = require('drizzle-orm');
+const logger = require('./logger');
+const { formatDuration } = require('./timeParser');
+const AutoResponderService = require('../services/autoResponderService');
+
+const AUTOMOD_ACTIONS = ['delete', 'warn', 'timeout'];
+const MAX_AUTOMOD_EXEMPTIONS = 25;
+const FILTER_MATCH_TYPES = ['exact', 'contains', 'wildcard', 'regex'];
+const MAX_AUTOMOD_FILTERS = 100;
+const MAX_FILTER_LENGTH = 100;
+// Case reason prefix of word filter hits (also used to count repeat offences)
+const FILTER_REASON_PREFIX = 'Automod: Word filter';
+
+// Longest spam / duplicates window in seconds (the service keeps this much message history)
+const MAX_AUTOMOD_INTERVAL = 300;
+
+// Defaults applied when a rule is enabled without explicit settings, and the allowed threshold range
+const AUTOMOD_RULES = {
+    spam: { label: 'Message spam', threshold: 5, interval: 5, unit: 'messages', min: 2, max: 50 },
+    duplicates: { label: 'Duplicate messages', threshold: 3, interval: 30, unit: 'identical messages', min: 2, max: 20 },
+    mentions: { label: 'Mass mentions', threshold: 5, interval: null, unit: 'mentions per message', min: 2, max: 50 },
+    invites: { label: 'Invite links', threshold: 1, interval: null, unit: 'invite links', min: 1, max: 1 },
+    caps: { label: 'Excessive caps', threshold: 70, interval: null, unit: '% capital letters', min: 50, max: 100 }
+};
+
+/**
+ * Get all configured automod rules for a guild
+ * @param {string} guildId - Guild ID
+ * @returns {Promise<Array<Object>>}
+ */
+async function getAutomodRules(guildId) {
+    return db.select()
+        .from(automodRules)
+        .where(eq(automodRules.guildId, guildId))
+        .all();
+}
+
+/**
+ * Create or update an automod rule
+ * Settings that aren't given keep their current value, or the rule's default for a new rule.
+ * @param {string} guildId - Guild ID
+ * @param {string} rule - Rule type (a key of AUTOMOD_RULES)
+ * @param {Object} settings
+ * @param {number} settings.threshold - Trigger threshold (optional)
+ * @param {number} settings.interval - Window in seconds for spam / duplicates (optional)
+ * @param {string} settings.action - delete, warn or timeout (optional)
+ * @param {number} settings.duration - Timeout length in ms (required for the timeout action)
+ * @param {string} settings.updatedBy - User ID of the moderator configuring the rule
+ * @returns {Promise<Object>} - { success: boolean, rule?: Object, error?: string }
+ */
+async function setAutomodRule(guildId, rule, { threshold = null, interval = null, action = null, duration = null, updatedBy }) {
+    const defaults = AUTOMOD_RULES[rule];
+    if (!defaults) {
+        return { success: false, error: `Unknown automod rule: ${rule}` };
+    }
+
+    if (threshold !== null && rule !== 'invites' && (threshold < defaults.min || threshold > defaults.max)) {
+        return { success: false, error: `The ${defaults.label.toLowerCase()} threshold must be between ${defaults.min} and ${defaults.max}.` };
+    }
+
+    if (interval !== null && (interval < 1 || interval > MAX_AUTOMOD_INTERVAL)) {
+        return { success: false, error: `The interval must be between 1 and ${MAX_AUTOMOD_INTERVAL} seconds.` };
+    }
+
+    if (action && !AUTOMOD_ACTIONS.includes(action)) {
+        return { success: false, error: `Unknown automod action: ${action}` };
+    }
+
+    const existing = (await getAutomodRules(guildId)).find(r => r.rule === rule);
+    const nextAction = action ?? existing?.action ?? 'delete';
+    const nextDuration = nextAction === 'timeout' ? (duration ?? existing?.duration ?? null) : null;
+
+    if (nextAction === 'timeout' && !nextDuration) {
+        return { success: false, error: 'The timeout action needs a duration.' };
+    }
+
+    const values = {
+        enabled: true,
+        threshold: rule === 'invites' ? defaults.threshold : (threshold ?? existing?.threshold ?? defaults.threshold),
+        interval: defaults.interval === null ? null : (interval ?? existing?.interval ?? defaults.interval),
+        action: nextAction,
+        duration: nextDuration,
+        updatedBy,
+        updatedAt: new Date()
+    };
+
+    const saved = existing
+        ? await db.update(automodRules)
+            .set(values)
+            .where(eq(automodRules.id, existing.id))
+            .returning()
+            .get()
+        : await db.insert(automodRules)
+            .values({ guildId, rule, ...values })
+            .returning()
+            .get();
+
+    logger.info(`Automod rule set in ${guildId}: ${describeAutomodRule(saved)} by ${updatedBy}`);
+    return { success: true, rule: saved };
+}
+
+/**
+ * Disable an automod rule (its settings are kept for when it is enabled again)
+ * @param {string} guildId - Guild ID
+ * @param {string} rule - Rule type
+ * @returns {Promise<Object|null>} - The disabled rule, or null if it wasn't enabled
+ */
+async function disableAutomodRule(guildId, rule) {
+    const updated = await db.update(automodRules)
+        .set({ enabled: false })
+        .where(and(
+            eq(automodRules.guildId, guildId),
+            eq(automodRules.rule, rule),
+            eq(automodRules.enabled, true)
+        ))
+        .returning()
+        .all();
+
+    return updated[0] ?? null;
+}
+
+/**
+ * Get the roles and channels automod ignores in a guild
+ * @param {string} guildId - Guild ID
+ * @returns {Promise<Array<Object>>}
+ */
+async function getAutomodExemptions(guildId) {
+    return db.select()
+        .from(automodExemptions)
+        .where(eq(automodExemptions.guildId, guildId))
+        .all();
+}
+
+/**
+ * Exempt a role or channel from automod
+ * @param {string} guildId - Guild ID
+ * @param {string} type - role or channel
+ * @param {string} targetId - Role or channel ID
+ * @param {string} addedBy - User ID of the moderator
+ * @returns {Promise<Object>} - { success: boolean, error?: string }
+ */
+async function addAutomodExemption(guildId, type, targetId, addedBy) {
+    const exemptions = await getAutomodExemptions(guildId);
+
+    if (exemptions.some(exemption => exemption.targetId === targetId)) {
+        return { success: false, error: `That ${type} is already exempt from automod.` };
+    }
+
+    if (exemptions.length >= MAX_AUTOMOD_EXEMPTIONS) {
+        return { success: false, error: `Automod can have at most ${MAX_AUTOMOD_EXEMPTIONS} exemptions.` };
+    }
+
+    await db.insert(automodExemptions)
+        .values({ guildId, type, targetId, addedBy, addedAt: new Date() });
+
+    return { success: true };
+}
+
+/**
+ * Remove a role or channel exemption
+ * @param {string} guildId - Guild ID
+ * @param {string} targetId - Role or channel ID
+ * @returns {Promise<boolean>} - true if an exemption was removed
+ */
+async function removeAutomodExemption(guildId, targetId) {
+    const removed = await db.delete(automodExemptions)
+        .where(and(
+            eq(automodExemptions.guildId, guildId),
+            eq(automodExemptions.targetId, targetId)
+        ))
+        .returning()
+        .all();
+
+    return removed.length > 0;
+}
+
+/**
+ * Get the word filter of a guild (oldest first)
+ * @param {string} guildId - Guild ID
+ * @returns {Promise<Array<Object>>}
+ */
+async function getAutomodFilters(guildId) {
+    return db.select()
+        .from(automodFilters)
+        .where(eq(automodFilters.guildId, guildId))
+        .orderBy(asc(automodFilters.id))
+        .all();
+}
+
+/**
+ * Add patterns to the word filter
+ * Invalid, duplicate and over-limit patterns are skipped rather than failing the whole batch.
+ * @param {string} guildId - Guild ID
+ * @param {Array<string>} patterns - Words, phrases, wildcards or regexes
+ * @param {string} matchType - exact, contains, wildcard or regex
+ * @param {string} createdBy - User ID of the moderator
+ * @returns {Promise<Object>} - { added: Array<Object>, skipped: Array<{ pattern, error }> }
+ */
+async function addAutomodFilters(guildId, patterns, matchType, createdBy) {
+    const existing = await getAutomodFilters(guildId);
+    const seen = new Set(existing.map(filter => `${filter.matchType}:${filter.pattern.toLowerCase()}`));
+    const added = [];
+    const skipped = [];
+
+    for (const pattern of patterns) {
+        const key = `${matchType}:${pattern.toLowerCase()}`;
+        let error = validatePattern(pattern, matchType);
+        if (!error && seen.has(key)) error = 'Already in the filter';
+        if (!error && existing.length + added.length >= MAX_AUTOMOD_FILTERS) error = `The filter is full (${MAX_AUTOMOD_FILTERS} entries)`;
+
+        if (error) {
+            skipped.push({ pattern, error });
+            continue;
+        }
+
+        const filter = await db.insert(automodFilters)
+            .values({ guildId, pattern, matchType, createdBy, createdAt: new Date() })
+            .returning()
+            .get();
+
+        seen.add(key);
+        added.push(filter);
+    }
+
+    if (added.length > 0) {
+        logger.info(`${added.length} word filter entries added in ${guildId} by ${createdBy}`);
+    }
+
+    return { added, skipped };
+}
+
+/**
+ * Remove a word filter entry
+ * @param {string} guildId - Guild ID (entries from other guilds are never touched)
+ * @param {number} filterId - Filter entry ID
+ * @returns {Promise<Object|null>} - The removed entry, or null if not found
+ */
+async function removeAutomodFilter(guildId, filterId) {
+    const removed = await db.delete(automodFilters)
+        .where(and(
+            eq(automodFilters.guildId, guildId),
+            eq(automodFilters.id, filterId)
+        ))
+        .returning()
+        .all();
+
+    return removed[0] ?? null;
+}
+
+/**
+ * Check a message against one word filter entry
+ * Exact and wildcard entries also match any single word, so "bad*" catches "that's badly done".
+ * @param {string} content - Message content
+ * @param {Object} filter - Filter entry
+ * @returns {boolean}
+ */
+function matchesFilter(content, filter) {
+    const candidates = ['exact', 'wildcard'].includes(filter.matchType)
+        ? [content, ...content.split(/\s+/)]
+        : [content];
+
+    try {
+        return candidates.some(candidate => AutoResponderService.matchesTrigger(candidate, filter.pattern, filter.matchType));
+    } catch (error) {
+        logger.error(`Invalid word filter entry #${filter.id}: ${filter.pattern}`);
+        return false;
+    }
+}
+
+/**
+ * Check that a pattern can be compiled for its match type
+ * @returns {string|null} - Error message, or null if valid
+ */
+function validatePattern(pattern, matchType) {
+    if (!FILTER_MATCH_TYPES.includes(matchType)) return `Unknown match type: ${matchType}`;
+    if (!pattern.trim()) return 'Empty pattern';
+    if (pattern.length > MAX_FILTER_LENGTH) return `Longer than ${MAX_FILTER_LENGTH} characters`;
+
+    try {
+        if (matchType === 'regex') new RegExp(pattern, 'i');
+        else AutoResponderService.matchesTrigger('', pattern, matchType);
+        return null;
+    } catch (error) {
+        return `Invalid pattern: ${error.message}`;
+    }
+}
+
+/**
+ * Count a member's word filter hits since a point in time
+ * @param {string} guildId - Guild ID
+ * @param {string} userId - User ID
+ * @param {Date} since - Only count hits after this time
+ * @returns {Promise<number>}
+ */
+async function countFilterHits(guildId, userId, since) {
+    const result = await db.select({ count: count() })
+        .from(moderationLogs)
+        .where(and(
+            eq(moderationLogs.guildId, guildId),
+            eq(moderationLogs.targetId, userId),
+            eq(moderationLogs.action, 'AUTOMOD'),
+            like(moderationLogs.reason, `${FILTER_REASON_PREFIX}%`),
+            gte(moderationLogs.timestamp, since),
+            isNull(moderationLogs.deletedAt)
+        ))
+        .get();
+
+    return result?.count ?? 0;
+}
+
+/**
+ * Format a word filter entry as a single list line
+ * @param {Object} filter - Filter entry
+ * @returns {string}
+ */
+function formatFilter(filter) {
+    return `**#${filter.id}** \`${filter.pattern}\` (${filter.matchType})`;
+}
+
+/**
+ * Human-readable summary of a rule, e.g. "Message spam: 5 messages in 5s → timeout (10 minutes)"
+ * @param {Object} rule - Automod rule row
+ * @returns {string}
+ */
+function describeAutomodRule(rule) {
+    const { label, unit } = AUTOMOD_RULES[rule.rule] ?? { label: rule.rule, unit: '' };
+    const trigger = rule.rule === 'invites'
+        ? 'any invite link'
+        : `${rule.threshold}${unit.startsWith('%') ? '' : ' '}${unit}${rule.interval ? ` in ${rule.interval}s` : ''}`;
+    const durationText = rule.duration ? ` (${formatDuration(rule.duration)})` : '';
+
+    return `${label}: ${trigger} → ${rule.action}${durationText}`;
+}
+
+module.exports = {
+    getAutomodRules,
+    setAutomodRule,
+    disableAutomodRule,
+    getAutomodExemptions,
+    addAutomodExemption,
+    removeAutomodExemption,
+    describeAutomodRule,
+    getAutomodFilters,
+    addAutomodFilters,
+    removeAutomodFilter,
+    matchesFilter,
+    countFilterHits,
+    formatFilter,
+    AUTOMOD_RULES,
+    AUTOMOD_ACTIONS,
+    MAX_AUTOMOD_INTERVAL,
+    MAX_AUTOMOD_EXEMPTIONS,
+    FILTER_MATCH_TYPES,
+    MAX_AUTOMOD_FILTERS,
+    MAX_FILTER_LENGTH,
+    FILTER_REASON_PREFIX
+};
@@ -1,4 +1,4 @@
-const { PermissionFlagsBits } = require('discord.js');
+const { PermissionFlagsBits, PermissionsBitField } = require('discord.js');
 const logger = require('./logger');
 
 /**
@@ -452,6 +452,65 @@ class PermissionOverwriteManager {
         return await this.setPermissions(channel, target, permissions, { reason, logContext });
     }
 
+    /**
+     * Capture a target's current permission overwrite so it can be restored exactly
+     * @param {Channel} channel - Discord channel object
+     * @param {string|User|Role} target - User ID, Role ID, User object, Role object, or guild ID for @everyone
+     * @returns {{allow: string, deny: string}|null} - Bitfields as strings, or null if the target has no overwrite
+     */
+    static snapshotOverwrite(channel, target) {
+        const targetId = target?.id || target;
+        const overwrite = channel.permissionOverwrites.cache.get(targetId);
+
+        if (!overwrite) {
+            return null;
+        }
+
+        return {
+            allow: overwrite.allow.bitfield.toString(),
+            deny: overwrite.deny.bitfield.toString()
+        };
+    }
+
+    /**
+     * Replace a target's permission overwrite with a snapshot from snapshotOverwrite
+     * A null snapshot removes the overwrite, since the target had none.
+     * @param {Channel} channel - Discord channel object
+     * @param {string|User|Role} target - User ID, Role ID, User object, Role object, or guild ID for @everyone
+     * @param {{allow: string, deny: string}|null} snapshot - Snapshot to restore
+     * @param {Object} options - Optional parameters
+     * @param {string} options.reason - Audit log reason
+     * @param {string} options.logContext - Optional context for error logging
+     * @returns {Promise<{success: boolean, error?: string}>}
+     */
+    static async restoreOverwrite(channel, target, snapshot, options = {}) {
+        const { reason = 'Overwrites restored by bot', logContext = 'restoreOverwrite' } = options;
+
+        if (!snapshot) {
+            return await this.deleteOverwrites(channel, target, { reason, logContext });
+        }
+
+        try {
+            const targetId = target?.id || target;
+            const permissions = {};
+            for (const flag of new PermissionsBitField(BigInt(snapshot.allow)).toArray()) {
+                permissions[flag] = true;
+            }
+            for (const flag of new PermissionsBitField(BigInt(snapshot.deny)).toArray()) {
+                permissions[flag] = false;
+            }
+
+            // create() replaces the whole overwrite, unlike edit() which merges into it
+            await channel.permissionOverwrites.create(targetId, permissions, { reason });
+            logger.debug(`[${logContext}] Restored permission overwrites for ${targetId} in channel ${channel.name}`);
+            return { success: true };
+
+        } catch (error) {
+            logger.error(`[${logContext}] Failed to restore overwrites in channel ${channel.name}:`, error);
+            return { success: false, error: error.message };
+        }
+    }
+
     /**
      * Delete all permission overwrites for a target
      * @param {Channel} channel - Discord channel object
@@ -0,0 +1,282 @@
+/**
+ * Escalation Utilities
+ * Per-guild warning lifetimes and the thresholds that trigger automatic punishments
+ */
+
+const { db } = require('../database');
+const { guilds, escalationRules, moderationLogs } = require('../database/schema');
+const { eq, and, asc, isNull } = require('drizzle-orm');
+const logger = require('./logger');
+const { executeModerationAction } = require('./moderationUtil');
+const { formatDuration } = require('./timeParser');
+
+const ESCALATION_ACTIONS = ['TIMEOUT', 'KICK', 'BAN'];
+const MAX_ESCALATION_RULES = 10;
+
+/**
+ * Get all escalation rules for a guild (lowest threshold first)
+ * @param {string} guildId - Guild ID
+ * @returns {Promise<Array<Object>>}
+ */
+async function getEscalationRules(guildId) {
+    return db.select()
+        .from(escalationRules)
+        .where(eq(escalationRules.guildId, guildId))
+        .orderBy(asc(escalationRules.warningCount))
+        .all();
+}
+
+/**
+ * Create or replace the escalation rule for a warning count
+ * @param {string} guildId - Guild ID
+ * @param {Object} rule - Rule definition
+ * @param {number} rule.warningCount - Active warnings that trigger the rule
+ * @param {string} rule.action - TIMEOUT, KICK or BAN
+ * @param {number|null} rule.duration - Duration in ms (required for TIMEOUT, optional for BAN)
+ * @param {string} rule.createdBy - User ID of the moderator configuring the rule
+ * @returns {Promise<Object>} - { success: boolean, rule?: Object, replaced?: Object, error?: string }
+ */
+async function setEscalationRule(guildId, { warningCount, action, duration = null, createdBy }) {
+    if (!ESCALATION_ACTIONS.includes(action)) {
+        return { success: false, error: `Unknown escalation action: ${action}` };
+    }
+
+    if (action === 'TIMEOUT' && !duration) {
+        return { success: false, error: 'Timeout rules need a duration.' };
+    }
+
+    const rules = await getEscalationRules(guildId);
+    const existing = rules.find(rule => rule.warningCount === warningCount);
+
+    if (!existing && rules.length >= MAX_ESCALATION_RULES) {
+        return {
+            success: false,
+            error: `This server already has the maximum of ${MAX_ESCALATION_RULES} escalation rules.`
+        };
+    }
+
+    const values = {
+        action,
+        duration: action === 'KICK' ? null : duration,
+        createdBy,
+        createdAt: new Date()
+    };
+
+    const rule = existing
+        ? await db.update(escalationRules)
+            .set(values)
+            .where(eq(escalationRules.id, existing.id))
+            .returning()
+            .get()
+        : await db.insert(escalationRules)
+            .values({ guildId, warningCount, ...values })
+            .returning()
+            .get();
+
+    logger.info(`Escalation rule set in ${guildId}: ${describeEscalationRule(rule)} by ${createdBy}`);
+    return { success: true, rule, replaced: existing ?? null };
+}
+
+/**
+ * Remove the escalation rule for a warning count
+ * @param {string} guildId - Guild ID
+ * @param {number} warningCount - Threshold of the rule to remove
+ * @returns {Promise<boolean>} - true if a rule was removed
+ */
+async function removeEscalationRule(guildId, warningCount) {
+    const removed = await db.delete(escalationRules)
+        .where(and(
+            eq(escalationRules.guildId, guildId),
+            eq(escalationRules.warningCount, warningCount)
+        ))
+        .returning()
+        .all();
+
+    return removed.length > 0;
+}
+
+/**
+ * Get how long warnings count toward escalation in a guild
+ * @param {string} guildId - Guild ID
+ * @returns {Promise<number|null>} - Lifetime in ms, or null if warnings never expire
+ */
+async function getWarningLifetime(guildId) {
+    const config = await db.select({ warningLifetime: guilds.warningLifetime })
+        .from(guilds)
+        .where(eq(guilds.id, guildId))
+        .get();
+
+    return config?.warningLifetime ?? null;
+}
+
+/**
+ * Set how long warnings count toward escalation in a guild
+ * @param {string} guildId - Guild ID
+ * @param {number|null} lifetime - Lifetime in ms, or null to never expire warnings
+ */
+async function setWarningLifetime(guildId, lifetime) {
+    await db.insert(guilds)
+        .values({ id: guildId, joinedAt: new Date(), warningLifetime: lifetime })
+        .onConflictDoUpdate({
+            target: guilds.id,
+            set: { warningLifetime: lifetime }
+        });
+
+    logger.info(`Warning lifetime in ${guildId} set to ${lifetime ? formatDuration(lifetime) : 'never expire'}`);
+}
+
+/**
+ * Check whether a warning has outlived the guild's warning lifetime
+ * Expired warnings stay in history but no longer count toward thresholds.
+ * @param {Object} warning - moderationLogs entry
+ * @param {number|null} lifetime - Warning lifetime in ms (null = never expires)
+ * @param {number} now - Reference time in ms
+ * @returns {boolean}
+ */
+function isWarningExpired(warning, lifetime, now = Date.now()) {
+    if (!lifetime || warning.action !== 'WARN') return false;
+    return new Date(warning.timestamp).getTime() + lifetime <= now;
+}
+
+/**
+ * Get the warnings that currently count against a user (oldest first)
+ * Deleted and expired warnings are excluded.
+ * @param {string} guildId - Guild ID
+ * @param {string} userId - User ID
+ * @returns {Promise<Array<Object>>}
+ */
+async function getActiveWarnings(guildId, userId) {
+    const lifetime = await getWarningLifetime(guildId);
+
+    const warnings = await db.select()
+        .from(moderationLogs)
+        .where(and(
+            eq(moderationLogs.guildId, guildId),
+            eq(moderationLogs.targetId, userId),
+            eq(moderationLogs.action, 'WARN'),
+            isNull(moderationLogs.deletedAt)
+        ))
+        .orderBy(asc(moderationLogs.caseNumber))
+        .all();
+
+    const now = Date.now();
+    return warnings.filter(warning => !isWarningExpired(warning, lifetime, now));
+}
+
+/**
+ * Human-readable summary of a rule, e.g. "3 warnings → TIMEOUT (1 hour)"
+ * @param {Object} rule - Escalation rule
+ * @returns {string}
+ */
+function describeEscalationRule(rule) {
+    const durationText = rule.duration ? ` (${formatDuration(rule.duration)})` : '';
+    return `${rule.warningCount} warnings → ${rule.action}${durationText}`;
+}
+
+/**
+ * One-line summary of an applyEscalation result for command replies
+ * @param {Object} escalation - Result of applyEscalation
+ * @returns {string}
+ */
+function formatEscalationResult(escalation) {
+    if (escalation.error) {
+        return `**Escalation failed** (${describeEscalationRule(escalation.rule)}): ${escalation.error}`;
+    }
+
+    return `**Escalation:** ${describeEscalationRule(escalation.rule)} applied as case **#${escalation.entry?.caseNumber}**.`;
+}
+
+/**
+ * Apply the escalation rule matching a user's active warning count, if any
+ * Called after a warning is issued. The punishment is logged with the bot as executor.
+ * @param {Object} options
+ * @param {Guild} options.guild - Guild the warning was issued in
+ * @param {User} options.target - Warned user
+ * @param {Client} options.client - Discord client (for temporary bans)
+ * @returns {Promise<Object|null>} - null if no rule matched, otherwise { rule, entry } or { rule, error }
+ */
+async function applyEscalation({ guild, target, client }) {
+    const warnings = await getActiveWarnings(guild.id, target.id);
+    const rules = await getEscalationRules(guild.id);
+    const rule = rules.find(r => r.warningCount === warnings.length);
+
+    if (!rule) return null;
+
+    const member = await guild.members.fetch(target.id).catch(() => null);
+    if (!member) {
+        return { rule, error: 'The member is no longer in the server.' };
+    }
+
+    const allowed = {
+        TIMEOUT: member.moderatable,
+        KICK: member.kickable,
+        BAN: member.bannable
+    };
+
+    if (!allowed[rule.action]) {
+        logger.warn(`Escalation ${rule.action} skipped for ${target.id} in ${guild.id}: missing permissions or role hierarchy`);
+        return { rule, error: `I don't have permission to ${rule.action.toLowerCase()} this member.` };
+    }
+
+    const cases = warnings.map(warning => `#${warning.caseNumber}`).join(', ');
+    const reason = `Automatic escalation: ${warnings.length} active warnings (cases ${cases})`;
+
+    try {
+        const entry = await executeModerationAction({
+            guildId: guild.id,
+            guildName: guild.name,
+            target: member.user,
+            executor: guild.members.me,
+            action: rule.action,
+            reason,
+            duration: rule.duration
+        });
+
+        switch (rule.action) {
+            case 'TIMEOUT':
+                await member.timeout(rule.duration, reason);
+                break;
+            case 'KICK':
+                await member.kick(reason);
+                break;
+            case 'BAN':
+                await member.ban({ reason });
+
+                if (rule.duration && client?.tempBanService) {
+                    await client.tempBanService.createTempBan({
+                        guildId: guild.id,
+                        userId: member.id,
+                        executorId: guild.members.me.id,
+                        caseNumber: entry?.caseNumber ?? null,
+                        duration: rule.duration
+                    });
+                } else if (!rule.duration) {
+                    // A permanent ban replaces any temp ban that would otherwise lift it
+                    await client?.tempBanService?.cancelTempBan(guild.id, member.id);
+                }
+                break;
+        }
+
+        logger.info(`Escalation applied in ${guild.id}: ${describeEscalationRule(rule)} for ${target.id}`);
+        return { rule, entry };
+
+    } catch (error) {
+        logger.error(`Failed to apply escalation ${rule.action} for ${target.id} in ${guild.id}:`, error);
+        return { rule, error: 'The automatic action failed. Check my permissions.' };
+    }
+}
+
+module.exports = {
+    getEscalationRules,
+    setEscalationRule,
+    removeEscalationRule,
+    getWarningLifetime,
+    setWarningLifetime,
+    isWarningExpired,
+    getActiveWarnings,
+    describeEscalationRule,
+    formatEscalationResult,
+    applyEscalation,
+    ESCALATION_ACTIONS,
+    MAX_ESCALATION_RULES
+};
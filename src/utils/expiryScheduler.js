@@ -0,0 +1,152 @@
+/**
+ * Expiry Scheduler
+ * Scheduling for persisted rows that run once when they expire (temp bans, channel timers)
+ */
+
+const { db } = require('../database');
+const { eq, and } = require('drizzle-orm');
+const logger = require('./logger');
+const { dbLog } = require('./dbLogger');
+
+// Max safe timeout for setTimeout (24.8 days in ms)
+const MAX_SAFE_TIMEOUT = 2147483647;
+const ONE_HOUR = 3600000;
+const ONE_DAY = 86400000;
+
+/**
+ * ExpiryScheduler - Runs rows of a table with `id`, `expiresAt` and `active` columns when they expire
+ *
+ * Features:
+ * - Overdue rows run immediately
+ * - Long delay handling (> 24.8 days, checked daily)
+ * - Atomic claim so a row never runs twice
+ * - Re-activation with a retry an hour later
+ */
+class ExpiryScheduler {
+    /**
+     * @param {Object} options
+     * @param {Object} options.table - Drizzle table
+     * @param {string} options.tableName - Table name for dbLog
+     * @param {string} options.label - What a row is, for log messages (e.g. 'temp ban')
+     * @param {Function} options.run - Called with the row ID once it expires
+     */
+    constructor({ table, tableName, label, run }) {
+        this.table = table;
+        this.tableName = tableName;
+        this.label = label;
+        this.run = run;
+        this.activeTimers = new Map(); // id -> timeoutId
+        this.longDelayChecks = new Map(); // id -> intervalId
+    }
+
+    /**
+     * Schedule a row to run at its expiry
+     * @param {Object} row - Row with `id` and `expiresAt`
+     */
+    schedule(row) {
+        const expiresAt = new Date(row.expiresAt).getTime();
+        const delay = expiresAt - Date.now();
+
+        if (delay <= 0) {
+            // Run immediately
+            this.run(row.id);
+            return;
+        }
+
+        if (delay > MAX_SAFE_TIMEOUT) {
+            // Long delay - use interval check
+            logger.debug(`Scheduling long-delay ${this.label} ${row.id} (checking daily)`);
+
+            const intervalId = setInterval(async () => {
+                if (Date.now() >= expiresAt) {
+                    clearInterval(intervalId);
+                    this.longDelayChecks.delete(row.id);
+                    await this.run(row.id);
+                }
+            }, ONE_DAY); // Check daily
+
+            this.longDelayChecks.set(row.id, intervalId);
+
+        } else {
+            // Normal setTimeout
+            logger.debug(`Scheduling ${this.label} ${row.id} in ${Math.round(delay / 1000)}s`);
+
+            const timeoutId = setTimeout(async () => {
+                this.activeTimers.delete(row.id);
+                await this.run(row.id);
+            }, delay);
+
+            this.activeTimers.set(row.id, timeoutId);
+        }
+    }
+
+    /**
+     * Atomically mark an active row inactive (prevents running it twice)
+     * @param {number} id - Row ID
+     * @returns {Promise<Object|null>} - The claimed row, or null if it already ran or was cancelled
+     */
+    async claim(id) {
+        const result = await dbLog.update(this.tableName,
+            () => db.update(this.table)
+                .set({ active: false })
+                .where(and(
+                    eq(this.table.id, id),
+                    eq(this.table.active, true)
+                ))
+                .returning()
+                .all(),
+            { id, operation: 'run' }
+        );
+
+        if (result.length === 0) return null;
+
+        this.clear(id);
+        return result[0];
+    }
+
+    /**
+     * Re-activate a claimed row that could not be carried out and try again later
+     * @param {number} id - Row ID
+     * @param {number} delay - ms until the retry (default: 1 hour)
+     */
+    async retryLater(id, delay = ONE_HOUR) {
+        const retry = await dbLog.update(this.tableName,
+            () => db.update(this.table)
+                .set({ active: true, expiresAt: new Date(Date.now() + delay) })
+                .where(eq(this.table.id, id))
+                .returning()
+                .get(),
+            { id, operation: 'retry' }
+        );
+        this.schedule(retry);
+    }
+
+    /**
+     * Clear any pending timer for a row
+     * @param {number} id - Row ID
+     */
+    clear(id) {
+        if (this.activeTimers.has(id)) {
+            clearTimeout(this.activeTimers.get(id));
+            this.activeTimers.delete(id);
+        }
+
+        if (this.longDelayChecks.has(id)) {
+            clearInterval(this.longDelayChecks.get(id));
+            this.longDelayChecks.delete(id);
+        }
+    }
+
+    /**
+     * Clear all pending timers
+     */
+    cleanup() {
+        this.activeTimers.forEach(timeoutId => clearTimeout(timeoutId));
+        this.longDelayChecks.forEach(intervalId => clearInterval(intervalId));
+
+        this.activeTimers.clear();
+        this.longDelayChecks.clear();
+    }
+}
+
+module.exports = { ExpiryScheduler };
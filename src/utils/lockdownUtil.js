@@ -0,0 +1,223 @@
+/**
+ * Lockdown Utilities
+ * Server-wide lockdowns that snapshot each channel's @everyone overwrite and restore it exactly
+ */
+
+const { ChannelType } = require('discord.js');
+const { db } = require('../database');
+const { lockdownChannels, lockdownSnapshots } = require('../database/schema');
+const { eq, and, asc } = require('drizzle-orm');
+const logger = require('./logger');
+const { fetchChannel, PermissionOverwriteManager } = require('./discordApiUtil');
+
+// Channel types locked when a guild has no configured lockdown channels
+const LOCKABLE_CHANNEL_TYPES = [ChannelType.GuildText, ChannelType.GuildAnnouncement];
+const MAX_LOCKDOWN_CHANNELS = 50;
+
+/**
+ * Get the configured lockdown channel IDs for a guild
+ * @param {string} guildId - Guild ID
+ * @returns {Promise<Array<string>>}
+ */
+async function getLockdownChannels(guildId) {
+    const rows = await db.select()
+        .from(lockdownChannels)
+        .where(eq(lockdownChannels.guildId, guildId))
+        .orderBy(asc(lockdownChannels.id))
+        .all();
+
+    return rows.map(row => row.channelId);
+}
+
+/**
+ * Add a channel to the guild's lockdown set
+ * @param {string} guildId - Guild ID
+ * @param {string} channelId - Channel ID
+ * @param {string} addedBy - User ID of the moderator
+ * @returns {Promise<Object>} - { success: boolean, error?: string }
+ */
+async function addLockdownChannel(guildId, channelId, addedBy) {
+    const channelIds = await getLockdownChannels(guildId);
+
+    if (channelIds.includes(channelId)) {
+        return { success: false, error: 'That channel is already part of the lockdown.' };
+    }
+
+    if (channelIds.length >= MAX_LOCKDOWN_CHANNELS) {
+        return { success: false, error: `The lockdown can include at most ${MAX_LOCKDOWN_CHANNELS} channels.` };
+    }
+
+    await db.insert(lockdownChannels)
+        .values({ guildId, channelId, addedBy, addedAt: new Date() });
+
+    return { success: true };
+}
+
+/**
+ * Remove a channel from the guild's lockdown set
+ * @param {string} guildId - Guild ID
+ * @param {string} channelId - Channel ID
+ * @returns {Promise<boolean>} - true if the channel was removed
+ */
+async function removeLockdownChannel(guildId, channelId) {
+    const removed = await db.delete(lockdownChannels)
+        .where(and(
+            eq(lockdownChannels.guildId, guildId),
+            eq(lockdownChannels.channelId, channelId)
+        ))
+        .returning()
+        .all();
+
+    return removed.length > 0;
+}
+
+/**
+ * Get the saved overwrites of an active lockdown
+ * @param {string} guildId - Guild ID
+ * @returns {Promise<Array<Object>>} - Empty if no lockdown is active
+ */
+async function getLockdownSnapshots(guildId) {
+    return db.select()
+        .from(lockdownSnapshots)
+        .where(eq(lockdownSnapshots.guildId, guildId))
+        .all();
+}
+
+/**
+ * Check whether a channel is locked by an active lockdown
+ * @param {string} guildId - Guild ID
+ * @param {string} channelId - Channel ID
+ * @returns {Promise<boolean>}
+ */
+async function isChannelLockedDown(guildId, channelId) {
+    const snapshot = await db.select({ id: lockdownSnapshots.id })
+        .from(lockdownSnapshots)
+        .where(and(
+            eq(lockdownSnapshots.guildId, guildId),
+            eq(lockdownSnapshots.channelId, channelId)
+        ))
+        .get();
+
+    return Boolean(snapshot);
+}
+
+/**
+ * Resolve the channels a lockdown should lock
+ * @param {Guild} guild - Discord guild
+ * @param {Object} options
+ * @param {boolean} options.all - Lock every text channel, ignoring the configured set
+ * @returns {Promise<Array<Channel>>}
+ */
+async function resolveLockdownChannels(guild, { all = false } = {}) {
+    const channelIds = all ? [] : await getLockdownChannels(guild.id);
+
+    if (channelIds.length === 0) {
+        return [...guild.channels.cache.filter(channel => LOCKABLE_CHANNEL_TYPES.includes(channel.type)).values()];
+    }
+
+    return channelIds
+        .map(channelId => guild.channels.cache.get(channelId))
+        .filter(Boolean);
+}
+
+/**
+ * Lock channels, saving each channel's @everyone overwrite first
+ * The snapshot is stored before the channel is touched, so a crash mid-lockdown
+ * still leaves every locked channel restorable.
+ * @param {Guild} guild - Discord guild
+ * @param {Array<Channel>} channels - Channels to lock
+ * @param {Object} options
+ * @param {string} options.executorId - User ID of the moderator
+ * @param {string} options.reason - Audit log reason
+ * @returns {Promise<Object>} - { locked: Channel[], failed: Array<{channel, error}> }
+ */
+async function startLockdown(guild, channels, { executorId, reason }) {
+    const locked = [];
+    const failed = [];
+
+    for (const channel of channels) {
+        const snapshot = PermissionOverwriteManager.snapshotOverwrite(channel, guild.id);
+
+        const row = await db.insert(lockdownSnapshots)
+            .values({
+                guildId: guild.id,
+                channelId: channel.id,
+                allow: snapshot?.allow ?? null,
+                deny: snapshot?.deny ?? null,
+                lockedBy: executorId,
+                createdAt: new Date()
+            })
+            .returning()
+            .get();
+
+        const result = await PermissionOverwriteManager.lockChannel(channel, guild.id, {
+            reason,
+            logContext: 'lockdown-start'
+        });
+
+        if (result.success) {
+            locked.push(channel);
+        } else {
+            await db.delete(lockdownSnapshots).where(eq(lockdownSnapshots.id, row.id));
+            failed.push({ channel, error: result.error });
+        }
+    }
+
+    logger.info(`Lockdown started in ${guild.id} by ${executorId}: ${locked.length} locked, ${failed.length} failed`);
+    return { locked, failed };
+}
+
+/**
+ * Restore every channel of the active lockdown to its saved overwrite
+ * Snapshots that fail to restore are kept so the lockdown can be ended again.
+ * @param {Guild} guild - Discord guild
+ * @param {Object} options
+ * @param {string} options.executorId - User ID of the moderator
+ * @param {string} options.reason - Audit log reason
+ * @returns {Promise<Object>} - { restored: number, missing: number, failed: Array<{channelId, error}> }
+ */
+async function endLockdown(guild, { executorId, reason }) {
+    const snapshots = await getLockdownSnapshots(guild.id);
+    let restored = 0;
+    let missing = 0;
+    const failed = [];
+
+    for (const snapshot of snapshots) {
+        const channel = await fetchChannel(guild, snapshot.channelId, { logContext: 'lockdown-end' });
+
+        if (channel) {
+            const saved = snapshot.allow === null ? null : { allow: snapshot.allow, deny: snapshot.deny };
+            const result = await PermissionOverwriteManager.restoreOverwrite(channel, guild.id, saved, {
+                reason,
+                logContext: 'lockdown-end'
+            });
+
+            if (!result.success) {
+                failed.push({ channelId: snapshot.channelId, error: result.error });
+                continue;
+            }
+            restored++;
+        } else {
+            // Channel was deleted during the lockdown - nothing to restore
+            missing++;
+        }
+
+        await db.delete(lockdownSnapshots).where(eq(lockdownSnapshots.id, snapshot.id));
+    }
+
+    logger.info(`Lockdown ended in ${guild.id} by ${executorId}: ${restored} restored, ${failed.length} failed`);
+    return { restored, missing, failed };
+}
+
+module.exports = {
+    getLockdownChannels,
+    addLockdownChannel,
+    removeLockdownChannel,
+    getLockdownSnapshots,
+    isChannelLockedDown,
+    resolveLockdownChannels,
+    startLockdown,
+    endLockdown,
+    LOCKABLE_CHANNEL_TYPES,
+    MAX_LOCKDOWN_CHANNELS
+};
@@ -0,0 +1,166 @@
+/**
+ * Mass Ban Utilities
+ * ID list parsing and batched bans for /mod user massban
+ */
+
+const { db } = require('../database');
+const { guilds } = require('../database/schema');
+const { eq } = require('drizzle-orm');
+const logger = require('./logger');
+const embeds = require('./embeds');
+const config = require('./config');
+const { logModerationAction, validateHierarchy } = require('./moderationUtil');
+const { fetchChannel, safeChannelSend } = require('./discordApiUtil');
+
+const MAX_MASSBAN_USERS = 1000;
+// Discord's bulk ban endpoint takes at most 200 users per request
+const BULK_BAN_SIZE = 200;
+// Member lookups over the gateway take at most 100 users per request
+const MEMBER_FETCH_SIZE = 100;
+
+const USER_ID_PATTERN = /\d{17,20}/g;
+
+/**
+ * Pull unique user IDs out of free text (IDs separated by whitespace, commas or mentions)
+ * @param {string} text - Raw input
+ * @returns {string[]} - IDs in first-seen order
+ */
+function parseUserIds(text) {
+    return [...new Set(text.match(USER_ID_PATTERN) ?? [])];
+}
+
+/**
+ * Split an array into chunks
+ * @param {Array} items - Items to split
+ * @param {number} size - Chunk size
+ * @returns {Array<Array>}
+ */
+function chunk(items, size) {
+    const chunks = [];
+    for (let i = 0; i < items.length; i += size) {
+        chunks.push(items.slice(i, i + size));
+    }
+    return chunks;
+}
+
+/**
+ * Drop IDs that must never be mass banned: the moderator, the bot, the owner and members
+ * the moderator can't act on. Users who aren't in the server are kept; if a member lookup
+ * fails, its whole chunk is skipped.
+ * @param {Guild} guild - Discord guild
+ * @param {GuildMember} executor - Moderator running the mass ban
+ * @param {string[]} userIds - Candidate IDs
+ * @returns {Promise<Object>} - { allowed: string[], skipped: string[] }
+ */
+async function filterBannableIds(guild, executor, userIds) {
+    const allowed = [];
+    const skipped = [];
+
+    for (const ids of chunk(userIds, MEMBER_FETCH_SIZE)) {
+        let members;
+        try {
+            members = await guild.members.fetch({ user: ids });
+        } catch (error) {
+            // Without the members we can't check hierarchy, so nobody in this chunk is banned
+            logger.warn(`Mass ban member lookup failed in guild ${guild.id}: ${error.message}`);
+            skipped.push(...ids);
+            continue;
+        }
+
+        for (const id of ids) {
+            const member = members.get(id);
+            const isProtected = id === executor.id || id === guild.members.me.id || id === guild.ownerId
+                || (member && (!validateHierarchy(executor, member).valid || !member.bannable));
+
+            (isProtected ? skipped : allowed).push(id);
+        }
+    }
+
+    return { allowed, skipped };
+}
+
+/**
+ * Ban users in batches and record one case per banned user
+ * Uses the bulk ban endpoint so a raid's worth of bans costs a handful of requests.
+ * @param {Guild} guild - Discord guild
+ * @param {string[]} userIds - IDs to ban (already filtered)
+ * @param {Object} options
+ * @param {string} options.executorId - Moderator user ID
+ * @param {string} options.reason - Reason shared by every case
+ * @param {number} options.deleteMessageSeconds - Message history to delete (0-604800)
+ * @returns {Promise<Object>} - { banned: string[], failed: string[], cases: number[] }
+ */
+async function executeMassBan(guild, userIds, { executorId, reason, deleteMessageSeconds = 0 }) {
+    const banned = [];
+    const failed = [];
+    const cases = [];
+
+    for (const ids of chunk(userIds, BULK_BAN_SIZE)) {
+        try {
+            // discord.js queues the requests and waits out rate limits between batches
+            const result = await guild.bans.bulkCreate(ids, { reason, deleteMessageSeconds });
+            banned.push(...result.bannedUsers);
+            failed.push(...result.failedUsers);
+        } catch (error) {
+            logger.error(`Bulk ban of ${ids.length} users failed in ${guild.id}:`, error);
+            failed.push(...ids);
+        }
+    }
+
+    for (const userId of banned) {
+        const entry = await logModerationAction(guild.id, userId, executorId, 'BAN', reason);
+        if (entry?.caseNumber) cases.push(entry.caseNumber);
+    }
+
+    logger.info(`Mass ban in ${guild.id} by ${executorId}: ${banned.length} banned, ${failed.length} failed`);
+    return { banned, failed, cases };
+}
+
+/**
+ * Format the case numbers of a mass ban, e.g. "#12-#40"
+ * @param {number[]} cases - Case numbers (ascending)
+ * @returns {string}
+ */
+function formatCaseRange(cases) {
+    if (cases.length === 0) return 'None';
+    if (cases.length === 1) return `#${cases[0]}`;
+    return `#${cases[0]}-#${cases[cases.length - 1]}`;
+}
+
+/**
+ * Post one summary of a mass ban to the log channel (instead of an embed per case)
+ * @param {Guild} guild - Discord guild
+ * @param {Object} summary
+ * @param {User} summary.executor - Moderator
+ * @param {string} summary.reason - Shared reason
+ * @param {Object} summary.result - Result of executeMassBan
+ * @returns {Promise<Message|null>}
+ */
+async function sendMassBanLog(guild, { executor, reason, result }) {
+    const guildConfig = await db.select({ logChannel: guilds.logChannel })
+        .from(guilds)
+        .where(eq(guilds.id, guild.id))
+        .get();
+
+    const channel = guildConfig?.logChannel && await fetchChannel(guild, guildConfig.logChannel, { logContext: 'massban-log' });
+    if (!channel) return null;
+
+    const embed = embeds.base('🔨 Mass Ban', `**${result.banned.length}** users were banned by ${executor}.`)
+        .setColor(config.colors.error)
+        .addFields(
+            { name: 'Reason', value: reason },
+            { name: 'Cases', value: formatCaseRange(result.cases), inline: true },
+            { name: 'Failed', value: `${result.failed.length}`, inline: true }
+        );
+
+    return safeChannelSend(channel, { embeds: [embed] }, { logContext: 'massban-log' });
+}
+
+module.exports = {
+    parseUserIds,
+    filterBannableIds,
+    executeMassBan,
+    formatCaseRange,
+    sendMassBanLog,
+    MAX_MASSBAN_USERS
+};
@@ -0,0 +1,163 @@
+/**
+ * Member Log Utilities
+ * Log entries for member joins, leaves, nickname changes, role changes and timeouts
+ */
+
+const embeds = require('./embeds');
+const config = require('./config');
+const { getAccountAge } = require('./welcomeUtil');
+
+// Accounts younger than this are flagged on join
+const NEW_ACCOUNT_DAYS = 7;
+
+/**
+ * Base embed for a member log entry, with the member as author and their ID in the footer
+ * @param {GuildMember} member - The member the entry is about
+ * @param {string} title - Embed title
+ * @param {string} description - Embed description
+ * @returns {EmbedBuilder}
+ */
+function memberEmbed(member, title, description) {
+    return embeds.base(title, description)
+        .setAuthor({ name: member.user.tag, iconURL: member.user.displayAvatarURL() })
+        .setFooter({ text: `User: ${member.id}` });
+}
+
+/**
+ * Format the moderator behind a change, if the audit log named one
+ * @param {GuildAuditLogsEntry|null} entry - Matching audit log entry
+ * @returns {string}
+ */
+function formatExecutor(entry) {
+    return entry?.executorId ? `<@${entry.executorId}>` : 'Unknown';
+}
+
+/**
+ * List roles as mentions, largest first, leaving out @everyone
+ * @param {Collection<string, Role>} roles - Roles to list
+ * @returns {string}
+ */
+function formatRoles(roles) {
+    const mentions = [...roles.values()]
+        .filter(role => role.id !== role.guild?.id)
+        .sort((a, b) => b.position - a.position)
+        .map(role => `${role}`);
+
+    if (mentions.length === 0) return 'None';
+
+    // Stay under the 1024 character field limit
+    let text = '';
+    for (let i = 0; i < mentions.length; i++) {
+        const next = text ? `${text}, ${mentions[i]}` : mentions[i];
+        if (next.length > 1000) return `${text} and ${mentions.length - i} more`;
+        text = next;
+    }
+    return text;
+}
+
+/**
+ * Build the log entry for a member joining
+ * @param {GuildMember} member - The member who joined
+ * @returns {Object} - Message options
+ */
+function buildJoinLog(member) {
+    const { days } = getAccountAge(member.user);
+    const createdAt = Math.floor(member.user.createdTimestamp / 1000);
+    const warning = days < NEW_ACCOUNT_DAYS ? ' ⚠️ New account' : '';
+
+    const embed = memberEmbed(member, '📥 Member Joined', `${member} joined the server.`)
+        .setColor(config.colors.success)
+        .addFields(
+            { name: 'Account Age', value: `${days} days${warning}`, inline: true },
+            { name: 'Created', value: `<t:${createdAt}:f>`, inline: true },
+            { name: 'Member Count', value: `${member.guild.memberCount}`, inline: true }
+        );
+
+    return { embeds: [embed] };
+}
+
+/**
+ * Build the log entry for a member leaving (or being kicked/banned)
+ * @param {GuildMember} member - The member who left
+ * @returns {Object} - Message options
+ */
+function buildLeaveLog(member) {
+    const embed = memberEmbed(member, '📤 Member Left', `${member} left the server.`)
+        .setColor(config.colors.error)
+        .addFields({ name: 'Roles', value: formatRoles(member.roles.cache) });
+
+    if (member.joinedTimestamp) {
+        embed.addFields({ name: 'Joined', value: `<t:${Math.floor(member.joinedTimestamp / 1000)}:R>`, inline: true });
+    }
+
+    return { embeds: [embed] };
+}
+
+/**
+ * Build the log entry for a nickname change
+ * @param {GuildMember} oldMember - Member before the change
+ * @param {GuildMember} newMember - Member after the change
+ * @param {GuildAuditLogsEntry|null} entry - Matching audit log entry
+ * @returns {Object} - Message options
+ */
+function buildNicknameLog(oldMember, newMember, entry) {
+    const embed = memberEmbed(newMember, '🏷️ Nickname Changed', `${newMember}'s nickname was changed.`)
+        .addFields(
+            { name: 'Before', value: oldMember.nickname ?? '*None*', inline: true },
+            { name: 'After', value: newMember.nickname ?? '*None*', inline: true },
+            { name: 'By', value: formatExecutor(entry), inline: true }
+        );
+
+    return { embeds: [embed] };
+}
+
+/**
+ * Build the log entry for roles added to or removed from a member
+ * @param {GuildMember} member - Member after the change
+ * @param {Collection<string, Role>} added - Roles added
+ * @param {Collection<string, Role>} removed - Roles removed
+ * @param {GuildAuditLogsEntry|null} entry - Matching audit log entry
+ * @returns {Object} - Message options
+ */
+function buildRoleLog(member, added, removed, entry) {
+    const embed = memberEmbed(member, '🎭 Roles Updated', `${member}'s roles were changed.`);
+
+    if (added.size > 0) embed.addFields({ name: 'Added', value: formatRoles(added) });
+    if (removed.size > 0) embed.addFields({ name: 'Removed', value: formatRoles(removed) });
+    embed.addFields({ name: 'By', value: formatExecutor(entry), inline: true });
+
+    return { embeds: [embed] };
+}
+
+/**
+ * Build the log entry for a timeout being applied or lifted
+ * @param {GuildMember} member - Member after the change
+ * @param {GuildAuditLogsEntry|null} entry - Matching audit log entry
+ * @returns {Object} - Message options
+ */
+function buildTimeoutLog(member, entry) {
+    const until = member.communicationDisabledUntilTimestamp;
+    const timedOut = until && until > Date.now();
+
+    const embed = timedOut
+        ? memberEmbed(member, '🔇 Member Timed Out', `${member} was timed out until <t:${Math.floor(until / 1000)}:f> (<t:${Math.floor(until / 1000)}:R>).`)
+            .setColor(config.colors.warning)
+        : memberEmbed(member, '🔊 Timeout Removed', `${member}'s timeout was removed.`)
+            .setColor(config.colors.success);
+
+    embed.addFields(
+        { name: 'By', value: formatExecutor(entry), inline: true },
+        { name: 'Reason', value: entry?.reason || 'No reason provided', inline: true }
+    );
+
+    return { embeds: [embed] };
+}
+
+module.exports = {
+    buildJoinLog,
+    buildLeaveLog,
+    buildNicknameLog,
+    buildRoleLog,
+    buildTimeoutLog,
+    NEW_ACCOUNT_DAYS
+};
@@ -5,43 +5,293 @@
 
 const { PermissionFlagsBits } = require('discord.js');
 const { db } = require('../database');
-const { moderationLogs } = require('../database/schema');
+const { guilds, moderationLogs, moderationCaseEdits } = require('../database/schema');
+const { eq, and, isNull, asc, sql } = require('drizzle-orm');
 const logger = require('./logger');
 const embeds = require('./embeds');
+const config = require('./config');
 const { handleDMError } = require('./errorHandlerUtil');
+const { fetchChannel, safeChannelSend } = require('./discordApiUtil');
+const { parseTime, formatDuration } = require('./timeParser');
+const { getAppealChannel, createAppealButton } = require('./appealUtil');
+
+// Discord caps member timeouts at 28 days
+const MAX_TIMEOUT_DURATION = 28 * 24 * 60 * 60 * 1000;
+
+// Actions whose target is a channel rather than a user
+const CHANNEL_ACTIONS = ['CLEAR', 'LOCK', 'UNLOCK', 'SLOWMODE'];
+// Actions whose target is the guild itself
+const SERVER_ACTIONS = ['LOCKDOWN', 'LOCKDOWN_END'];
+
+// Log channel embed colour per action
+const ACTION_COLORS = {
+    BAN: config.colors.error,
+    SOFTBAN: config.colors.error,
+    KICK: config.colors.error,
+    WARN: config.colors.warning,
+    TIMEOUT: config.colors.warning,
+    LOCK: config.colors.warning,
+    SLOWMODE: config.colors.warning,
+    AUTOMOD: config.colors.warning,
+    QUARANTINE: config.colors.warning,
+    LOCKDOWN: config.colors.error,
+    APPEAL_DENY: config.colors.error,
+    UNBAN: config.colors.success,
+    UNTIMEOUT: config.colors.success,
+    UNLOCK: config.colors.success,
+    LOCKDOWN_END: config.colors.success
+};
 
 /**
  * Log a moderation action to the database
  * @param {string} guildId - Guild ID where action occurred
  * @param {string} targetId - User ID of the target
  * @param {string} executorId - User ID of the moderator
- * @param {string} action - Action type (WARN, KICK, BAN, CLEAR)
+ * @param {string} action - Action type (WARN, KICK, BAN, UNBAN, TIMEOUT, UNTIMEOUT, CLEAR, LOCK, UNLOCK)
  * @param {string} reason - Reason for the action
- * @returns {Promise<void>}
+ * @param {Object} options - Optional parameters
+ * @param {number} options.duration - Duration in ms for timed actions (TIMEOUT, temporary BAN)
+ * @param {number} options.relatedCaseNumber - Case this action follows up on (e.g. the BAN an UNBAN lifts)
+ * @param {string} options.source - 'bot' (default) or 'external' for actions imported from the audit log
+ * @param {Guild} options.guild - Post the case to this guild's log channel (optional)
+ * @param {boolean|null} options.dmSent - Whether the target was DMed, shown in the log channel embed
+ * @returns {Promise<Object>} - The inserted log entry (including its caseNumber)
  */
-async function logModerationAction(guildId, targetId, executorId, action, reason) {
-    await db.insert(moderationLogs).values({
+async function logModerationAction(guildId, targetId, executorId, action, reason, options = {}) {
+    const { duration = null, relatedCaseNumber = null, source = 'bot', guild = null, dmSent = null } = options;
+
+    const entry = await db.insert(moderationLogs).values({
         guildId,
+        // Allocated in the same statement so concurrent actions can't share a number
+        caseNumber: sql`(SELECT COALESCE(MAX(${moderationLogs.caseNumber}), 0) + 1 FROM ${moderationLogs} WHERE ${moderationLogs.guildId} = ${guildId})`,
         targetId,
         executorId,
         action,
         reason,
+        duration,
+        relatedCaseNumber,
+        source,
         timestamp: new Date()
+    }).returning().get();
+
+    const durationText = duration ? ` (${formatDuration(duration)})` : '';
+    logger.info(`Moderation action logged: Case #${entry?.caseNumber} ${action}${durationText} on ${targetId} by ${executorId} in ${guildId} - Reason: ${reason}`);
+
+    if (guild) {
+        await sendModerationLog(guild, entry, { dmSent });
+    }
+
+    return entry;
+}
+
+/**
+ * Build the log channel embed for a case
+ * @param {Object} entry - moderationLogs entry
+ * @param {Object} options - Optional parameters
+ * @param {boolean|null} options.dmSent - Whether the target was DMed (null if no DM was attempted)
+ * @returns {EmbedBuilder}
+ */
+function createCaseEmbed(entry, options = {}) {
+    const { dmSent = null } = options;
+    let target = `<@${entry.targetId}>`;
+    if (CHANNEL_ACTIONS.includes(entry.action)) target = `<#${entry.targetId}>`;
+    if (SERVER_ACTIONS.includes(entry.action)) target = 'Server';
+    const dmText = dmSent === null ? 'Not sent' : (dmSent ? '✅ Delivered' : '❌ Failed');
+
+    const embed = embeds.brand(`Case #${entry.caseNumber} | ${entry.action}`, null)
+        .setColor(ACTION_COLORS[entry.action] ?? config.brand.color)
+        .addFields(
+            { name: 'Target', value: `${target} (${entry.targetId})`, inline: true },
+            { name: 'Moderator', value: `<@${entry.executorId}>`, inline: true },
+            { name: 'DM', value: dmText, inline: true },
+            { name: 'Reason', value: entry.reason || 'No reason provided' }
+        );
+
+    if (entry.duration) {
+        embed.addFields({ name: 'Duration', value: formatDuration(entry.duration), inline: true });
+    }
+
+    if (entry.relatedCaseNumber) {
+        embed.addFields({ name: 'Related Case', value: `#${entry.relatedCaseNumber}`, inline: true });
+    }
+
+    if (entry.source === 'external') {
+        embed.addFields({ name: 'Source', value: 'Outside the bot (audit log)', inline: true });
+    }
+
+    if (entry.transcriptUrl) {
+        embed.addFields({ name: 'Transcript', value: `[View transcript](${entry.transcriptUrl})`, inline: true });
+    }
+
+    return embed;
+}
+
+/**
+ * Post a case to the guild's log channel (set via /config logs or /server logs set)
+ * Failures are logged and swallowed - the case is already stored.
+ * @param {Guild} guild - Guild the case belongs to
+ * @param {Object} entry - moderationLogs entry
+ * @param {Object} options - Optional parameters
+ * @param {boolean|null} options.dmSent - Whether the target was DMed (null if no DM was attempted)
+ * @param {Array<AttachmentBuilder>} options.files - Files to attach (e.g. a CLEAR transcript)
+ * @returns {Promise<Message|null>} - The posted message, or null if not posted
+ */
+async function sendModerationLog(guild, entry, options = {}) {
+    const { files = [] } = options;
+    if (!guild || !entry) return null;
+
+    try {
+        const guildConfig = await db.select({ logChannel: guilds.logChannel })
+            .from(guilds)
+            .where(eq(guilds.id, guild.id))
+            .get();
+
+        if (!guildConfig?.logChannel) return null;
+
+        const channel = await fetchChannel(guild, guildConfig.logChannel, { logContext: 'moderation-log' });
+        if (!channel) return null;
+
+        return await safeChannelSend(channel, { embeds: [createCaseEmbed(entry, options)], files }, { logContext: 'moderation-log' });
+    } catch (error) {
+        logger.error(`Failed to post case #${entry.caseNumber} to log channel in ${guild.id}:`, error);
+        return null;
+    }
+}
+
+/**
+ * Fetch a moderation case by its guild-scoped case number
+ * @param {string} guildId - Guild ID
+ * @param {number} caseNumber - Case number
+ * @param {Object} options - Optional parameters
+ * @param {boolean} options.includeDeleted - Also return soft-deleted cases (default: false)
+ * @returns {Promise<Object|undefined>} - The log entry, or undefined if not found
+ */
+async function getCase(guildId, caseNumber, options = {}) {
+    const { includeDeleted = false } = options;
+
+    return db.select()
+        .from(moderationLogs)
+        .where(and(
+            eq(moderationLogs.guildId, guildId),
+            eq(moderationLogs.caseNumber, caseNumber),
+            includeDeleted ? undefined : isNull(moderationLogs.deletedAt)
+        ))
+        .get();
+}
+
+/**
+ * Fetch the audit trail for a case (oldest first)
+ * @param {string} guildId - Guild ID
+ * @param {number} caseNumber - Case number
+ * @returns {Promise<Array<Object>>}
+ */
+async function getCaseEdits(guildId, caseNumber) {
+    return db.select()
+        .from(moderationCaseEdits)
+        .where(and(
+            eq(moderationCaseEdits.guildId, guildId),
+            eq(moderationCaseEdits.caseNumber, caseNumber)
+        ))
+        .orderBy(asc(moderationCaseEdits.editedAt), asc(moderationCaseEdits.id))
+        .all();
+}
+
+/**
+ * Change the reason of a case, recording the edit in the audit trail
+ * @param {string} guildId - Guild ID
+ * @param {number} caseNumber - Case number
+ * @param {string} editorId - User ID of the moderator making the edit
+ * @param {string} newReason - Replacement reason
+ * @returns {Promise<Object|null>} - { before, after } entries, or null if the case doesn't exist
+ */
+async function editCaseReason(guildId, caseNumber, editorId, newReason) {
+    const before = await getCase(guildId, caseNumber);
+    if (!before) return null;
+
+    const after = await db.update(moderationLogs)
+        .set({ reason: newReason })
+        .where(eq(moderationLogs.id, before.id))
+        .returning()
+        .get();
+
+    await db.insert(moderationCaseEdits).values({
+        guildId,
+        caseNumber,
+        editorId,
+        field: 'reason',
+        oldValue: before.reason,
+        newValue: newReason,
+        editedAt: new Date()
     });
 
-    logger.info(`Moderation action logged: ${action} on ${targetId} by ${executorId} in ${guildId} - Reason: ${reason}`);
+    logger.info(`Case #${caseNumber} reason edited by ${editorId} in ${guildId}`);
+    return { before, after };
+}
+
+/**
+ * Soft-delete a case so it no longer appears in history, recording it in the audit trail
+ * The case number is never reused.
+ * @param {string} guildId - Guild ID
+ * @param {number} caseNumber - Case number
+ * @param {string} editorId - User ID of the moderator deleting the case
+ * @param {string|null} reason - Why the case was deleted (optional)
+ * @returns {Promise<Object|null>} - The deleted entry, or null if the case doesn't exist
+ */
+async function deleteCase(guildId, caseNumber, editorId, reason = null) {
+    const existing = await getCase(guildId, caseNumber);
+    if (!existing) return null;
+
+    const deleted = await db.update(moderationLogs)
+        .set({ deletedAt: new Date(), deletedBy: editorId })
+        .where(eq(moderationLogs.id, existing.id))
+        .returning()
+        .get();
+
+    await db.insert(moderationCaseEdits).values({
+        guildId,
+        caseNumber,
+        editorId,
+        field: 'deleted',
+        oldValue: null,
+        newValue: reason,
+        editedAt: new Date()
+    });
+
+    logger.info(`Case #${caseNumber} deleted by ${editorId} in ${guildId}`);
+    return deleted;
+}
+
+/**
+ * Link a transcript (log channel message) to a case
+ * @param {string} guildId - Guild ID
+ * @param {number} caseNumber - Case number
+ * @param {string} transcriptUrl - URL of the log channel message holding the transcript
+ */
+async function setCaseTranscript(guildId, caseNumber, transcriptUrl) {
+    await db.update(moderationLogs)
+        .set({ transcriptUrl })
+        .where(and(
+            eq(moderationLogs.guildId, guildId),
+            eq(moderationLogs.caseNumber, caseNumber)
+        ));
 }
 
 /**
  * Notify a user of a moderation action via DM
  * @param {User} user - Discord user to notify
- * @param {string} action - Action type (warn, kick, ban)
+ * @param {string} action - Action type (warn, kick, ban, timeout, untimeout)
  * @param {string} guildName - Name of the guild
  * @param {string} reason - Reason for the action
  * @param {string} executorTag - Tag of the moderator who executed the action
+ * @param {Object} options - Optional parameters
+ * @param {number} options.duration - Duration in ms for timed actions
+ * @param {Object} options.appeal - { guildId, caseNumber } to attach an Appeal button (bans only)
  * @returns {Promise<boolean>} - true if DM sent successfully, false otherwise
  */
-async function notifyUser(user, action, guildName, reason, executorTag) {
+async function notifyUser(user, action, guildName, reason, executorTag, options = {}) {
+    const { duration, appeal = null } = options;
+    const durationText = duration ? `\n**Duration:** ${formatDuration(duration)}` : '';
+
     const embedMap = {
         warn: () => embeds.warn(
             `Warning from ${guildName}`,
@@ -53,7 +303,19 @@ async function notifyUser(user, action, guildName, reason, executorTag) {
         ),
         ban: () => embeds.error(
             `Banned from ${guildName}`,
-            `You have been banned${executorTag ? ` by ${executorTag}` : ''}.\n\n**Reason:** ${reason}`
+            `You have been banned${executorTag ? ` by ${executorTag}` : ''}.\n\n**Reason:** ${reason}${durationText}`
+        ),
+        softban: () => embeds.error(
+            `Softbanned from ${guildName}`,
+            `You have been removed${executorTag ? ` by ${executorTag}` : ''} and your recent messages were deleted. You may rejoin.\n\n**Reason:** ${reason}`
+        ),
+        timeout: () => embeds.warn(
+            `Timed out in ${guildName}`,
+            `You have been timed out${executorTag ? ` by ${executorTag}` : ''}.\n\n**Reason:** ${reason}${durationText}`
+        ),
+        untimeout: () => embeds.success(
+            `Timeout removed in ${guildName}`,
+            `Your timeout has been removed${executorTag ? ` by ${executorTag}` : ''}.\n\n**Reason:** ${reason}`
         )
     };
 
@@ -64,7 +326,11 @@ async function notifyUser(user, action, guildName, reason, executorTag) {
     }
 
     try {
-        await user.send({ embeds: [embedBuilder()] });
+        const components = appeal && action.toLowerCase() === 'ban'
+            ? [createAppealButton(appeal.guildId, appeal.caseNumber)]
+            : [];
+
+        await user.send({ embeds: [embedBuilder()], components });
         logger.debug(`DM sent to ${user.tag} for ${action} in ${guildName}`);
         return true;
     } catch (error) {
@@ -127,6 +393,40 @@ function validateHierarchy(executor, target) {
     return { valid: true };
 }
 
+/**
+ * Parse a timeout duration string and validate it against Discord's limit
+ * @param {string} input - Duration string (e.g., "10m", "1h 30m")
+ * @returns {Object} - { success: boolean, duration?: number, error?: string }
+ */
+function parseTimeoutDuration(input) {
+    const parsed = parseTime(input);
+    if (!parsed.success) {
+        return { success: false, error: parsed.error };
+    }
+
+    if (parsed.duration > MAX_TIMEOUT_DURATION) {
+        return {
+            success: false,
+            error: 'Timeouts cannot be longer than 28 days.'
+        };
+    }
+
+    return { success: true, duration: parsed.duration };
+}
+
+/**
+ * Check whether a guild accepts ban appeals
+ * A failed lookup just means no Appeal button - it must never block the ban itself.
+ */
+async function hasAppealChannel(guildId) {
+    try {
+        return Boolean(await getAppealChannel(guildId));
+    } catch (error) {
+        logger.error(`Failed to look up the appeal channel in ${guildId}:`, error);
+        return false;
+    }
+}
+
 /**
  * Execute a complete moderation action (log + notify + log to console)
  * Convenience function that combines logging and notification
@@ -134,25 +434,45 @@ function validateHierarchy(executor, target) {
  * @param {string} options.guildId - Guild ID
  * @param {string} options.guildName - Guild name (for DM)
  * @param {User} options.target - Target user
- * @param {GuildMember} options.executor - Executor member
- * @param {string} options.action - Action type (WARN, KICK, BAN)
+ * @param {GuildMember} options.executor - Executor member (its guild receives the log channel post)
+ * @param {string} options.action - Action type (WARN, KICK, BAN, SOFTBAN, TIMEOUT, UNTIMEOUT)
  * @param {string} options.reason - Reason for action
+ * @param {number} options.duration - Duration in ms for timed actions (optional)
  * @param {boolean} options.notify - Whether to send DM notification (default: true)
- * @returns {Promise<void>}
+ * @returns {Promise<Object>} - The inserted log entry
  */
-async function executeModerationAction({ guildId, guildName, target, executor, action, reason, notify = true }) {
+async function executeModerationAction({ guildId, guildName, target, executor, action, reason, duration = null, notify = true }) {
     // Log to database
-    await logModerationAction(guildId, target.id, executor.id, action, reason);
+    const entry = await logModerationAction(guildId, target.id, executor.id, action, reason, { duration });
+
+    // Banned users can appeal from the DM when the guild has an appeal channel
+    const appeal = notify && action === 'BAN' && await hasAppealChannel(guildId)
+        ? { guildId, caseNumber: entry?.caseNumber ?? null }
+        : null;
 
     // Send DM notification if requested
-    if (notify) {
-        await notifyUser(target, action, guildName, reason, executor.user.tag);
-    }
+    const dmSent = notify
+        ? await notifyUser(target, action, guildName, reason, executor.user.tag, { duration, appeal })
+        : null;
+
+    // Post to the log channel once the DM outcome is known
+    await sendModerationLog(executor.guild, entry, { dmSent });
+
+    return entry;
 }
 
 module.exports = {
     logModerationAction,
+    createCaseEmbed,
+    sendModerationLog,
+    getCase,
+    getCaseEdits,
+    editCaseReason,
+    deleteCase,
+    setCaseTranscript,
     notifyUser,
     validateHierarchy,
-    executeModerationAction
+    parseTimeoutDuration,
+    executeModerationAction,
+    MAX_TIMEOUT_DURATION
 };
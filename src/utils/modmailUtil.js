@@ -0,0 +1,300 @@
+/**
+ * Modmail Utilities
+ * Modmail settings, ticket storage and the relay/transcript formatting
+ */
+
+const { AttachmentBuilder } = require('discord.js');
+const { db } = require('../database');
+const { modmailConfig, modmailTickets, modmailMessages } = require('../database/schema');
+const { eq, asc } = require('drizzle-orm');
+const logger = require('./logger');
+const embeds = require('./embeds');
+const config = require('./config');
+
+// Discord caps thread names at 100 characters
+const MAX_THREAD_NAME_LENGTH = 100;
+// Messages starting with this in a ticket thread stay between staff
+const INTERNAL_NOTE_PREFIX = '//';
+
+/**
+ * Get a guild's modmail settings
+ * @param {string} guildId - Guild ID
+ * @returns {Promise<Object|null>} - Settings, or null if modmail is off
+ */
+async function getModmailConfig(guildId) {
+    const row = await db.select()
+        .from(modmailConfig)
+        .where(eq(modmailConfig.guildId, guildId))
+        .get();
+
+    return row ?? null;
+}
+
+/**
+ * Get the modmail settings of every guild that has modmail on
+ * @returns {Promise<Array<Object>>}
+ */
+async function getModmailConfigs() {
+    return db.select().from(modmailConfig).all();
+}
+
+/**
+ * Turn modmail on (or move it) to a forum or text channel
+ * @param {string} guildId - Guild ID
+ * @param {string} channelId - Forum or text channel ID
+ * @param {string} updatedBy - User ID of the admin
+ * @returns {Promise<Object>} - The saved settings
+ */
+async function setModmailChannel(guildId, channelId, updatedBy) {
+    const values = { channelId, updatedBy, updatedAt: new Date() };
+
+    const row = await db.insert(modmailConfig)
+        .values({ guildId, ...values })
+        .onConflictDoUpdate({
+            target: modmailConfig.guildId,
+            set: values
+        })
+        .returning()
+        .get();
+
+    logger.info(`Modmail channel in ${guildId} set to ${channelId}`);
+    return row;
+}
+
+/**
+ * Turn modmail off (open tickets stay open until closed)
+ * @param {string} guildId - Guild ID
+ * @returns {Promise<boolean>} - true if modmail was on
+ */
+async function disableModmail(guildId) {
+    const removed = await db.delete(modmailConfig)
+        .where(eq(modmailConfig.guildId, guildId))
+        .returning()
+        .all();
+
+    return removed.length > 0;
+}
+
+/**
+ * Get every open ticket (loaded on startup)
+ * @returns {Promise<Array<Object>>}
+ */
+async function getOpenTickets() {
+    return db.select()
+        .from(modmailTickets)
+        .where(eq(modmailTickets.status, 'open'))
+        .all();
+}
+
+/**
+ * Store a new ticket
+ * @param {Object} ticket
+ * @param {string} ticket.guildId - Guild ID
+ * @param {string} ticket.userId - Member who opened it
+ * @param {string} ticket.threadId - Staff thread ID
+ * @returns {Promise<Object>} - The stored ticket
+ */
+async function createTicket({ guildId, userId, threadId }) {
+    return db.insert(modmailTickets)
+        .values({ guildId, userId, threadId, status: 'open', openedAt: new Date() })
+        .returning()
+        .get();
+}
+
+/**
+ * Mark a ticket closed
+ * @param {number} ticketId - Ticket ID
+ * @param {string} closedBy - User ID of the staff member
+ * @param {string|null} reason - Close reason
+ * @returns {Promise<Object>} - The updated ticket
+ */
+async function markTicketClosed(ticketId, closedBy, reason = null) {
+    return db.update(modmailTickets)
+        .set({ status: 'closed', closedAt: new Date(), closedBy, closeReason: reason })
+        .where(eq(modmailTickets.id, ticketId))
+        .returning()
+        .get();
+}
+
+/**
+ * Attachment URLs of a message
+ * @param {Message} message - Relayed message
+ * @returns {string[]}
+ */
+function getAttachmentUrls(message) {
+    return [...message.attachments.values()].map(attachment => attachment.url);
+}
+
+/**
+ * Store a relayed message for the ticket's transcript
+ * @param {number} ticketId - Ticket ID
+ * @param {Message} message - The relayed message (DM or staff thread message)
+ * @param {boolean} fromStaff - true for staff replies
+ */
+async function recordTicketMessage(ticketId, message, fromStaff) {
+    const attachmentUrls = getAttachmentUrls(message);
+
+    await db.insert(modmailMessages).values({
+        ticketId,
+        authorId: message.author.id,
+        authorTag: message.author.tag,
+        fromStaff,
+        content: message.content || null,
+        attachments: attachmentUrls.length > 0 ? attachmentUrls.join('\n') : null,
+        createdAt: new Date(message.createdTimestamp)
+    });
+}
+
+/**
+ * Get a ticket's relayed messages, oldest first
+ * @param {number} ticketId - Ticket ID
+ * @returns {Promise<Array<Object>>}
+ */
+async function getTicketMessages(ticketId) {
+    return db.select()
+        .from(modmailMessages)
+        .where(eq(modmailMessages.ticketId, ticketId))
+        .orderBy(asc(modmailMessages.createdAt), asc(modmailMessages.id))
+        .all();
+}
+
+/**
+ * Whether a staff message is an internal note that shouldn't reach the member
+ * @param {Message} message - Message in a ticket thread
+ * @returns {boolean}
+ */
+function isInternalNote(message) {
+    return message.content.startsWith(INTERNAL_NOTE_PREFIX);
+}
+
+/**
+ * Thread name for a ticket, e.g. "modmail-username"
+ * @param {User} user - Member who opened the ticket
+ * @returns {string}
+ */
+function getTicketThreadName(user) {
+    return `modmail-${user.username}`.slice(0, MAX_THREAD_NAME_LENGTH);
+}
+
+/**
+ * Build the first message of a ticket thread
+ * @param {User} user - Member who opened the ticket
+ * @param {GuildMember|null} member - Their membership, if still in the server
+ * @returns {Object} - Message options
+ */
+function buildTicketOpened(user, member) {
+    const createdAt = Math.floor(user.createdTimestamp / 1000);
+
+    const embed = embeds.brand('📬 New Modmail Ticket', `${user} (${user.tag}) opened a ticket.`)
+        .setThumbnail(user.displayAvatarURL())
+        .addFields(
+            { name: 'Account Created', value: `<t:${createdAt}:R>`, inline: true },
+            { name: 'Joined Server', value: member?.joinedTimestamp ? `<t:${Math.floor(member.joinedTimestamp / 1000)}:R>` : 'Not a member', inline: true },
+            { name: 'How It Works', value: `Messages in this thread are sent to the member. Start a message with \`${INTERNAL_NOTE_PREFIX}\` to keep it between staff. Close the ticket with \`/modmail close\`.` }
+        )
+        .setFooter({ text: `User: ${user.id}` });
+
+    return { embeds: [embed] };
+}
+
+/**
+ * Build the relay of a member's DM into the ticket thread
+ * @param {Message} message - The DM
+ * @returns {Object} - Message options
+ */
+function buildMemberRelay(message) {
+    const embed = embeds.base(null, message.content || null)
+        .setAuthor({ name: message.author.tag, iconURL: message.author.displayAvatarURL() })
+        .setFooter({ text: `User: ${message.author.id}` });
+
+    const attachmentUrls = getAttachmentUrls(message);
+    if (attachmentUrls.length > 0) {
+        embed.addFields({ name: 'Attachments', value: attachmentUrls.join('\n').slice(0, 1024) });
+    }
+
+    return { embeds: [embed] };
+}
+
+/**
+ * Build the relay of a staff reply into the member's DMs
+ * Staff stay anonymous behind the server's name.
+ * @param {Message} message - The staff message in the ticket thread
+ * @param {Guild} guild - Guild the ticket belongs to
+ * @returns {Object} - Message options
+ */
+function buildStaffRelay(message, guild) {
+    const embed = embeds.base(null, message.content || null)
+        .setColor(config.colors.success)
+        .setAuthor({ name: `${guild.name} Staff`, iconURL: guild.iconURL() ?? undefined })
+        .setFooter({ text: 'Reply here to answer staff' });
+
+    const files = getAttachmentUrls(message);
+    return files.length > 0 ? { embeds: [embed], files } : { embeds: [embed] };
+}
+
+/**
+ * Render a ticket's conversation as a plain text transcript
+ * @param {Object} ticket - Ticket row
+ * @param {Array<Object>} messages - Rows from getTicketMessages
+ * @param {Object} context
+ * @param {Guild} context.guild - Guild the ticket belongs to
+ * @param {User} context.closedBy - Staff member closing the ticket
+ * @param {string|null} context.reason - Close reason
+ * @returns {string}
+ */
+function renderModmailTranscript(ticket, messages, { guild, closedBy, reason = null }) {
+    const header = [
+        `Modmail ticket #${ticket.id} with user ${ticket.userId} in ${guild.name}`,
+        `Opened at ${new Date(ticket.openedAt).toISOString()}`,
+        `Closed by ${closedBy.tag} (${closedBy.id}) at ${new Date().toISOString()}${reason ? `: ${reason}` : ''}`,
+        `Messages: ${messages.length}`,
+        ''
+    ];
+
+    const body = messages.map(entry => {
+        const lines = [
+            `[${new Date(entry.createdAt).toISOString()}] ${entry.fromStaff ? '[Staff] ' : ''}${entry.authorTag} (${entry.authorId})`
+        ];
+
+        if (entry.content) lines.push(entry.content);
+        if (entry.attachments) lines.push(`Attachments: ${entry.attachments.split('\n').join(' ')}`);
+
+        return lines.join('\n');
+    });
+
+    return [...header, ...body].join('\n\n').concat('\n');
+}
+
+/**
+ * Build the transcript file for a closed ticket
+ * @param {Object} ticket - Ticket row
+ * @param {Array<Object>} messages - Rows from getTicketMessages
+ * @param {Object} context - See renderModmailTranscript
+ * @returns {AttachmentBuilder}
+ */
+function createModmailTranscript(ticket, messages, context) {
+    const transcript = renderModmailTranscript(ticket, messages, context);
+    return new AttachmentBuilder(Buffer.from(transcript, 'utf8'), {
+        name: `modmail-${ticket.id}-${ticket.userId}.txt`
+    });
+}
+
+module.exports = {
+    getModmailConfig,
+    getModmailConfigs,
+    setModmailChannel,
+    disableModmail,
+    getOpenTickets,
+    createTicket,
+    markTicketClosed,
+    recordTicketMessage,
+    getTicketMessages,
+    isInternalNote,
+    getTicketThreadName,
+    buildTicketOpened,
+    buildMemberRelay,
+    buildStaffRelay,
+    renderModmailTranscript,
+    createModmailTranscript,
+    INTERNAL_NOTE_PREFIX
+};
@@ -0,0 +1,98 @@
+/**
+ * Note Utilities
+ * Private moderator notes on members - shown to moderators only, never DMed to the member
+ */
+
+const { db } = require('../database');
+const { moderatorNotes } = require('../database/schema');
+const { eq, and, desc } = require('drizzle-orm');
+const logger = require('./logger');
+
+const MAX_NOTE_LENGTH = 1000;
+const MAX_NOTES_PER_USER = 50;
+
+/**
+ * Get the notes on a member (newest first)
+ * @param {string} guildId - Guild ID
+ * @param {string} userId - User ID of the member
+ * @returns {Promise<Array<Object>>}
+ */
+async function getNotes(guildId, userId) {
+    return db.select()
+        .from(moderatorNotes)
+        .where(and(
+            eq(moderatorNotes.guildId, guildId),
+            eq(moderatorNotes.userId, userId)
+        ))
+        .orderBy(desc(moderatorNotes.id))
+        .all();
+}
+
+/**
+ * Add a note on a member
+ * @param {string} guildId - Guild ID
+ * @param {string} userId - User ID of the member
+ * @param {string} authorId - User ID of the moderator
+ * @param {string} content - Note text
+ * @returns {Promise<Object>} - { success: boolean, note?: Object, error?: string }
+ */
+async function addNote(guildId, userId, authorId, content) {
+    const notes = await getNotes(guildId, userId);
+
+    if (notes.length >= MAX_NOTES_PER_USER) {
+        return {
+            success: false,
+            error: `This member already has the maximum of ${MAX_NOTES_PER_USER} notes. Remove an old note first.`
+        };
+    }
+
+    const note = await db.insert(moderatorNotes)
+        .values({ guildId, userId, authorId, content, createdAt: new Date() })
+        .returning()
+        .get();
+
+    logger.info(`Note #${note.id} added on ${userId} in ${guildId} by ${authorId}`);
+    return { success: true, note };
+}
+
+/**
+ * Remove a note
+ * @param {string} guildId - Guild ID (notes from other guilds are never touched)
+ * @param {number} noteId - Note ID
+ * @returns {Promise<Object|null>} - The removed note, or null if not found
+ */
+async function removeNote(guildId, noteId) {
+    const removed = await db.delete(moderatorNotes)
+        .where(and(
+            eq(moderatorNotes.guildId, guildId),
+            eq(moderatorNotes.id, noteId)
+        ))
+        .returning()
+        .all();
+
+    return removed[0] ?? null;
+}
+
+/**
+ * Format a note as a single list line
+ * @param {Object} note - Note row
+ * @param {number} maxLength - Truncate the content to this many characters
+ * @returns {string}
+ */
+function formatNote(note, maxLength = MAX_NOTE_LENGTH) {
+    const timestamp = Math.floor(new Date(note.createdAt).getTime() / 1000);
+    const content = note.content.length > maxLength
+        ? `${note.content.slice(0, maxLength - 1)}…`
+        : note.content;
+
+    return `**Note #${note.id}** <t:${timestamp}:d> by <@${note.authorId}>\n→ ${content}`;
+}
+
+module.exports = {
+    getNotes,
+    addNote,
+    removeNote,
+    formatNote,
+    MAX_NOTE_LENGTH,
+    MAX_NOTES_PER_USER
+};
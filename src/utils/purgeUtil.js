@@ -0,0 +1,199 @@
+/**
+ * Purge Utilities
+ * Message filtering, collection, transcripts and batched bulk deletion for /clear
+ */
+
+const { AttachmentBuilder } = require('discord.js');
+
+// Discord refuses to bulk delete messages older than 14 days
+const BULK_DELETE_MAX_AGE = 14 * 24 * 60 * 60 * 1000;
+const MAX_PURGE_AMOUNT = 1000;
+const BATCH_SIZE = 100;
+// Stop scanning after this many messages even if the filters matched too few
+const MAX_SCAN = 3000;
+const MAX_REGEX_LENGTH = 200;
+
+const LINK_PATTERN = /https?:\/\/\S+|discord(?:\.gg|(?:app)?\.com\/invite)\/\S+/i;
+
+/**
+ * Build a message predicate from /clear filter options
+ * @param {Object} filters
+ * @param {string} filters.userId - Only messages by this user
+ * @param {boolean} filters.bots - Only messages by bots
+ * @param {string} filters.contains - Only messages containing this text (case-insensitive)
+ * @param {string} filters.regex - Only messages matching this pattern (case-insensitive)
+ * @param {boolean} filters.attachments - Only messages with attachments
+ * @param {boolean} filters.links - Only messages containing links
+ * @returns {Object} - { success: boolean, filter?: Function, error?: string }
+ */
+function buildMessageFilter({ userId = null, bots = false, contains = null, regex = null, attachments = false, links = false } = {}) {
+    let pattern = null;
+
+    if (regex) {
+        if (regex.length > MAX_REGEX_LENGTH) {
+            return { success: false, error: `Patterns can be at most ${MAX_REGEX_LENGTH} characters.` };
+        }
+
+        try {
+            pattern = new RegExp(regex, 'i');
+        } catch (error) {
+            return { success: false, error: `Invalid pattern: ${error.message}` };
+        }
+    }
+
+    const needle = contains?.toLowerCase();
+
+    const filter = (message) => {
+        if (userId && message.author?.id !== userId) return false;
+        if (bots && !message.author?.bot) return false;
+        if (needle && !message.content?.toLowerCase().includes(needle)) return false;
+        if (pattern && !pattern.test(message.content ?? '')) return false;
+        if (attachments && message.attachments.size === 0) return false;
+        if (links && !LINK_PATTERN.test(message.content ?? '')) return false;
+        return true;
+    };
+
+    return { success: true, filter };
+}
+
+/**
+ * Check whether a message is too old to bulk delete
+ * @param {Message} message - Discord message
+ * @param {number} now - Reference time in ms
+ * @returns {boolean}
+ */
+function isTooOldToBulkDelete(message, now = Date.now()) {
+    // Small margin so messages right at the boundary don't fail mid-request
+    return now - message.createdTimestamp >= BULK_DELETE_MAX_AGE - 60000;
+}
+
+/**
+ * Collect the newest messages in a channel that match a filter
+ * Scans backwards from the newest message in pages of 100.
+ * @param {TextChannel} channel - Channel to scan
+ * @param {Object} options
+ * @param {number} options.amount - Maximum number of matching messages
+ * @param {Function} options.filter - Message predicate (from buildMessageFilter)
+ * @param {string} options.afterId - Only messages newer than this message ID (optional)
+ * @param {Set<string>} options.excludeIds - Message IDs to never collect (optional)
+ * @returns {Promise<Object>} - { deletable: Message[], tooOld: number, scanned: number }
+ */
+async function collectMessages(channel, { amount, filter, afterId = null, excludeIds = new Set() }) {
+    const deletable = [];
+    let tooOld = 0;
+    let scanned = 0;
+    let before;
+    const now = Date.now();
+
+    while (deletable.length + tooOld < amount && scanned < MAX_SCAN) {
+        const page = await channel.messages.fetch({ limit: BATCH_SIZE, ...(before && { before }) });
+        if (page.size === 0) break;
+
+        let reachedBoundary = false;
+
+        for (const message of page.values()) {
+            // Compare as snowflakes (BigInt) - IDs are too large for Number
+            if (afterId && BigInt(message.id) <= BigInt(afterId)) {
+                reachedBoundary = true;
+                break;
+            }
+
+            scanned++;
+            if (excludeIds.has(message.id) || !filter(message)) continue;
+
+            if (isTooOldToBulkDelete(message, now)) {
+                tooOld++;
+            } else {
+                deletable.push(message);
+            }
+
+            if (deletable.length + tooOld >= amount) break;
+        }
+
+        if (reachedBoundary || page.size < BATCH_SIZE) break;
+        before = page.last().id;
+    }
+
+    return { deletable, tooOld, scanned };
+}
+
+/**
+ * Render purged messages as a plain text transcript (oldest first)
+ * @param {Message[]} messages - Messages about to be deleted
+ * @param {Object} context
+ * @param {TextChannel} context.channel - Channel the messages are in
+ * @param {User} context.executor - Moderator clearing the messages (optional, unknown for bulk delete logs)
+ * @returns {string}
+ */
+function renderTranscript(messages, { channel, executor = null }) {
+    const ordered = [...messages].sort((a, b) => a.createdTimestamp - b.createdTimestamp);
+
+    const header = [
+        `Transcript of #${channel.name} (${channel.id}) in ${channel.guild?.name ?? 'Unknown server'}`,
+        executor
+            ? `Cleared by ${executor.tag} (${executor.id}) at ${new Date().toISOString()}`
+            : `Bulk deleted at ${new Date().toISOString()}`,
+        `Messages: ${ordered.length}`,
+        ''
+    ];
+
+    const body = ordered.map(message => {
+        const lines = [
+            `[${new Date(message.createdTimestamp).toISOString()}] ${message.author?.tag ?? 'Unknown'} (${message.author?.id ?? 'unknown'})`
+        ];
+
+        if (message.content) lines.push(message.content);
+
+        const attachmentUrls = [...message.attachments.values()].map(attachment => attachment.url);
+        if (attachmentUrls.length > 0) lines.push(`Attachments: ${attachmentUrls.join(' ')}`);
+
+        if (message.embeds?.length > 0) lines.push(`Embeds: ${message.embeds.length}`);
+
+        return lines.join('\n');
+    });
+
+    return [...header, ...body].join('\n\n').concat('\n');
+}
+
+/**
+ * Build the transcript file attachment for a purge
+ * @param {Message[]} messages - Messages about to be deleted
+ * @param {Object} context - See renderTranscript
+ * @returns {AttachmentBuilder}
+ */
+function createTranscriptAttachment(messages, context) {
+    const transcript = renderTranscript(messages, context);
+    return new AttachmentBuilder(Buffer.from(transcript, 'utf8'), {
+        name: `transcript-${context.channel.id}-${Date.now()}.txt`
+    });
+}
+
+/**
+ * Delete messages in batches of 100
+ * discord.js queues requests to respect rate limits.
+ * @param {TextChannel} channel - Channel to delete from
+ * @param {Message[]} messages - Messages to delete (all younger than 14 days)
+ * @returns {Promise<number>} - Number of messages deleted
+ */
+async function bulkDeleteMessages(channel, messages) {
+    let deleted = 0;
+
+    for (let i = 0; i < messages.length; i += BATCH_SIZE) {
+        const batch = messages.slice(i, i + BATCH_SIZE);
+        const result = await channel.bulkDelete(batch.map(message => message.id), true);
+        deleted += result.size;
+    }
+
+    return deleted;
+}
+
+module.exports = {
+    buildMessageFilter,
+    isTooOldToBulkDelete,
+    collectMessages,
+    renderTranscript,
+    createTranscriptAttachment,
+    bulkDeleteMessages,
+    BULK_DELETE_MAX_AGE,
+    MAX_PURGE_AMOUNT
+};
@@ -0,0 +1,89 @@
+/**
+ * Raid Utilities
+ * Per-guild raid protection settings: join-rate detection and the minimum account age
+ */
+
+const { db } = require('../database');
+const { raidConfig } = require('../database/schema');
+const { eq } = require('drizzle-orm');
+const logger = require('./logger');
+
+const RAID_ACTIONS = ['alert', 'lockdown', 'kick'];
+const ACCOUNT_AGE_ACTIONS = ['kick', 'quarantine'];
+const MAX_JOIN_WINDOW = 300;
+const MAX_ACCOUNT_AGE = 365;
+
+const RAID_ACTION_LABELS = {
+    alert: 'Alert staff',
+    lockdown: 'Alert staff and start a lockdown',
+    kick: 'Alert staff and kick new joins'
+};
+
+/**
+ * Get a guild's raid protection settings
+ * @param {string} guildId - Guild ID
+ * @returns {Promise<Object|null>} - Settings row, or null if never configured
+ */
+async function getRaidConfig(guildId) {
+    const row = await db.select()
+        .from(raidConfig)
+        .where(eq(raidConfig.guildId, guildId))
+        .get();
+
+    return row ?? null;
+}
+
+/**
+ * Update a guild's raid protection settings (creating the row on first use)
+ * @param {string} guildId - Guild ID
+ * @param {Object} values - Columns to change
+ * @returns {Promise<Object>} - The updated settings
+ */
+async function updateRaidConfig(guildId, values) {
+    const row = await db.insert(raidConfig)
+        .values({ guildId, ...values })
+        .onConflictDoUpdate({
+            target: raidConfig.guildId,
+            set: values
+        })
+        .returning()
+        .get();
+
+    logger.info(`Raid protection updated in ${guildId}: ${JSON.stringify(values)}`);
+    return row;
+}
+
+/**
+ * Human-readable summary of the join-rate settings, e.g. "10 joins in 10s → Alert staff"
+ * @param {Object} settings - Raid config row
+ * @returns {string}
+ */
+function describeRaidDetection(settings) {
+    if (!settings?.enabled) return 'Disabled';
+    return `${settings.joinThreshold} joins in ${settings.joinWindow}s → ${RAID_ACTION_LABELS[settings.action] ?? settings.action}`;
+}
+
+/**
+ * Human-readable summary of the account age gate, e.g. "Accounts younger than 7 days → kick"
+ * @param {Object} settings - Raid config row
+ * @returns {string}
+ */
+function describeAccountAgeGate(settings) {
+    if (!settings?.minAccountAge) return 'Disabled';
+
+    const action = settings.accountAgeAction === 'quarantine'
+        ? `quarantine with <@&${settings.quarantineRoleId}>`
+        : 'kick';
+    return `Accounts younger than ${settings.minAccountAge} days → ${action}`;
+}
+
+module.exports = {
+    getRaidConfig,
+    updateRaidConfig,
+    describeRaidDetection,
+    describeAccountAgeGate,
+    RAID_ACTIONS,
+    ACCOUNT_AGE_ACTIONS,
+    MAX_JOIN_WINDOW,
+    MAX_ACCOUNT_AGE
+};
@@ -0,0 +1,357 @@
+/**
+ * Role Panel Utilities
+ * Panel storage, panel rendering and the role changes behind a click, pick or reaction
+ */
+
+const { ActionRowBuilder, ButtonBuilder, ButtonStyle, StringSelectMenuBuilder, parseEmoji } = require('discord.js');
+const { db } = require('../database');
+const { rolePanels, rolePanelOptions } = require('../database/schema');
+const { eq, asc } = require('drizzle-orm');
+const logger = require('./logger');
+const embeds = require('./embeds');
+const { fetchMember, safeDMUser, RoleManager } = require('./discordApiUtil');
+
+const PANEL_STYLES = {
+    button: { label: 'Buttons', maxOptions: 25 }, // 5 rows of 5 buttons
+    select: { label: 'Select menu', maxOptions: 25 },
+    reaction: { label: 'Reactions', maxOptions: 20 } // Discord's unique reaction limit per message
+};
+
+const PANEL_MODES = {
+    toggle: { label: 'Toggle', hint: 'Pick a role to get it, pick it again to remove it.' },
+    unique: { label: 'Unique (pick one)', hint: 'You can have one of these roles at a time.' },
+    verify: { label: 'Verify only', hint: 'These roles can be picked up here but not removed.' }
+};
+
+const BUTTONS_PER_ROW = 5;
+
+/**
+ * Get a panel by ID
+ * @param {number} panelId - Panel ID
+ * @returns {Promise<Object|null>}
+ */
+async function getPanel(panelId) {
+    const row = await db.select()
+        .from(rolePanels)
+        .where(eq(rolePanels.id, panelId))
+        .get();
+
+    return row ?? null;
+}
+
+/**
+ * Get the panel posted as a message
+ * @param {string} messageId - Message ID
+ * @returns {Promise<Object|null>}
+ */
+async function getPanelByMessage(messageId) {
+    const row = await db.select()
+        .from(rolePanels)
+        .where(eq(rolePanels.messageId, messageId))
+        .get();
+
+    return row ?? null;
+}
+
+/**
+ * Get every panel of a guild
+ * @param {string} guildId - Guild ID
+ * @returns {Promise<Array<Object>>}
+ */
+async function getGuildPanels(guildId) {
+    return db.select()
+        .from(rolePanels)
+        .where(eq(rolePanels.guildId, guildId))
+        .all();
+}
+
+/**
+ * Get a panel's roles in the order they were added
+ * @param {number} panelId - Panel ID
+ * @returns {Promise<Array<Object>>}
+ */
+async function getPanelOptions(panelId) {
+    return db.select()
+        .from(rolePanelOptions)
+        .where(eq(rolePanelOptions.panelId, panelId))
+        .orderBy(asc(rolePanelOptions.id))
+        .all();
+}
+
+/**
+ * Store a new panel (after its message was posted)
+ * @param {Object} panel - guildId, channelId, messageId, title, description, style, mode, createdBy
+ * @returns {Promise<Object>} - The stored panel
+ */
+async function createPanel(panel) {
+    return db.insert(rolePanels)
+        .values({ ...panel, createdAt: new Date() })
+        .returning()
+        .get();
+}
+
+/**
+ * Delete a panel and its roles
+ * @param {number} panelId - Panel ID
+ */
+async function deletePanel(panelId) {
+    await db.delete(rolePanelOptions).where(eq(rolePanelOptions.panelId, panelId));
+    await db.delete(rolePanels).where(eq(rolePanels.id, panelId));
+}
+
+/**
+ * Add a role to a panel
+ * @param {Object} panel - Panel row
+ * @param {Object} option - roleId, label, emoji
+ * @returns {Promise<Object>} - { success: boolean, error?: string }
+ */
+async function addPanelOption(panel, { roleId, label, emoji = null }) {
+    const options = await getPanelOptions(panel.id);
+    const { maxOptions } = PANEL_STYLES[panel.style];
+
+    if (options.some(option => option.roleId === roleId)) {
+        return { success: false, error: 'That role is already on this panel.' };
+    }
+
+    if (options.length >= maxOptions) {
+        return { success: false, error: `${PANEL_STYLES[panel.style].label} panels hold at most ${maxOptions} roles.` };
+    }
+
+    if (emoji && options.some(option => option.emoji && getEmojiKey(option.emoji) === getEmojiKey(emoji))) {
+        return { success: false, error: 'That emoji is already used on this panel.' };
+    }
+
+    await db.insert(rolePanelOptions)
+        .values({ panelId: panel.id, roleId, label, emoji });
+
+    return { success: true };
+}
+
+/**
+ * Remove a role from a panel
+ * @param {number} panelId - Panel ID
+ * @param {string} roleId - Role ID
+ * @returns {Promise<Object|null>} - The removed option, or null if the role wasn't on the panel
+ */
+async function removePanelOption(panelId, roleId) {
+    const options = await getPanelOptions(panelId);
+    const option = options.find(entry => entry.roleId === roleId);
+    if (!option) return null;
+
+    await db.delete(rolePanelOptions).where(eq(rolePanelOptions.id, option.id));
+    return option;
+}
+
+/**
+ * Key an emoji the way reactions report it: the ID for custom emoji, the character otherwise
+ * @param {string} emoji - Unicode emoji or <:name:id>
+ * @returns {string|null}
+ */
+function getEmojiKey(emoji) {
+    const parsed = parseEmoji(emoji);
+    return parsed?.id ?? parsed?.name ?? null;
+}
+
+/**
+ * Find the panel role behind a reaction
+ * @param {Array<Object>} options - Panel options
+ * @param {ReactionEmoji} emoji - Reaction emoji
+ * @returns {Object|null}
+ */
+function findOptionByEmoji(options, emoji) {
+    const key = emoji.id ?? emoji.name;
+    return options.find(option => option.emoji && getEmojiKey(option.emoji) === key) ?? null;
+}
+
+/**
+ * Build the panel message: an embed listing the roles, plus buttons or a select menu
+ * @param {Object} panel - Panel row (a new panel has no ID yet, and no roles)
+ * @param {Array<Object>} options - Panel options
+ * @returns {Object} - Message options
+ */
+function buildPanelMessage(panel, options) {
+    const roleList = options.length > 0
+        ? options.map(option => `${option.emoji ? `${option.emoji} ` : ''}<@&${option.roleId}>`).join('\n')
+        : '*No roles yet.*';
+
+    const embed = embeds.brand(panel.title, [panel.description, roleList].filter(Boolean).join('\n\n'))
+        .setFooter({ text: PANEL_MODES[panel.mode].hint });
+
+    if (options.length === 0 || panel.style === 'reaction') {
+        return { embeds: [embed], components: [] };
+    }
+
+    if (panel.style === 'select') {
+        const menu = new StringSelectMenuBuilder()
+            .setCustomId(`rolepanel_${panel.id}`)
+            .setPlaceholder(panel.mode === 'unique' ? 'Pick a role' : 'Pick your roles')
+            .setMinValues(0)
+            .setMaxValues(panel.mode === 'unique' ? 1 : options.length)
+            .addOptions(options.map(option => ({
+                label: option.label,
+                value: option.roleId,
+                ...(option.emoji && { emoji: option.emoji })
+            })));
+
+        return { embeds: [embed], components: [new ActionRowBuilder().addComponents(menu)] };
+    }
+
+    const rows = [];
+    for (let i = 0; i < options.length; i += BUTTONS_PER_ROW) {
+        const buttons = options.slice(i, i + BUTTONS_PER_ROW).map(option => {
+            const button = new ButtonBuilder()
+                .setCustomId(`rolepanel_${panel.id}_${option.roleId}`)
+                .setLabel(option.label)
+                .setStyle(ButtonStyle.Secondary);
+            if (option.emoji) button.setEmoji(option.emoji);
+            return button;
+        });
+        rows.push(new ActionRowBuilder().addComponents(buttons));
+    }
+
+    return { embeds: [embed], components: rows };
+}
+
+/**
+ * Roles a member wants after clicking a role's button
+ * @param {string} mode - Panel mode
+ * @param {string[]} held - Panel roles the member has
+ * @param {string} roleId - Role clicked
+ * @returns {string[]}
+ */
+function getClickedRoles(mode, held, roleId) {
+    if (held.includes(roleId)) {
+        return mode === 'verify' ? held : held.filter(id => id !== roleId);
+    }
+    return mode === 'unique' ? [roleId] : [...held, roleId];
+}
+
+/**
+ * Work out the roles to add and remove to go from the held panel roles to the wanted ones
+ * Unique panels keep at most one role, verify-only panels never remove.
+ * @param {string} mode - Panel mode
+ * @param {string[]} held - Panel roles the member has
+ * @param {string[]} wanted - Panel roles the member should end up with
+ * @returns {Object} - { add: string[], remove: string[] }
+ */
+function planRoleChange(mode, held, wanted) {
+    const target = mode === 'unique' ? wanted.slice(-1) : wanted;
+
+    return {
+        add: target.filter(id => !held.includes(id)),
+        remove: mode === 'verify' ? [] : held.filter(id => !target.includes(id))
+    };
+}
+
+/**
+ * Add and remove roles, collecting failures instead of stopping at the first one
+ * @param {GuildMember} member - Member picking roles
+ * @param {Object} plan - Result of planRoleChange
+ * @param {number} panelId - Panel ID (for the audit log reason)
+ * @returns {Promise<Object>} - { added: string[], removed: string[], failed: Array<{ roleId, error }> }
+ */
+async function applyRoleChange(member, { add, remove }, panelId) {
+    const result = { added: [], removed: [], failed: [] };
+    const reason = `Role panel #${panelId}`;
+
+    for (const roleId of remove) {
+        const { success, error } = await RoleManager.removeRole(member, roleId, { reason, logContext: 'role-panel' });
+        if (success) result.removed.push(roleId);
+        else result.failed.push({ roleId, error });
+    }
+
+    for (const roleId of add) {
+        const { success, error } = await RoleManager.addRole(member, roleId, { reason, logContext: 'role-panel' });
+        if (success) result.added.push(roleId);
+        else result.failed.push({ roleId, error });
+    }
+
+    return result;
+}
+
+/**
+ * Describe the outcome of a role change for the member
+ * @param {Object} result - Result of applyRoleChange
+ * @returns {EmbedBuilder}
+ */
+function buildRoleChangeEmbed({ added, removed, failed }) {
+    const lines = [
+        ...added.map(id => `➕ <@&${id}>`),
+        ...removed.map(id => `➖ <@&${id}>`),
+        ...failed.map(({ roleId, error }) => `⚠️ <@&${roleId}>: ${error}`)
+    ];
+
+    if (lines.length === 0) {
+        return embeds.info('No Changes', 'Your roles already match your choice.');
+    }
+
+    return failed.length > 0
+        ? embeds.warn('Roles Partly Updated', lines.join('\n'))
+        : embeds.success('Roles Updated', lines.join('\n'));
+}
+
+/**
+ * Apply a reaction on a reaction panel
+ * @param {MessageReaction} reaction - The reaction
+ * @param {User} user - Member who reacted
+ * @param {boolean} added - true for a new reaction, false for a removed one
+ * @returns {Promise<boolean>} - true if the message is a reaction panel (handled here)
+ */
+async function handlePanelReaction(reaction, user, added) {
+    const panel = await getPanelByMessage(reaction.message.id);
+    if (!panel || panel.style !== 'reaction') return false;
+
+    const options = await getPanelOptions(panel.id);
+    const option = findOptionByEmoji(options, reaction.emoji);
+    if (!option) return true;
+
+    const member = await fetchMember(reaction.message.guild, user.id, { logContext: 'role-panel' });
+    if (!member) return true;
+
+    const panelRoleIds = options.map(entry => entry.roleId);
+    const held = panelRoleIds.filter(id => member.roles.cache.has(id));
+    const wanted = added
+        ? getClickedRoles(panel.mode, held.filter(id => id !== option.roleId), option.roleId)
+        : held.filter(id => id !== option.roleId);
+
+    const result = await applyRoleChange(member, planRoleChange(panel.mode, held, wanted), panel.id);
+
+    // A unique pick replaces the member's other reactions on the panel
+    if (added && panel.mode === 'unique') {
+        for (const other of reaction.message.reactions.cache.values()) {
+            if (other !== reaction && findOptionByEmoji(options, other.emoji)) {
+                await other.users.remove(user.id).catch(() => null);
+            }
+        }
+    }
+
+    if (result.failed.length > 0) {
+        logger.warn(`Role panel #${panel.id} could not update ${result.failed.length} roles for ${user.id}`);
+        await safeDMUser(user, {
+            embeds: [embeds.warn('Role Panel', `Some roles in **${reaction.message.guild.name}** couldn't be updated:\n${result.failed.map(({ roleId, error }) => `<@&${roleId}>: ${error}`).join('\n')}`)]
+        });
+    }
+
+    return true;
+}
+
+module.exports = {
+    getPanel,
+    getPanelByMessage,
+    getGuildPanels,
+    getPanelOptions,
+    createPanel,
+    deletePanel,
+    addPanelOption,
+    removePanelOption,
+    getEmojiKey,
+    findOptionByEmoji,
+    buildPanelMessage,
+    getClickedRoles,
+    planRoleChange,
+    applyRoleChange,
+    buildRoleChangeEmbed,
+    handlePanelReaction,
+    PANEL_STYLES,
+    PANEL_MODES
+};
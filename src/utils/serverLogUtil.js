@@ -0,0 +1,291 @@
+/**
+ * Server Log Utilities
+ * Per-category log channels, ignored roles/channels and the message log embeds
+ */
+
+const { db } = require('../database');
+const { logChannels, logIgnores } = require('../database/schema');
+const { eq, and } = require('drizzle-orm');
+const logger = require('./logger');
+const embeds = require('./embeds');
+const config = require('./config');
+const { createTranscriptAttachment } = require('./purgeUtil');
+const { fetchChannel, safeChannelSend } = require('./discordApiUtil');
+
+const LOG_CATEGORIES = {
+    messages: 'Message edits and deletions',
+    joins: 'Member joins and leaves',
+    nicknames: 'Nickname changes',
+    roles: 'Member role changes',
+    timeouts: 'Member timeouts',
+    voice: 'Voice activity'
+};
+const MAX_LOG_IGNORES = 25;
+// Embed field values are capped at 1024 characters
+const MAX_FIELD_LENGTH = 1024;
+
+/**
+ * Get the channel a log category is sent to
+ * @param {string} guildId - Guild ID
+ * @param {string} category - Log category (see LOG_CATEGORIES)
+ * @returns {Promise<string|null>} - Channel ID, or null if the category is off
+ */
+async function getLogChannelId(guildId, category) {
+    const row = await db.select()
+        .from(logChannels)
+        .where(and(
+            eq(logChannels.guildId, guildId),
+            eq(logChannels.category, category)
+        ))
+        .get();
+
+    return row?.channelId ?? null;
+}
+
+/**
+ * Get every configured log channel of a guild
+ * @param {string} guildId - Guild ID
+ * @returns {Promise<Array<Object>>}
+ */
+async function getLogChannels(guildId) {
+    return db.select()
+        .from(logChannels)
+        .where(eq(logChannels.guildId, guildId))
+        .all();
+}
+
+/**
+ * Set or clear the channel of a log category
+ * @param {string} guildId - Guild ID
+ * @param {string} category - Log category (see LOG_CATEGORIES)
+ * @param {string|null} channelId - Channel ID, or null to turn the category off
+ * @param {string} updatedBy - User ID of the admin
+ */
+async function setLogChannel(guildId, category, channelId, updatedBy) {
+    const where = and(
+        eq(logChannels.guildId, guildId),
+        eq(logChannels.category, category)
+    );
+
+    if (!channelId) {
+        await db.delete(logChannels).where(where);
+    } else if (await getLogChannelId(guildId, category)) {
+        await db.update(logChannels)
+            .set({ channelId, updatedBy, updatedAt: new Date() })
+            .where(where);
+    } else {
+        await db.insert(logChannels)
+            .values({ guildId, category, channelId, updatedBy, updatedAt: new Date() });
+    }
+
+    logger.info(`Log channel for ${category} in ${guildId} set to ${channelId ?? 'none'}`);
+}
+
+/**
+ * Get the roles and channels left out of the message log
+ * @param {string} guildId - Guild ID
+ * @returns {Promise<Array<Object>>}
+ */
+async function getLogIgnores(guildId) {
+    return db.select()
+        .from(logIgnores)
+        .where(eq(logIgnores.guildId, guildId))
+        .all();
+}
+
+/**
+ * Leave a role or channel out of the message log
+ * @param {string} guildId - Guild ID
+ * @param {string} type - role or channel
+ * @param {string} targetId - Role or channel ID
+ * @param {string} addedBy - User ID of the admin
+ * @returns {Promise<Object>} - { success: boolean, error?: string }
+ */
+async function addLogIgnore(guildId, type, targetId, addedBy) {
+    const ignores = await getLogIgnores(guildId);
+
+    if (ignores.some(ignore => ignore.targetId === targetId)) {
+        return { success: false, error: `That ${type} is already ignored by the message log.` };
+    }
+
+    if (ignores.length >= MAX_LOG_IGNORES) {
+        return { success: false, error: `The message log can ignore at most ${MAX_LOG_IGNORES} roles and channels.` };
+    }
+
+    await db.insert(logIgnores)
+        .values({ guildId, type, targetId, addedBy, addedAt: new Date() });
+
+    return { success: true };
+}
+
+/**
+ * Stop ignoring a role or channel
+ * @param {string} guildId - Guild ID
+ * @param {string} targetId - Role or channel ID
+ * @returns {Promise<boolean>} - true if an ignore entry was removed
+ */
+async function removeLogIgnore(guildId, targetId) {
+    const removed = await db.delete(logIgnores)
+        .where(and(
+            eq(logIgnores.guildId, guildId),
+            eq(logIgnores.targetId, targetId)
+        ))
+        .returning()
+        .all();
+
+    return removed.length > 0;
+}
+
+/**
+ * Whether a message falls under an ignored channel (or its category/thread parent) or role
+ * @param {Message} message - Discord message
+ * @param {Array<Object>} ignores - Rows from getLogIgnores
+ * @returns {boolean}
+ */
+function isLogIgnored(message, ignores) {
+    const channelIds = [message.channel?.id ?? message.channelId, message.channel?.parentId].filter(Boolean);
+    const roles = message.member?.roles.cache;
+
+    return ignores.some(ignore => ignore.type === 'channel'
+        ? channelIds.includes(ignore.targetId)
+        : Boolean(roles?.has(ignore.targetId)));
+}
+
+/**
+ * Resolve the message log channel for a message, honouring the ignore list
+ * @param {Message} message - Discord message
+ * @returns {Promise<string|null>} - Channel ID, or null if the message shouldn't be logged
+ */
+async function getMessageLogChannelId(message) {
+    const channelId = await getLogChannelId(message.guild.id, 'messages');
+
+    // Never log activity inside the log channel itself
+    if (!channelId || channelId === message.channelId) return null;
+
+    const ignores = await getLogIgnores(message.guild.id);
+    return isLogIgnored(message, ignores) ? null : channelId;
+}
+
+/**
+ * Post a log entry to a log channel
+ * @param {Guild} guild - Discord guild
+ * @param {string} channelId - Log channel ID
+ * @param {Object} payload - Message options (embeds, files)
+ * @returns {Promise<Message|null>}
+ */
+async function sendLog(guild, channelId, payload) {
+    const channel = await fetchChannel(guild, channelId, { logContext: 'server-log' });
+    if (!channel) return null;
+
+    return safeChannelSend(channel, payload, { logContext: 'server-log' });
+}
+
+/**
+ * Cut text down to fit an embed field
+ * @param {string} text - Text to shorten
+ * @returns {string}
+ */
+function truncateField(text) {
+    if (!text) return '*No text content*';
+    return text.length > MAX_FIELD_LENGTH ? `${text.slice(0, MAX_FIELD_LENGTH - 1)}…` : text;
+}
+
+/**
+ * List attachments as "name (size)" links, one per line
+ * @param {Collection<string, Attachment>} attachments - Message attachments
+ * @returns {string}
+ */
+function formatAttachments(attachments) {
+    const lines = [...attachments.values()]
+        .map(attachment => `[${attachment.name}](${attachment.url}) (${Math.ceil(attachment.size / 1024)} KB)`);
+    return truncateField(lines.join('\n'));
+}
+
+/**
+ * Build the log entry for an edited message
+ * @param {Message} oldMessage - Message before the edit
+ * @param {Message} newMessage - Message after the edit
+ * @returns {Object} - Message options
+ */
+function buildEditLog(oldMessage, newMessage) {
+    const author = newMessage.author;
+    const embed = embeds.base('✏️ Message Edited', `${author} edited a message in ${newMessage.channel} · [Jump to message](${newMessage.url})`)
+        .setColor(config.colors.warning)
+        .setAuthor({ name: author.tag, iconURL: author.displayAvatarURL() })
+        .addFields(
+            { name: 'Before', value: truncateField(oldMessage.content) },
+            { name: 'After', value: truncateField(newMessage.content) }
+        )
+        .setFooter({ text: `Author: ${author.id} · Message: ${newMessage.id}` });
+
+    const removed = oldMessage.attachments.filter(attachment => !newMessage.attachments.has(attachment.id));
+    if (removed.size > 0) {
+        embed.addFields({ name: 'Removed Attachments', value: formatAttachments(removed) });
+    }
+
+    return { embeds: [embed] };
+}
+
+/**
+ * Build the log entry for a deleted message
+ * @param {Message} message - The deleted (cached) message
+ * @returns {Object} - Message options
+ */
+function buildDeleteLog(message) {
+    const author = message.author;
+    const embed = embeds.base('🗑️ Message Deleted', `A message by ${author} was deleted in ${message.channel}.`)
+        .setColor(config.colors.error)
+        .setAuthor({ name: author.tag, iconURL: author.displayAvatarURL() })
+        .addFields(
+            { name: 'Content', value: truncateField(message.content) },
+            { name: 'Sent', value: `<t:${Math.floor(message.createdTimestamp / 1000)}:f>`, inline: true }
+        )
+        .setFooter({ text: `Author: ${author.id} · Message: ${message.id}` });
+
+    if (message.attachments.size > 0) {
+        embed.addFields({ name: 'Attachments', value: formatAttachments(message.attachments) });
+    }
+
+    if (message.embeds?.length > 0) {
+        embed.addFields({ name: 'Embeds', value: `${message.embeds.length}`, inline: true });
+    }
+
+    return { embeds: [embed] };
+}
+
+/**
+ * Build the log entry for a bulk delete, with all messages in one transcript file
+ * @param {Message[]} messages - The deleted (cached) messages
+ * @param {TextChannel} channel - Channel the messages were in
+ * @param {number} total - Number of messages deleted, including uncached ones
+ * @returns {Object} - Message options
+ */
+function buildBulkDeleteLog(messages, channel, total) {
+    const uncached = total - messages.length;
+    const uncachedText = uncached > 0 ? `\n${uncached} older messages were not cached and aren't in the transcript.` : '';
+
+    const embed = embeds.base('🗑️ Messages Bulk Deleted', `**${total}** messages were deleted in ${channel}.${uncachedText}`)
+        .setColor(config.colors.error);
+
+    return {
+        embeds: [embed],
+        files: messages.length > 0 ? [createTranscriptAttachment(messages, { channel })] : []
+    };
+}
+
+module.exports = {
+    getLogChannelId,
+    getLogChannels,
+    setLogChannel,
+    getLogIgnores,
+    addLogIgnore,
+    removeLogIgnore,
+    isLogIgnored,
+    getMessageLogChannelId,
+    sendLog,
+    buildEditLog,
+    buildDeleteLog,
+    buildBulkDeleteLog,
+    LOG_CATEGORIES,
+    MAX_LOG_IGNORES
+};
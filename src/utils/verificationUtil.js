@@ -0,0 +1,306 @@
+/**
+ * Verification Utilities
+ * Verification settings, pending members, the Verify panel and the code challenge
+ */
+
+const { randomInt } = require('crypto');
+const { ActionRowBuilder, ButtonBuilder, ButtonStyle, ModalBuilder, TextInputBuilder, TextInputStyle } = require('discord.js');
+const { db } = require('../database');
+const { verificationConfig, pendingVerifications } = require('../database/schema');
+const { eq, and } = require('drizzle-orm');
+const logger = require('./logger');
+const embeds = require('./embeds');
+const { formatDuration } = require('./timeParser');
+
+// Letters and digits that can't be mistaken for each other (no 0/O, 1/I/L)
+const CODE_ALPHABET = 'ABCDEFGHJKMNPQRSTUVWXYZ23456789';
+const CODE_LENGTH = 6;
+
+const MIN_KICK_AFTER = 60000; // 1 minute
+const MAX_KICK_AFTER = 604800000; // 1 week
+
+const VERIFY_BUTTON_ID = 'verify_start';
+const VERIFY_MODAL_ID = 'verify_modal';
+const VERIFY_CODE_INPUT_ID = 'verify_code';
+
+/**
+ * Get a guild's verification settings
+ * @param {string} guildId - Guild ID
+ * @returns {Promise<Object|null>} - Settings, or null if verification is off
+ */
+async function getVerificationConfig(guildId) {
+    const row = await db.select()
+        .from(verificationConfig)
+        .where(eq(verificationConfig.guildId, guildId))
+        .get();
+
+    return row ?? null;
+}
+
+/**
+ * Turn verification on, or change its settings
+ * @param {string} guildId - Guild ID
+ * @param {Object} settings
+ * @param {string} settings.channelId - Channel with the Verify button
+ * @param {string} settings.messageId - The Verify button message
+ * @param {string} settings.roleId - Role given on verification
+ * @param {boolean} settings.challenge - Ask for a shown code before verifying
+ * @param {number|null} settings.kickAfter - ms before unverified members are kicked (null = never)
+ * @param {string} updatedBy - User ID of the admin
+ * @returns {Promise<Object>} - The saved settings
+ */
+async function setVerificationConfig(guildId, { channelId, messageId, roleId, challenge, kickAfter }, updatedBy) {
+    const values = { channelId, messageId, roleId, challenge, kickAfter, updatedBy, updatedAt: new Date() };
+
+    const row = await db.insert(verificationConfig)
+        .values({ guildId, ...values })
+        .onConflictDoUpdate({
+            target: verificationConfig.guildId,
+            set: values
+        })
+        .returning()
+        .get();
+
+    logger.info(`Verification in ${guildId} set up in ${channelId} with role ${roleId}`);
+    return row;
+}
+
+/**
+ * Turn verification off and forget everyone still pending
+ * @param {string} guildId - Guild ID
+ * @returns {Promise<Object|null>} - The removed settings, or null if verification was off
+ */
+async function disableVerification(guildId) {
+    const [removed] = await db.delete(verificationConfig)
+        .where(eq(verificationConfig.guildId, guildId))
+        .returning()
+        .all();
+
+    await db.delete(pendingVerifications)
+        .where(eq(pendingVerifications.guildId, guildId));
+
+    return removed ?? null;
+}
+
+/**
+ * Get every pending verification (loaded on startup)
+ * @returns {Promise<Array<Object>>}
+ */
+async function getAllPending() {
+    return db.select().from(pendingVerifications).all();
+}
+
+/**
+ * Get a member's pending verification
+ * @param {string} guildId - Guild ID
+ * @param {string} userId - User ID
+ * @returns {Promise<Object|null>}
+ */
+async function getPending(guildId, userId) {
+    const row = await db.select()
+        .from(pendingVerifications)
+        .where(and(
+            eq(pendingVerifications.guildId, guildId),
+            eq(pendingVerifications.userId, userId)
+        ))
+        .get();
+
+    return row ?? null;
+}
+
+/**
+ * Get a pending verification by ID
+ * @param {number} pendingId - Pending verification ID
+ * @returns {Promise<Object|null>}
+ */
+async function getPendingById(pendingId) {
+    const row = await db.select()
+        .from(pendingVerifications)
+        .where(eq(pendingVerifications.id, pendingId))
+        .get();
+
+    return row ?? null;
+}
+
+/**
+ * Store a member who has to verify (replacing any older entry)
+ * @param {string} guildId - Guild ID
+ * @param {string} userId - User ID
+ * @param {number|null} kickAfter - ms before the member is kicked (null = never)
+ * @returns {Promise<Object>} - The stored entry
+ */
+async function addPending(guildId, userId, kickAfter) {
+    await removePending(guildId, userId);
+
+    const now = Date.now();
+    return db.insert(pendingVerifications)
+        .values({
+            guildId,
+            userId,
+            joinedAt: new Date(now),
+            kickAt: kickAfter ? new Date(now + kickAfter) : null,
+            failedAttempts: 0
+        })
+        .returning()
+        .get();
+}
+
+/**
+ * Forget a member's pending verification
+ * @param {string} guildId - Guild ID
+ * @param {string} userId - User ID
+ * @returns {Promise<Array<Object>>} - The removed entries
+ */
+async function removePending(guildId, userId) {
+    return db.delete(pendingVerifications)
+        .where(and(
+            eq(pendingVerifications.guildId, guildId),
+            eq(pendingVerifications.userId, userId)
+        ))
+        .returning()
+        .all();
+}
+
+/**
+ * Remove a pending verification by ID
+ * @param {number} pendingId - Pending verification ID
+ * @returns {Promise<Array<Object>>} - The removed entry, or nothing if it was already resolved
+ */
+async function removePendingById(pendingId) {
+    return db.delete(pendingVerifications)
+        .where(eq(pendingVerifications.id, pendingId))
+        .returning()
+        .all();
+}
+
+/**
+ * Count a wrong challenge answer
+ * @param {string} guildId - Guild ID
+ * @param {string} userId - User ID
+ * @returns {Promise<number>} - Failed attempts so far (0 if the member isn't pending)
+ */
+async function recordFailedAttempt(guildId, userId) {
+    const pending = await getPending(guildId, userId);
+    if (!pending) return 0;
+
+    const updated = await db.update(pendingVerifications)
+        .set({ failedAttempts: pending.failedAttempts + 1 })
+        .where(eq(pendingVerifications.id, pending.id))
+        .returning()
+        .get();
+
+    return updated.failedAttempts;
+}
+
+/**
+ * Make a random code for the challenge
+ * @returns {string}
+ */
+function generateChallengeCode() {
+    let code = '';
+    for (let i = 0; i < CODE_LENGTH; i++) {
+        code += CODE_ALPHABET[randomInt(CODE_ALPHABET.length)];
+    }
+    return code;
+}
+
+/**
+ * Check a challenge answer (case and surrounding spaces don't matter)
+ * @param {string} expected - The code that was shown
+ * @param {string} answer - What the member typed
+ * @returns {boolean}
+ */
+function checkChallengeAnswer(expected, answer) {
+    return answer.trim().toUpperCase() === expected;
+}
+
+/**
+ * Build the message with the Verify button
+ * @param {Guild} guild - Discord guild
+ * @param {Object} settings - { challenge, kickAfter }
+ * @returns {Object} - Message payload
+ */
+function buildVerifyPanel(guild, { challenge, kickAfter }) {
+    const steps = challenge
+        ? 'Press **Verify** below and type the code you are shown to get access to the rest of the server.'
+        : 'Press **Verify** below to get access to the rest of the server.';
+    const deadline = kickAfter
+        ? `\n\nMembers who haven't verified within **${formatDuration(kickAfter)}** of joining are removed.`
+        : '';
+
+    const embed = embeds.brand(`Welcome to ${guild.name}`, steps + deadline);
+
+    const button = new ButtonBuilder()
+        .setCustomId(VERIFY_BUTTON_ID)
+        .setLabel('Verify')
+        .setEmoji('✅')
+        .setStyle(ButtonStyle.Success);
+
+    return { embeds: [embed], components: [new ActionRowBuilder().addComponents(button)] };
+}
+
+/**
+ * Build the challenge modal showing the code to type
+ * @param {string} code - The code to type
+ * @returns {ModalBuilder}
+ */
+function buildChallengeModal(code) {
+    const codeInput = new TextInputBuilder()
+        .setCustomId(VERIFY_CODE_INPUT_ID)
+        .setLabel(`Type this code: ${code}`)
+        .setStyle(TextInputStyle.Short)
+        .setMinLength(CODE_LENGTH)
+        .setMaxLength(CODE_LENGTH + 4) // Room for stray spaces
+        .setRequired(true);
+
+    return new ModalBuilder()
+        .setCustomId(VERIFY_MODAL_ID)
+        .setTitle('Verification')
+        .addComponents(new ActionRowBuilder().addComponents(codeInput));
+}
+
+/**
+ * Build the log channel entry for a verification
+ * @param {User} user - The member's user
+ * @param {Object} outcome
+ * @param {boolean} outcome.success - Whether the member got verified
+ * @param {string} [outcome.detail] - What went wrong (failures only)
+ * @param {number} [outcome.attempts] - Failed attempts so far (failures only)
+ * @returns {EmbedBuilder}
+ */
+function buildVerificationLog(user, { success, detail = null, attempts = 0 }) {
+    const embed = success
+        ? embeds.success('Member Verified', `${user} (${user.tag}) verified.`)
+        : embeds.warn('Verification Failed', `${user} (${user.tag}) failed to verify: ${detail}`);
+
+    if (attempts > 0) {
+        embed.addFields({ name: 'Failed Attempts', value: `${attempts}`, inline: true });
+    }
+
+    return embed
+        .setThumbnail(user.displayAvatarURL())
+        .setFooter({ text: `User ID: ${user.id}` });
+}
+
+module.exports = {
+    getVerificationConfig,
+    setVerificationConfig,
+    disableVerification,
+    getAllPending,
+    getPending,
+    getPendingById,
+    addPending,
+    removePending,
+    removePendingById,
+    recordFailedAttempt,
+    generateChallengeCode,
+    checkChallengeAnswer,
+    buildVerifyPanel,
+    buildChallengeModal,
+    buildVerificationLog,
+    MIN_KICK_AFTER,
+    MAX_KICK_AFTER,
+    VERIFY_BUTTON_ID,
+    VERIFY_MODAL_ID,
+    VERIFY_CODE_INPUT_ID
+};
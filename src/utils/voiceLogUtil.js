@@ -0,0 +1,174 @@
+/**
+ * Voice Log Utilities
+ * Per-guild voice log toggles and the voice log entries
+ */
+
+const { db } = require('../database');
+const { voiceLogConfig } = require('../database/schema');
+const { eq } = require('drizzle-orm');
+const logger = require('./logger');
+const embeds = require('./embeds');
+const config = require('./config');
+const { formatDuration } = require('./timeParser');
+
+const VOICE_LOG_EVENTS = {
+    joins: 'Joins',
+    leaves: 'Leaves',
+    moves: 'Moves',
+    mutes: 'Server mutes and deafens',
+    disconnects: 'Disconnects by moderators'
+};
+
+// [applied, lifted] wording for server mutes and deafens
+const VOICE_MUTE_ACTIONS = {
+    mute: ['Server Muted', 'Server Unmuted'],
+    deafen: ['Server Deafened', 'Server Undeafened']
+};
+
+// Every event is logged until a guild turns it off
+const DEFAULT_VOICE_LOG_CONFIG = Object.fromEntries(Object.keys(VOICE_LOG_EVENTS).map(event => [event, true]));
+
+/**
+ * Get a guild's voice log toggles
+ * @param {string} guildId - Guild ID
+ * @returns {Promise<Object>} - Toggles by event (defaults if never configured)
+ */
+async function getVoiceLogConfig(guildId) {
+    const row = await db.select()
+        .from(voiceLogConfig)
+        .where(eq(voiceLogConfig.guildId, guildId))
+        .get();
+
+    return row ?? { guildId, ...DEFAULT_VOICE_LOG_CONFIG };
+}
+
+/**
+ * Update a guild's voice log toggles (creating the row on first use)
+ * @param {string} guildId - Guild ID
+ * @param {Object} values - Toggles to change, e.g. { moves: false }
+ * @returns {Promise<Object>} - The updated toggles
+ */
+async function updateVoiceLogConfig(guildId, values) {
+    const row = await db.insert(voiceLogConfig)
+        .values({ guildId, ...values })
+        .onConflictDoUpdate({
+            target: voiceLogConfig.guildId,
+            set: values
+        })
+        .returning()
+        .get();
+
+    logger.info(`Voice log updated in ${guildId}: ${JSON.stringify(values)}`);
+    return row;
+}
+
+/**
+ * Human-readable list of the toggles, one event per line
+ * @param {Object} settings - Voice log toggles
+ * @returns {string}
+ */
+function describeVoiceLog(settings) {
+    return Object.entries(VOICE_LOG_EVENTS)
+        .map(([event, label]) => `${settings[event] ? '✅' : '❌'} ${label}`)
+        .join('\n');
+}
+
+/**
+ * Base embed for a voice log entry
+ * @param {GuildMember} member - The member the entry is about
+ * @param {string} title - Embed title
+ * @param {string} description - Embed description
+ * @returns {EmbedBuilder}
+ */
+function voiceEmbed(member, title, description) {
+    return embeds.base(title, description)
+        .setAuthor({ name: member.user.tag, iconURL: member.user.displayAvatarURL() })
+        .setFooter({ text: `User: ${member.id}` });
+}
+
+/**
+ * Format how long a voice session lasted
+ * @param {number|null} joinedAt - Session start in ms (null if the bot didn't see the join)
+ * @param {number} now - Session end in ms
+ * @returns {string}
+ */
+function formatSession(joinedAt, now = Date.now()) {
+    if (!joinedAt) return 'Unknown';
+    return `${formatDuration(now - joinedAt)} (joined <t:${Math.floor(joinedAt / 1000)}:T>)`;
+}
+
+/**
+ * Build the log entry for a member joining a voice channel
+ * @param {GuildMember} member - The member
+ * @param {VoiceChannel} channel - Channel joined
+ * @returns {Object} - Message options
+ */
+function buildVoiceJoinLog(member, channel) {
+    const embed = voiceEmbed(member, '🔊 Joined Voice', `${member} joined ${channel}.`)
+        .setColor(config.colors.success);
+
+    return { embeds: [embed] };
+}
+
+/**
+ * Build the log entry for a member leaving voice, on their own or disconnected by a moderator
+ * @param {GuildMember} member - The member
+ * @param {VoiceChannel} channel - Channel left
+ * @param {number|null} joinedAt - Session start in ms
+ * @param {string|null} executorId - Moderator who disconnected the member (null if they left)
+ * @returns {Object} - Message options
+ */
+function buildVoiceLeaveLog(member, channel, joinedAt, executorId = null) {
+    const embed = executorId
+        ? voiceEmbed(member, '⛔ Disconnected from Voice', `${member} was disconnected from ${channel} by <@${executorId}>.`)
+        : voiceEmbed(member, '🔇 Left Voice', `${member} left ${channel}.`);
+
+    embed.setColor(config.colors.error)
+        .addFields({ name: 'Session', value: formatSession(joinedAt) });
+
+    return { embeds: [embed] };
+}
+
+/**
+ * Build the log entry for a member switching voice channels
+ * @param {GuildMember} member - The member
+ * @param {VoiceChannel} from - Previous channel
+ * @param {VoiceChannel} to - New channel
+ * @param {number|null} joinedAt - Session start in ms
+ * @returns {Object} - Message options
+ */
+function buildVoiceMoveLog(member, from, to, joinedAt) {
+    const embed = voiceEmbed(member, '🔀 Moved Voice Channel', `${member} moved from ${from} to ${to}.`)
+        .addFields({ name: 'Session So Far', value: formatSession(joinedAt) });
+
+    return { embeds: [embed] };
+}
+
+/**
+ * Build the log entry for a server mute or deafen being applied or lifted
+ * @param {GuildMember} member - The member
+ * @param {string} change - 'mute' or 'deafen'
+ * @param {boolean} applied - true if applied, false if lifted
+ * @param {GuildAuditLogsEntry|null} entry - Matching audit log entry
+ * @returns {Object} - Message options
+ */
+function buildVoiceMuteLog(member, change, applied, entry) {
+    const action = VOICE_MUTE_ACTIONS[change][applied ? 0 : 1];
+
+    const embed = voiceEmbed(member, `🎙️ Member ${action}`, `${member} was ${action.toLowerCase()}.`)
+        .setColor(applied ? config.colors.warning : config.colors.success)
+        .addFields({ name: 'By', value: entry?.executorId ? `<@${entry.executorId}>` : 'Unknown', inline: true });
+
+    return { embeds: [embed] };
+}
+
+module.exports = {
+    getVoiceLogConfig,
+    updateVoiceLogConfig,
+    describeVoiceLog,
+    buildVoiceJoinLog,
+    buildVoiceLeaveLog,
+    buildVoiceMoveLog,
+    buildVoiceMuteLog,
+    VOICE_LOG_EVENTS
+};
@@ -0,0 +1,195 @@
+/**
+ * Welcome Utilities
+ * Welcome and goodbye message variables and account age math shared by the join/leave handlers and /welcome
+ */
+
+const embeds = require('./embeds');
+
+const DEFAULT_GOODBYE_MESSAGE = '**{username}** has left **{server}**. We now have {memberCount} members.';
+
+// Units for {duration}, largest first
+const DURATION_UNITS = [
+    { name: 'year', ms: 365 * 24 * 60 * 60 * 1000 },
+    { name: 'month', ms: 30 * 24 * 60 * 60 * 1000 },
+    { name: 'day', ms: 24 * 60 * 60 * 1000 },
+    { name: 'hour', ms: 60 * 60 * 1000 },
+    { name: 'minute', ms: 60 * 1000 }
+];
+
+/**
+ * Get ordinal suffix for a number (1st, 2nd, 3rd, etc.)
+ * @param {number} num - The number
+ * @returns {string}
+ */
+function getOrdinalSuffix(num) {
+    const j = num % 10;
+    const k = num % 100;
+    if (j === 1 && k !== 11) return num + 'st';
+    if (j === 2 && k !== 12) return num + 'nd';
+    if (j === 3 && k !== 13) return num + 'rd';
+    return num + 'th';
+}
+
+/**
+ * Get how old a Discord account is
+ * @param {User} user - The user
+ * @param {Date} now - Reference time (default: now)
+ * @returns {Object} - { days, months } (whole days, 30-day months)
+ */
+function getAccountAge(user, now = new Date()) {
+    const days = Math.floor((now - user.createdAt) / (1000 * 60 * 60 * 24));
+    return { days, months: Math.floor(days / 30) };
+}
+
+/**
+ * Parse welcome message variables
+ * @param {string} message - Message template with variables
+ * @param {GuildMember} member - The member who joined
+ * @param {Guild} guild - The guild the member joined
+ * @returns {string}
+ */
+function parseWelcomeMessage(message, member, guild) {
+    const now = new Date();
+    const accountCreated = member.user.createdAt;
+    const { days: accountAgeDays, months: accountAgeMonths } = getAccountAge(member.user, now);
+    const joinedAt = member.joinedAt || now;
+
+    // Format dates
+    const joinedAtFormatted = joinedAt.toLocaleDateString('en-US', {
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric'
+    });
+    const createdAtFormatted = accountCreated.toLocaleDateString('en-US', {
+        year: 'numeric',
+        month: 'long',
+        day: 'numeric'
+    });
+
+    // Relative timestamps for Discord (will show as "X days ago", "X months ago", etc.)
+    const joinedTimestamp = `<t:${Math.floor(joinedAt.getTime() / 1000)}:R>`;
+    const createdTimestamp = `<t:${Math.floor(accountCreated.getTime() / 1000)}:R>`;
+    const joinedTimestampFull = `<t:${Math.floor(joinedAt.getTime() / 1000)}:F>`;
+    const createdTimestampFull = `<t:${Math.floor(accountCreated.getTime() / 1000)}:F>`;
+
+    return message
+        // User mentions
+        .replace(/{user}/g, `<@${member.id}>`)
+        .replace(/{mention}/g, `<@${member.id}>`)
+        .replace(/{username}/g, member.user.username)
+        .replace(/{tag}/g, member.user.tag)
+        .replace(/{displayname}/g, member.displayName)
+
+        // Server info
+        .replace(/{server}/g, guild.name)
+        .replace(/{memberCount}/g, guild.memberCount.toString())
+        .replace(/{membercount}/g, guild.memberCount.toString())
+        .replace(/{memberNumber}/g, getOrdinalSuffix(guild.memberCount))
+        .replace(/{membernumber}/g, getOrdinalSuffix(guild.memberCount))
+
+        // Join date/time
+        .replace(/{joinedAt}/g, joinedAtFormatted)
+        .replace(/{joinedat}/g, joinedAtFormatted)
+        .replace(/{joinedRelative}/g, joinedTimestamp)
+        .replace(/{joinedrelative}/g, joinedTimestamp)
+        .replace(/{joinedFull}/g, joinedTimestampFull)
+        .replace(/{joinedfull}/g, joinedTimestampFull)
+
+        // Account creation
+        .replace(/{createdAt}/g, createdAtFormatted)
+        .replace(/{createdat}/g, createdAtFormatted)
+        .replace(/{createdRelative}/g, createdTimestamp)
+        .replace(/{createdrelative}/g, createdTimestamp)
+        .replace(/{createdFull}/g, createdTimestampFull)
+        .replace(/{createdfull}/g, createdTimestampFull)
+
+        // Account age
+        .replace(/{accountAgeDays}/g, accountAgeDays.toString())
+        .replace(/{accountagedays}/g, accountAgeDays.toString())
+        .replace(/{accountAgeMonths}/g, accountAgeMonths.toString())
+        .replace(/{accountagemonths}/g, accountAgeMonths.toString());
+}
+
+/**
+ * Format how long a member stayed, using the two largest units (e.g. "1 year and 2 months")
+ * @param {number} ms - Time in the server in milliseconds
+ * @returns {string}
+ */
+function formatMembershipDuration(ms) {
+    const parts = [];
+    let remaining = ms;
+
+    for (const unit of DURATION_UNITS) {
+        const count = Math.floor(remaining / unit.ms);
+        if (count > 0) {
+            parts.push(`${count} ${unit.name}${count > 1 ? 's' : ''}`);
+            remaining -= count * unit.ms;
+        }
+        if (parts.length === 2) break;
+    }
+
+    return parts.length > 0 ? parts.join(' and ') : 'less than a minute';
+}
+
+/**
+ * List a member's role names, highest first (names, not mentions, so goodbye messages don't ping roles)
+ * @param {GuildMember} member - The member
+ * @returns {string}
+ */
+function formatRoleNames(member) {
+    const names = [...member.roles.cache.values()]
+        .filter(role => role.id !== member.guild.id)
+        .sort((a, b) => b.position - a.position)
+        .map(role => role.name);
+
+    return names.length > 0 ? names.join(', ') : 'None';
+}
+
+/**
+ * Parse goodbye message variables (every welcome variable plus {duration} and {roles})
+ * @param {string} message - Message template with variables
+ * @param {GuildMember} member - The member who left (may be partial)
+ * @param {Guild} guild - The guild the member left
+ * @returns {string}
+ */
+function parseGoodbyeMessage(message, member, guild) {
+    // Uncached members have no join date or roles
+    const duration = member.joinedAt
+        ? formatMembershipDuration(Date.now() - member.joinedAt.getTime())
+        : 'an unknown time';
+    const roles = member.partial ? 'Unknown' : formatRoleNames(member);
+
+    return parseWelcomeMessage(message, member, guild)
+        .replace(/{duration}/g, duration)
+        .replace(/{roles}/g, roles);
+}
+
+/**
+ * Build a goodbye message from the guild's settings
+ * @param {Object} config - Guild config row
+ * @param {GuildMember} member - The member who left
+ * @param {Guild} guild - The guild the member left
+ * @returns {Object} - Message options
+ */
+function buildGoodbyeMessage(config, member, guild) {
+    const parsedMessage = parseGoodbyeMessage(config.goodbyeMessage || DEFAULT_GOODBYE_MESSAGE, member, guild);
+
+    // Columns added to existing databases start out null - treat that as the default (embed)
+    if (config.goodbyeUseEmbed ?? true) {
+        const goodbyeEmbed = embeds.brand('Goodbye!', parsedMessage)
+            .setThumbnail(member.user.displayAvatarURL({ size: 256 }));
+        return { embeds: [goodbyeEmbed] };
+    }
+
+    return { content: parsedMessage };
+}
+
+module.exports = {
+    getOrdinalSuffix,
+    getAccountAge,
+    parseWelcomeMessage,
+    formatMembershipDuration,
+    parseGoodbyeMessage,
+    buildGoodbyeMessage,
+    DEFAULT_GOODBYE_MESSAGE
+};
@@ -0,0 +1,120 @@
+/**
+ * Appeal Utility Tests
+ * Tests ban appeal storage rules and the appeal/review components
+ */
+
+// Mock database
+const mockSelectGet = jest.fn();
+const mockInsertGet = jest.fn();
+const mockUpdateAll = jest.fn();
+
+jest.mock('../src/database', () => ({
+    db: {
+        select: jest.fn(() => ({
+            from: () => ({ where: () => ({ get: mockSelectGet }) })
+        })),
+        insert: jest.fn(() => ({
+            values: () => ({ returning: () => ({ get: mockInsertGet }) })
+        })),
+        update: jest.fn(() => ({
+            set: () => ({ where: () => ({ returning: () => ({ all: mockUpdateAll }) }) })
+        }))
+    }
+}));
+
+// Mock logger
+jest.mock('../src/utils/logger', () => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+}));
+
+const { db } = require('../src/database');
+const {
+    createAppeal,
+    resolveAppeal,
+    createAppealButton,
+    createAppealReviewEmbed,
+    createAppealReviewButtons
+} = require('../src/utils/appealUtil');
+
+const appeal = {
+    id: 3,
+    guildId: 'guild1',
+    userId: 'user1',
+    caseNumber: 12,
+    content: 'I am sorry, it will not happen again.',
+    status: 'pending'
+};
+
+describe('Appeal Utility', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    describe('createAppeal', () => {
+        test('should store a pending appeal', async () => {
+            mockSelectGet.mockResolvedValue(undefined);
+            mockInsertGet.mockResolvedValue(appeal);
+
+            const result = await createAppeal({ guildId: 'guild1', userId: 'user1', caseNumber: 12, content: appeal.content });
+
+            expect(result).toEqual({ success: true, appeal });
+        });
+
+        test('should allow only one open appeal per user per guild', async () => {
+            mockSelectGet.mockResolvedValue(appeal);
+
+            const result = await createAppeal({ guildId: 'guild1', userId: 'user1', caseNumber: 12, content: 'Again' });
+
+            expect(result.success).toBe(false);
+            expect(result.error).toContain('already have an open appeal');
+            expect(db.insert).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('resolveAppeal', () => {
+        test('should return null when the appeal was already decided', async () => {
+            mockUpdateAll.mockResolvedValue([]);
+
+            expect(await resolveAppeal(3, { status: 'denied', reviewedBy: 'mod1', reason: 'No' })).toBeNull();
+        });
+
+        test('should return the decided appeal', async () => {
+            mockUpdateAll.mockResolvedValue([{ ...appeal, status: 'accepted', reviewedBy: 'mod1' }]);
+
+            const resolved = await resolveAppeal(3, { status: 'accepted', reviewedBy: 'mod1' });
+
+            expect(resolved.status).toBe('accepted');
+        });
+    });
+
+    describe('components', () => {
+        test('should encode the guild and ban case in the DM button', () => {
+            const row = createAppealButton('guild1', 12).toJSON();
+
+            expect(row.components[0].custom_id).toBe('appeal_open_guild1_12');
+        });
+
+        test('should disable review buttons once decided', () => {
+            const row = createAppealReviewButtons(3, { disabled: true }).toJSON();
+
+            expect(row.components.map(button => button.custom_id)).toEqual(['appeal_accept_3', 'appeal_deny_3']);
+            expect(row.components.every(button => button.disabled)).toBe(true);
+        });
+
+        test('should show the decision and reason on the review embed', () => {
+            const embed = createAppealReviewEmbed(
+                { ...appeal, status: 'denied', reviewedBy: 'mod1', reviewReason: 'Too soon' },
+                { banReason: 'Spamming' }
+            ).toJSON();
+
+            const fields = Object.fromEntries(embed.fields.map(field => [field.name, field.value]));
+            expect(embed.title).toBe('Ban Appeal #3');
+            expect(fields.Status).toContain('Denied');
+            expect(fields['Ban Reason']).toBe('Spamming');
+            expect(fields.Decision).toBe('<@mod1>: Too soon');
+        });
+    });
+});
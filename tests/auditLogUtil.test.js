@@ -0,0 +1,135 @@
+/**
+ * Audit Log Utility Tests
+ * Tests importing bans, unbans and kicks made outside the bot
+ */
+
+const { AuditLogEvent, Collection } = require('discord.js');
+
+// Mock logger
+jest.mock('../src/utils/logger', () => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+}));
+
+// Mock moderation logging
+jest.mock('../src/utils/moderationUtil', () => ({
+    logModerationAction: jest.fn().mockResolvedValue({ id: 1, caseNumber: 12 })
+}));
+
+const { logModerationAction } = require('../src/utils/moderationUtil');
+const { findAuditLogEntry, recordExternalAction, AUDIT_LOG_MAX_AGE } = require('../src/utils/auditLogUtil');
+
+const client = { user: { id: 'bot123' } };
+
+function createGuild(entries, { canViewAuditLog = true } = {}) {
+    return {
+        id: 'guild1',
+        members: { me: { permissions: { has: () => canViewAuditLog } } },
+        fetchAuditLogs: jest.fn().mockResolvedValue({
+            entries: new Collection(entries.map(entry => [entry.id, entry]))
+        })
+    };
+}
+
+function auditEntry(overrides = {}) {
+    return {
+        id: 'entry1',
+        targetId: 'user1',
+        executorId: 'mod1',
+        reason: 'Raiding',
+        createdTimestamp: Date.now(),
+        ...overrides
+    };
+}
+
+describe('Audit Log Utility', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    describe('findAuditLogEntry', () => {
+        test('should find a recent entry for the target', async () => {
+            const guild = createGuild([auditEntry({ id: 'other', targetId: 'user2' }), auditEntry()]);
+
+            const entry = await findAuditLogEntry(guild, AuditLogEvent.MemberBanAdd, 'user1', { delay: 0 });
+
+            expect(guild.fetchAuditLogs).toHaveBeenCalledWith({ type: AuditLogEvent.MemberBanAdd, limit: 5 });
+            expect(entry.id).toBe('entry1');
+        });
+
+        test('should ignore stale entries', async () => {
+            const guild = createGuild([auditEntry({ createdTimestamp: Date.now() - AUDIT_LOG_MAX_AGE - 1000 })]);
+
+            expect(await findAuditLogEntry(guild, AuditLogEvent.MemberKick, 'user1', { delay: 0 })).toBeNull();
+        });
+
+        test('should only match entries with the requested change', async () => {
+            const guild = createGuild([
+                auditEntry({ id: 'timeout', changes: [{ key: 'communication_disabled_until', old: null, new: '2030-01-01T00:00:00.000Z' }] }),
+                auditEntry({ id: 'nick', changes: [{ key: 'nick', old: 'a', new: 'b' }] })
+            ]);
+
+            const nick = await findAuditLogEntry(guild, AuditLogEvent.MemberUpdate, 'user1', { delay: 0, changeKey: 'nick' });
+            const timeout = await findAuditLogEntry(guild, AuditLogEvent.MemberUpdate, 'user1', { delay: 0, changeKey: 'communication_disabled_until' });
+
+            expect(nick.id).toBe('nick');
+            expect(timeout.id).toBe('timeout');
+        });
+
+        test('should not fetch without View Audit Log permission', async () => {
+            const guild = createGuild([auditEntry()], { canViewAuditLog: false });
+
+            expect(await findAuditLogEntry(guild, AuditLogEvent.MemberKick, 'user1', { delay: 0 })).toBeNull();
+            expect(guild.fetchAuditLogs).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('recordExternalAction', () => {
+        test('should record external actions with the audit log executor and reason', async () => {
+            const guild = createGuild([auditEntry()]);
+
+            const entry = await recordExternalAction(guild, client, {
+                action: 'BAN',
+                auditLogType: AuditLogEvent.MemberBanAdd,
+                targetId: 'user1',
+                delay: 0
+            });
+
+            expect(logModerationAction).toHaveBeenCalledWith(
+                'guild1', 'user1', 'mod1', 'BAN', 'Raiding',
+                { source: 'external', guild }
+            );
+            expect(entry.caseNumber).toBe(12);
+        });
+
+        test('should skip actions the bot performed itself', async () => {
+            const guild = createGuild([auditEntry({ executorId: 'bot123' })]);
+
+            const entry = await recordExternalAction(guild, client, {
+                action: 'KICK',
+                auditLogType: AuditLogEvent.MemberKick,
+                targetId: 'user1',
+                delay: 0
+            });
+
+            expect(entry).toBeNull();
+            expect(logModerationAction).not.toHaveBeenCalled();
+        });
+
+        test('should treat a member removal without a kick entry as a leave', async () => {
+            const guild = createGuild([]);
+
+            const entry = await recordExternalAction(guild, client, {
+                action: 'KICK',
+                auditLogType: AuditLogEvent.MemberKick,
+                targetId: 'user1',
+                delay: 0
+            });
+
+            expect(entry).toBeNull();
+            expect(logModerationAction).not.toHaveBeenCalled();
+        });
+    });
+});
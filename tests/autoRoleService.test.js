@@ -0,0 +1,147 @@
+/**
+ * Auto-Role Service Tests
+ * Tests auto-roles for members and bots, the join delay and sticky roles across rejoins
+ */
+
+jest.mock('../src/database', () => ({ db: {} }));
+
+jest.mock('../src/utils/logger', () => ({
+    info: jest.fn(),
+    success: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+}));
+
+jest.mock('../src/utils/discordApiUtil', () => ({
+    fetchMember: jest.fn(),
+    RoleManager: {
+        addRole: jest.fn().mockResolvedValue({ success: true })
+    }
+}));
+
+jest.mock('../src/utils/autoRoleUtil', () => ({
+    getAutoRoles: jest.fn(),
+    getAutoRoleDelay: jest.fn(),
+    getStickyRoles: jest.fn(),
+    saveStickySnapshot: jest.fn(),
+    takeStickySnapshot: jest.fn()
+}));
+
+const { Collection } = require('discord.js');
+const AutoRoleService = require('../src/services/autoRoleService');
+const { fetchMember, RoleManager } = require('../src/utils/discordApiUtil');
+const autoRoleUtil = require('../src/utils/autoRoleUtil');
+
+function createMember({ bot = false, roles = [], partial = false } = {}) {
+    return {
+        id: 'user1',
+        partial,
+        guild: { id: 'guild1' },
+        user: { bot },
+        roles: { cache: new Collection(roles.map(id => [id, {}])) }
+    };
+}
+
+function grantedRoles() {
+    return RoleManager.addRole.mock.calls.map(call => call[1]);
+}
+
+describe('AutoRoleService', () => {
+    let service;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        jest.useFakeTimers();
+        autoRoleUtil.getAutoRoles.mockResolvedValue([
+            { roleId: 'member-role', target: 'member' },
+            { roleId: 'bot-role', target: 'bot' }
+        ]);
+        autoRoleUtil.getStickyRoles.mockResolvedValue([{ roleId: 'muted' }]);
+        autoRoleUtil.getAutoRoleDelay.mockResolvedValue(0);
+        autoRoleUtil.takeStickySnapshot.mockResolvedValue([]);
+        service = new AutoRoleService({});
+    });
+
+    afterEach(() => {
+        service.cleanup();
+        jest.useRealTimers();
+    });
+
+    test('members and bots get their own auto-roles', async () => {
+        await service.handleMemberJoin(createMember());
+        await service.handleMemberJoin(createMember({ bot: true }));
+
+        expect(grantedRoles()).toEqual(['member-role', 'bot-role']);
+    });
+
+    test('members wait out the delay, bots do not', async () => {
+        autoRoleUtil.getAutoRoleDelay.mockResolvedValue(60);
+        const member = createMember();
+        fetchMember.mockResolvedValue(member);
+
+        await service.handleMemberJoin(member);
+        await service.handleMemberJoin(createMember({ bot: true }));
+        expect(grantedRoles()).toEqual(['bot-role']);
+
+        await jest.advanceTimersByTimeAsync(60000);
+
+        expect(fetchMember).toHaveBeenCalledWith(member.guild, 'user1', expect.objectContaining({ force: true }));
+        expect(grantedRoles()).toEqual(['bot-role', 'member-role']);
+    });
+
+    test('leaving during the delay cancels the grant', async () => {
+        autoRoleUtil.getAutoRoleDelay.mockResolvedValue(60);
+
+        await service.handleMemberJoin(createMember());
+        await service.handleMemberLeave(createMember({ partial: true }));
+        await jest.advanceTimersByTimeAsync(60000);
+
+        expect(RoleManager.addRole).not.toHaveBeenCalled();
+        expect(service.pendingGrants.size).toBe(0);
+    });
+
+    test('sticky roles held on leave are saved', async () => {
+        await service.handleMemberLeave(createMember({ roles: ['muted', 'other'] }));
+
+        expect(autoRoleUtil.saveStickySnapshot).toHaveBeenCalledWith('guild1', 'user1', ['muted']);
+    });
+
+    test('partial members have no roles to save', async () => {
+        await service.handleMemberLeave(createMember({ partial: true }));
+
+        expect(autoRoleUtil.saveStickySnapshot).not.toHaveBeenCalled();
+    });
+
+    test('sticky roles come back on rejoin, even with a delay', async () => {
+        autoRoleUtil.getAutoRoleDelay.mockResolvedValue(60);
+        autoRoleUtil.takeStickySnapshot.mockResolvedValue(['muted', 'no-longer-sticky']);
+
+        await service.handleMemberJoin(createMember());
+
+        expect(grantedRoles()).toEqual(['muted']);
+        expect(RoleManager.addRole.mock.calls[0][2].reason).toBe('Sticky role restored on rejoin');
+    });
+
+    test('a role that cannot be given does not stop the others', async () => {
+        autoRoleUtil.getAutoRoles.mockResolvedValue([
+            { roleId: 'too-high', target: 'member' },
+            { roleId: 'member-role', target: 'member' }
+        ]);
+        RoleManager.addRole.mockResolvedValueOnce({ success: false, error: 'Cannot manage role' });
+
+        const added = await service.grantRoles(createMember(), ['too-high', 'member-role'], 'Auto-role on join');
+
+        expect(added).toEqual(['member-role']);
+    });
+
+    test('settings are cached until invalidated', async () => {
+        await service.getGuildConfig('guild1');
+        await service.getGuildConfig('guild1');
+        expect(autoRoleUtil.getAutoRoles).toHaveBeenCalledTimes(1);
+
+        service.invalidateCache('guild1');
+        await service.getGuildConfig('guild1');
+        expect(autoRoleUtil.getAutoRoles).toHaveBeenCalledTimes(2);
+    });
+});
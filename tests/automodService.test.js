@@ -0,0 +1,237 @@
+/**
+ * Automod Service Tests
+ * Tests rule detection, exemptions and the action taken on a hit
+ */
+
+// Mock logger
+jest.mock('../src/utils/logger', () => ({
+    info: jest.fn(),
+    success: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+}));
+
+// Mock moderation logging
+jest.mock('../src/utils/moderationUtil', () => ({
+    logModerationAction: jest.fn().mockResolvedValue({ caseNumber: 1 }),
+    executeModerationAction: jest.fn().mockResolvedValue({ caseNumber: 2 }),
+    MAX_TIMEOUT_DURATION: 28 * 24 * 60 * 60 * 1000
+}));
+
+jest.mock('../src/utils/escalationUtil', () => ({
+    applyEscalation: jest.fn().mockResolvedValue(null)
+}));
+
+// Mock rule storage (the real rule metadata is kept)
+jest.mock('../src/utils/automodUtil', () => ({
+    ...jest.requireActual('../src/utils/automodUtil'),
+    getAutomodRules: jest.fn(),
+    getAutomodExemptions: jest.fn(),
+    getAutomodFilters: jest.fn(),
+    countFilterHits: jest.fn()
+}));
+
+jest.mock('../src/database', () => ({ db: {} }));
+
+const { PermissionFlagsBits } = require('discord.js');
+const AutomodService = require('../src/services/automodService');
+const { logModerationAction, executeModerationAction } = require('../src/utils/moderationUtil');
+const { applyEscalation } = require('../src/utils/escalationUtil');
+const { getAutomodRules, getAutomodExemptions, getAutomodFilters, countFilterHits, matchesFilter } = require('../src/utils/automodUtil');
+
+function rule(type, overrides = {}) {
+    return { rule: type, enabled: true, threshold: 5, interval: null, action: 'delete', duration: null, ...overrides };
+}
+
+function createMember({ roles = [], moderator = false } = {}) {
+    return {
+        id: 'user1',
+        user: { id: 'user1', tag: 'user#0001' },
+        moderatable: true,
+        timeout: jest.fn().mockResolvedValue(),
+        roles: { cache: new Set(roles) },
+        permissions: { has: (flag) => moderator && flag === PermissionFlagsBits.ManageMessages }
+    };
+}
+
+function createMessage(content, { member = createMember(), channelId = 'chan1', users = 0, roles = 0 } = {}) {
+    return {
+        content,
+        author: { id: 'user1' },
+        member,
+        channel: { id: channelId, parentId: null },
+        guild: { id: 'guild1', name: 'Test Guild', members: { me: { id: 'bot123' } } },
+        mentions: { users: { size: users }, roles: { size: roles }, everyone: false },
+        delete: jest.fn().mockResolvedValue()
+    };
+}
+
+describe('AutomodService', () => {
+    let service;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        getAutomodExemptions.mockResolvedValue([]);
+        getAutomodFilters.mockResolvedValue([]);
+        service = new AutomodService({ user: { id: 'bot123' } });
+    });
+
+    afterEach(() => {
+        service.cleanup();
+    });
+
+    test('should do nothing when no rules are enabled', async () => {
+        getAutomodRules.mockResolvedValue([rule('invites', { enabled: false })]);
+        const message = createMessage('join discord.gg/abc');
+
+        expect(await service.checkMessage(message)).toBe(false);
+        expect(message.delete).not.toHaveBeenCalled();
+    });
+
+    test('should delete invite links and log an AUTOMOD case', async () => {
+        getAutomodRules.mockResolvedValue([rule('invites')]);
+        const message = createMessage('join https://discord.gg/abc123 now');
+
+        expect(await service.checkMessage(message)).toBe(true);
+        expect(message.delete).toHaveBeenCalled();
+        expect(logModerationAction).toHaveBeenCalledWith(
+            'guild1', 'user1', 'bot123', 'AUTOMOD',
+            'Automod: Invite links (posted an invite link)',
+            { guild: message.guild }
+        );
+    });
+
+    test('should count user and role mentions against the threshold', async () => {
+        getAutomodRules.mockResolvedValue([rule('mentions', { threshold: 5 })]);
+
+        expect(await service.checkMessage(createMessage('hi', { users: 3, roles: 1 }))).toBe(false);
+        expect(await service.checkMessage(createMessage('hi', { users: 3, roles: 2 }))).toBe(true);
+    });
+
+    test('should flag caps only on messages long enough to judge', async () => {
+        getAutomodRules.mockResolvedValue([rule('caps', { threshold: 70 })]);
+
+        expect(await service.checkMessage(createMessage('OK LOL'))).toBe(false);
+        expect(await service.checkMessage(createMessage('Hello there, how are you?'))).toBe(false);
+        expect(await service.checkMessage(createMessage('WHY IS NOBODY ANSWERING ME'))).toBe(true);
+    });
+
+    test('should detect message spam within the interval and reset after a hit', async () => {
+        getAutomodRules.mockResolvedValue([rule('spam', { threshold: 3, interval: 5 })]);
+
+        expect(await service.checkMessage(createMessage('one'))).toBe(false);
+        expect(await service.checkMessage(createMessage('two'))).toBe(false);
+        expect(await service.checkMessage(createMessage('three'))).toBe(true);
+        expect(await service.checkMessage(createMessage('four'))).toBe(false);
+    });
+
+    test('should detect duplicates regardless of case and spacing', async () => {
+        getAutomodRules.mockResolvedValue([rule('duplicates', { threshold: 3, interval: 30 })]);
+
+        expect(await service.checkMessage(createMessage('buy now'))).toBe(false);
+        expect(await service.checkMessage(createMessage('something else'))).toBe(false);
+        expect(await service.checkMessage(createMessage('BUY  now'))).toBe(false);
+        expect(await service.checkMessage(createMessage('buy now '))).toBe(true);
+    });
+
+    test('should skip exempt roles, exempt channels and moderators', async () => {
+        getAutomodRules.mockResolvedValue([rule('invites')]);
+        getAutomodExemptions.mockResolvedValue([
+            { type: 'role', targetId: 'trusted' },
+            { type: 'channel', targetId: 'partners' }
+        ]);
+        const invite = 'discord.gg/abc';
+
+        expect(await service.checkMessage(createMessage(invite, { member: createMember({ roles: ['trusted'] }) }))).toBe(false);
+        expect(await service.checkMessage(createMessage(invite, { channelId: 'partners' }))).toBe(false);
+        expect(await service.checkMessage(createMessage(invite, { member: createMember({ moderator: true }) }))).toBe(false);
+        expect(await service.checkMessage(createMessage(invite))).toBe(true);
+    });
+
+    test('should warn through the moderation pipeline and apply escalation', async () => {
+        getAutomodRules.mockResolvedValue([rule('invites', { action: 'warn' })]);
+        const message = createMessage('discord.gg/abc');
+
+        await service.checkMessage(message);
+
+        expect(executeModerationAction).toHaveBeenCalledWith(expect.objectContaining({
+            action: 'WARN',
+            executor: message.guild.members.me,
+            reason: 'Automod: Invite links (posted an invite link)'
+        }));
+        expect(applyEscalation).toHaveBeenCalled();
+        expect(logModerationAction).not.toHaveBeenCalled();
+    });
+
+    test('should time out the member for the rule duration', async () => {
+        getAutomodRules.mockResolvedValue([rule('invites', { action: 'timeout', duration: 600000 })]);
+        const member = createMember();
+
+        await service.checkMessage(createMessage('discord.gg/abc', { member }));
+
+        expect(executeModerationAction).toHaveBeenCalledWith(expect.objectContaining({ action: 'TIMEOUT', duration: 600000 }));
+        expect(member.timeout).toHaveBeenCalledWith(600000, 'Automod: Invite links (posted an invite link)');
+    });
+
+    test('should still log the hit when the member cannot be timed out', async () => {
+        getAutomodRules.mockResolvedValue([rule('invites', { action: 'timeout', duration: 600000 })]);
+        const member = createMember();
+        member.moderatable = false;
+
+        await service.checkMessage(createMessage('discord.gg/abc', { member }));
+
+        expect(member.timeout).not.toHaveBeenCalled();
+        expect(logModerationAction).toHaveBeenCalledWith('guild1', 'user1', 'bot123', 'AUTOMOD', expect.any(String), expect.any(Object));
+    });
+
+    describe('word filter', () => {
+        const filter = { id: 3, pattern: 'scam*', matchType: 'wildcard' };
+
+        test('should match exact and wildcard entries against single words', () => {
+            expect(matchesFilter('this is a scammer', filter)).toBe(true);
+            expect(matchesFilter('nothing here', filter)).toBe(false);
+            expect(matchesFilter('You are BAD', { pattern: 'bad', matchType: 'exact' })).toBe(true);
+            expect(matchesFilter('badge', { pattern: 'bad', matchType: 'exact' })).toBe(false);
+            expect(matchesFilter('badge', { pattern: 'bad', matchType: 'contains' })).toBe(true);
+        });
+
+        test('should delete filtered messages even with no rules enabled and log the matched entry', async () => {
+            getAutomodRules.mockResolvedValue([]);
+            getAutomodFilters.mockResolvedValue([filter]);
+            countFilterHits.mockResolvedValue(1);
+            const message = createMessage('free scams here');
+
+            expect(await service.checkMessage(message)).toBe(true);
+            expect(message.delete).toHaveBeenCalled();
+            expect(logModerationAction).toHaveBeenCalledWith(
+                'guild1', 'user1', 'bot123', 'AUTOMOD',
+                'Automod: Word filter (matched #3 "scam*", wildcard)',
+                { guild: message.guild }
+            );
+            expect(executeModerationAction).not.toHaveBeenCalled();
+        });
+
+        test('should warn on every third hit within a day', async () => {
+            getAutomodRules.mockResolvedValue([]);
+            getAutomodFilters.mockResolvedValue([filter]);
+            countFilterHits.mockResolvedValue(3);
+
+            await service.checkMessage(createMessage('scam'));
+
+            expect(executeModerationAction).toHaveBeenCalledWith(expect.objectContaining({
+                action: 'WARN',
+                reason: 'Automod: Repeated word filter violations (3 in 24 hours)'
+            }));
+            expect(applyEscalation).toHaveBeenCalled();
+        });
+
+        test('should respect automod exemptions', async () => {
+            getAutomodRules.mockResolvedValue([]);
+            getAutomodFilters.mockResolvedValue([filter]);
+            getAutomodExemptions.mockResolvedValue([{ type: 'channel', targetId: 'chan1' }]);
+
+            expect(await service.checkMessage(createMessage('scam'))).toBe(false);
+        });
+    });
+});
@@ -0,0 +1,194 @@
+/**
+ * Channel Timer Service Tests
+ * Tests scheduling, restart re-arming, and expiry handling for timed locks and slowmodes
+ */
+
+// Mock database
+const mockUpdateResult = { all: jest.fn(), get: jest.fn() };
+const mockSelectResult = { all: jest.fn() };
+
+jest.mock('../src/database', () => ({
+    db: {
+        select: jest.fn(() => ({
+            from: () => ({ where: () => mockSelectResult })
+        })),
+        update: jest.fn(() => ({
+            set: () => ({ where: () => ({ returning: () => mockUpdateResult }) })
+        }))
+    }
+}));
+
+// Mock logger
+jest.mock('../src/utils/logger', () => ({
+    info: jest.fn(),
+    success: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+}));
+
+// Mock moderation logging
+jest.mock('../src/utils/moderationUtil', () => ({
+    logModerationAction: jest.fn().mockResolvedValue({ id: 99 })
+}));
+
+// Mock lockdown lookups
+jest.mock('../src/utils/lockdownUtil', () => ({
+    isChannelLockedDown: jest.fn().mockResolvedValue(false)
+}));
+
+const ChannelTimerService = require('../src/services/channelTimerService');
+const { logModerationAction } = require('../src/utils/moderationUtil');
+const { isChannelLockedDown } = require('../src/utils/lockdownUtil');
+
+function createChannel() {
+    return {
+        id: 'chan1',
+        name: 'general',
+        type: 0,
+        permissionOverwrites: { edit: jest.fn().mockResolvedValue() },
+        setRateLimitPerUser: jest.fn().mockResolvedValue(),
+        send: jest.fn().mockResolvedValue({})
+    };
+}
+
+function createClient(channel) {
+    const guild = {
+        id: 'guild1',
+        channels: { fetch: jest.fn().mockResolvedValue(channel) }
+    };
+
+    return {
+        guild,
+        user: { id: 'bot123' },
+        guilds: { fetch: jest.fn().mockResolvedValue(guild) }
+    };
+}
+
+describe('ChannelTimerService', () => {
+    let service;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    afterEach(() => {
+        if (service) service.cleanup();
+        service = null;
+    });
+
+    describe('Scheduling', () => {
+        beforeEach(() => {
+            jest.useFakeTimers();
+        });
+
+        afterEach(() => {
+            jest.useRealTimers();
+        });
+
+        test('should use setTimeout for short timers and setInterval past 24.8 days', () => {
+            service = new ChannelTimerService(createClient(null));
+            service.scheduleTimer({ id: 1, expiresAt: Date.now() + 3600000 });
+            service.scheduleTimer({ id: 2, expiresAt: Date.now() + (30 * 86400000) });
+
+            expect(service.scheduler.activeTimers.has(1)).toBe(true);
+            expect(service.scheduler.longDelayChecks.has(2)).toBe(true);
+        });
+
+        test('should run overdue timers immediately instead of scheduling', () => {
+            service = new ChannelTimerService(createClient(null));
+            service.runTimer = jest.fn();
+
+            service.scheduleTimer({ id: 3, expiresAt: Date.now() - 60000 });
+
+            expect(service.runTimer).toHaveBeenCalledWith(3);
+            expect(service.scheduler.activeTimers.has(3)).toBe(false);
+        });
+    });
+
+    describe('loadTimers', () => {
+        test('should re-arm every active timer, including overdue ones', async () => {
+            service = new ChannelTimerService(createClient(null));
+            service.scheduleTimer = jest.fn();
+            mockSelectResult.all.mockResolvedValue([
+                { id: 1, expiresAt: Date.now() + 60000 },
+                { id: 2, expiresAt: Date.now() - 60000 }
+            ]);
+
+            await service.loadTimers();
+
+            expect(service.scheduleTimer).toHaveBeenCalledTimes(2);
+        });
+    });
+
+    describe('runTimer', () => {
+        test('should unlock the channel and log an UNLOCK case linked to the lock', async () => {
+            const channel = createChannel();
+            const client = createClient(channel);
+            service = new ChannelTimerService(client);
+            mockUpdateResult.all.mockResolvedValue([
+                { id: 5, guildId: 'guild1', channelId: 'chan1', action: 'UNLOCK', caseNumber: 12 }
+            ]);
+
+            await service.runTimer(5);
+
+            expect(channel.permissionOverwrites.edit).toHaveBeenCalledWith(
+                'guild1',
+                { SendMessages: null },
+                { reason: expect.stringContaining('#12') }
+            );
+            expect(logModerationAction).toHaveBeenCalledWith(
+                'guild1',
+                'chan1',
+                'bot123',
+                'UNLOCK',
+                expect.any(String),
+                { relatedCaseNumber: 12, guild: client.guild }
+            );
+            expect(channel.send).toHaveBeenCalled();
+        });
+
+        test('should restore the previous slowmode', async () => {
+            const channel = createChannel();
+            service = new ChannelTimerService(createClient(channel));
+            mockUpdateResult.all.mockResolvedValue([
+                { id: 6, guildId: 'guild1', channelId: 'chan1', action: 'SLOWMODE', value: 5, caseNumber: 13 }
+            ]);
+
+            await service.runTimer(6);
+
+            expect(channel.setRateLimitPerUser).toHaveBeenCalledWith(5, expect.stringContaining('#13'));
+            expect(logModerationAction).toHaveBeenCalledWith(
+                'guild1', 'chan1', 'bot123', 'SLOWMODE', expect.stringContaining('5s'), expect.any(Object)
+            );
+        });
+
+        test('should wait with a timed unlock while a lockdown holds the channel', async () => {
+            const channel = createChannel();
+            service = new ChannelTimerService(createClient(channel));
+            isChannelLockedDown.mockResolvedValueOnce(true);
+            mockUpdateResult.all.mockResolvedValue([
+                { id: 8, guildId: 'guild1', channelId: 'chan1', action: 'UNLOCK', caseNumber: 14 }
+            ]);
+            mockUpdateResult.get.mockResolvedValue({ id: 8, expiresAt: Date.now() + 300000 });
+
+            await service.runTimer(8);
+
+            expect(isChannelLockedDown).toHaveBeenCalledWith('guild1', 'chan1');
+            expect(channel.permissionOverwrites.edit).not.toHaveBeenCalled();
+            expect(logModerationAction).not.toHaveBeenCalled();
+            expect(service.scheduler.activeTimers.has(8)).toBe(true);
+        });
+
+        test('should skip timers that already ran or were cancelled', async () => {
+            const channel = createChannel();
+            service = new ChannelTimerService(createClient(channel));
+            mockUpdateResult.all.mockResolvedValue([]);
+
+            await service.runTimer(7);
+
+            expect(channel.setRateLimitPerUser).not.toHaveBeenCalled();
+            expect(logModerationAction).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -65,6 +65,7 @@ describe('Intent command hubs', () => {
             'config',
             'logs',
             'welcome',
+            'roles',
             'starboard',
             'suggestion',
             'birthday',
@@ -83,6 +84,21 @@ describe('Intent command hubs', () => {
             'deny',
             'implement'
         ]));
+        expect(optionNames(findOption(command, 'logs').options)).toEqual([
+            'set',
+            'channel',
+            'ignore',
+            'unignore',
+            'voice'
+        ]);
+        expect(optionNames(findOption(command, 'roles').options)).toEqual([
+            'auto-add',
+            'auto-remove',
+            'delay',
+            'sticky-add',
+            'sticky-remove',
+            'view'
+        ]);
         expect(optionNames(findOption(command, 'permissions').options)).toEqual([
             'add',
             'remove',
@@ -131,7 +147,7 @@ describe('Intent command hubs', () => {
         ]);
     });
 
-    test('moderation hub uses user, logs, and channel intent groups', () => {
+    test('moderation hub uses user, logs, channel, case, escalation, lockdown, and appeal intent groups', () => {
         const command = commandJson('src/commands/moderation/mod.js');
         const mod = commandModule('src/commands/moderation/mod.js');
 
@@ -142,14 +158,25 @@ describe('Intent command hubs', () => {
         expect(optionNames(command.options)).toEqual([
             'user',
             'logs',
-            'channel'
+            'channel',
+            'case',
+            'escalation',
+            'lockdown',
+            'appeal'
         ]);
         expect(optionNames(findOption(command, 'user').options)).toEqual([
             'ban',
+            'massban',
+            'softban',
             'kick',
             'warn',
             'unwarn',
-            'history'
+            'timeout',
+            'untimeout',
+            'history',
+            'note-add',
+            'note-list',
+            'note-remove'
         ]);
         expect(optionNames(findOption(command, 'logs').options)).toEqual([
             'recent',
@@ -158,7 +185,30 @@ describe('Intent command hubs', () => {
         expect(optionNames(findOption(command, 'channel').options)).toEqual([
             'clear',
             'lock',
-            'unlock'
+            'unlock',
+            'slowmode'
+        ]);
+        expect(optionNames(findOption(command, 'case').options)).toEqual([
+            'view',
+            'edit-reason',
+            'delete'
+        ]);
+        expect(optionNames(findOption(command, 'escalation').options)).toEqual([
+            'set',
+            'remove',
+            'list',
+            'lifetime'
+        ]);
+        expect(optionNames(findOption(command, 'lockdown').options)).toEqual([
+            'start',
+            'end',
+            'channel-add',
+            'channel-remove',
+            'status'
+        ]);
+        expect(optionNames(findOption(command, 'appeal').options)).toEqual([
+            'setup',
+            'pending'
         ]);
     });
 
@@ -75,20 +75,32 @@ describe('Grouped Slash Command Appearance', () => {
     test('administration commands are grouped by setup and review task', () => {
         expectGroups('src/commands/administration/welcome.js', {
             configure: ['channel', 'message', 'enabled', 'format'],
-            preview: ['variables', 'test', 'view']
+            preview: ['variables', 'test', 'view'],
+            goodbye: ['channel', 'message', 'enabled', 'format', 'test']
         });
 
         expectGroups('src/commands/administration/autorespond.js', {
             manage: ['add', 'edit', 'remove', 'toggle'],
             browse: ['list']
         });
+
+        expectGroups('src/commands/administration/automod.js', {
+            rules: ['set', 'disable', 'list'],
+            exempt: ['add', 'remove', 'list'],
+            filter: ['add', 'remove', 'list', 'import'],
+            raid: ['set', 'disable', 'account-age', 'view']
+        });
     });
 
     test('moderation command uses intent groups instead of a flat action list', () => {
         expectGroups('src/commands/moderation/mod.js', {
-            user: ['ban', 'kick', 'warn', 'unwarn', 'history'],
+            user: ['ban', 'massban', 'softban', 'kick', 'warn', 'unwarn', 'timeout', 'untimeout', 'history', 'note-add', 'note-list', 'note-remove'],
             logs: ['recent', 'by-moderator'],
-            channel: ['clear', 'lock', 'unlock']
+            channel: ['clear', 'lock', 'unlock', 'slowmode'],
+            case: ['view', 'edit-reason', 'delete'],
+            escalation: ['set', 'remove', 'list', 'lifetime'],
+            lockdown: ['start', 'end', 'channel-add', 'channel-remove', 'status'],
+            appeal: ['setup', 'pending']
         });
     });
 });
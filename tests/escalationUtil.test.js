@@ -0,0 +1,253 @@
+/**
+ * Escalation Utility Tests
+ * Tests escalation rule management and automatic punishments after warnings
+ */
+
+// Mock database
+const mockSelectAll = jest.fn();
+const mockSelectGet = jest.fn();
+const mockWriteGet = jest.fn();
+
+jest.mock('../src/database', () => ({
+    db: {
+        select: jest.fn(() => ({
+            from: () => ({ where: () => ({ orderBy: () => ({ all: mockSelectAll }), get: mockSelectGet }) })
+        })),
+        insert: jest.fn(() => ({
+            values: () => ({ returning: () => ({ get: mockWriteGet }) })
+        })),
+        update: jest.fn(() => ({
+            set: () => ({ where: () => ({ returning: () => ({ get: mockWriteGet }) }) })
+        }))
+    }
+}));
+
+// Mock logger
+jest.mock('../src/utils/logger', () => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+}));
+
+// Mock moderation logging
+jest.mock('../src/utils/moderationUtil', () => ({
+    executeModerationAction: jest.fn().mockResolvedValue({ id: 10, caseNumber: 8 })
+}));
+
+const { db } = require('../src/database');
+const { executeModerationAction } = require('../src/utils/moderationUtil');
+const {
+    setEscalationRule,
+    applyEscalation,
+    describeEscalationRule,
+    isWarningExpired,
+    getActiveWarnings,
+    MAX_ESCALATION_RULES
+} = require('../src/utils/escalationUtil');
+
+const HOUR = 3600000;
+
+function warnings(count) {
+    return Array.from({ length: count }, (_, i) => ({ caseNumber: i + 1, action: 'WARN', timestamp: new Date() }));
+}
+
+function createGuild(member) {
+    return {
+        id: 'guild123',
+        name: 'Test Guild',
+        members: {
+            me: { id: 'bot123', user: { tag: 'Bot#0001' } },
+            fetch: jest.fn().mockResolvedValue(member)
+        }
+    };
+}
+
+function createMember(overrides = {}) {
+    return {
+        id: 'user456',
+        user: { id: 'user456', tag: 'User#0001' },
+        moderatable: true,
+        kickable: true,
+        bannable: true,
+        timeout: jest.fn().mockResolvedValue(),
+        kick: jest.fn().mockResolvedValue(),
+        ban: jest.fn().mockResolvedValue(),
+        ...overrides
+    };
+}
+
+describe('Escalation Utility', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        mockSelectGet.mockResolvedValue({ warningLifetime: null });
+    });
+
+    describe('setEscalationRule', () => {
+        test('should require a duration for timeout rules', async () => {
+            const result = await setEscalationRule('guild123', { warningCount: 3, action: 'TIMEOUT', createdBy: 'mod' });
+
+            expect(result.success).toBe(false);
+            expect(db.insert).not.toHaveBeenCalled();
+        });
+
+        test('should replace an existing rule for the same warning count', async () => {
+            const existing = { id: 1, warningCount: 3, action: 'KICK', duration: null };
+            mockSelectAll.mockResolvedValueOnce([existing]);
+            mockWriteGet.mockResolvedValueOnce({ ...existing, action: 'TIMEOUT', duration: HOUR });
+
+            const result = await setEscalationRule('guild123', { warningCount: 3, action: 'TIMEOUT', duration: HOUR, createdBy: 'mod' });
+
+            expect(result.success).toBe(true);
+            expect(result.replaced).toBe(existing);
+            expect(db.update).toHaveBeenCalled();
+            expect(db.insert).not.toHaveBeenCalled();
+        });
+
+        test('should enforce the per-guild rule limit', async () => {
+            mockSelectAll.mockResolvedValueOnce(
+                Array.from({ length: MAX_ESCALATION_RULES }, (_, i) => ({ id: i, warningCount: i + 1 }))
+            );
+
+            const result = await setEscalationRule('guild123', { warningCount: 20, action: 'BAN', createdBy: 'mod' });
+
+            expect(result.success).toBe(false);
+            expect(db.insert).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('applyEscalation', () => {
+        test('should do nothing when no rule matches the warning count', async () => {
+            mockSelectAll
+                .mockResolvedValueOnce(warnings(2))
+                .mockResolvedValueOnce([{ warningCount: 3, action: 'KICK' }]);
+
+            const result = await applyEscalation({ guild: createGuild(createMember()), target: { id: 'user456' } });
+
+            expect(result).toBeNull();
+            expect(executeModerationAction).not.toHaveBeenCalled();
+        });
+
+        test('should time out with the bot as executor and reference the warnings', async () => {
+            const member = createMember();
+            const guild = createGuild(member);
+            mockSelectAll
+                .mockResolvedValueOnce(warnings(3))
+                .mockResolvedValueOnce([{ warningCount: 3, action: 'TIMEOUT', duration: HOUR }]);
+
+            const result = await applyEscalation({ guild, target: { id: 'user456' } });
+
+            expect(executeModerationAction).toHaveBeenCalledWith(expect.objectContaining({
+                executor: guild.members.me,
+                action: 'TIMEOUT',
+                duration: HOUR,
+                reason: 'Automatic escalation: 3 active warnings (cases #1, #2, #3)'
+            }));
+            expect(member.timeout).toHaveBeenCalledWith(HOUR, expect.stringContaining('#3'));
+            expect(result.entry.caseNumber).toBe(8);
+        });
+
+        test('should schedule a temporary ban for ban rules with a duration', async () => {
+            const member = createMember();
+            const client = { tempBanService: { createTempBan: jest.fn() } };
+            mockSelectAll
+                .mockResolvedValueOnce(warnings(7))
+                .mockResolvedValueOnce([{ warningCount: 7, action: 'BAN', duration: 24 * HOUR }]);
+
+            await applyEscalation({ guild: createGuild(member), target: { id: 'user456' }, client });
+
+            expect(member.ban).toHaveBeenCalled();
+            expect(client.tempBanService.createTempBan).toHaveBeenCalledWith(expect.objectContaining({
+                userId: 'user456',
+                executorId: 'bot123',
+                caseNumber: 8,
+                duration: 24 * HOUR
+            }));
+        });
+
+        test('should cancel an active temporary ban for permanent ban rules', async () => {
+            const member = createMember();
+            const client = { tempBanService: { createTempBan: jest.fn(), cancelTempBan: jest.fn() } };
+            mockSelectAll
+                .mockResolvedValueOnce(warnings(7))
+                .mockResolvedValueOnce([{ warningCount: 7, action: 'BAN', duration: null }]);
+
+            await applyEscalation({ guild: createGuild(member), target: { id: 'user456' }, client });
+
+            expect(member.ban).toHaveBeenCalled();
+            expect(client.tempBanService.createTempBan).not.toHaveBeenCalled();
+            expect(client.tempBanService.cancelTempBan).toHaveBeenCalledWith('guild123', 'user456');
+        });
+
+        test('should report an error when the bot cannot apply the action', async () => {
+            const member = createMember({ kickable: false });
+            mockSelectAll
+                .mockResolvedValueOnce(warnings(5))
+                .mockResolvedValueOnce([{ warningCount: 5, action: 'KICK' }]);
+
+            const result = await applyEscalation({ guild: createGuild(member), target: { id: 'user456' } });
+
+            expect(result.error).toBeDefined();
+            expect(member.kick).not.toHaveBeenCalled();
+            expect(executeModerationAction).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('warning lifetime', () => {
+        const DAY = 24 * HOUR;
+
+        test('should never expire warnings without a lifetime', () => {
+            const warning = { action: 'WARN', timestamp: new Date(Date.now() - 365 * DAY) };
+
+            expect(isWarningExpired(warning, null)).toBe(false);
+        });
+
+        test('should expire warnings older than the lifetime', () => {
+            const now = Date.now();
+
+            expect(isWarningExpired({ action: 'WARN', timestamp: new Date(now - 31 * DAY) }, 30 * DAY, now)).toBe(true);
+            expect(isWarningExpired({ action: 'WARN', timestamp: new Date(now - 29 * DAY) }, 30 * DAY, now)).toBe(false);
+        });
+
+        test('should only expire warnings, not other actions', () => {
+            const ban = { action: 'BAN', timestamp: new Date(Date.now() - 365 * DAY) };
+
+            expect(isWarningExpired(ban, DAY)).toBe(false);
+        });
+
+        test('getActiveWarnings should exclude expired warnings', async () => {
+            mockSelectGet.mockResolvedValueOnce({ warningLifetime: 30 * DAY });
+            mockSelectAll.mockResolvedValueOnce([
+                { caseNumber: 1, action: 'WARN', timestamp: new Date(Date.now() - 60 * DAY) },
+                { caseNumber: 4, action: 'WARN', timestamp: new Date(Date.now() - DAY) }
+            ]);
+
+            const active = await getActiveWarnings('guild123', 'user456');
+
+            expect(active.map(warning => warning.caseNumber)).toEqual([4]);
+        });
+
+        test('expired warnings should not trigger escalation', async () => {
+            const member = createMember();
+            mockSelectGet.mockResolvedValueOnce({ warningLifetime: 30 * DAY });
+            mockSelectAll
+                .mockResolvedValueOnce([
+                    { caseNumber: 1, action: 'WARN', timestamp: new Date(Date.now() - 60 * DAY) },
+                    ...warnings(2)
+                ])
+                .mockResolvedValueOnce([{ warningCount: 3, action: 'KICK' }]);
+
+            const result = await applyEscalation({ guild: createGuild(member), target: { id: 'user456' } });
+
+            expect(result).toBeNull();
+            expect(member.kick).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('describeEscalationRule', () => {
+        test('should include the duration when present', () => {
+            expect(describeEscalationRule({ warningCount: 5, action: 'KICK' })).toBe('5 warnings → KICK');
+            expect(describeEscalationRule({ warningCount: 3, action: 'TIMEOUT', duration: HOUR })).toMatch(/^3 warnings → TIMEOUT \(.+\)$/);
+        });
+    });
+});
@@ -0,0 +1,191 @@
+/**
+ * Lockdown Utility Tests
+ * Tests locking channels with saved overwrites and restoring them exactly
+ */
+
+const { ChannelType, PermissionsBitField, PermissionFlagsBits } = require('discord.js');
+
+// Mock database
+const mockSelectAll = jest.fn();
+const mockInsertGet = jest.fn();
+const mockDeleteWhere = jest.fn().mockResolvedValue();
+
+jest.mock('../src/database', () => ({
+    db: {
+        select: jest.fn(() => ({
+            from: () => ({ where: () => ({ all: mockSelectAll, orderBy: () => ({ all: mockSelectAll }) }) })
+        })),
+        insert: jest.fn(() => ({
+            values: () => ({ returning: () => ({ get: mockInsertGet }) })
+        })),
+        delete: jest.fn(() => ({ where: mockDeleteWhere }))
+    }
+}));
+
+// Mock logger
+jest.mock('../src/utils/logger', () => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+}));
+
+const {
+    resolveLockdownChannels,
+    startLockdown,
+    endLockdown
+} = require('../src/utils/lockdownUtil');
+
+const GUILD_ID = 'guild1';
+
+function createChannel(id, { type = ChannelType.GuildText, everyone = null, failEdit = false } = {}) {
+    const cache = new Map();
+    if (everyone) {
+        cache.set(GUILD_ID, {
+            allow: new PermissionsBitField(everyone.allow),
+            deny: new PermissionsBitField(everyone.deny)
+        });
+    }
+
+    return {
+        id,
+        name: `channel-${id}`,
+        type,
+        permissionOverwrites: {
+            cache,
+            edit: jest.fn(failEdit ? () => Promise.reject(new Error('Missing Permissions')) : () => Promise.resolve()),
+            create: jest.fn().mockResolvedValue(),
+            delete: jest.fn().mockResolvedValue()
+        }
+    };
+}
+
+function createGuild(channels) {
+    const cache = new Map(channels.map(channel => [channel.id, channel]));
+    cache.filter = (fn) => new Map([...cache].filter(([, channel]) => fn(channel)));
+
+    return {
+        id: GUILD_ID,
+        channels: {
+            cache,
+            fetch: jest.fn(async (id) => {
+                if (!cache.has(id)) throw Object.assign(new Error('Unknown Channel'), { code: 10003 });
+                return cache.get(id);
+            })
+        }
+    };
+}
+
+describe('Lockdown Utility', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+        mockInsertGet.mockImplementation(async () => ({ id: mockInsertGet.mock.calls.length }));
+    });
+
+    describe('resolveLockdownChannels', () => {
+        test('should lock all text channels when none are configured', async () => {
+            mockSelectAll.mockResolvedValue([]);
+            const guild = createGuild([
+                createChannel('1'),
+                createChannel('2', { type: ChannelType.GuildVoice }),
+                createChannel('3', { type: ChannelType.GuildAnnouncement })
+            ]);
+
+            const channels = await resolveLockdownChannels(guild);
+
+            expect(channels.map(c => c.id)).toEqual(['1', '3']);
+        });
+
+        test('should use the configured channels unless all is set', async () => {
+            mockSelectAll.mockResolvedValue([{ channelId: '3' }, { channelId: 'deleted' }]);
+            const guild = createGuild([createChannel('1'), createChannel('3')]);
+
+            expect((await resolveLockdownChannels(guild)).map(c => c.id)).toEqual(['3']);
+            expect((await resolveLockdownChannels(guild, { all: true })).map(c => c.id)).toEqual(['1', '3']);
+        });
+    });
+
+    describe('startLockdown', () => {
+        test('should save the @everyone overwrite before locking', async () => {
+            const existing = createChannel('1', {
+                everyone: { allow: PermissionFlagsBits.AttachFiles, deny: PermissionFlagsBits.EmbedLinks }
+            });
+            const fresh = createChannel('2');
+            const { db } = require('../src/database');
+            const values = [];
+            db.insert.mockImplementation(() => ({
+                values: (row) => {
+                    values.push(row);
+                    return { returning: () => ({ get: mockInsertGet }) };
+                }
+            }));
+
+            const { locked, failed } = await startLockdown(createGuild([existing, fresh]), [existing, fresh], {
+                executorId: 'mod1',
+                reason: 'Raid'
+            });
+
+            expect(locked).toHaveLength(2);
+            expect(failed).toHaveLength(0);
+            expect(values[0]).toMatchObject({
+                channelId: '1',
+                allow: PermissionFlagsBits.AttachFiles.toString(),
+                deny: PermissionFlagsBits.EmbedLinks.toString(),
+                lockedBy: 'mod1'
+            });
+            expect(values[1]).toMatchObject({ channelId: '2', allow: null, deny: null });
+            expect(existing.permissionOverwrites.edit).toHaveBeenCalledWith(GUILD_ID, { SendMessages: false }, { reason: 'Raid' });
+        });
+
+        test('should drop the snapshot when a channel cannot be locked', async () => {
+            const channel = createChannel('1', { failEdit: true });
+
+            const { locked, failed } = await startLockdown(createGuild([channel]), [channel], {
+                executorId: 'mod1',
+                reason: 'Raid'
+            });
+
+            expect(locked).toHaveLength(0);
+            expect(failed[0].error).toBe('Missing Permissions');
+            expect(mockDeleteWhere).toHaveBeenCalledTimes(1);
+        });
+    });
+
+    describe('endLockdown', () => {
+        test('should restore saved overwrites exactly and remove missing ones', async () => {
+            const withOverwrite = createChannel('1');
+            const withoutOverwrite = createChannel('2');
+            mockSelectAll.mockResolvedValue([
+                { id: 1, channelId: '1', allow: PermissionFlagsBits.AttachFiles.toString(), deny: PermissionFlagsBits.EmbedLinks.toString() },
+                { id: 2, channelId: '2', allow: null, deny: null },
+                { id: 3, channelId: 'deleted', allow: null, deny: null }
+            ]);
+
+            const result = await endLockdown(createGuild([withOverwrite, withoutOverwrite]), {
+                executorId: 'mod1',
+                reason: 'Over'
+            });
+
+            expect(result).toEqual({ restored: 2, missing: 1, failed: [] });
+            expect(withOverwrite.permissionOverwrites.create).toHaveBeenCalledWith(
+                GUILD_ID,
+                { AttachFiles: true, EmbedLinks: false },
+                { reason: 'Over' }
+            );
+            expect(withoutOverwrite.permissionOverwrites.delete).toHaveBeenCalledWith(GUILD_ID, 'Over');
+            expect(mockDeleteWhere).toHaveBeenCalledTimes(3);
+        });
+
+        test('should keep snapshots that fail to restore', async () => {
+            const channel = createChannel('1');
+            channel.permissionOverwrites.delete.mockRejectedValue(new Error('Missing Permissions'));
+            mockSelectAll.mockResolvedValue([{ id: 1, channelId: '1', allow: null, deny: null }]);
+
+            const result = await endLockdown(createGuild([channel]), { executorId: 'mod1', reason: 'Over' });
+
+            expect(result.restored).toBe(0);
+            expect(result.failed).toEqual([{ channelId: '1', error: 'Missing Permissions' }]);
+            expect(mockDeleteWhere).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -0,0 +1,113 @@
+/**
+ * Mass Ban Tests
+ * Tests ID parsing, protected member filtering and batched bans with one case per user
+ */
+
+jest.mock('../src/database', () => ({ db: {} }));
+
+jest.mock('../src/utils/logger', () => ({
+    info: jest.fn(),
+    success: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+}));
+
+jest.mock('../src/utils/moderationUtil', () => {
+    let caseNumber = 0;
+    return {
+        logModerationAction: jest.fn(async () => ({ caseNumber: ++caseNumber })),
+        validateHierarchy: jest.fn((executor, target) => ({ valid: target.position < executor.position }))
+    };
+});
+
+const { Collection } = require('discord.js');
+const { parseUserIds, filterBannableIds, executeMassBan, formatCaseRange } = require('../src/utils/massBanUtil');
+const { logModerationAction } = require('../src/utils/moderationUtil');
+
+function id(n) {
+    return String(100000000000000000n + BigInt(n));
+}
+
+function createGuild(members = []) {
+    return {
+        id: 'guild1',
+        ownerId: id(900),
+        members: {
+            me: { id: id(999) },
+            fetch: jest.fn(async ({ user }) => new Collection(members.filter(m => user.includes(m.id)).map(m => [m.id, m])))
+        },
+        bans: {
+            bulkCreate: jest.fn(async ids => ({ bannedUsers: ids.filter(userId => userId !== id(5)), failedUsers: ids.filter(userId => userId === id(5)) }))
+        }
+    };
+}
+
+describe('Mass ban', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('should parse unique IDs from whitespace, commas and mentions', () => {
+        const text = `${id(1)} ${id(2)},${id(1)}\n<@${id(3)}> not-an-id 12345`;
+
+        expect(parseUserIds(text)).toEqual([id(1), id(2), id(3)]);
+    });
+
+    test('should skip the moderator, the bot, the owner and members above the moderator', async () => {
+        const executor = { id: id(1), position: 5 };
+        const guild = createGuild([
+            { id: id(2), position: 1, bannable: true },
+            { id: id(3), position: 10, bannable: true },
+            { id: id(4), position: 1, bannable: false }
+        ]);
+
+        const result = await filterBannableIds(guild, executor, [id(1), id(2), id(3), id(4), id(999), id(900), id(50)]);
+
+        expect(result.allowed).toEqual([id(2), id(50)]);
+        expect(result.skipped).toEqual([id(1), id(3), id(4), id(999), id(900)]);
+    });
+
+    test('should skip a whole chunk when its member lookup fails', async () => {
+        const guild = createGuild();
+        guild.members.fetch.mockRejectedValueOnce(new Error('Members didn\'t arrive in time.'));
+        const userIds = Array.from({ length: 150 }, (_, i) => id(i + 1));
+
+        const result = await filterBannableIds(guild, { id: 'mod1' }, userIds);
+
+        expect(result.skipped).toEqual(userIds.slice(0, 100));
+        expect(result.allowed).toEqual(userIds.slice(100));
+    });
+
+    test('should ban in batches of 200 and write one case per banned user', async () => {
+        const guild = createGuild();
+        const userIds = Array.from({ length: 250 }, (_, i) => id(i + 1));
+
+        const result = await executeMassBan(guild, userIds, { executorId: 'mod1', reason: 'Raid', deleteMessageSeconds: 3600 });
+
+        expect(guild.bans.bulkCreate).toHaveBeenCalledTimes(2);
+        expect(guild.bans.bulkCreate.mock.calls[1][0]).toHaveLength(50);
+        expect(guild.bans.bulkCreate).toHaveBeenCalledWith(expect.any(Array), { reason: 'Raid', deleteMessageSeconds: 3600 });
+        expect(result.banned).toHaveLength(249);
+        expect(result.failed).toEqual([id(5)]);
+        expect(logModerationAction).toHaveBeenCalledTimes(249);
+        expect(logModerationAction).toHaveBeenCalledWith('guild1', id(1), 'mod1', 'BAN', 'Raid');
+    });
+
+    test('should count a failed batch as failed users', async () => {
+        const guild = createGuild();
+        guild.bans.bulkCreate.mockRejectedValue(new Error('Failed to ban users'));
+
+        const result = await executeMassBan(guild, [id(1), id(2)], { executorId: 'mod1', reason: 'Raid' });
+
+        expect(result.banned).toEqual([]);
+        expect(result.failed).toEqual([id(1), id(2)]);
+        expect(logModerationAction).not.toHaveBeenCalled();
+    });
+
+    test('should format case ranges', () => {
+        expect(formatCaseRange([])).toBe('None');
+        expect(formatCaseRange([4])).toBe('#4');
+        expect(formatCaseRange([4, 5, 6])).toBe('#4-#6');
+    });
+});
@@ -0,0 +1,128 @@
+/**
+ * Member Log Tests
+ * Tests the member log entries and the nickname/role/timeout detection in guildMemberUpdate
+ */
+
+jest.mock('../src/database', () => ({ db: {} }));
+
+jest.mock('../src/utils/logger', () => ({
+    info: jest.fn(),
+    success: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+}));
+
+jest.mock('../src/utils/auditLogUtil', () => ({
+    findAuditLogEntry: jest.fn().mockResolvedValue({ executorId: 'mod1', reason: 'Spamming' })
+}));
+
+jest.mock('../src/utils/serverLogUtil', () => ({
+    getLogChannelId: jest.fn(),
+    sendLog: jest.fn().mockResolvedValue({})
+}));
+
+const { AuditLogEvent, Collection } = require('discord.js');
+const { buildJoinLog, buildLeaveLog, buildRoleLog, buildTimeoutLog } = require('../src/utils/memberLogUtil');
+const { getLogChannelId, sendLog } = require('../src/utils/serverLogUtil');
+const { findAuditLogEntry } = require('../src/utils/auditLogUtil');
+const guildMemberUpdate = require('../src/events/guildMemberUpdate');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function createRole(id, position) {
+    return { id, position, guild: { id: 'guild1' }, toString: () => `<@&${id}>` };
+}
+
+function createMember({ nickname = null, roles = [], timeoutUntil = null, ageDays = 400 } = {}) {
+    return {
+        id: 'user1',
+        partial: false,
+        nickname,
+        communicationDisabledUntilTimestamp: timeoutUntil,
+        joinedTimestamp: Date.now() - 30 * DAY,
+        guild: { id: 'guild1', memberCount: 42 },
+        user: {
+            id: 'user1',
+            tag: 'user#0001',
+            createdAt: new Date(Date.now() - ageDays * DAY),
+            createdTimestamp: Date.now() - ageDays * DAY,
+            displayAvatarURL: () => 'https://cdn.example/a.png'
+        },
+        roles: { cache: new Collection(roles.map(role => [role.id, role])) },
+        toString: () => '<@user1>'
+    };
+}
+
+function fieldValue(payload, name) {
+    return payload.embeds[0].data.fields.find(field => field.name === name)?.value;
+}
+
+describe('Member logs', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('should show account age on joins and flag new accounts', () => {
+        expect(fieldValue(buildJoinLog(createMember()), 'Account Age')).toBe('400 days');
+        expect(fieldValue(buildJoinLog(createMember({ ageDays: 2 })), 'Account Age')).toBe('2 days ⚠️ New account');
+    });
+
+    test('should list the roles a leaving member had, highest first and without @everyone', () => {
+        const member = createMember({ roles: [createRole('guild1', 0), createRole('low', 1), createRole('high', 5)] });
+
+        expect(fieldValue(buildLeaveLog(member), 'Roles')).toBe('<@&high>, <@&low>');
+        expect(fieldValue(buildLeaveLog(createMember({ roles: [createRole('guild1', 0)] })), 'Roles')).toBe('None');
+    });
+
+    test('should list added and removed roles with the moderator', () => {
+        const added = new Collection([['a', createRole('a', 1)]]);
+        const payload = buildRoleLog(createMember(), added, new Collection(), { executorId: 'mod1' });
+
+        expect(fieldValue(payload, 'Added')).toBe('<@&a>');
+        expect(fieldValue(payload, 'Removed')).toBeUndefined();
+        expect(fieldValue(payload, 'By')).toBe('<@mod1>');
+    });
+
+    test('should tell timeouts apart from removed timeouts', () => {
+        const timedOut = buildTimeoutLog(createMember({ timeoutUntil: Date.now() + 60000 }), null);
+        const lifted = buildTimeoutLog(createMember(), null);
+
+        expect(timedOut.embeds[0].data.title).toBe('🔇 Member Timed Out');
+        expect(lifted.embeds[0].data.title).toBe('🔊 Timeout Removed');
+        expect(fieldValue(lifted, 'By')).toBe('Unknown');
+    });
+
+    describe('guildMemberUpdate', () => {
+        test('should log each change to its own category channel', async () => {
+            getLogChannelId.mockImplementation(async (guildId, category) => `${category}-log`);
+            const role = createRole('r1', 1);
+
+            await guildMemberUpdate.execute(
+                createMember(),
+                createMember({ nickname: 'Nick', roles: [role], timeoutUntil: Date.now() + 60000 })
+            );
+
+            expect(sendLog.mock.calls.map(call => call[1])).toEqual(['nicknames-log', 'roles-log', 'timeouts-log']);
+        });
+
+        test('should look up the audit entry that made each change', async () => {
+            getLogChannelId.mockImplementation(async (guildId, category) => `${category}-log`);
+            const member = createMember({ nickname: 'Nick', timeoutUntil: Date.now() + 60000 });
+
+            await guildMemberUpdate.execute(createMember(), member);
+
+            expect(findAuditLogEntry).toHaveBeenCalledWith(member.guild, AuditLogEvent.MemberUpdate, member.id, { changeKey: 'nick' });
+            expect(findAuditLogEntry).toHaveBeenCalledWith(member.guild, AuditLogEvent.MemberUpdate, member.id, { changeKey: 'communication_disabled_until' });
+        });
+
+        test('should skip the audit log lookup for categories without a channel', async () => {
+            getLogChannelId.mockResolvedValue(null);
+
+            await guildMemberUpdate.execute(createMember(), createMember({ nickname: 'Nick' }));
+
+            expect(findAuditLogEntry).not.toHaveBeenCalled();
+            expect(sendLog).not.toHaveBeenCalled();
+        });
+    });
+});
@@ -4,14 +4,30 @@
  */
 
 const { PermissionFlagsBits } = require('discord.js');
-const { logModerationAction, notifyUser, validateHierarchy, executeModerationAction } = require('../src/utils/moderationUtil');
+const {
+    logModerationAction,
+    createCaseEmbed,
+    sendModerationLog,
+    editCaseReason,
+    deleteCase,
+    notifyUser,
+    validateHierarchy,
+    parseTimeoutDuration,
+    executeModerationAction
+} = require('../src/utils/moderationUtil');
 
 // Mock database
 jest.mock('../src/database', () => ({
     db: {
         insert: jest.fn().mockReturnValue({
-            values: jest.fn().mockResolvedValue({})
-        })
+            values: jest.fn().mockReturnValue({
+                returning: jest.fn().mockReturnValue({
+                    get: jest.fn().mockResolvedValue({ id: 42 })
+                })
+            })
+        }),
+        select: jest.fn(),
+        update: jest.fn()
     }
 }));
 
@@ -25,7 +41,17 @@ jest.mock('../src/utils/logger', () => ({
 // Mock embeds
 jest.mock('../src/utils/embeds', () => ({
     warn: jest.fn(() => ({ data: { title: 'Warning' } })),
-    error: jest.fn(() => ({ data: { title: 'Error' } }))
+    error: jest.fn(() => ({ data: { title: 'Error' } })),
+    success: jest.fn(() => ({ data: { title: 'Success' } })),
+    brand: jest.fn((title) => {
+        const embed = { data: { title, fields: [] } };
+        embed.setColor = jest.fn(() => embed);
+        embed.addFields = jest.fn((...fields) => {
+            embed.data.fields.push(...fields);
+            return embed;
+        });
+        return embed;
+    })
 }));
 
 // Mock error handler
@@ -65,6 +91,190 @@ describe('Moderation Utility', () => {
                 })
             );
         });
+
+        test('should store duration for timed actions', async () => {
+            const insertMock = db.insert().values;
+
+            await logModerationAction('guild123', 'user456', 'mod789', 'TIMEOUT', 'Spam', { duration: 3600000 });
+
+            expect(insertMock).toHaveBeenCalledWith(
+                expect.objectContaining({
+                    action: 'TIMEOUT',
+                    duration: 3600000
+                })
+            );
+        });
+
+        test('should link follow-up actions to the original case and return the entry', async () => {
+            const insertMock = db.insert().values;
+
+            const entry = await logModerationAction('guild123', 'user456', 'bot', 'UNBAN', 'Temporary ban expired', { relatedCaseNumber: 7 });
+
+            expect(insertMock).toHaveBeenCalledWith(
+                expect.objectContaining({
+                    action: 'UNBAN',
+                    relatedCaseNumber: 7
+                })
+            );
+            expect(entry).toEqual({ id: 42 });
+        });
+    });
+
+    describe('case management', () => {
+        const existingCase = { id: 5, guildId: 'guild123', caseNumber: 3, action: 'WARN', reason: 'Old reason' };
+        let setMock;
+
+        function mockCaseLookup(result) {
+            db.select.mockReturnValue({
+                from: jest.fn().mockReturnValue({
+                    where: jest.fn().mockReturnValue({
+                        get: jest.fn().mockResolvedValue(result)
+                    })
+                })
+            });
+        }
+
+        beforeEach(() => {
+            setMock = jest.fn().mockReturnValue({
+                where: jest.fn().mockReturnValue({
+                    returning: jest.fn().mockReturnValue({
+                        get: jest.fn(async () => ({ ...existingCase, ...setMock.mock.calls[0][0] }))
+                    })
+                })
+            });
+            db.update.mockReturnValue({ set: setMock });
+        });
+
+        test('editCaseReason should update the reason and record the edit', async () => {
+            mockCaseLookup(existingCase);
+
+            const result = await editCaseReason('guild123', 3, 'mod789', 'New reason');
+
+            expect(setMock).toHaveBeenCalledWith({ reason: 'New reason' });
+            expect(db.insert().values).toHaveBeenCalledWith(
+                expect.objectContaining({
+                    caseNumber: 3,
+                    editorId: 'mod789',
+                    field: 'reason',
+                    oldValue: 'Old reason',
+                    newValue: 'New reason'
+                })
+            );
+            expect(result.before.reason).toBe('Old reason');
+            expect(result.after.reason).toBe('New reason');
+        });
+
+        test('editCaseReason should return null for unknown cases', async () => {
+            mockCaseLookup(undefined);
+
+            const result = await editCaseReason('guild123', 99, 'mod789', 'New reason');
+
+            expect(result).toBeNull();
+            expect(db.update).not.toHaveBeenCalled();
+        });
+
+        test('deleteCase should soft-delete and record the deletion', async () => {
+            mockCaseLookup(existingCase);
+
+            const deleted = await deleteCase('guild123', 3, 'mod789', 'Issued by mistake');
+
+            expect(setMock).toHaveBeenCalledWith(
+                expect.objectContaining({ deletedAt: expect.any(Date), deletedBy: 'mod789' })
+            );
+            expect(db.insert().values).toHaveBeenCalledWith(
+                expect.objectContaining({
+                    caseNumber: 3,
+                    field: 'deleted',
+                    newValue: 'Issued by mistake'
+                })
+            );
+            expect(deleted.deletedBy).toBe('mod789');
+        });
+
+        test('deleteCase should return null for unknown cases', async () => {
+            mockCaseLookup(undefined);
+
+            expect(await deleteCase('guild123', 99, 'mod789')).toBeNull();
+            expect(db.update).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('log channel', () => {
+        const entry = { caseNumber: 4, action: 'WARN', targetId: 'user456', executorId: 'mod789', reason: 'Spam' };
+
+        function mockLogChannel(logChannel) {
+            db.select.mockReturnValue({
+                from: jest.fn().mockReturnValue({
+                    where: jest.fn().mockReturnValue({
+                        get: jest.fn().mockResolvedValue(logChannel ? { logChannel } : { logChannel: null })
+                    })
+                })
+            });
+        }
+
+        function createGuild(channel) {
+            return { id: 'guild123', channels: { fetch: jest.fn().mockResolvedValue(channel) } };
+        }
+
+        test('createCaseEmbed should show target, moderator, reason, case number and DM status', () => {
+            const embed = createCaseEmbed(entry, { dmSent: false });
+            const fields = Object.fromEntries(embed.data.fields.map(field => [field.name, field.value]));
+
+            expect(embed.data.title).toBe('Case #4 | WARN');
+            expect(fields.Target).toContain('<@user456>');
+            expect(fields.Moderator).toBe('<@mod789>');
+            expect(fields.Reason).toBe('Spam');
+            expect(fields.DM).toContain('Failed');
+        });
+
+        test('createCaseEmbed should mention channels for channel actions', () => {
+            const embed = createCaseEmbed({ ...entry, action: 'LOCK', targetId: 'chan1' });
+            const target = embed.data.fields.find(field => field.name === 'Target');
+
+            expect(target.value).toContain('<#chan1>');
+        });
+
+        test('sendModerationLog should post to the configured log channel', async () => {
+            const channel = { id: 'log1', send: jest.fn().mockResolvedValue({ id: 'msg1' }) };
+            const guild = createGuild(channel);
+            mockLogChannel('log1');
+
+            await sendModerationLog(guild, entry, { dmSent: true });
+
+            expect(guild.channels.fetch).toHaveBeenCalledWith('log1', expect.any(Object));
+            expect(channel.send).toHaveBeenCalledWith(expect.objectContaining({
+                embeds: [expect.objectContaining({ data: expect.any(Object) })]
+            }));
+        });
+
+        test('sendModerationLog should attach files such as transcripts', async () => {
+            const channel = { id: 'log1', send: jest.fn().mockResolvedValue({ id: 'msg1' }) };
+            const transcript = { name: 'transcript.txt' };
+            mockLogChannel('log1');
+
+            await sendModerationLog(createGuild(channel), { ...entry, action: 'CLEAR' }, { files: [transcript] });
+
+            expect(channel.send).toHaveBeenCalledWith(expect.objectContaining({ files: [transcript] }));
+        });
+
+        test('sendModerationLog should do nothing without a log channel', async () => {
+            const guild = createGuild(null);
+            mockLogChannel(null);
+
+            const result = await sendModerationLog(guild, entry);
+
+            expect(result).toBeNull();
+            expect(guild.channels.fetch).not.toHaveBeenCalled();
+        });
+
+        test('logModerationAction should post when given a guild', async () => {
+            const channel = { id: 'log1', send: jest.fn().mockResolvedValue({ id: 'msg1' }) };
+            mockLogChannel('log1');
+
+            await logModerationAction('guild123', 'chan1', 'mod789', 'CLEAR', 'Deleted 5 messages', { guild: createGuild(channel) });
+
+            expect(channel.send).toHaveBeenCalled();
+        });
     });
 
     describe('notifyUser', () => {
@@ -105,6 +315,38 @@ describe('Moderation Utility', () => {
             expect(mockUser.send).toHaveBeenCalledTimes(3);
         });
 
+        test('should attach an Appeal button to ban DMs only', async () => {
+            const mockUser = {
+                send: jest.fn().mockResolvedValue({}),
+                tag: 'TestUser#1234'
+            };
+            const appeal = { guildId: 'guild123', caseNumber: 7 };
+
+            await notifyUser(mockUser, 'ban', 'Guild', 'Reason', 'Mod', { appeal });
+            await notifyUser(mockUser, 'kick', 'Guild', 'Reason', 'Mod', { appeal });
+
+            const [banDM, kickDM] = mockUser.send.mock.calls.map(call => call[0]);
+            expect(banDM.components[0].toJSON().components[0].custom_id).toBe('appeal_open_guild123_7');
+            expect(kickDM.components).toEqual([]);
+        });
+
+        test('should support timeout and untimeout with duration', async () => {
+            const embeds = require('../src/utils/embeds');
+            const mockUser = {
+                send: jest.fn().mockResolvedValue({}),
+                tag: 'TestUser#1234'
+            };
+
+            await notifyUser(mockUser, 'timeout', 'Guild', 'Reason', 'Mod', { duration: 3600000 });
+            await notifyUser(mockUser, 'untimeout', 'Guild', 'Reason', 'Mod');
+
+            expect(mockUser.send).toHaveBeenCalledTimes(2);
+            expect(embeds.warn).toHaveBeenCalledWith(
+                'Timed out in Guild',
+                expect.stringContaining('1 hour')
+            );
+        });
+
         test('should handle unknown action types', async () => {
             const mockUser = {
                 send: jest.fn().mockResolvedValue({}),
@@ -262,6 +504,28 @@ describe('Moderation Utility', () => {
         });
     });
 
+    describe('parseTimeoutDuration', () => {
+        test('should parse valid durations', () => {
+            const result = parseTimeoutDuration('1h 30m');
+
+            expect(result.success).toBe(true);
+            expect(result.duration).toBe(5400000);
+        });
+
+        test('should reject durations over 28 days', () => {
+            const result = parseTimeoutDuration('29d');
+
+            expect(result.success).toBe(false);
+            expect(result.error).toContain('28 days');
+        });
+
+        test('should reject invalid input', () => {
+            const result = parseTimeoutDuration('soon');
+
+            expect(result.success).toBe(false);
+        });
+    });
+
     describe('executeModerationAction', () => {
         test('should log and notify by default', async () => {
             const mockUser = {
@@ -313,5 +577,37 @@ describe('Moderation Utility', () => {
             expect(db.insert).toHaveBeenCalled();
             expect(mockUser.send).not.toHaveBeenCalled();
         });
+
+        test('should post the DM outcome to the log channel', async () => {
+            const channel = { id: 'log1', send: jest.fn().mockResolvedValue({ id: 'msg1' }) };
+            db.select.mockReturnValue({
+                from: () => ({ where: () => ({ get: jest.fn().mockResolvedValue({ logChannel: 'log1' }) }) })
+            });
+
+            const mockUser = {
+                send: jest.fn().mockRejectedValue(new Error('Cannot send messages to this user')),
+                tag: 'Target#1234',
+                id: '456'
+            };
+
+            const mockExecutor = {
+                id: '789',
+                user: { tag: 'Mod#5678' },
+                guild: { id: 'guild123', channels: { fetch: jest.fn().mockResolvedValue(channel) } }
+            };
+
+            await executeModerationAction({
+                guildId: 'guild123',
+                guildName: 'Test Guild',
+                target: mockUser,
+                executor: mockExecutor,
+                action: 'KICK',
+                reason: 'Test reason'
+            });
+
+            const [{ embeds: [embed] }] = channel.send.mock.calls[0];
+            const dmField = embed.data.fields.find(field => field.name === 'DM');
+            expect(dmField.value).toContain('Failed');
+        });
     });
 });
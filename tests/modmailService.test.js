@@ -0,0 +1,300 @@
+/**
+ * Modmail Service Tests
+ * Tests ticket opening, DM/staff relays, internal notes and closing with a transcript
+ */
+
+const mockGuildConfig = { get: jest.fn() };
+mockGuildConfig.from = () => mockGuildConfig;
+mockGuildConfig.where = () => mockGuildConfig;
+
+jest.mock('../src/database', () => ({ db: { select: () => mockGuildConfig } }));
+
+jest.mock('../src/utils/logger', () => ({
+    info: jest.fn(),
+    success: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+}));
+
+jest.mock('../src/utils/discordApiUtil', () => ({
+    fetchMember: jest.fn(),
+    fetchChannel: jest.fn(),
+    safeDMUser: jest.fn().mockResolvedValue({}),
+    safeChannelSend: jest.fn().mockResolvedValue({})
+}));
+
+jest.mock('../src/utils/modmailUtil', () => ({
+    ...jest.requireActual('../src/utils/modmailUtil'),
+    getModmailConfig: jest.fn(),
+    getModmailConfigs: jest.fn(),
+    getOpenTickets: jest.fn(),
+    createTicket: jest.fn(),
+    markTicketClosed: jest.fn(),
+    recordTicketMessage: jest.fn(),
+    getTicketMessages: jest.fn()
+}));
+
+const { Collection, ChannelType } = require('discord.js');
+const ModmailService = require('../src/services/modmailService');
+const { fetchMember, fetchChannel, safeDMUser, safeChannelSend } = require('../src/utils/discordApiUtil');
+const modmailUtil = require('../src/utils/modmailUtil');
+
+const user = {
+    id: 'user1',
+    tag: 'user#0001',
+    username: 'user',
+    createdTimestamp: Date.now() - 86400000,
+    displayAvatarURL: () => 'https://cdn.example/a.png',
+    toString: () => '<@user1>'
+};
+
+function createGuild(id, name) {
+    return { id, name, iconURL: () => null };
+}
+
+function createMessage(content, overrides = {}) {
+    return {
+        content,
+        author: user,
+        attachments: new Collection(),
+        createdTimestamp: Date.now(),
+        reply: jest.fn().mockResolvedValue({}),
+        react: jest.fn().mockResolvedValue({}),
+        ...overrides
+    };
+}
+
+function createThread(id = 'thread1') {
+    return {
+        id,
+        archived: false,
+        send: jest.fn().mockResolvedValue({}),
+        setLocked: jest.fn().mockResolvedValue({}),
+        setArchived: jest.fn().mockResolvedValue({})
+    };
+}
+
+describe('ModmailService', () => {
+    let service;
+    let client;
+    let guildA;
+    let guildB;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        guildA = createGuild('guildA', 'Guild A');
+        guildB = createGuild('guildB', 'Guild B');
+        client = {
+            user: { id: 'bot123' },
+            guilds: { cache: new Collection([['guildA', guildA], ['guildB', guildB]]) },
+            users: { fetch: jest.fn().mockResolvedValue(user) },
+            // Ticket threads resolve through the same mock as other channels unless a test says otherwise
+            channels: { fetch: jest.fn(id => fetchChannel(client, id)) }
+        };
+        service = new ModmailService(client);
+        modmailUtil.createTicket.mockImplementation(async ticket => ({ id: 1, status: 'open', openedAt: new Date(), ...ticket }));
+        fetchMember.mockResolvedValue({ id: 'user1', joinedTimestamp: Date.now() });
+    });
+
+    afterEach(() => {
+        service.cleanup();
+    });
+
+    test('loadTickets restores open tickets after a restart', async () => {
+        modmailUtil.getOpenTickets.mockResolvedValue([{ id: 3, userId: 'user1', threadId: 'thread3', guildId: 'guildA' }]);
+
+        await service.loadTickets();
+
+        expect(service.getTicketByThread('thread3').id).toBe(3);
+        expect(service.getTicketByUser('user1').threadId).toBe('thread3');
+        expect(service.getTicketByUser('user2')).toBeNull();
+    });
+
+    test('a DM to a member with an open ticket is relayed to its thread', async () => {
+        const thread = createThread('thread3');
+        service.tickets.set('thread3', { id: 3, userId: 'user1', threadId: 'thread3', guildId: 'guildA' });
+        fetchChannel.mockResolvedValue(thread);
+        const message = createMessage('Hello again');
+
+        await service.handleDirectMessage(message);
+
+        expect(safeChannelSend).toHaveBeenCalledWith(thread, expect.any(Object), expect.any(Object));
+        expect(safeChannelSend.mock.calls[0][1].embeds[0].data.description).toBe('Hello again');
+        expect(modmailUtil.recordTicketMessage).toHaveBeenCalledWith(3, message, false);
+        expect(message.react).toHaveBeenCalledWith('✅');
+    });
+
+    test('a ticket whose thread was deleted is closed and a new one opened', async () => {
+        const error = new Error('Unknown Channel');
+        error.code = 10003;
+        service.tickets.set('thread3', { id: 3, userId: 'user1', threadId: 'thread3', guildId: 'guildA' });
+        client.channels.fetch.mockRejectedValue(error);
+        modmailUtil.getModmailConfigs.mockResolvedValue([]);
+
+        await service.handleDirectMessage(createMessage('Hello again'));
+
+        expect(modmailUtil.markTicketClosed).toHaveBeenCalledWith(3, 'bot123', 'Ticket thread was deleted');
+        expect(service.getTicketByThread('thread3')).toBeNull();
+    });
+
+    test('a thread that can\'t be reached right now keeps the ticket open', async () => {
+        const error = new Error('Service Unavailable');
+        error.status = 503;
+        service.tickets.set('thread3', { id: 3, userId: 'user1', threadId: 'thread3', guildId: 'guildA' });
+        client.channels.fetch.mockRejectedValue(error);
+        const message = createMessage('Hello again');
+
+        await service.handleDirectMessage(message);
+
+        expect(modmailUtil.markTicketClosed).not.toHaveBeenCalled();
+        expect(service.getTicketByThread('thread3').id).toBe(3);
+        expect(message.react).toHaveBeenCalledWith('❌');
+    });
+
+    test('a DM is turned down when no shared server has modmail', async () => {
+        modmailUtil.getModmailConfigs.mockResolvedValue([]);
+        const message = createMessage('Hi');
+
+        await service.handleDirectMessage(message);
+
+        expect(message.reply.mock.calls[0][0].embeds[0].data.title).toContain('Modmail Unavailable');
+        expect(modmailUtil.createTicket).not.toHaveBeenCalled();
+    });
+
+    test('a DM opens a forum post when one server has modmail', async () => {
+        const thread = createThread();
+        const forum = { type: ChannelType.GuildForum, threads: { create: jest.fn().mockResolvedValue(thread) } };
+        modmailUtil.getModmailConfigs.mockResolvedValue([{ guildId: 'guildA', channelId: 'forum1' }]);
+        modmailUtil.getModmailConfig.mockResolvedValue({ guildId: 'guildA', channelId: 'forum1' });
+        fetchChannel.mockImplementation(async (_, id) => (id === 'forum1' ? forum : thread));
+
+        await service.handleDirectMessage(createMessage('I need help'));
+
+        expect(forum.threads.create).toHaveBeenCalledWith(expect.objectContaining({ name: 'modmail-user', message: expect.any(Object) }));
+        expect(modmailUtil.createTicket).toHaveBeenCalledWith({ guildId: 'guildA', userId: 'user1', threadId: 'thread1' });
+        expect(service.getTicketByThread('thread1')).not.toBeNull();
+        expect(modmailUtil.recordTicketMessage).toHaveBeenCalledTimes(1);
+    });
+
+    test('a text channel gets a thread with the opening message sent into it', async () => {
+        const thread = createThread();
+        const channel = { type: ChannelType.GuildText, threads: { create: jest.fn().mockResolvedValue(thread) } };
+        modmailUtil.getModmailConfigs.mockResolvedValue([{ guildId: 'guildA', channelId: 'text1' }]);
+        modmailUtil.getModmailConfig.mockResolvedValue({ guildId: 'guildA', channelId: 'text1' });
+        fetchChannel.mockImplementation(async (_, id) => (id === 'text1' ? channel : thread));
+
+        await service.handleDirectMessage(createMessage('I need help'));
+
+        expect(channel.threads.create.mock.calls[0][0].message).toBeUndefined();
+        expect(thread.send.mock.calls[0][0].embeds[0].data.title).toContain('New Modmail Ticket');
+    });
+
+    test('members in several modmail servers pick one, and held messages are relayed after', async () => {
+        const thread = createThread();
+        const forum = { type: ChannelType.GuildForum, threads: { create: jest.fn().mockResolvedValue(thread) } };
+        modmailUtil.getModmailConfigs.mockResolvedValue([
+            { guildId: 'guildA', channelId: 'forum1' },
+            { guildId: 'guildB', channelId: 'forum2' }
+        ]);
+        modmailUtil.getModmailConfig.mockResolvedValue({ guildId: 'guildB', channelId: 'forum2' });
+        fetchChannel.mockImplementation(async (_, id) => (id === 'forum2' ? forum : thread));
+
+        const first = createMessage('First');
+        await service.handleDirectMessage(first);
+        await service.handleDirectMessage(createMessage('Second'));
+
+        const menu = first.reply.mock.calls[0][0].components[0].components[0].data;
+        expect(menu.custom_id).toBe('modmail_guild');
+        expect(first.reply).toHaveBeenCalledTimes(1);
+        expect(modmailUtil.createTicket).not.toHaveBeenCalled();
+
+        const interaction = { user, values: ['guildB'], update: jest.fn().mockResolvedValue({}) };
+        await service.handleGuildSelect(interaction);
+
+        expect(modmailUtil.createTicket).toHaveBeenCalledWith(expect.objectContaining({ guildId: 'guildB' }));
+        expect(modmailUtil.recordTicketMessage).toHaveBeenCalledTimes(2);
+        expect(service.pendingSelections.size).toBe(0);
+    });
+
+    test('an expired server pick asks the member to send their message again', async () => {
+        const interaction = { user, values: ['guildA'], update: jest.fn().mockResolvedValue({}) };
+
+        await service.handleGuildSelect(interaction);
+
+        expect(interaction.update.mock.calls[0][0].embeds[0].data.title).toContain('Selection Expired');
+    });
+
+    test('staff replies are relayed to the member, internal notes are not', async () => {
+        service.tickets.set('thread1', { id: 1, userId: 'user1', threadId: 'thread1', guildId: 'guildA' });
+        const staff = { id: 'mod1', tag: 'mod#0001' };
+        const reply = createMessage('We are on it', { channelId: 'thread1', guild: guildA, author: staff });
+        const note = createMessage('// check their history', { channelId: 'thread1', guild: guildA, author: staff });
+
+        expect(await service.handleStaffMessage(note)).toBe(true);
+        expect(safeDMUser).not.toHaveBeenCalled();
+
+        expect(await service.handleStaffMessage(reply)).toBe(true);
+        expect(safeDMUser.mock.calls[0][1].embeds[0].data.author.name).toBe('Guild A Staff');
+        expect(modmailUtil.recordTicketMessage).toHaveBeenCalledWith(1, reply, true);
+        expect(reply.react).toHaveBeenCalledWith('✅');
+    });
+
+    test('messages outside ticket threads are left alone', async () => {
+        const message = createMessage('Hello', { channelId: 'general', guild: guildA });
+
+        expect(await service.handleStaffMessage(message)).toBe(false);
+    });
+
+    test('a failed DM is flagged on the staff message', async () => {
+        service.tickets.set('thread1', { id: 1, userId: 'user1', threadId: 'thread1', guildId: 'guildA' });
+        safeDMUser.mockResolvedValueOnce(null);
+        const reply = createMessage('Hello?', { channelId: 'thread1', guild: guildA });
+
+        await service.handleStaffMessage(reply);
+
+        expect(modmailUtil.recordTicketMessage).not.toHaveBeenCalled();
+        expect(reply.react).toHaveBeenCalledWith('❌');
+    });
+
+    test('closing keeps the transcript in the thread when there is no log channel', async () => {
+        const thread = createThread();
+        const ticket = { id: 1, userId: 'user1', threadId: 'thread1', guildId: 'guildA', openedAt: new Date() };
+        service.tickets.set('thread1', ticket);
+        mockGuildConfig.get.mockResolvedValue({ logChannel: null });
+        modmailUtil.getTicketMessages.mockResolvedValue([]);
+        fetchChannel.mockResolvedValue(thread);
+
+        const result = await service.closeTicket(ticket, { guild: guildA, closedBy: { id: 'mod1', tag: 'mod#0001' }, reason: 'Solved' });
+
+        expect(result).toEqual({ messageCount: 0, logged: false });
+        expect(modmailUtil.markTicketClosed).toHaveBeenCalledWith(1, 'mod1', 'Solved');
+        expect(service.getTicketByThread('thread1')).toBeNull();
+        expect(safeDMUser.mock.calls[0][1].embeds[0].data.description).toContain('Solved');
+        expect(safeChannelSend.mock.calls[0][1].files).toHaveLength(1);
+        expect(thread.setLocked).toHaveBeenCalledWith(true);
+        expect(thread.setArchived).toHaveBeenCalledWith(true);
+    });
+});
+
+describe('renderModmailTranscript', () => {
+    test('lists both sides of the conversation oldest first', () => {
+        const ticket = { id: 7, userId: 'user1', openedAt: new Date('2024-01-01T00:00:00Z') };
+        const messages = [
+            { authorId: 'user1', authorTag: 'user#0001', fromStaff: false, content: 'Help', attachments: null, createdAt: new Date('2024-01-01T00:01:00Z') },
+            { authorId: 'mod1', authorTag: 'mod#0001', fromStaff: true, content: 'Sure', attachments: 'https://cdn.example/a.png', createdAt: new Date('2024-01-01T00:02:00Z') }
+        ];
+
+        const transcript = modmailUtil.renderModmailTranscript(ticket, messages, {
+            guild: { name: 'Guild A' },
+            closedBy: { id: 'mod1', tag: 'mod#0001' },
+            reason: 'Solved'
+        });
+
+        expect(transcript).toContain('Modmail ticket #7 with user user1 in Guild A');
+        expect(transcript).toContain('Closed by mod#0001 (mod1)');
+        expect(transcript).toContain(': Solved');
+        expect(transcript.indexOf('Help')).toBeLessThan(transcript.indexOf('[Staff] mod#0001'));
+        expect(transcript).toContain('Attachments: https://cdn.example/a.png');
+    });
+});
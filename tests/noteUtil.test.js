@@ -0,0 +1,75 @@
+/**
+ * Note Utility Tests
+ * Tests private moderator notes on members
+ */
+
+// Mock database
+const mockSelectAll = jest.fn();
+const mockInsertGet = jest.fn();
+const mockDeleteAll = jest.fn();
+
+jest.mock('../src/database', () => ({
+    db: {
+        select: jest.fn(() => ({
+            from: () => ({ where: () => ({ orderBy: () => ({ all: mockSelectAll }) }) })
+        })),
+        insert: jest.fn(() => ({
+            values: () => ({ returning: () => ({ get: mockInsertGet }) })
+        })),
+        delete: jest.fn(() => ({
+            where: () => ({ returning: () => ({ all: mockDeleteAll }) })
+        }))
+    }
+}));
+
+// Mock logger
+jest.mock('../src/utils/logger', () => ({
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+}));
+
+const { db } = require('../src/database');
+const { addNote, removeNote, formatNote, MAX_NOTES_PER_USER } = require('../src/utils/noteUtil');
+
+describe('Note Utility', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('should add a note', async () => {
+        mockSelectAll.mockResolvedValue([]);
+        mockInsertGet.mockResolvedValue({ id: 4, content: 'Talked to them in VC' });
+
+        const result = await addNote('guild1', 'user1', 'mod1', 'Talked to them in VC');
+
+        expect(result.success).toBe(true);
+        expect(result.note.id).toBe(4);
+    });
+
+    test('should cap the number of notes per member', async () => {
+        mockSelectAll.mockResolvedValue(Array.from({ length: MAX_NOTES_PER_USER }, (_, i) => ({ id: i + 1 })));
+
+        const result = await addNote('guild1', 'user1', 'mod1', 'One more');
+
+        expect(result.success).toBe(false);
+        expect(db.insert).not.toHaveBeenCalled();
+    });
+
+    test('should return null when removing a missing note', async () => {
+        mockDeleteAll.mockResolvedValue([]);
+
+        expect(await removeNote('guild1', 99)).toBeNull();
+    });
+
+    test('should format notes with author and truncated content', () => {
+        const note = { id: 4, authorId: 'mod1', content: 'x'.repeat(200), createdAt: new Date() };
+
+        const line = formatNote(note, 50);
+
+        expect(line).toContain('**Note #4**');
+        expect(line).toContain('<@mod1>');
+        expect(line).toContain(`${'x'.repeat(49)}…`);
+    });
+});
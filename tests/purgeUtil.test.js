@@ -0,0 +1,172 @@
+/**
+ * Purge Utility Tests
+ * Tests /clear filters, message collection and batched deletion
+ */
+
+const { Collection } = require('discord.js');
+const {
+    buildMessageFilter,
+    collectMessages,
+    renderTranscript,
+    bulkDeleteMessages,
+    BULK_DELETE_MAX_AGE
+} = require('../src/utils/purgeUtil');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function createMessage(id, overrides = {}) {
+    return {
+        id: String(id),
+        content: 'hello world',
+        author: { id: 'user1', bot: false },
+        attachments: new Collection(),
+        createdTimestamp: Date.now(),
+        ...overrides
+    };
+}
+
+/**
+ * Fake channel that pages newest-first like channel.messages.fetch
+ */
+function createChannel(messages) {
+    const sorted = [...messages].sort((a, b) => (BigInt(b.id) > BigInt(a.id) ? 1 : -1));
+
+    return {
+        messages: {
+            fetch: jest.fn(async ({ limit, before }) => {
+                const start = before ? sorted.findIndex(m => m.id === before) + 1 : 0;
+                return new Collection(sorted.slice(start, start + limit).map(m => [m.id, m]));
+            })
+        },
+        bulkDelete: jest.fn(async (ids) => new Collection(ids.map(id => [id, {}])))
+    };
+}
+
+describe('Purge Utility', () => {
+    describe('buildMessageFilter', () => {
+        test('should match everything without filters', () => {
+            const { filter } = buildMessageFilter();
+
+            expect(filter(createMessage(1))).toBe(true);
+        });
+
+        test('should filter by user and bots', () => {
+            const { filter: byUser } = buildMessageFilter({ userId: 'user2' });
+            const { filter: byBots } = buildMessageFilter({ bots: true });
+
+            expect(byUser(createMessage(1))).toBe(false);
+            expect(byUser(createMessage(2, { author: { id: 'user2' } }))).toBe(true);
+            expect(byBots(createMessage(3, { author: { id: 'bot', bot: true } }))).toBe(true);
+            expect(byBots(createMessage(4))).toBe(false);
+        });
+
+        test('should filter by text, pattern, attachments and links', () => {
+            const withAttachment = createMessage(1, { attachments: new Collection([['a', {}]]) });
+            const withLink = createMessage(2, { content: 'see https://example.com' });
+
+            expect(buildMessageFilter({ contains: 'WORLD' }).filter(createMessage(3))).toBe(true);
+            expect(buildMessageFilter({ regex: '^hel+o' }).filter(createMessage(4))).toBe(true);
+            expect(buildMessageFilter({ regex: '^bye' }).filter(createMessage(5))).toBe(false);
+            expect(buildMessageFilter({ attachments: true }).filter(withAttachment)).toBe(true);
+            expect(buildMessageFilter({ attachments: true }).filter(createMessage(6))).toBe(false);
+            expect(buildMessageFilter({ links: true }).filter(withLink)).toBe(true);
+            expect(buildMessageFilter({ links: true }).filter(createMessage(7))).toBe(false);
+        });
+
+        test('should reject invalid patterns', () => {
+            const result = buildMessageFilter({ regex: '(unclosed' });
+
+            expect(result.success).toBe(false);
+            expect(result.error).toContain('Invalid pattern');
+        });
+    });
+
+    describe('collectMessages', () => {
+        const matchAll = () => true;
+
+        test('should page past 100 messages for larger amounts', async () => {
+            const channel = createChannel(Array.from({ length: 250 }, (_, i) => createMessage(1000 + i)));
+
+            const { deletable } = await collectMessages(channel, { amount: 150, filter: matchAll });
+
+            expect(deletable).toHaveLength(150);
+            expect(channel.messages.fetch).toHaveBeenCalledTimes(2);
+        });
+
+        test('should count messages older than 14 days as skipped', async () => {
+            const old = Date.now() - BULK_DELETE_MAX_AGE - DAY;
+            const channel = createChannel([
+                createMessage(3),
+                createMessage(2, { createdTimestamp: old }),
+                createMessage(1, { createdTimestamp: old })
+            ]);
+
+            const { deletable, tooOld } = await collectMessages(channel, { amount: 10, filter: matchAll });
+
+            expect(deletable.map(m => m.id)).toEqual(['3']);
+            expect(tooOld).toBe(2);
+        });
+
+        test('should stop at the "after" message and honour exclusions', async () => {
+            const channel = createChannel([createMessage(5), createMessage(4), createMessage(3), createMessage(2)]);
+
+            const { deletable } = await collectMessages(channel, {
+                amount: 10,
+                filter: matchAll,
+                afterId: '3',
+                excludeIds: new Set(['5'])
+            });
+
+            expect(deletable.map(m => m.id)).toEqual(['4']);
+        });
+    });
+
+    describe('renderTranscript', () => {
+        test('should list authors, timestamps, content and attachment URLs oldest first', () => {
+            const now = Date.now();
+            const messages = [
+                createMessage(2, { content: 'second', createdTimestamp: now }),
+                createMessage(1, {
+                    content: 'first',
+                    author: { id: 'user2', tag: 'Alice#0001' },
+                    createdTimestamp: now - 60000,
+                    attachments: new Collection([['a', { url: 'https://cdn.example/file.png' }]])
+                })
+            ];
+
+            const transcript = renderTranscript(messages, {
+                channel: { id: 'chan1', name: 'general', guild: { name: 'Test Guild' } },
+                executor: { id: 'mod1', tag: 'Mod#0001' }
+            });
+
+            expect(transcript).toContain('#general (chan1) in Test Guild');
+            expect(transcript).toContain('Cleared by Mod#0001 (mod1)');
+            expect(transcript).toContain('Alice#0001 (user2)');
+            expect(transcript).toContain(new Date(now - 60000).toISOString());
+            expect(transcript).toContain('Attachments: https://cdn.example/file.png');
+            expect(transcript.indexOf('first')).toBeLessThan(transcript.indexOf('second'));
+        });
+
+        test('should fall back to a bulk delete header without an executor', () => {
+            const transcript = renderTranscript([createMessage(1)], {
+                channel: { id: 'chan1', name: 'general', guild: { name: 'Test Guild' } }
+            });
+
+            expect(transcript).toContain('Bulk deleted at');
+            expect(transcript).not.toContain('Cleared by');
+        });
+    });
+
+    describe('bulkDeleteMessages', () => {
+        test('should delete in batches of 100', async () => {
+            const messages = Array.from({ length: 230 }, (_, i) => createMessage(i + 1));
+            const channel = createChannel([]);
+
+            const deleted = await bulkDeleteMessages(channel, messages);
+
+            expect(deleted).toBe(230);
+            expect(channel.bulkDelete).toHaveBeenCalledTimes(3);
+            expect(channel.bulkDelete.mock.calls[2][0]).toHaveLength(30);
+        });
+    });
+});
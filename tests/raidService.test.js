@@ -0,0 +1,204 @@
+/**
+ * Raid Service Tests
+ * Tests join-rate detection, raid mode and the minimum account age gate
+ */
+
+// Mock database (log channel lookup for alerts)
+jest.mock('../src/database', () => ({
+    db: {
+        select: jest.fn(() => ({
+            from: () => ({ where: () => ({ get: jest.fn().mockResolvedValue({ logChannel: 'log1' }) }) })
+        }))
+    }
+}));
+
+// Mock logger
+jest.mock('../src/utils/logger', () => ({
+    info: jest.fn(),
+    success: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+}));
+
+jest.mock('../src/utils/moderationUtil', () => ({
+    logModerationAction: jest.fn().mockResolvedValue({ caseNumber: 1 }),
+    executeModerationAction: jest.fn().mockResolvedValue({ caseNumber: 2 })
+}));
+
+jest.mock('../src/utils/raidUtil', () => ({
+    getRaidConfig: jest.fn()
+}));
+
+jest.mock('../src/utils/lockdownUtil', () => ({
+    getLockdownSnapshots: jest.fn().mockResolvedValue([]),
+    resolveLockdownChannels: jest.fn().mockResolvedValue([{ id: 'chan1' }]),
+    startLockdown: jest.fn().mockResolvedValue({ locked: [{ id: 'chan1' }], failed: [] })
+}));
+
+const RaidService = require('../src/services/raidService');
+const { logModerationAction, executeModerationAction } = require('../src/utils/moderationUtil');
+const { getRaidConfig } = require('../src/utils/raidUtil');
+const { startLockdown } = require('../src/utils/lockdownUtil');
+const { getAccountAge } = require('../src/utils/welcomeUtil');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function settings(overrides = {}) {
+    return {
+        guildId: 'guild1',
+        enabled: true,
+        joinThreshold: 3,
+        joinWindow: 10,
+        action: 'alert',
+        alertChannelId: null,
+        minAccountAge: null,
+        accountAgeAction: 'kick',
+        quarantineRoleId: null,
+        ...overrides
+    };
+}
+
+function createGuild() {
+    const alertChannel = { id: 'log1', send: jest.fn().mockResolvedValue({}) };
+    const members = new Map();
+
+    const guild = {
+        id: 'guild1',
+        name: 'Test Guild',
+        alertChannel,
+        roles: { cache: new Map([['quarantine', { id: 'quarantine', name: 'Quarantine', position: 1 }]]) },
+        channels: { fetch: jest.fn().mockResolvedValue(alertChannel) },
+        members: {
+            me: { id: 'bot123', roles: { highest: { position: 10 } } },
+            fetch: jest.fn(async ({ user }) => members.get(user))
+        }
+    };
+    guild.addMember = (member) => members.set(member.id, member);
+    return guild;
+}
+
+function createMember(guild, id, { ageDays = 400 } = {}) {
+    const member = {
+        id,
+        guild,
+        user: { id, tag: `${id}#0001`, bot: false, createdAt: new Date(Date.now() - ageDays * DAY) },
+        kickable: true,
+        kick: jest.fn().mockResolvedValue(),
+        roles: { cache: new Map(), add: jest.fn().mockResolvedValue() }
+    };
+    guild.addMember(member);
+    return member;
+}
+
+describe('RaidService', () => {
+    let service;
+    let guild;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        service = new RaidService({ user: { id: 'bot123' } });
+        guild = createGuild();
+    });
+
+    afterEach(() => {
+        service.cleanup();
+    });
+
+    test('getAccountAge should count whole days and 30-day months', () => {
+        const now = new Date('2024-03-01T00:00:00Z');
+        const user = { createdAt: new Date(now.getTime() - 65.5 * DAY) };
+
+        expect(getAccountAge(user, now)).toEqual({ days: 65, months: 2 });
+    });
+
+    test('should ignore guilds without raid protection', async () => {
+        getRaidConfig.mockResolvedValue(null);
+
+        expect(await service.checkMember(createMember(guild, 'u1', { ageDays: 0 }))).toBe(false);
+    });
+
+    test('should alert staff once the join threshold is reached', async () => {
+        getRaidConfig.mockResolvedValue(settings());
+
+        expect(await service.checkMember(createMember(guild, 'u1'))).toBe(false);
+        expect(await service.checkMember(createMember(guild, 'u2'))).toBe(false);
+        expect(guild.alertChannel.send).not.toHaveBeenCalled();
+
+        expect(await service.checkMember(createMember(guild, 'u3'))).toBe(false);
+        expect(guild.alertChannel.send).toHaveBeenCalledTimes(1);
+        expect(service.isRaidMode('guild1')).toBe(true);
+
+        // Further joins during raid mode don't re-alert
+        await service.checkMember(createMember(guild, 'u4'));
+        expect(guild.alertChannel.send).toHaveBeenCalledTimes(1);
+    });
+
+    test('should start a lockdown and log it when configured', async () => {
+        getRaidConfig.mockResolvedValue(settings({ action: 'lockdown', joinThreshold: 2 }));
+
+        await service.checkMember(createMember(guild, 'u1'));
+        await service.checkMember(createMember(guild, 'u2'));
+
+        expect(startLockdown).toHaveBeenCalledWith(guild, [{ id: 'chan1' }], expect.objectContaining({ executorId: 'bot123' }));
+        expect(logModerationAction).toHaveBeenCalledWith('guild1', 'guild1', 'bot123', 'LOCKDOWN', expect.any(String), { guild });
+    });
+
+    test('should warn instead of logging a lockdown when no channel could be locked', async () => {
+        getRaidConfig.mockResolvedValue(settings({ action: 'lockdown', joinThreshold: 2 }));
+        startLockdown.mockResolvedValueOnce({ locked: [], failed: [{ channel: { id: 'chan1' }, error: 'Missing Permissions' }] });
+
+        await service.checkMember(createMember(guild, 'u1'));
+        await service.checkMember(createMember(guild, 'u2'));
+
+        expect(logModerationAction).not.toHaveBeenCalled();
+        const alert = guild.alertChannel.send.mock.calls[0][0].embeds[0].data.description;
+        expect(alert).toContain('Lockdown failed');
+        expect(alert).not.toContain('/mod lockdown end');
+    });
+
+    test('should kick the raid joins and keep kicking during raid mode', async () => {
+        getRaidConfig.mockResolvedValue(settings({ action: 'kick', joinThreshold: 2 }));
+        const first = createMember(guild, 'u1');
+        const second = createMember(guild, 'u2');
+        const third = createMember(guild, 'u3');
+
+        expect(await service.checkMember(first)).toBe(false);
+        expect(await service.checkMember(second)).toBe(true);
+        expect(first.kick).toHaveBeenCalled();
+        expect(second.kick).toHaveBeenCalled();
+
+        expect(await service.checkMember(third)).toBe(true);
+        expect(third.kick).toHaveBeenCalled();
+        expect(executeModerationAction).toHaveBeenCalledWith(expect.objectContaining({ action: 'KICK', notify: false }));
+    });
+
+    test('should kick accounts younger than the minimum age with a DM', async () => {
+        getRaidConfig.mockResolvedValue(settings({ enabled: false, minAccountAge: 7 }));
+        const young = createMember(guild, 'young', { ageDays: 2 });
+        const old = createMember(guild, 'old', { ageDays: 30 });
+
+        expect(await service.checkMember(old)).toBe(false);
+        expect(await service.checkMember(young)).toBe(true);
+
+        expect(young.kick).toHaveBeenCalledWith('Raid protection: account is 2 days old (minimum 7)');
+        expect(executeModerationAction).toHaveBeenCalledWith(expect.objectContaining({ action: 'KICK', target: young.user }));
+        expect(executeModerationAction.mock.calls[0][0].notify).toBeUndefined();
+    });
+
+    test('should quarantine young accounts with the configured role', async () => {
+        getRaidConfig.mockResolvedValue(settings({
+            enabled: false,
+            minAccountAge: 7,
+            accountAgeAction: 'quarantine',
+            quarantineRoleId: 'quarantine'
+        }));
+        const young = createMember(guild, 'young', { ageDays: 1 });
+
+        expect(await service.checkMember(young)).toBe(true);
+
+        expect(young.roles.add).toHaveBeenCalled();
+        expect(young.kick).not.toHaveBeenCalled();
+        expect(logModerationAction).toHaveBeenCalledWith('guild1', 'young', 'bot123', 'QUARANTINE', expect.any(String), { guild });
+    });
+});
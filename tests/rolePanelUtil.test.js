@@ -0,0 +1,220 @@
+/**
+ * Role Panel Utility Tests
+ * Tests role changes per panel mode, panel rendering and reaction handling
+ */
+
+const mockRows = { panel: null, options: [] };
+
+jest.mock('../src/database', () => {
+    const query = {
+        from: () => query,
+        where: () => query,
+        orderBy: () => query,
+        get: async () => mockRows.panel,
+        all: async () => mockRows.options
+    };
+    return { db: { select: () => query } };
+});
+
+jest.mock('../src/utils/logger', () => ({
+    info: jest.fn(),
+    success: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+}));
+
+jest.mock('../src/utils/discordApiUtil', () => ({
+    fetchMember: jest.fn(),
+    safeDMUser: jest.fn().mockResolvedValue({}),
+    RoleManager: {
+        addRole: jest.fn().mockResolvedValue({ success: true }),
+        removeRole: jest.fn().mockResolvedValue({ success: true })
+    }
+}));
+
+const { Collection } = require('discord.js');
+const { fetchMember, safeDMUser, RoleManager } = require('../src/utils/discordApiUtil');
+const {
+    getEmojiKey,
+    findOptionByEmoji,
+    buildPanelMessage,
+    getClickedRoles,
+    planRoleChange,
+    applyRoleChange,
+    buildRoleChangeEmbed,
+    handlePanelReaction
+} = require('../src/utils/rolePanelUtil');
+
+const options = [
+    { roleId: 'red', label: 'Red', emoji: '🔴' },
+    { roleId: 'blue', label: 'Blue', emoji: '<:blue:123456789012345678>' },
+    { roleId: 'green', label: 'Green', emoji: null }
+];
+
+describe('getClickedRoles', () => {
+    test('toggle adds a missing role and removes a held one', () => {
+        expect(getClickedRoles('toggle', ['red'], 'blue')).toEqual(['red', 'blue']);
+        expect(getClickedRoles('toggle', ['red', 'blue'], 'red')).toEqual(['blue']);
+    });
+
+    test('unique swaps to the clicked role, or clears it when clicked again', () => {
+        expect(getClickedRoles('unique', ['red'], 'blue')).toEqual(['blue']);
+        expect(getClickedRoles('unique', ['red'], 'red')).toEqual([]);
+    });
+
+    test('verify never gives up a held role', () => {
+        expect(getClickedRoles('verify', ['red'], 'red')).toEqual(['red']);
+        expect(getClickedRoles('verify', [], 'red')).toEqual(['red']);
+    });
+});
+
+describe('planRoleChange', () => {
+    test('toggle adds and removes to match the wanted roles', () => {
+        expect(planRoleChange('toggle', ['red', 'blue'], ['blue', 'green'])).toEqual({ add: ['green'], remove: ['red'] });
+    });
+
+    test('unique keeps a single role', () => {
+        expect(planRoleChange('unique', ['red'], ['blue', 'green'])).toEqual({ add: ['green'], remove: ['red'] });
+    });
+
+    test('verify never removes', () => {
+        expect(planRoleChange('verify', ['red'], [])).toEqual({ add: [], remove: [] });
+        expect(planRoleChange('verify', ['red'], ['blue'])).toEqual({ add: ['blue'], remove: [] });
+    });
+});
+
+describe('emoji matching', () => {
+    test('keys custom emoji by ID and unicode emoji by character', () => {
+        expect(getEmojiKey('<:blue:123456789012345678>')).toBe('123456789012345678');
+        expect(getEmojiKey('🔴')).toBe('🔴');
+    });
+
+    test('finds the option behind a reaction', () => {
+        expect(findOptionByEmoji(options, { id: '123456789012345678', name: 'blue' }).roleId).toBe('blue');
+        expect(findOptionByEmoji(options, { id: null, name: '🔴' }).roleId).toBe('red');
+        expect(findOptionByEmoji(options, { id: null, name: '⭐' })).toBeNull();
+    });
+});
+
+describe('buildPanelMessage', () => {
+    const panel = { id: 4, title: 'Colours', description: 'Pick a colour', mode: 'toggle' };
+
+    test('button panels get rows of at most five buttons', () => {
+        const many = Array.from({ length: 7 }, (_, i) => ({ roleId: `role${i}`, label: `Role ${i}`, emoji: null }));
+        const { components } = buildPanelMessage({ ...panel, style: 'button' }, many);
+
+        expect(components).toHaveLength(2);
+        expect(components[0].components).toHaveLength(5);
+        expect(components[0].components[0].data.custom_id).toBe('rolepanel_4_role0');
+    });
+
+    test('unique select menus allow one pick, others allow any number', () => {
+        const unique = buildPanelMessage({ ...panel, style: 'select', mode: 'unique' }, options).components[0].components[0].data;
+        const toggle = buildPanelMessage({ ...panel, style: 'select' }, options).components[0].components[0].data;
+
+        expect(unique.custom_id).toBe('rolepanel_4');
+        expect(unique.min_values).toBe(0);
+        expect(unique.max_values).toBe(1);
+        expect(toggle.max_values).toBe(3);
+    });
+
+    test('reaction panels list their emoji and have no components', () => {
+        const message = buildPanelMessage({ ...panel, style: 'reaction' }, options);
+
+        expect(message.components).toEqual([]);
+        expect(message.embeds[0].data.description).toContain('🔴 <@&red>');
+        expect(message.embeds[0].data.footer.text).toContain('pick it again');
+    });
+});
+
+describe('applyRoleChange', () => {
+    beforeEach(() => jest.clearAllMocks());
+
+    test('reports hierarchy failures without stopping the other changes', async () => {
+        RoleManager.addRole
+            .mockResolvedValueOnce({ success: false, error: 'Cannot manage role Blue - it is higher than or equal to bot\'s highest role' })
+            .mockResolvedValueOnce({ success: true });
+
+        const result = await applyRoleChange({}, { add: ['blue', 'green'], remove: ['red'] }, 4);
+
+        expect(result).toEqual({
+            added: ['green'],
+            removed: ['red'],
+            failed: [{ roleId: 'blue', error: 'Cannot manage role Blue - it is higher than or equal to bot\'s highest role' }]
+        });
+        expect(RoleManager.addRole).toHaveBeenCalledWith({}, 'blue', expect.objectContaining({ reason: 'Role panel #4' }));
+
+        const embed = buildRoleChangeEmbed(result).data;
+        expect(embed.title).toContain('Roles Partly Updated');
+        expect(embed.description).toContain('⚠️ <@&blue>: Cannot manage role Blue');
+    });
+
+    test('says so when nothing changed', () => {
+        expect(buildRoleChangeEmbed({ added: [], removed: [], failed: [] }).data.title).toContain('No Changes');
+    });
+});
+
+describe('handlePanelReaction', () => {
+    let member;
+
+    function createReaction(emoji, otherReactions = []) {
+        const reaction = { emoji, message: { id: 'msg1', guild: { name: 'Guild' }, reactions: { cache: new Collection() } } };
+        reaction.message.reactions.cache.set(emoji.name, reaction);
+        for (const other of otherReactions) reaction.message.reactions.cache.set(other.emoji.name, other);
+        return reaction;
+    }
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        member = { roles: { cache: new Collection([['red', {}]]) } };
+        fetchMember.mockResolvedValue(member);
+        mockRows.options = options;
+    });
+
+    test('ignores messages that are not reaction panels', async () => {
+        mockRows.panel = { id: 4, style: 'button', mode: 'toggle' };
+
+        expect(await handlePanelReaction(createReaction({ name: '🔴' }), { id: 'user1' }, true)).toBe(false);
+        expect(RoleManager.addRole).not.toHaveBeenCalled();
+    });
+
+    test('toggle panels add on react and remove on unreact', async () => {
+        mockRows.panel = { id: 4, style: 'reaction', mode: 'toggle' };
+
+        await handlePanelReaction(createReaction({ id: '123456789012345678', name: 'blue' }), { id: 'user1' }, true);
+        expect(RoleManager.addRole).toHaveBeenCalledWith(member, 'blue', expect.any(Object));
+        expect(RoleManager.removeRole).not.toHaveBeenCalled();
+
+        await handlePanelReaction(createReaction({ name: '🔴' }), { id: 'user1' }, false);
+        expect(RoleManager.removeRole).toHaveBeenCalledWith(member, 'red', expect.any(Object));
+    });
+
+    test('verify panels ignore removed reactions', async () => {
+        mockRows.panel = { id: 4, style: 'reaction', mode: 'verify' };
+
+        await handlePanelReaction(createReaction({ name: '🔴' }), { id: 'user1' }, false);
+
+        expect(RoleManager.removeRole).not.toHaveBeenCalled();
+    });
+
+    test('unique panels swap the role and clear the member\'s other reactions', async () => {
+        mockRows.panel = { id: 4, style: 'reaction', mode: 'unique' };
+        const red = { emoji: { name: '🔴' }, users: { remove: jest.fn().mockResolvedValue({}) } };
+
+        await handlePanelReaction(createReaction({ id: '123456789012345678', name: 'blue' }, [red]), { id: 'user1' }, true);
+
+        expect(RoleManager.removeRole).toHaveBeenCalledWith(member, 'red', expect.any(Object));
+        expect(RoleManager.addRole).toHaveBeenCalledWith(member, 'blue', expect.any(Object));
+        expect(red.users.remove).toHaveBeenCalledWith('user1');
+    });
+
+    test('DMs the member when a role could not be granted', async () => {
+        mockRows.panel = { id: 4, style: 'reaction', mode: 'toggle' };
+        RoleManager.addRole.mockResolvedValueOnce({ success: false, error: 'Role not found' });
+
+        await handlePanelReaction(createReaction({ id: '123456789012345678', name: 'blue' }), { id: 'user1' }, true);
+
+        expect(safeDMUser.mock.calls[0][1].embeds[0].data.description).toContain('<@&blue>: Role not found');
+    });
+});
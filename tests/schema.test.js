@@ -6,6 +6,9 @@
 const fs = require('fs');
 const path = require('path');
 
+jest.mock('dotenv', () => ({ config: jest.fn() }));
+jest.mock('../src/utils/config', () => ({ logging: { database: false } }));
+
 // Parse the schema.js file to extract table names
 function extractTableNamesFromSchema() {
     const schemaPath = path.join(__dirname, '../src/database/schema.js');
@@ -173,3 +176,25 @@ describe('Database Schema Synchronization', () => {
         expect(extra).toEqual([]);
     });
 });
+
+describe('Database Schema Bootstrap', () => {
+    test('runMigrations should create every index declared in schema.js', async () => {
+        process.env.DATABASE_URL = ':memory:';
+        const { sqlite, runMigrations } = require('../src/database');
+        const { getTableConfig } = require('drizzle-orm/sqlite-core');
+        const schema = require('../src/database/schema');
+
+        await runMigrations();
+
+        const created = sqlite.prepare(`SELECT name FROM sqlite_master WHERE type='index'`).all().map(row => row.name);
+        const declared = Object.values(schema).flatMap(table => getTableConfig(table).indexes.map(index => index.config.name));
+
+        expect(declared.filter(name => !created.includes(name))).toEqual([]);
+
+        // Case numbers are unique per guild
+        const insert = sqlite.prepare('INSERT INTO moderation_logs (guild_id, case_number, target_id, executor_id, action) VALUES (?, ?, ?, ?, ?)');
+        insert.run('guild1', 1, 'user1', 'mod1', 'WARN');
+        insert.run('guild2', 1, 'user1', 'mod1', 'WARN');
+        expect(() => insert.run('guild1', 1, 'user2', 'mod1', 'WARN')).toThrow(/UNIQUE/);
+    });
+});
@@ -0,0 +1,159 @@
+/**
+ * Server Log Tests
+ * Tests the message log ignore list, log embeds and the edit/delete/bulk delete events
+ */
+
+jest.mock('../src/database', () => ({ db: {} }));
+
+jest.mock('../src/utils/logger', () => ({
+    info: jest.fn(),
+    success: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+}));
+
+jest.mock('../src/utils/discordApiUtil', () => ({
+    fetchChannel: jest.fn(async (guild, channelId) => ({ id: channelId })),
+    safeChannelSend: jest.fn().mockResolvedValue({})
+}));
+
+// Keep the real embed builders and ignore matching, mock the storage
+jest.mock('../src/utils/serverLogUtil', () => ({
+    ...jest.requireActual('../src/utils/serverLogUtil'),
+    getLogChannelId: jest.fn(),
+    getLogIgnores: jest.fn(),
+    getMessageLogChannelId: jest.fn()
+}));
+
+const { Collection } = require('discord.js');
+const serverLog = require('../src/utils/serverLogUtil');
+const { safeChannelSend } = require('../src/utils/discordApiUtil');
+const messageUpdate = require('../src/events/messageUpdate');
+const messageDeleteBulk = require('../src/events/messageDeleteBulk');
+
+const {
+    isLogIgnored,
+    buildEditLog,
+    buildDeleteLog,
+    buildBulkDeleteLog,
+    getLogChannelId,
+    getLogIgnores,
+    getMessageLogChannelId
+} = serverLog;
+
+function createMessage(overrides = {}) {
+    const guild = { id: 'guild1', name: 'Test Guild' };
+    return {
+        id: 'msg1',
+        url: 'https://discord.com/channels/guild1/chan1/msg1',
+        content: 'hello',
+        partial: false,
+        guild,
+        channelId: 'chan1',
+        channel: { id: 'chan1', name: 'general', parentId: 'cat1', guild, toString: () => '<#chan1>' },
+        author: { id: 'user1', tag: 'user#0001', bot: false, displayAvatarURL: () => 'https://cdn.example/a.png', toString: () => '<@user1>' },
+        member: { roles: { cache: new Collection([['role1', {}]]) } },
+        attachments: new Collection(),
+        embeds: [],
+        createdTimestamp: Date.now(),
+        ...overrides
+    };
+}
+
+function fieldValue(embed, name) {
+    return embed.data.fields.find(field => field.name === name)?.value;
+}
+
+describe('Server logs', () => {
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    test('should ignore messages by channel, parent category or role', () => {
+        const message = createMessage();
+
+        expect(isLogIgnored(message, [])).toBe(false);
+        expect(isLogIgnored(message, [{ type: 'channel', targetId: 'chan1' }])).toBe(true);
+        expect(isLogIgnored(message, [{ type: 'channel', targetId: 'cat1' }])).toBe(true);
+        expect(isLogIgnored(message, [{ type: 'role', targetId: 'role1' }])).toBe(true);
+        expect(isLogIgnored(message, [{ type: 'role', targetId: 'role2' }])).toBe(false);
+    });
+
+    test('should show before and after content and removed attachments on edits', () => {
+        const attachment = { id: 'att1', name: 'cat.png', url: 'https://cdn.example/cat.png', size: 2048 };
+        const oldMessage = createMessage({ content: 'helo', attachments: new Collection([['att1', attachment]]) });
+        const newMessage = createMessage({ content: 'hello' });
+
+        const [embed] = buildEditLog(oldMessage, newMessage).embeds;
+
+        expect(fieldValue(embed, 'Before')).toBe('helo');
+        expect(fieldValue(embed, 'After')).toBe('hello');
+        expect(fieldValue(embed, 'Removed Attachments')).toContain('[cat.png](https://cdn.example/cat.png) (2 KB)');
+    });
+
+    test('should truncate long content to fit an embed field', () => {
+        const [embed] = buildDeleteLog(createMessage({ content: 'a'.repeat(3000) })).embeds;
+
+        expect(fieldValue(embed, 'Content')).toHaveLength(1024);
+    });
+
+    test('should attach one transcript of the cached messages for bulk deletes', () => {
+        const message = createMessage();
+        const log = buildBulkDeleteLog([message], message.channel, 5);
+
+        expect(log.files).toHaveLength(1);
+        expect(log.files[0].name).toMatch(/^transcript-chan1-\d+\.txt$/);
+        expect(log.embeds[0].data.description).toContain('**5** messages');
+        expect(log.embeds[0].data.description).toContain('4 older messages were not cached');
+    });
+
+    describe('messageUpdate', () => {
+        test('should log a changed message to the message log channel', async () => {
+            getMessageLogChannelId.mockResolvedValue('logs');
+
+            await messageUpdate.execute(createMessage({ content: 'before' }), createMessage({ content: 'after' }));
+
+            expect(safeChannelSend).toHaveBeenCalledWith({ id: 'logs' }, expect.objectContaining({ embeds: expect.any(Array) }), expect.any(Object));
+        });
+
+        test('should skip unchanged content, uncached messages and bots', async () => {
+            getMessageLogChannelId.mockResolvedValue('logs');
+
+            await messageUpdate.execute(createMessage(), createMessage());
+            await messageUpdate.execute(createMessage({ partial: true, content: null }), createMessage({ content: 'after' }));
+            await messageUpdate.execute(
+                createMessage({ content: 'before' }),
+                createMessage({ content: 'after', author: { id: 'bot', bot: true } })
+            );
+
+            expect(safeChannelSend).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('messageDeleteBulk', () => {
+        test('should leave ignored roles out of the transcript', async () => {
+            getLogChannelId.mockResolvedValue('logs');
+            getLogIgnores.mockResolvedValue([{ type: 'role', targetId: 'staff' }]);
+            const kept = createMessage({ id: 'a', content: 'visible' });
+            const ignored = createMessage({ id: 'b', content: 'hidden', member: { roles: { cache: new Collection([['staff', {}]]) } } });
+
+            await messageDeleteBulk.execute(new Collection([['a', kept], ['b', ignored]]), kept.channel);
+
+            const payload = safeChannelSend.mock.calls[0][1];
+            const transcript = payload.files[0].attachment.toString();
+            expect(transcript).toContain('visible');
+            expect(transcript).not.toContain('hidden');
+        });
+
+        test('should not log bulk deletes in ignored channels', async () => {
+            getLogChannelId.mockResolvedValue('logs');
+            getLogIgnores.mockResolvedValue([{ type: 'channel', targetId: 'chan1' }]);
+            const message = createMessage();
+
+            await messageDeleteBulk.execute(new Collection([['msg1', message]]), message.channel);
+
+            expect(safeChannelSend).not.toHaveBeenCalled();
+        });
+    });
+});
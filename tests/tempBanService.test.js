@@ -0,0 +1,186 @@
+/**
+ * Temp Ban Service Tests
+ * Tests scheduling, restart re-arming, and expiry handling for temporary bans
+ */
+
+// Mock database
+const mockUpdateResult = { all: jest.fn(), get: jest.fn() };
+const mockSelectResult = { all: jest.fn() };
+
+jest.mock('../src/database', () => ({
+    db: {
+        select: jest.fn(() => ({
+            from: () => ({ where: () => mockSelectResult })
+        })),
+        update: jest.fn(() => ({
+            set: () => ({ where: () => ({ returning: () => mockUpdateResult }) })
+        }))
+    }
+}));
+
+// Mock logger
+jest.mock('../src/utils/logger', () => ({
+    info: jest.fn(),
+    success: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+}));
+
+// Mock moderation logging
+jest.mock('../src/utils/moderationUtil', () => ({
+    logModerationAction: jest.fn().mockResolvedValue({ id: 99 })
+}));
+
+const TempBanService = require('../src/services/tempBanService');
+const { logModerationAction } = require('../src/utils/moderationUtil');
+
+function createClient(guild) {
+    return {
+        user: { id: 'bot123' },
+        guilds: { fetch: jest.fn().mockResolvedValue(guild) }
+    };
+}
+
+describe('TempBanService', () => {
+    let service;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+    });
+
+    afterEach(() => {
+        if (service) service.cleanup();
+        service = null;
+    });
+
+    describe('Scheduling', () => {
+        beforeEach(() => {
+            jest.useFakeTimers();
+        });
+
+        afterEach(() => {
+            jest.useRealTimers();
+        });
+
+        test('should use setTimeout for short bans', () => {
+            service = new TempBanService(createClient(null));
+            service.scheduleUnban({ id: 1, expiresAt: Date.now() + 3600000 });
+
+            expect(service.scheduler.activeTimers.has(1)).toBe(true);
+            expect(service.scheduler.longDelayChecks.has(1)).toBe(false);
+        });
+
+        test('should use setInterval for bans longer than 24.8 days', () => {
+            service = new TempBanService(createClient(null));
+            service.scheduleUnban({ id: 2, expiresAt: Date.now() + (30 * 86400000) });
+
+            expect(service.scheduler.activeTimers.has(2)).toBe(false);
+            expect(service.scheduler.longDelayChecks.has(2)).toBe(true);
+        });
+
+        test('should lift overdue bans immediately instead of scheduling', () => {
+            service = new TempBanService(createClient(null));
+            service.liftTempBan = jest.fn();
+
+            service.scheduleUnban({ id: 3, expiresAt: Date.now() - 60000 });
+
+            expect(service.liftTempBan).toHaveBeenCalledWith(3);
+            expect(service.scheduler.activeTimers.has(3)).toBe(false);
+        });
+    });
+
+    describe('loadTempBans', () => {
+        test('should re-arm every active temp ban, including overdue ones', async () => {
+            service = new TempBanService(createClient(null));
+            service.scheduleUnban = jest.fn();
+            mockSelectResult.all.mockResolvedValue([
+                { id: 1, expiresAt: Date.now() + 60000 },
+                { id: 2, expiresAt: Date.now() - 86400000 * 30 }
+            ]);
+
+            await service.loadTempBans();
+
+            expect(service.scheduleUnban).toHaveBeenCalledTimes(2);
+        });
+    });
+
+    describe('liftTempBan', () => {
+        test('should unban and log an UNBAN case linked to the original ban', async () => {
+            const guild = { id: 'guild1', members: { unban: jest.fn().mockResolvedValue() } };
+            service = new TempBanService(createClient(guild));
+            mockUpdateResult.all.mockResolvedValue([
+                { id: 5, guildId: 'guild1', userId: 'user1', caseNumber: 12 }
+            ]);
+
+            await service.liftTempBan(5);
+
+            expect(guild.members.unban).toHaveBeenCalledWith('user1', expect.stringContaining('#12'));
+            expect(logModerationAction).toHaveBeenCalledWith(
+                'guild1',
+                'user1',
+                'bot123',
+                'UNBAN',
+                expect.any(String),
+                { relatedCaseNumber: 12, guild }
+            );
+        });
+
+        test('should skip already-lifted bans', async () => {
+            const guild = { id: 'guild1', members: { unban: jest.fn() } };
+            service = new TempBanService(createClient(guild));
+            mockUpdateResult.all.mockResolvedValue([]);
+
+            await service.liftTempBan(5);
+
+            expect(guild.members.unban).not.toHaveBeenCalled();
+            expect(logModerationAction).not.toHaveBeenCalled();
+        });
+
+        test('should not log an UNBAN when the user was already unbanned', async () => {
+            const error = new Error('Unknown Ban');
+            error.code = 10026;
+            const guild = { id: 'guild1', members: { unban: jest.fn().mockRejectedValue(error) } };
+            service = new TempBanService(createClient(guild));
+            mockUpdateResult.all.mockResolvedValue([
+                { id: 6, guildId: 'guild1', userId: 'user1', caseNumber: 13 }
+            ]);
+
+            await service.liftTempBan(6);
+
+            expect(logModerationAction).not.toHaveBeenCalled();
+        });
+
+        test('should re-activate and retry later when the guild cannot be fetched', async () => {
+            jest.useFakeTimers();
+            const error = new Error('Service Unavailable');
+            error.status = 503;
+            service = new TempBanService({ user: { id: 'bot123' }, guilds: { fetch: jest.fn().mockRejectedValue(error) } });
+            mockUpdateResult.all.mockResolvedValue([
+                { id: 7, guildId: 'guild1', userId: 'user1', caseNumber: 14 }
+            ]);
+            mockUpdateResult.get.mockResolvedValue({ id: 7, expiresAt: new Date(Date.now() + 3600000) });
+
+            await service.liftTempBan(7);
+
+            expect(mockUpdateResult.get).toHaveBeenCalled();
+            expect(service.scheduler.activeTimers.has(7)).toBe(true);
+            expect(logModerationAction).not.toHaveBeenCalled();
+            jest.useRealTimers();
+        });
+
+        test('should drop the temp ban when the bot has left the guild', async () => {
+            const error = new Error('Unknown Guild');
+            error.code = 10004;
+            service = new TempBanService({ user: { id: 'bot123' }, guilds: { fetch: jest.fn().mockRejectedValue(error) } });
+            mockUpdateResult.all.mockResolvedValue([
+                { id: 8, guildId: 'guild1', userId: 'user1', caseNumber: 15 }
+            ]);
+
+            await service.liftTempBan(8);
+
+            expect(mockUpdateResult.get).not.toHaveBeenCalled();
+            expect(service.scheduler.activeTimers.size).toBe(0);
+        });
+    });
+});
@@ -0,0 +1,248 @@
+/**
+ * Verification Service Tests
+ * Tests the Verify button, the code challenge, logging and the persisted kick timers
+ */
+
+jest.mock('../src/database', () => {
+    const query = {
+        from: () => query,
+        where: () => query,
+        get: async () => ({ logChannel: 'log-channel' })
+    };
+    return { db: { select: () => query } };
+});
+
+jest.mock('../src/utils/logger', () => ({
+    info: jest.fn(),
+    success: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+}));
+
+jest.mock('../src/utils/discordApiUtil', () => ({
+    fetchChannel: jest.fn().mockResolvedValue({ id: 'log-channel' }),
+    safeChannelSend: jest.fn().mockResolvedValue({}),
+    RoleManager: {
+        addRole: jest.fn().mockResolvedValue({ success: true })
+    }
+}));
+
+jest.mock('../src/utils/moderationUtil', () => ({
+    logModerationAction: jest.fn().mockResolvedValue({}),
+    notifyUser: jest.fn().mockResolvedValue(true)
+}));
+
+jest.mock('../src/utils/verificationUtil', () => ({
+    ...jest.requireActual('../src/utils/verificationUtil'),
+    getVerificationConfig: jest.fn(),
+    getAllPending: jest.fn(),
+    getPendingById: jest.fn(),
+    addPending: jest.fn(),
+    removePending: jest.fn(),
+    removePendingById: jest.fn(),
+    recordFailedAttempt: jest.fn()
+}));
+
+const { Collection } = require('discord.js');
+const VerificationService = require('../src/services/verificationService');
+const { safeChannelSend, RoleManager } = require('../src/utils/discordApiUtil');
+const { logModerationAction, notifyUser } = require('../src/utils/moderationUtil');
+const verificationUtil = require('../src/utils/verificationUtil');
+
+const guild = { id: 'guild1', name: 'Guild', members: { fetch: jest.fn() } };
+
+function discordError(code) {
+    const error = new Error('Discord API error');
+    error.code = code;
+    return error;
+}
+
+function createMember({ roles = [], kickable = true } = {}) {
+    return {
+        id: 'user1',
+        guild,
+        kickable,
+        kick: jest.fn().mockResolvedValue({}),
+        user: { id: 'user1', tag: 'user#0001', bot: false, displayAvatarURL: () => 'https://cdn/avatar.png' },
+        roles: { cache: new Collection(roles.map(id => [id, {}])) }
+    };
+}
+
+function createInteraction(member, answer = '') {
+    return {
+        guild,
+        member,
+        user: member.user,
+        showModal: jest.fn(),
+        reply: jest.fn(),
+        deferReply: jest.fn(),
+        editReply: jest.fn(),
+        fields: { getTextInputValue: () => answer }
+    };
+}
+
+function loggedTitles() {
+    return safeChannelSend.mock.calls.map(call => call[1].embeds[0].data.title);
+}
+
+describe('VerificationService', () => {
+    let service;
+    let settings;
+    let client;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        jest.useFakeTimers();
+        settings = { guildId: 'guild1', channelId: 'verify', roleId: 'verified', challenge: false, kickAfter: 600000 };
+        verificationUtil.getVerificationConfig.mockImplementation(async () => settings);
+        verificationUtil.removePending.mockResolvedValue([{ id: 1 }]);
+        client = { user: { id: 'bot', tag: 'Bot#0001' }, guilds: { fetch: jest.fn().mockResolvedValue(guild) } };
+        service = new VerificationService(client);
+    });
+
+    afterEach(() => {
+        service.cleanup();
+        jest.useRealTimers();
+    });
+
+    test('new members are stored as pending with a kick timer', async () => {
+        const kickAt = new Date(Date.now() + 600000);
+        verificationUtil.addPending.mockResolvedValue({ id: 1, kickAt });
+
+        await service.handleMemberJoin(createMember());
+
+        expect(verificationUtil.addPending).toHaveBeenCalledWith('guild1', 'user1', 600000);
+        expect(service.activeTimers.has(1)).toBe(true);
+    });
+
+    test('the Verify button grants the role and logs the success', async () => {
+        const member = createMember();
+        const interaction = createInteraction(member);
+        service.activeTimers.set(1, setTimeout(() => {}, 600000));
+
+        await service.handleVerifyButton(interaction);
+
+        expect(RoleManager.addRole).toHaveBeenCalledWith(member, 'verified', expect.objectContaining({ reason: 'Passed verification' }));
+        expect(service.activeTimers.size).toBe(0);
+        expect(loggedTitles()).toEqual(['✅ Member Verified']);
+        expect(interaction.editReply.mock.calls[0][0].embeds[0].data.title).toBe('✅ Verified');
+    });
+
+    test('a role that cannot be given is logged as a failure', async () => {
+        RoleManager.addRole.mockResolvedValueOnce({ success: false, error: 'Role not found' });
+
+        await service.handleVerifyButton(createInteraction(createMember()));
+
+        expect(verificationUtil.removePending).not.toHaveBeenCalled();
+        expect(loggedTitles()).toEqual(['⚠️ Verification Failed']);
+    });
+
+    test('the challenge only passes with the shown code', async () => {
+        settings.challenge = true;
+        verificationUtil.recordFailedAttempt.mockResolvedValue(1);
+        const member = createMember();
+
+        const button = createInteraction(member);
+        await service.handleVerifyButton(button);
+        expect(button.showModal).toHaveBeenCalled();
+        expect(RoleManager.addRole).not.toHaveBeenCalled();
+
+        await service.handleChallengeSubmit(createInteraction(member, 'WRONG1'));
+        expect(RoleManager.addRole).not.toHaveBeenCalled();
+        expect(safeChannelSend.mock.calls[0][1].embeds[0].data.description).toContain('typed the wrong code');
+
+        // A wrong answer uses up the code
+        await service.handleVerifyButton(button);
+        const { code } = service.challenges.get('guild1:user1');
+        await service.handleChallengeSubmit(createInteraction(member, ` ${code.toLowerCase()} `));
+        expect(RoleManager.addRole).toHaveBeenCalledWith(member, 'verified', expect.any(Object));
+    });
+
+    test('members who already have the role are not verified again', async () => {
+        const interaction = createInteraction(createMember({ roles: ['verified'] }));
+
+        await service.handleVerifyButton(interaction);
+
+        expect(RoleManager.addRole).not.toHaveBeenCalled();
+        expect(interaction.reply.mock.calls[0][0].embeds[0].data.title).toContain('Already Verified');
+    });
+
+    test('overdue members are kicked on startup, and the case is logged after the kick', async () => {
+        const member = createMember();
+        const pending = { id: 1, guildId: 'guild1', userId: 'user1', joinedAt: new Date(Date.now() - 900000), kickAt: new Date(Date.now() - 300000), failedAttempts: 0 };
+        verificationUtil.getAllPending.mockResolvedValue([pending]);
+        verificationUtil.getPendingById.mockResolvedValue(pending);
+        guild.members.fetch.mockResolvedValue(member);
+
+        await service.loadPending();
+        await jest.advanceTimersByTimeAsync(0);
+
+        const reason = 'Verification: did not verify within 10 minutes';
+        expect(notifyUser).toHaveBeenCalledWith(member.user, 'KICK', 'Guild', reason, 'Bot#0001');
+        expect(member.kick).toHaveBeenCalledWith(reason);
+        expect(verificationUtil.removePendingById).toHaveBeenCalledWith(1);
+        expect(logModerationAction).toHaveBeenCalledWith('guild1', 'user1', 'bot', 'KICK', reason, { guild, dmSent: true });
+        expect(member.kick.mock.invocationCallOrder[0]).toBeLessThan(logModerationAction.mock.invocationCallOrder[0]);
+    });
+
+    test('a failed kick keeps the entry, logs no case and is retried without a second DM', async () => {
+        const member = createMember();
+        member.kick.mockRejectedValueOnce(new Error('Missing Permissions'));
+        verificationUtil.getPendingById.mockResolvedValue({ id: 1, guildId: 'guild1', userId: 'user1', joinedAt: new Date(), kickAt: new Date() });
+        guild.members.fetch.mockResolvedValue(member);
+
+        await service.kickUnverified(1);
+
+        expect(verificationUtil.removePendingById).not.toHaveBeenCalled();
+        expect(logModerationAction).not.toHaveBeenCalled();
+        expect(service.activeTimers.has(1)).toBe(true);
+
+        await jest.advanceTimersByTimeAsync(600000);
+        expect(member.kick).toHaveBeenCalledTimes(2);
+        expect(notifyUser).toHaveBeenCalledTimes(1);
+        expect(logModerationAction).toHaveBeenCalledTimes(1);
+        expect(logModerationAction).toHaveBeenCalledWith('guild1', 'user1', 'bot', 'KICK', expect.any(String), { guild, dmSent: true });
+        expect(service.kickNotices.size).toBe(0);
+    });
+
+    test('an unreachable guild keeps the entry for a retry', async () => {
+        verificationUtil.getPendingById.mockResolvedValue({ id: 1, guildId: 'guild1', userId: 'user1' });
+        client.guilds.fetch.mockRejectedValueOnce(new Error('Service Unavailable'));
+
+        await service.kickUnverified(1);
+
+        expect(verificationUtil.removePendingById).not.toHaveBeenCalled();
+        expect(service.activeTimers.has(1)).toBe(true);
+    });
+
+    test('members who left or verified some other way are dropped without a kick', async () => {
+        const member = createMember({ roles: ['verified'] });
+        verificationUtil.getPendingById.mockResolvedValue({ id: 1, guildId: 'guild1', userId: 'user1' });
+        guild.members.fetch.mockResolvedValueOnce(member).mockRejectedValueOnce(discordError(10007));
+
+        await service.kickUnverified(1);
+        await service.kickUnverified(1);
+
+        expect(member.kick).not.toHaveBeenCalled();
+        expect(verificationUtil.removePendingById).toHaveBeenCalledTimes(2);
+        expect(service.activeTimers.size).toBe(0);
+    });
+
+    test('an already resolved entry does nothing', async () => {
+        verificationUtil.getPendingById.mockResolvedValue(null);
+
+        await service.kickUnverified(1);
+
+        expect(client.guilds.fetch).not.toHaveBeenCalled();
+    });
+
+    test('leaving clears the pending entry and its timer', async () => {
+        service.activeTimers.set(1, setTimeout(() => {}, 600000));
+
+        await service.handleMemberLeave(createMember());
+
+        expect(verificationUtil.removePending).toHaveBeenCalledWith('guild1', 'user1');
+        expect(service.activeTimers.size).toBe(0);
+    });
+});
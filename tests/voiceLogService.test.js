@@ -0,0 +1,152 @@
+/**
+ * Voice Log Service Tests
+ * Tests voice joins, leaves, moves, server mutes and moderator disconnects
+ */
+
+jest.mock('../src/database', () => ({ db: {} }));
+
+jest.mock('../src/utils/logger', () => ({
+    info: jest.fn(),
+    success: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+}));
+
+jest.mock('../src/utils/auditLogUtil', () => ({
+    findAuditLogEntry: jest.fn().mockResolvedValue({ executorId: 'mod1' }),
+    AUDIT_LOG_DELAY: 0,
+    AUDIT_LOG_MAX_AGE: 15000
+}));
+
+jest.mock('../src/utils/serverLogUtil', () => ({
+    getLogChannelId: jest.fn(),
+    sendLog: jest.fn().mockResolvedValue({})
+}));
+
+jest.mock('../src/utils/voiceLogUtil', () => ({
+    ...jest.requireActual('../src/utils/voiceLogUtil'),
+    getVoiceLogConfig: jest.fn()
+}));
+
+const { Collection, AuditLogEvent } = require('discord.js');
+const VoiceLogService = require('../src/services/voiceLogService');
+const { findAuditLogEntry } = require('../src/utils/auditLogUtil');
+const { getLogChannelId, sendLog } = require('../src/utils/serverLogUtil');
+const { getVoiceLogConfig } = require('../src/utils/voiceLogUtil');
+
+function settings(overrides = {}) {
+    return { joins: true, leaves: true, moves: true, mutes: true, disconnects: true, ...overrides };
+}
+
+function createGuild(disconnectEntries = []) {
+    return {
+        id: 'guild1',
+        members: { me: { permissions: { has: () => true } } },
+        fetchAuditLogs: jest.fn(async () => ({ entries: new Collection(disconnectEntries.map(entry => [entry.id, entry])) }))
+    };
+}
+
+function createState(guild, channelId, { serverMute = false, serverDeaf = false } = {}) {
+    return {
+        guild,
+        channelId,
+        channel: channelId ? { id: channelId, toString: () => `<#${channelId}>` } : null,
+        serverMute,
+        serverDeaf,
+        member: {
+            id: 'user1',
+            user: { tag: 'user#0001', bot: false, displayAvatarURL: () => 'https://cdn.example/a.png' },
+            toString: () => '<@user1>'
+        }
+    };
+}
+
+function sentTitles() {
+    return sendLog.mock.calls.map(call => call[2].embeds[0].data.title);
+}
+
+describe('VoiceLogService', () => {
+    let service;
+    let guild;
+
+    beforeEach(() => {
+        jest.clearAllMocks();
+        getLogChannelId.mockResolvedValue('voice-log');
+        getVoiceLogConfig.mockResolvedValue(settings());
+        service = new VoiceLogService({ user: { id: 'bot123' } });
+        guild = createGuild();
+    });
+
+    afterEach(() => {
+        service.cleanup();
+    });
+
+    test('should do nothing without a voice log channel', async () => {
+        getLogChannelId.mockResolvedValue(null);
+
+        await service.handleVoiceStateUpdate(createState(guild, null), createState(guild, 'vc1'));
+
+        expect(sendLog).not.toHaveBeenCalled();
+    });
+
+    test('should log joins, moves and leaves with the session duration', async () => {
+        await service.handleVoiceStateUpdate(createState(guild, null), createState(guild, 'vc1'));
+        await service.handleVoiceStateUpdate(createState(guild, 'vc1'), createState(guild, 'vc2'));
+        await service.handleVoiceStateUpdate(createState(guild, 'vc2'), createState(guild, null));
+
+        expect(sentTitles()).toEqual(['🔊 Joined Voice', '🔀 Moved Voice Channel', '🔇 Left Voice']);
+        const session = sendLog.mock.calls[2][2].embeds[0].data.fields[0].value;
+        expect(session).toMatch(/^0 seconds \(joined <t:\d+:T>\)$/);
+    });
+
+    test('should show an unknown session when the join was not seen', async () => {
+        await service.handleVoiceStateUpdate(createState(guild, 'vc1'), createState(guild, null));
+
+        expect(sendLog.mock.calls[0][2].embeds[0].data.fields[0].value).toBe('Unknown');
+    });
+
+    test('should skip events that are toggled off', async () => {
+        getVoiceLogConfig.mockResolvedValue(settings({ joins: false, moves: false }));
+
+        await service.handleVoiceStateUpdate(createState(guild, null), createState(guild, 'vc1'));
+        await service.handleVoiceStateUpdate(createState(guild, 'vc1'), createState(guild, 'vc2'));
+
+        expect(sendLog).not.toHaveBeenCalled();
+    });
+
+    test('should log server mutes and deafens with the moderator', async () => {
+        await service.handleVoiceStateUpdate(
+            createState(guild, 'vc1'),
+            createState(guild, 'vc1', { serverMute: true, serverDeaf: true })
+        );
+
+        expect(sentTitles()).toEqual(['🎙️ Member Server Muted', '🎙️ Member Server Deafened']);
+        expect(sendLog.mock.calls[0][2].embeds[0].data.fields[0].value).toBe('<@mod1>');
+        expect(findAuditLogEntry).toHaveBeenCalledWith(guild, AuditLogEvent.MemberUpdate, 'user1', { changeKey: 'mute' });
+        expect(findAuditLogEntry).toHaveBeenCalledWith(guild, AuditLogEvent.MemberUpdate, 'user1', { changeKey: 'deaf' });
+    });
+
+    test('should tell moderator disconnects apart from leaves by the audit log count', async () => {
+        const entry = { id: 'entry1', executorId: 'mod1', extra: { count: 1 }, createdTimestamp: Date.now() };
+        guild = createGuild([entry]);
+
+        await service.handleVoiceStateUpdate(createState(guild, 'vc1'), createState(guild, null));
+        // Same entry, same count - this member left on their own
+        await service.handleVoiceStateUpdate(createState(guild, 'vc1'), createState(guild, null));
+        entry.extra.count = 2;
+        await service.handleVoiceStateUpdate(createState(guild, 'vc1'), createState(guild, null));
+
+        expect(sentTitles()).toEqual(['⛔ Disconnected from Voice', '🔇 Left Voice', '⛔ Disconnected from Voice']);
+    });
+
+    test('should log moderator disconnects even when leaves are off', async () => {
+        getVoiceLogConfig.mockResolvedValue(settings({ leaves: false }));
+        guild = createGuild([{ id: 'entry1', executorId: 'mod1', extra: { count: 1 }, createdTimestamp: Date.now() }]);
+
+        await service.handleVoiceStateUpdate(createState(guild, 'vc1'), createState(guild, null));
+        await service.handleVoiceStateUpdate(createState(guild, 'vc1'), createState(guild, null));
+
+        expect(sentTitles()).toEqual(['⛔ Disconnected from Voice']);
+    });
+});
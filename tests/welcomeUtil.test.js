@@ -0,0 +1,89 @@
+/**
+ * Welcome Utility Tests
+ * Tests the goodbye message variables and formats
+ */
+
+const { Collection } = require('discord.js');
+const {
+    formatMembershipDuration,
+    parseGoodbyeMessage,
+    buildGoodbyeMessage,
+    DEFAULT_GOODBYE_MESSAGE
+} = require('../src/utils/welcomeUtil');
+
+const DAY = 24 * 60 * 60 * 1000;
+const guild = { id: 'guild1', name: 'Guild', memberCount: 41 };
+
+function createMember({ roles = [], joinedDaysAgo = 400, partial = false } = {}) {
+    return {
+        id: 'user1',
+        partial,
+        guild,
+        displayName: 'Johnny',
+        joinedAt: joinedDaysAgo === null ? null : new Date(Date.now() - joinedDaysAgo * DAY - 60000),
+        user: {
+            username: 'john',
+            tag: 'john#0001',
+            createdAt: new Date(Date.now() - 1000 * DAY),
+            displayAvatarURL: () => 'https://cdn/avatar.png'
+        },
+        roles: { cache: new Collection(roles.map(role => [role.id, role])) }
+    };
+}
+
+describe('formatMembershipDuration', () => {
+    test('uses the two largest units', () => {
+        expect(formatMembershipDuration(400 * DAY)).toBe('1 year and 1 month');
+        expect(formatMembershipDuration(DAY + 3 * 60 * 60 * 1000 + 60000)).toBe('1 day and 3 hours');
+        expect(formatMembershipDuration(5 * 60000)).toBe('5 minutes');
+    });
+
+    test('short stays read as less than a minute', () => {
+        expect(formatMembershipDuration(30000)).toBe('less than a minute');
+    });
+});
+
+describe('parseGoodbyeMessage', () => {
+    test('keeps the welcome variables and adds {duration} and {roles}', () => {
+        const member = createMember({
+            roles: [
+                { id: 'guild1', name: '@everyone', position: 0 },
+                { id: 'member', name: 'Member', position: 1 },
+                { id: 'mod', name: 'Moderator', position: 5 }
+            ]
+        });
+
+        const text = parseGoodbyeMessage('{username} left {server} after {duration} with {roles}. {memberCount} left.', member, guild);
+
+        expect(text).toBe('john left Guild after 1 year and 1 month with Moderator, Member. 41 left.');
+    });
+
+    test('members without roles have none', () => {
+        expect(parseGoodbyeMessage('{roles}', createMember(), guild)).toBe('None');
+    });
+
+    test('uncached members have an unknown stay and roles', () => {
+        const member = createMember({ partial: true, joinedDaysAgo: null });
+
+        expect(parseGoodbyeMessage('{duration} / {roles}', member, guild)).toBe('an unknown time / Unknown');
+    });
+});
+
+describe('buildGoodbyeMessage', () => {
+    test('uses the default template in an embed', () => {
+        const { embeds } = buildGoodbyeMessage({ goodbyeMessage: null, goodbyeUseEmbed: true }, createMember(), guild);
+
+        expect(DEFAULT_GOODBYE_MESSAGE).toContain('{username}');
+        expect(embeds[0].data.description).toBe('**john** has left **Guild**. We now have 41 members.');
+    });
+
+    test('columns added to an existing database default to an embed', () => {
+        expect(buildGoodbyeMessage({ goodbyeUseEmbed: null }, createMember(), guild).embeds).toHaveLength(1);
+    });
+
+    test('sends plain text when embeds are off', () => {
+        const message = buildGoodbyeMessage({ goodbyeMessage: 'Bye {user}', goodbyeUseEmbed: false }, createMember(), guild);
+
+        expect(message).toEqual({ content: 'Bye <@user1>' });
+    });
+});